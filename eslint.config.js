@@ -5,7 +5,7 @@ import reactHooks from 'eslint-plugin-react-hooks';
 import reactRefresh from 'eslint-plugin-react-refresh';
 
 export default [
-  { ignores: ['dist', 'public/pdfjs/**'] },
+  { ignores: ['dist', 'public/pdfjs/**', 'public/tesseract/**'] },
   {
     files: ['**/*.{js,jsx}'],
     languageOptions: {
@@ -1,4 +1,4 @@
-import { useState, useCallback, useMemo, useEffect } from 'react'
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react'
 import { 
   ThemeProvider, 
   createTheme, 
@@ -26,13 +26,16 @@ import FileUpload from './components/FileUpload'
 import ExtractGraphics from './components/ExtractGraphics'
 import AnalyzeGraphics from './components/AnalyzeGraphics'
 import Results from './components/Results'
+import BatchQueue from './components/BatchQueue'
 import Settings from './components/Settings'
+import { createBatchAnalysisQueue, createOfflineAnalysisResult, createSkippedAnalysisResult, extractTextFromBatchResults } from './utils/batchImageAnalysisUtils'
+import { createRunController } from './utils/runControlUtils'
 import { Route, Routes, Link as RouterLink } from 'react-router-dom'
 
 // Define the steps for our process
 const steps = [
   {
-    label: 'Upload PDF',
+    label: 'Upload Document',
     description: 'Select a document and set your API preferences',
   },
   {
@@ -54,8 +57,24 @@ function App() {
   const [activeStep, setActiveStep] = useState(0)
   const [selectedFile, setSelectedFile] = useState(null)
   const [fileKey, setFileKey] = useState(null)
+  // Files uploaded together (or as a ZIP) go through the batch queue instead
+  // of the steps below
+  const [batchFiles, setBatchFiles] = useState(null)
   const [pdfResult, setPdfResult] = useState(null)
   const [analysisResult, setAnalysisResult] = useState(null)
+  // Pipelined mode: the analysis queue images are added to while they are
+  // extracted, and its status
+  const analysisQueueRef = useRef(null)
+  const [pipelineStatus, setPipelineStatus] = useState(null)
+  // Offline OCR of the page scans after extraction when there is no API key
+  // (percentage of page scans read), shown alongside the extraction
+  const [ocrProgress, setOcrProgress] = useState(null)
+  // Stop / Pause / Resume of the current file's run, shared by extraction
+  // and analysis (including the pipelined queue)
+  const [runController, setRunController] = useState(() => createRunController())
+  // The controller of the current run, for completions of a run that a reset
+  // or a new file has since replaced
+  const runControllerRef = useRef(runController)
   const [isProcessing, setIsProcessing] = useState(false)
   const [processingStep, setProcessingStep] = useState(0)
   const [touched, setTouched] = useState(false)
@@ -167,6 +186,15 @@ function App() {
     };
   }, []);
 
+  // Stops the current run (extraction, pipelined analysis and offline OCR)
+  // and gives the next one its own controller
+  const replaceRunController = useCallback(() => {
+    runControllerRef.current.stop()
+    const controller = createRunController()
+    runControllerRef.current = controller
+    setRunController(controller)
+  }, [])
+
   // Handle file selection
   const handleFileSelect = useCallback((file) => {
     if (!file) {
@@ -175,6 +203,10 @@ function App() {
       setFileKey(null)
       setPdfResult(null)
       setAnalysisResult(null)
+      analysisQueueRef.current = null
+      setPipelineStatus(null)
+      setOcrProgress(null)
+      replaceRunController()
       setProcessingStep(0)
       return
     }
@@ -187,6 +219,10 @@ function App() {
       // Reset all processing-related state
       setPdfResult(null);
       setAnalysisResult(null);
+      analysisQueueRef.current = null;
+      setPipelineStatus(null);
+      setOcrProgress(null);
+      replaceRunController();
       setProcessingStep(0);
       setIsProcessing(false);
       
@@ -202,7 +238,24 @@ function App() {
         setActiveStep(0);
       }
     }
-  }, [fileKey, autoProgress]);
+  }, [fileKey, autoProgress, replaceRunController]);
+
+  // Handle several files (or a ZIP) being uploaded at once
+  const handleFilesSelect = useCallback((files) => {
+    setSelectedFile(null)
+    setFileKey(null)
+    setPdfResult(null)
+    setAnalysisResult(null)
+    analysisQueueRef.current = null
+    setPipelineStatus(null)
+    setOcrProgress(null)
+    replaceRunController()
+    setProcessingStep(0)
+    setIsProcessing(false)
+    setTouched(false)
+    setActiveStep(0)
+    setBatchFiles(files)
+  }, [replaceRunController])
 
   // Handle debug mode change
   const handleDebugModeChange = useCallback((value) => {
@@ -228,8 +281,40 @@ function App() {
     }
   }, [pdfResult, analysisResult, isProcessing, processingStep, touched]);
 
+  // Pipelined mode (Settings > Analyze While Extracting): each page's images
+  // are analyzed as soon as they are extracted instead of after the last page
+  const handleImagesExtracted = useCallback((images) => {
+    if (!apiKeySet || localStorage.getItem('pdf_processor_pipelined_analysis') === 'false') return
+
+    if (!analysisQueueRef.current) {
+      const queue = createBatchAnalysisQueue(localStorage.getItem('pdf_processor_api_key'), {
+        model: localStorage.getItem('pdf_processor_model') || 'gpt-4o-mini',
+        maxConcurrentRequests: parseInt(localStorage.getItem('pdf_processor_max_requests') || '5', 10),
+        temperature: 0.7,
+        maxTokens: 1000,
+        signal: runController.signal,
+        waitWhilePaused: runController.waitWhilePaused
+      }, {
+        onProgress: (status) => {
+          // Ignore a queue left behind by a reset or a new file
+          if (analysisQueueRef.current !== queue) return
+          setPipelineStatus(status)
+          // Results opened before the analysis is done fill in as it goes
+          setAnalysisResult(prev => prev?.analysisInProgress
+            ? { ...prev, imageAnalysisResults: queue.getResults(), analysisStatus: status }
+            : prev)
+        }
+      })
+      analysisQueueRef.current = queue
+    }
+    analysisQueueRef.current.addImages(images)
+  }, [apiKeySet, runController])
+
   // Handle PDF processing completion
   const handlePdfProcessingComplete = useCallback((result) => {
+    // A run stopped by a reset or a new file no longer has anywhere to go
+    if (runControllerRef.current !== runController) return;
+
     // Debug logging to help troubleshoot "Scan All Pages" issues
     const imageCount = result?.images?.length || 0;
     const forcedScans = result?.images?.filter(img => img.isForcedScan === true)?.length || 0;
@@ -244,37 +329,102 @@ function App() {
     // Check if there are any images to analyze
     const hasImages = result && result.images && result.images.length > 0
 
+    // Pipelined run: the images are already being analyzed. Results open
+    // right away with what has been analyzed so far and fill in as the
+    // remaining images are done.
+    const analysisQueue = analysisQueueRef.current
+    if (analysisQueue && hasImages) {
+      setAnalysisResult({
+        name: result.name,
+        totalPages: result.totalPages,
+        metadata: result.metadata,
+        processingTime: result.processingTime,
+        images: result.images,
+        imageAnalysisResults: analysisQueue.getResults(),
+        analysisStatus: analysisQueue.getStatus(),
+        analysisInProgress: true,
+        extractedText: ''
+      });
+      setProcessingStep(Math.max(processingStep, 3));
+
+      analysisQueue.finish(result).then(({ results, updatedPdfData }) => {
+        if (analysisQueueRef.current !== analysisQueue) return;
+        const { extractedText } = extractTextFromBatchResults(results, result);
+        analysisQueueRef.current = null;
+        setPipelineStatus(null);
+        setAnalysisResult({ ...updatedPdfData, extractedText });
+      }).catch((error) => {
+        console.error('Error finishing the pipelined image analysis:', error);
+        if (analysisQueueRef.current !== analysisQueue) return;
+        analysisQueueRef.current = null;
+        setPipelineStatus(null);
+        // Results keep the images analyzed before the failure
+        setAnalysisResult({
+          name: result.name,
+          totalPages: result.totalPages,
+          metadata: result.metadata,
+          processingTime: result.processingTime,
+          images: result.images,
+          imageAnalysisResults: analysisQueue.getResults(),
+          extractedText: ''
+        });
+      });
+      return;
+    }
+
+    // Stopped during extraction: the pages processed so far go straight to
+    // Results, without analyzing their images
+    if (result?.stopped) {
+      setAnalysisResult(createSkippedAnalysisResult(result, 'stopped'));
+      setProcessingStep(Math.max(processingStep, 3));
+      if (autoProgress && !touched && (activeStep === 1 || activeStep === 2)) {
+        setActiveStep(3);
+      }
+      return;
+    }
+
     // The AI image-analysis step is optional. If there are no images, or no
     // API key is configured, we short-circuit straight to the Results step
     // with an empty analysis payload so the user can still copy/download
-    // the raw extracted text layer.
+    // the raw extracted text layer. Without a key, scanned pages are first
+    // read with the offline OCR engine.
     if (!hasImages || !apiKeySet) {
       const skippedReason = !hasImages ? 'no_images' : 'no_api_key';
-      const emptyAnalysisResult = {
-        ...result,
-        imageAnalysisResults: [],
-        analysisSkipped: true,
-        analysisSkippedReason: skippedReason,
-        extractedText:
-          skippedReason === 'no_images'
-            ? 'No images found in the PDF to analyze.'
-            : 'Image analysis was skipped because no OpenAI API key is configured.',
-      };
-      setAnalysisResult(emptyAnalysisResult);
+      setIsProcessing(true);
+      if (skippedReason === 'no_api_key') setOcrProgress(0);
+      createOfflineAnalysisResult(result, skippedReason, {
+        signal: runController.signal,
+        waitWhilePaused: runController.waitWhilePaused,
+        onProgress: (percentage) => {
+          if (runControllerRef.current === runController) setOcrProgress(percentage);
+        }
+      }).catch((error) => {
+        // Without OCR, Results still get the text layer and alt text
+        console.error('Offline OCR failed:', error);
+        return createSkippedAnalysisResult(result, skippedReason);
+      }).then((emptyAnalysisResult) => {
+        // A reset or a new file aborted this run and replaced its controller:
+        // the result is the old document's. A run the user stopped keeps the
+        // pages read so far.
+        if (runControllerRef.current !== runController) return;
+        setAnalysisResult(emptyAnalysisResult);
+        setOcrProgress(null);
+        setIsProcessing(false);
 
-      // Also update the processing step to indicate we've completed analysis
-      setProcessingStep(Math.max(processingStep, 3));
+        // Also update the processing step to indicate we've completed analysis
+        setProcessingStep(Math.max(processingStep, 3));
 
-      // If auto-progress is on and we're currently in step 1 or 2,
-      // move directly to the Results step
-      if (autoProgress && !touched && (activeStep === 1 || activeStep === 2)) {
-        setActiveStep(3); // Jump to Results step
-      }
+        // If auto-progress is on and we're currently in step 1 or 2,
+        // move directly to the Results step
+        if (autoProgress && !touched && (activeStep === 1 || activeStep === 2)) {
+          setActiveStep(3); // Jump to Results step
+        }
+      });
     } else if (autoProgress) {
       // Normal flow - start analysis immediately if auto progress is on
       startAnalysis(result);
     }
-  }, [processingStep, autoProgress, touched, activeStep, startAnalysis, scanAllPages, apiKeySet]);
+  }, [processingStep, autoProgress, touched, activeStep, startAnalysis, scanAllPages, apiKeySet, runController]);
 
   // Function to start the PDF processing
   const startPdfProcessing = useCallback(() => {
@@ -292,12 +442,13 @@ function App() {
   
   // Handle analysis completion
   const handleAnalysisComplete = useCallback((result) => {
+    if (runControllerRef.current !== runController) return
     setAnalysisResult(result)
     setIsProcessing(false)
     
     // Update the processing step to indicate we've completed step 2
     setProcessingStep(Math.max(processingStep, 3))
-  }, [processingStep]);
+  }, [processingStep, runController]);
   
   // Determine if processing is needed
   const needsProcessing = useMemo(() => {
@@ -463,10 +614,15 @@ function App() {
     setFileKey(null)
     setPdfResult(null)
     setAnalysisResult(null)
+    analysisQueueRef.current = null
+    setPipelineStatus(null)
+    setOcrProgress(null)
+    replaceRunController()
     setIsProcessing(false)
     setProcessingStep(0) // Reset processing step to 0
     setTouched(false) // Reset touched state
     setHasNavigatedFromUpload(false)
+    setBatchFiles(null)
   }
 
   // Effect to automatically move to the processing step when processing changes
@@ -512,6 +668,7 @@ function App() {
             <FileUpload
               selectedFile={selectedFile}
               onFileSelect={handleFileSelect}
+              onFilesSelect={handleFilesSelect}
               onDebugModeChange={handleDebugModeChange}
               onAutoProgressChange={handleAutoProgressChange}
               onSettingsChange={handleSettingsChange}
@@ -529,10 +686,14 @@ function App() {
             existingResults={pdfResult}
             debugMode={debugMode}
             scanAllPages={scanAllPages}
+            onImagesExtracted={handleImagesExtracted}
+            analysisStatus={pipelineStatus}
+            ocrProgress={ocrProgress}
+            runController={runController}
           />
         ) : (
           <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
-            <Typography>Please upload a PDF file first</Typography>
+            <Typography>Please upload a file first</Typography>
           </Box>
         )
       case 2:
@@ -569,9 +730,10 @@ function App() {
               </Typography>
               <Typography variant="body2" sx={{ mt: 0.5 }}>
                 No OpenAI API key is configured, so the {pdfResult?.images?.length ?? 0}
-                {' '}image(s) found in this PDF could not be sent to a vision model.
-                The raw text layer is still available in Results. Add a key in
-                Settings to enable analysis on the next run.
+                {' '}image(s) found in this document could not be sent to a vision model.
+                The raw text layer is still available in Results, and scanned pages
+                are read with offline OCR. Add a key in Settings to enable analysis
+                on the next run.
               </Typography>
             </Alert>
           )
@@ -584,6 +746,7 @@ function App() {
             existingResults={analysisResult}
             debugMode={debugMode}
             scanAllPages={scanAllPages}
+            runController={runController}
           />
         )
       case 3:
@@ -652,7 +815,7 @@ function App() {
   const getStepTooltip = (stepIndex) => {
     if (isStepAccessible(stepIndex)) return '';
 
-    if (stepIndex === 1) return 'Please upload a PDF file first';
+    if (stepIndex === 1) return 'Please upload a file first';
 
     if (stepIndex === 2) {
       if (!apiKeySet) {
@@ -662,7 +825,7 @@ function App() {
         if (scanAllPages) {
           return 'Please complete the image extraction process first';
         }
-        return 'No images found in the PDF - this step is skipped';
+        return 'No images found in the document - this step is skipped';
       }
       return 'Please complete the image extraction process first';
     }
@@ -732,7 +895,10 @@ function App() {
             onComplete={handlePdfProcessingComplete}
             skipProcessing={false}
             debugMode={false}
+            layoutDebug={debugMode}
             scanAllPages={scanAllPages}
+            onImagesExtracted={handleImagesExtracted}
+            runController={runController}
           />
         )}
         
@@ -744,6 +910,7 @@ function App() {
             skipAnalysis={false}
             debugMode={false}
             scanAllPages={scanAllPages}
+            runController={runController}
           />
         )}
       </Box>
@@ -783,8 +950,8 @@ function App() {
             {/* Global "Start over" — visible from any step the moment there's
                 state worth wiping. Avoids forcing the user to walk to Results
                 to discard a wrong upload. */}
-            {(selectedFile || pdfResult || analysisResult) && (
-              <Tooltip title="Discard the current PDF and results, then return to the upload step.">
+            {(selectedFile || pdfResult || analysisResult || batchFiles) && (
+              <Tooltip title="Discard the current documents and results, then return to the upload step.">
                 <Button
                   size="small"
                   onClick={handleReset}
@@ -804,7 +971,15 @@ function App() {
               </Tooltip>
             )}
           </Box>
-          <Stepper 
+          {batchFiles && (
+            <Box sx={{ mt: { xs: 1, sm: 3 } }}>
+              <BatchQueue files={batchFiles} debugMode={debugMode} />
+              <Button onClick={handleReset} sx={{ mt: 2 }}>
+                Process Other Documents
+              </Button>
+            </Box>
+          )}
+          {!batchFiles && <Stepper 
             activeStep={activeStep} 
             orientation="vertical"
             sx={{
@@ -929,7 +1104,7 @@ function App() {
                 </Step>
               );
             })}
-          </Stepper>
+          </Stepper>}
           {activeStep === steps.length && (
             <Paper square elevation={0} sx={{ p: 3 }}>
               <Typography>All steps completed - your text has been extracted</Typography>
@@ -23,9 +23,10 @@ import {
   Info as InfoIcon,
   DataObject as DataObjectIcon,
 } from '@mui/icons-material'
-import { processBatchImages, extractTextFromBatchResults } from '../utils/batchImageAnalysisUtils'
+import { processBatchImages, extractTextFromBatchResults, createOfflineAnalysisResult } from '../utils/batchImageAnalysisUtils'
 import RawDataViewer from './RawDataViewer'
 import ImageDetailModal from './ImageDetailModal'
+import RunControls from './RunControls'
 
 export default function AnalyzeGraphics({ 
   pdfResult, 
@@ -33,7 +34,9 @@ export default function AnalyzeGraphics({
   skipAnalysis = false, 
   existingResults = null,
   debugMode = false,
-  scanAllPages = false
+  scanAllPages = false,
+  // Stop / Pause / Resume of the run (see createRunController)
+  runController = null
 }) {
   // Processing state
   const [isProcessing, setIsProcessing] = useState(false)
@@ -124,14 +127,18 @@ export default function AnalyzeGraphics({
   // Handle case when we have existing results
   useEffect(() => {
     if (skipAnalysis && existingResults) {
-      // Use existing results instead of reprocessing
+      // Use existing results instead of reprocessing. In pipelined mode they
+      // are still coming in: the images were sent to analysis during extraction
+      const inProgress = !!existingResults.analysisInProgress
+      const status = existingResults.analysisStatus
       setAnalysisResult(existingResults)
-      setProcessingComplete(true)
-      setProgress(100)
+      setProcessingComplete(!inProgress)
+      setIsProcessing(inProgress)
+      setProgress(inProgress ? status?.progressPercentage || 0 : 100)
       
       if (existingResults.imageAnalysisResults) {
         setImageResults(existingResults.imageAnalysisResults)
-        setTotalImages(existingResults.imageAnalysisResults.length)
+        setTotalImages(inProgress ? status?.totalImages || 0 : existingResults.imageAnalysisResults.length)
         setProcessedImages(existingResults.imageAnalysisResults.length)
         
         // Count successful and failed images
@@ -150,7 +157,7 @@ export default function AnalyzeGraphics({
       
       // Add a summary message to the log
       setLogMessages([
-        "Using existing results - analysis skipped",
+        inProgress ? "Images are being analyzed as they are extracted" : "Using existing results - analysis skipped",
         `Found ${existingResults.imageAnalysisResults?.length || 0} analyzed images`,
         `${successfulImages} successful, ${refusalCount} refused, ${failedImages} failed`
       ]);
@@ -173,23 +180,36 @@ export default function AnalyzeGraphics({
         ? "No OpenAI API key set — image analysis is skipped. The extracted text layer is still available in the Results step. Add a key in Settings to enable AI image analysis."
         : "No images found in the PDF to analyze.";
 
-      const skippedExtractedText = !apiKey
-        ? "Image analysis was skipped because no OpenAI API key is configured."
-        : "No images found in the PDF to analyze.";
+      // Without a key, page scans are still read with the offline OCR engine
+      const skipImages = async () => {
+        processingRef.current = true;
+        setIsProcessing(true);
+        setProgress(0);
+
+        const emptyResult = await createOfflineAnalysisResult(pdfResult, !apiKey ? 'no_api_key' : 'no_images', {
+          onProgress: (percentage) => setProgress(percentage),
+          onLog: addLogMessage,
+          signal: runController?.signal,
+          waitWhilePaused: runController?.waitWhilePaused
+        });
+        const ocrCount = emptyResult.imageAnalysisResults.filter(result => result.analysisType === 'ocr' && result.success).length;
+        const altTextCount = emptyResult.imageAnalysisResults.filter(result => result.analysisType === 'alt_text').length;
 
-      const emptyResult = {
-        ...pdfResult,
-        imageAnalysisResults: [],
-        analysisSkipped: true,
-        analysisSkippedReason: !apiKey ? 'no_api_key' : 'no_images',
-        extractedText: skippedExtractedText,
+        setSkipReason([
+          reason,
+          ocrCount > 0 && `${ocrCount} scanned page(s) were read with offline OCR.`,
+          altTextCount > 0 && `The alt text of ${altTextCount} image(s) is used as their description.`
+        ].filter(Boolean).join(' '));
+        setImageResults(emptyResult.imageAnalysisResults);
+        setAnalysisResult(emptyResult);
+        setIsProcessing(false);
+        setProcessingComplete(true);
+        setProgress(100);
+        processingRef.current = false;
+        onComplete(emptyResult);
       };
 
-      setSkipReason(reason);
-      setAnalysisResult(emptyResult);
-      setProcessingComplete(true);
-      setProgress(100);
-      onComplete(emptyResult);
+      skipImages();
       return;
     }
     
@@ -234,8 +254,9 @@ export default function AnalyzeGraphics({
         const fullPageScans = imagesToAnalyze.filter(
           img => img.isFullPage === true && img.isForcedScan !== true
         );
+        const vectorFigures = imagesToAnalyze.filter(img => img.type === 'vector_figure');
         const regularImages = imagesToAnalyze.filter(
-          img => !img.isForcedScan && !img.isFullPage
+          img => !img.isForcedScan && !img.isFullPage && img.type !== 'vector_figure'
         );
         
         // Log detailed breakdown of image types
@@ -247,6 +268,10 @@ export default function AnalyzeGraphics({
           addLogMessage(`Processing ${fullPageScans.length} full page content images`);
         }
         
+        if (vectorFigures.length > 0) {
+          addLogMessage(`Processing ${vectorFigures.length} vector figures (charts and diagrams)`);
+        }
+        
         if (regularImages.length > 0) {
           addLogMessage(`Processing ${regularImages.length} regular images`);
         }
@@ -256,7 +281,10 @@ export default function AnalyzeGraphics({
           maxConcurrentRequests,
           model,
           temperature: 0.7,
-          maxTokens: 1000
+          maxTokens: 1000,
+          // Stop keeps the images analyzed so far; pause holds the next requests
+          signal: runController?.signal,
+          waitWhilePaused: runController?.waitWhilePaused
           // No need to specify analysisType here as it's determined per image
         };
         
@@ -301,7 +329,9 @@ export default function AnalyzeGraphics({
             
             // Extract text content from results
             const extractedText = extractTextFromBatchResults(results, pdfResult);
-            addLogMessage(`Analysis complete. Extracted text from ${extractedText.successfulImages} images.`);
+            addLogMessage(updatedPdfData.analysisStopped
+              ? `Analysis stopped. Extracted text from ${extractedText.successfulImages} of ${status.totalImages} images.`
+              : `Analysis complete. Extracted text from ${extractedText.successfulImages} images.`);
             
             // Notify parent component
             onComplete({ 
@@ -325,7 +355,7 @@ export default function AnalyzeGraphics({
     };
     
     analyzeImages();
-  }, [pdfResult, apiKey, model, maxConcurrentRequests, onComplete, processingComplete, skipAnalysis, existingResults]);
+  }, [pdfResult, apiKey, model, maxConcurrentRequests, onComplete, processingComplete, skipAnalysis, existingResults, runController]);
 
   // Helper function to add log messages with deduplication
   const addLogMessage = (message) => {
@@ -387,13 +417,13 @@ export default function AnalyzeGraphics({
       >
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
           <Typography variant="h6">
-            {skipAnalysis && existingResults 
+            {skipAnalysis && existingResults && !existingResults.analysisInProgress
               ? "Images Already Analyzed" 
               : "Analyzing Images with AI"}
           </Typography>
           
           {/* Debug button - only show when in debug mode */}
-          {debugMode && (processingComplete || (skipAnalysis && existingResults)) && (
+          {debugMode && (processingComplete || (skipAnalysis && existingResults && !existingResults.analysisInProgress)) && (
             <Button 
               variant="outlined" 
               size="small"
@@ -426,6 +456,9 @@ export default function AnalyzeGraphics({
                 sx={{ ml: 'auto' }}
               />
             )}
+            {isProcessing && runController && (
+              <RunControls runController={runController} />
+            )}
           </Stack>
           <LinearProgress 
             variant="determinate" 
@@ -483,11 +516,13 @@ export default function AnalyzeGraphics({
             </Typography>
             <Typography variant="h6" color={
               error ? 'error.main' : 
-              processingComplete || (skipAnalysis && existingResults) ? 'success.main' : 
+              analysisResult?.analysisStopped ? 'warning.main' :
+              processingComplete || (skipAnalysis && existingResults && !existingResults.analysisInProgress) ? 'success.main' : 
               'primary.main'
             }>
               {error ? 'Error' : 
-               processingComplete || (skipAnalysis && existingResults) ? 'Complete' : 
+               analysisResult?.analysisStopped ? 'Stopped' :
+               processingComplete || (skipAnalysis && existingResults && !existingResults.analysisInProgress) ? 'Complete' : 
                isProcessing ? 'Processing' : 'Ready'}
             </Typography>
           </Box>
@@ -0,0 +1,478 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import pLimit from 'p-limit'
+import {
+  Box,
+  Typography,
+  LinearProgress,
+  CircularProgress,
+  Paper,
+  Stack,
+  Alert,
+  Button,
+  IconButton,
+  Tooltip,
+  Modal,
+  Divider,
+} from '@mui/material'
+import {
+  CheckCircle as CheckCircleIcon,
+  Error as ErrorIcon,
+  Cancel as CancelIcon,
+  HourglassEmpty as QueuedIcon,
+  Replay as ReplayIcon,
+  Visibility as VisibilityIcon,
+  Download as DownloadIcon,
+  Close as CloseIcon,
+} from '@mui/icons-material'
+import {
+  expandUploadedFiles,
+  extractDocumentFile,
+  analyzeDocument,
+  buildBatchExport,
+  loadSavedFormatSettings,
+} from '../utils/batchQueueUtils'
+import { DEFAULT_SPREADSHEET_ROW_LIMIT } from '../utils/spreadsheetUtils'
+import { DEFAULT_RUNNING_TEXT_MODE } from '../utils/runningTextUtils'
+import Results from './Results'
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  extracting: 'Extracting',
+  analyzing: 'Analyzing images',
+  done: 'Done',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+}
+
+const ACTIVE_STATUSES = ['queued', 'extracting', 'analyzing']
+
+// Settings are read when a file starts, like the single-file steps do
+const readQueueSettings = () => {
+  const apiKey = localStorage.getItem('pdf_processor_api_key')
+  const apiKeyValidated = localStorage.getItem('pdf_processor_api_key_validated') === 'true'
+  return {
+    apiKey: apiKey && apiKey.trim() !== '' && apiKeyValidated ? apiKey : null,
+    model: localStorage.getItem('pdf_processor_model') || 'gpt-4o-mini',
+    maxConcurrentRequests: parseInt(localStorage.getItem('pdf_processor_max_requests') || '5', 10),
+    scanAllPages: localStorage.getItem('scanAllPages') === 'true',
+    maxTableRows: parseInt(localStorage.getItem('pdf_processor_spreadsheet_row_limit'), 10) || DEFAULT_SPREADSHEET_ROW_LIMIT,
+    runningText: localStorage.getItem('pdf_processor_running_text') || DEFAULT_RUNNING_TEXT_MODE,
+  }
+}
+
+// Runs many files through extract → analyze one after another. Extraction
+// (CPU-bound) handles one file at a time; image analysis of finished files
+// continues in the background while the next file is extracted, and all
+// files share one `pdf_processor_max_requests` budget of OpenAI requests.
+export default function BatchQueue({ files, debugMode = false }) {
+  const [items, setItems] = useState([])
+  const [skippedFiles, setSkippedFiles] = useState([])
+  const [isExpanding, setIsExpanding] = useState(true)
+  const [selectedItem, setSelectedItem] = useState(null)
+
+  // The queue loop reads the latest items synchronously, so they live in a
+  // ref and are mirrored into state for rendering
+  const itemsRef = useRef([])
+  const extractingRef = useRef(false)
+  // Bumped when the uploaded files change or the queue unmounts, which ends
+  // the extraction loop of the previous files
+  const queueGenerationRef = useRef(0)
+  const limitRef = useRef(null)
+  const nextRunIdRef = useRef(1)
+  // AbortController of each run, by runId, so cancelling stops its work
+  const abortControllersRef = useRef(new Map())
+
+  const setQueueItems = useCallback((nextItems) => {
+    itemsRef.current = nextItems
+    setItems(nextItems)
+  }, [])
+
+  // Updates made by a run are dropped once the file was cancelled or
+  // retried, since that gives it a new (or no) runId
+  const updateRun = useCallback((runId, changes) => {
+    if (!itemsRef.current.some(item => item.runId === runId)) return
+    setQueueItems(itemsRef.current.map(item => (item.runId === runId ? { ...item, ...changes } : item)))
+  }, [setQueueItems])
+
+  const analyzeItem = useCallback(async (runId, pdfResult, settings, signal) => {
+    try {
+      const analysisResult = await analyzeDocument(pdfResult, {
+        apiKey: settings.apiKey,
+        model: settings.model,
+        limit: limitRef.current,
+        signal,
+        onProgress: (percentage) => updateRun(runId, { progress: percentage }),
+      })
+      if (signal.aborted) return
+      updateRun(runId, { status: 'done', progress: 100, analysisResult })
+    } catch (err) {
+      if (signal.aborted) return
+      console.error('Error analyzing queued file:', err)
+      updateRun(runId, { status: 'error', error: err.message || 'An error occurred while analyzing images' })
+    } finally {
+      abortControllersRef.current.delete(runId)
+    }
+  }, [updateRun])
+
+  const runQueue = useCallback(async () => {
+    if (extractingRef.current) return
+    extractingRef.current = true
+    const generation = queueGenerationRef.current
+
+    try {
+      let next
+      while (generation === queueGenerationRef.current &&
+        (next = itemsRef.current.find(item => item.status === 'queued'))) {
+        const runId = nextRunIdRef.current++
+        const abortController = new AbortController()
+        abortControllersRef.current.set(runId, abortController)
+        const settings = readQueueSettings()
+        if (!limitRef.current) {
+          limitRef.current = pLimit(Math.max(1, settings.maxConcurrentRequests))
+        } else {
+          limitRef.current.concurrency = Math.max(1, settings.maxConcurrentRequests)
+        }
+
+        setQueueItems(itemsRef.current.map(item => (
+          item.id === next.id
+            ? { ...item, runId, status: 'extracting', progress: 0, error: null, pdfResult: null, analysisResult: null }
+            : item
+        )))
+        console.log(`Batch queue: extracting ${next.name}`)
+
+        let pdfResult
+        try {
+          pdfResult = await extractDocumentFile(next.file, {
+            scanAllPages: settings.scanAllPages,
+            maxTableRows: settings.maxTableRows,
+            runningText: settings.runningText,
+            debugMode: true,
+            signal: abortController.signal,
+            progressCallback: (progressRatio) => updateRun(runId, { progress: progressRatio * 100 }),
+          })
+        } catch (err) {
+          abortControllersRef.current.delete(runId)
+          if (abortController.signal.aborted) continue
+          console.error('Error processing queued file:', err)
+          updateRun(runId, { status: 'error', error: err.message || 'An error occurred while processing the document' })
+          continue
+        }
+
+        // Cancelled while extracting
+        if (abortController.signal.aborted) {
+          abortControllersRef.current.delete(runId)
+          continue
+        }
+
+        updateRun(runId, { status: 'analyzing', progress: 0, pdfResult })
+        // Not awaited: the next file is extracted while this one is analyzed
+        analyzeItem(runId, pdfResult, settings, abortController.signal)
+      }
+    } finally {
+      if (generation === queueGenerationRef.current) extractingRef.current = false
+    }
+  }, [setQueueItems, updateRun, analyzeItem])
+
+  // The shared request budget follows Max Concurrent Requests, also for
+  // files already being analyzed
+  useEffect(() => {
+    const updateConcurrency = () => {
+      if (limitRef.current) {
+        limitRef.current.concurrency = Math.max(1, readQueueSettings().maxConcurrentRequests)
+      }
+    }
+    window.addEventListener('storage', updateConcurrency)
+    window.addEventListener('pdf_processor_settings_changed', updateConcurrency)
+    return () => {
+      window.removeEventListener('storage', updateConcurrency)
+      window.removeEventListener('pdf_processor_settings_changed', updateConcurrency)
+    }
+  }, [])
+
+  // Expand ZIP archives and queue the uploaded files
+  useEffect(() => {
+    let ignore = false
+    setIsExpanding(true)
+
+    expandUploadedFiles(files).then(({ files: documents, skipped }) => {
+      if (ignore) return
+      setQueueItems(documents.map((file, index) => ({
+        id: `${index}-${file.name}`,
+        name: file.name,
+        file,
+        status: 'queued',
+        progress: 0,
+        runId: null,
+        error: null,
+        pdfResult: null,
+        analysisResult: null,
+      })))
+      setSkippedFiles(skipped)
+      setIsExpanding(false)
+      runQueue()
+    })
+
+    return () => {
+      ignore = true
+      // Stop the previous files' extraction and analysis, and let the next
+      // files start a queue of their own
+      abortControllersRef.current.forEach(controller => controller.abort())
+      abortControllersRef.current.clear()
+      queueGenerationRef.current++
+      extractingRef.current = false
+    }
+  }, [files, setQueueItems, runQueue])
+
+  // Cancels every file that hasn't finished: the file being extracted stops
+  // after its current page, and image requests and OCR in flight are aborted
+  const handleCancelQueue = () => {
+    itemsRef.current.forEach(item => {
+      if (ACTIVE_STATUSES.includes(item.status)) abortControllersRef.current.get(item.runId)?.abort()
+    })
+    setQueueItems(itemsRef.current.map(item => (
+      ACTIVE_STATUSES.includes(item.status) ? { ...item, status: 'cancelled', runId: null } : item
+    )))
+  }
+
+  const handleRetry = (id) => {
+    setQueueItems(itemsRef.current.map(item => (
+      item.id === id ? { ...item, status: 'queued', progress: 0, runId: null, error: null } : item
+    )))
+    runQueue()
+  }
+
+  const handleRetryAll = () => {
+    setQueueItems(itemsRef.current.map(item => (
+      ['error', 'cancelled'].includes(item.status)
+        ? { ...item, status: 'queued', progress: 0, runId: null, error: null }
+        : item
+    )))
+    runQueue()
+  }
+
+  const handleDownloadAll = () => {
+    const finished = items.filter(item => item.status === 'done')
+    if (finished.length === 0) return
+
+    const settings = readQueueSettings()
+    const zip = buildBatchExport(finished, {
+      formatSettings: loadSavedFormatSettings(),
+      settings: { model: settings.model, scanAllPages: settings.scanAllPages },
+    })
+
+    const blob = new Blob([zip], { type: 'application/zip' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = 'extracted-documents.zip'
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
+  const doneCount = items.filter(item => item.status === 'done').length
+  const failedCount = items.filter(item => ['error', 'cancelled'].includes(item.status)).length
+  const isRunning = items.some(item => ACTIVE_STATUSES.includes(item.status))
+  // Finished files count fully, running ones by their step progress
+  const overallProgress = items.length === 0 ? 0 : items.reduce((sum, item) => {
+    if (['done', 'error', 'cancelled'].includes(item.status)) return sum + 100
+    if (item.status === 'extracting') return sum + item.progress / 2
+    if (item.status === 'analyzing') return sum + 50 + item.progress / 2
+    return sum
+  }, 0) / items.length
+
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'done':
+        return <CheckCircleIcon sx={{ color: 'success.main' }} />
+      case 'error':
+        return <ErrorIcon sx={{ color: 'error.main' }} />
+      case 'cancelled':
+        return <CancelIcon sx={{ color: 'text.secondary' }} />
+      case 'queued':
+        return <QueuedIcon sx={{ color: 'text.secondary' }} />
+      default:
+        return <CircularProgress size={20} sx={{ color: 'primary.main' }} />
+    }
+  }
+
+  return (
+    <Stack spacing={3} width="100%">
+      {skippedFiles.length > 0 && (
+        <Alert
+          severity="warning"
+          sx={{
+            '& .MuiAlert-icon': {
+              color: 'primary.main'
+            }
+          }}
+        >
+          {skippedFiles.length} file(s) were not queued:
+          {skippedFiles.map(skipped => (
+            <Typography key={skipped.name} variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
+              {skipped.name} — {skipped.reason}
+            </Typography>
+          ))}
+        </Alert>
+      )}
+
+      <Paper
+        sx={{
+          p: { xs: 2, sm: 3 },
+          bgcolor: 'background.paper',
+          borderRadius: { xs: 1, sm: 2 },
+        }}
+      >
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          <Typography variant="h6">
+            Batch Queue
+          </Typography>
+          <Stack direction="row" spacing={1}>
+            {isRunning && (
+              <Button
+                size="small"
+                variant="outlined"
+                color="inherit"
+                startIcon={<CancelIcon />}
+                onClick={handleCancelQueue}
+              >
+                Cancel queue
+              </Button>
+            )}
+            {failedCount > 0 && (
+              <Button
+                size="small"
+                variant="outlined"
+                startIcon={<ReplayIcon />}
+                onClick={handleRetryAll}
+              >
+                Retry failed
+              </Button>
+            )}
+            <Button
+              size="small"
+              variant="contained"
+              startIcon={<DownloadIcon />}
+              onClick={handleDownloadAll}
+              disabled={doneCount === 0}
+            >
+              Download all (.zip)
+            </Button>
+          </Stack>
+        </Box>
+
+        <Box sx={{ mb: 2 }}>
+          <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1 }}>
+            <Typography>Files:</Typography>
+            <Typography color="primary.main" fontWeight="bold">
+              {doneCount} / {items.length} done
+            </Typography>
+            {failedCount > 0 && (
+              <Typography color="text.secondary">
+                ({failedCount} failed or cancelled)
+              </Typography>
+            )}
+          </Stack>
+          <LinearProgress
+            variant={isExpanding ? 'indeterminate' : 'determinate'}
+            value={overallProgress}
+            sx={{
+              height: 10,
+              borderRadius: 5,
+              '& .MuiLinearProgress-bar': {
+                backgroundColor: 'primary.main'
+              }
+            }}
+          />
+        </Box>
+
+        {isExpanding && (
+          <Typography variant="body2" color="text.secondary">
+            Reading uploaded files...
+          </Typography>
+        )}
+
+        <Stack divider={<Divider flexItem />}>
+          {items.map(item => (
+            <Box key={item.id} sx={{ display: 'flex', alignItems: 'center', gap: 1.5, py: 1 }}>
+              {getStatusIcon(item.status)}
+              <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                <Typography noWrap title={item.name}>
+                  {item.name}
+                </Typography>
+                <Typography
+                  variant="caption"
+                  color={item.status === 'error' ? 'error.main' : 'text.secondary'}
+                >
+                  {item.status === 'error' ? item.error : STATUS_LABELS[item.status]}
+                  {item.status === 'done' && ` — ${item.pdfResult.totalPages} page(s), ${item.pdfResult.images.length} image(s)`}
+                </Typography>
+                {['extracting', 'analyzing'].includes(item.status) && (
+                  <LinearProgress
+                    variant="determinate"
+                    value={item.progress}
+                    sx={{ mt: 0.5, height: 4, borderRadius: 2 }}
+                  />
+                )}
+              </Box>
+              {item.status === 'done' && (
+                <Tooltip title="View results">
+                  <IconButton size="small" aria-label={`View results of ${item.name}`} onClick={() => setSelectedItem(item)}>
+                    <VisibilityIcon />
+                  </IconButton>
+                </Tooltip>
+              )}
+              {['error', 'cancelled'].includes(item.status) && (
+                <Tooltip title="Retry this file">
+                  <IconButton size="small" aria-label={`Retry ${item.name}`} onClick={() => handleRetry(item.id)}>
+                    <ReplayIcon />
+                  </IconButton>
+                </Tooltip>
+              )}
+            </Box>
+          ))}
+        </Stack>
+      </Paper>
+
+      {/* Per-file results */}
+      <Modal
+        open={!!selectedItem}
+        onClose={() => setSelectedItem(null)}
+        aria-labelledby="batch-results-modal-title"
+      >
+        <Paper
+          sx={{
+            position: 'absolute',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            width: { xs: '95%', sm: '90%', md: '800px' },
+            maxHeight: '90vh',
+            bgcolor: 'background.paper',
+            boxShadow: 24,
+            borderRadius: 2,
+            p: 3,
+            overflow: 'auto',
+          }}
+        >
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6" component="h2" id="batch-results-modal-title" noWrap>
+              {selectedItem?.name}
+            </Typography>
+            <IconButton onClick={() => setSelectedItem(null)} aria-label="close" size="small">
+              <CloseIcon />
+            </IconButton>
+          </Box>
+          {selectedItem && (
+            <Results
+              pdfResult={selectedItem.pdfResult}
+              analysisResult={selectedItem.analysisResult}
+              debugMode={debugMode}
+            />
+          )}
+        </Paper>
+      </Modal>
+    </Stack>
+  )
+}
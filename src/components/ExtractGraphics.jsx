@@ -12,12 +12,19 @@ import {
   ListItemText,
   Alert,
   Button,
+  TextField,
 } from '@mui/material'
 import {
   DataObject as DataObjectIcon,
+  Lock as LockIcon,
 } from '@mui/icons-material'
-import { processPdfDocument } from '../utils/pdfUtils'
+import { getDocumentType } from '../utils/documentUtils'
+import { processDocumentInWorker } from '../utils/extractionWorkerUtils'
+import { DEFAULT_SPREADSHEET_ROW_LIMIT } from '../utils/spreadsheetUtils'
+import { DEFAULT_RUNNING_TEXT_MODE } from '../utils/runningTextUtils'
 import RawDataViewer from './RawDataViewer'
+import LayoutDebugOverlay from './LayoutDebugOverlay'
+import RunControls from './RunControls'
 
 export default function ExtractGraphics({ 
   pdfFile, 
@@ -25,7 +32,17 @@ export default function ExtractGraphics({
   skipProcessing = false, 
   existingResults = null,
   debugMode = false,
-  scanAllPages = false
+  layoutDebug = debugMode,
+  scanAllPages = false,
+  // Pipelined mode: receives each page's images as they are extracted, and
+  // the status of their analysis is shown alongside the extraction
+  onImagesExtracted = null,
+  analysisStatus = null,
+  // Offline OCR of the page scans once extraction is done (no API key), as
+  // the percentage read so far
+  ocrProgress = null,
+  // Stop / Pause / Resume of the run (see createRunController)
+  runController = null
 }) {
   // Processing state
   const [isProcessing, setIsProcessing] = useState(false)
@@ -42,6 +59,15 @@ export default function ExtractGraphics({
   // Modal state
   const [rawDataModalOpen, setRawDataModalOpen] = useState(false)
   
+  // Password prompt for encrypted PDFs: `{ incorrectPassword, resolve }`
+  // while processPdfDocument waits for a password
+  const [passwordPrompt, setPasswordPrompt] = useState(null)
+  const [passwordInput, setPasswordInput] = useState('')
+  const passwordPromptRef = useRef(null)
+  // Set when loading failed for want of a password, so it can be retried
+  const [passwordRequired, setPasswordRequired] = useState(false)
+  const [processingAttempt, setProcessingAttempt] = useState(0)
+  
   // Use a ref to track if processing is already in progress
   const processingRef = useRef(false)
   // Use a ref to store seen log messages to prevent duplicates
@@ -65,8 +91,8 @@ export default function ExtractGraphics({
       setProcessingComplete(true)
       setTotalPages(existingResults.totalPages)
       setImagesFound(existingResults.images.length)
-      setProgress(100)
-      setCurrentPage(existingResults.totalPages)
+      setProgress(existingResults.stopped ? (existingResults.pages.length / existingResults.totalPages) * 100 : 100)
+      setCurrentPage(existingResults.stopped ? existingResults.pages.length : existingResults.totalPages)
       
       // Add a summary message to the log
       setLogMessages([
@@ -98,6 +124,7 @@ export default function ExtractGraphics({
       
       setIsProcessing(true);
       setError(null);
+      setPasswordRequired(false);
       setLogMessages([]);
       setProgress(0);
       setImagesFound(0);
@@ -107,9 +134,6 @@ export default function ExtractGraphics({
       // Reset seen messages
       seenMessages.current = new Set();
       
-      // Track the highest image number seen
-      let highestImageNumber = 0;
-      
       // Important: Convert scanAllPages to boolean explicitly
       const scanAllPagesValue = scanAllPages === true;
       console.log(`Starting PDF processing with scanAllPages=${scanAllPagesValue} (${typeof scanAllPagesValue})`);
@@ -133,58 +157,53 @@ export default function ExtractGraphics({
               // Core setting - make this explicit and first 
               scanAllPages: scanAllPagesValue,
               
+              // Render page previews for the layout debug overlay
+              layoutDebug,
+              
+              // Data rows kept per spreadsheet table (set in Settings)
+              maxTableRows: parseInt(localStorage.getItem('pdf_processor_spreadsheet_row_limit'), 10) || DEFAULT_SPREADSHEET_ROW_LIMIT,
+              
+              // Running headers, footers and page numbers of PDFs (set in Settings)
+              runningText: localStorage.getItem('pdf_processor_running_text') || DEFAULT_RUNNING_TEXT_MODE,
+              
+              // Ask for the password of encrypted PDFs (again after a wrong one)
+              passwordCallback: ({ incorrectPassword }) => new Promise((resolve) => {
+                const prompt = { incorrectPassword, resolve };
+                passwordPromptRef.current = prompt;
+                setPasswordInput('');
+                setPasswordPrompt(prompt);
+              }),
+              
               // Progress tracking
               progressCallback: (progressRatio) => setProgress(progressRatio * 100),
               logCallback: (message) => {
                 if (!seenMessages.current.has(message)) {
                   seenMessages.current.add(message);
                   setLogMessages(prev => [...prev, message]);
-                  
-                  // Parse progress messages
-                  if (message.includes('Processing page')) {
-                    const match = message.match(/Processing page (\d+)\/(\d+)/);
-                    if (match) {
-                      setCurrentPage(parseInt(match[1]));
-                      setTotalPages(parseInt(match[2]));
-                    }
-                  }
-                  
-                  // Extract image count from log messages by parsing the image number
-                  if (message.includes('Found image')) {
-                    const match = message.match(/Found image (\d+)/);
-                    if (match) {
-                      const imageNumber = parseInt(match[1]);
-                      highestImageNumber = Math.max(highestImageNumber, imageNumber);
-                      setImagesFound(highestImageNumber);
-                    }
-                  }
-                  
-                  // Update total images count when available
-                  if (message.includes('Found') && message.includes('original images')) {
-                    const match = message.match(/Found (\d+) original images/);
-                    if (match) {
-                      const totalImages = parseInt(match[1]);
-                      setImagesFound(totalImages);
-                    }
-                  }
-                  
-                  // Count unique images at the end of processing
-                  if (message.includes('Found') && message.includes('unique images')) {
-                    const match = message.match(/Found (\d+) unique images/);
-                    if (match) {
-                      const uniqueImages = parseInt(match[1]);
-                      setImagesFound(uniqueImages);
-                    }
-                  }
                 }
               },
               
+              // Page and image counters, from the summary sent after each PDF page
+              pageCallback: ({ pageNumber, totalPages: pageCount, images, imageCount }) => {
+                setCurrentPage(pageNumber);
+                setTotalPages(pageCount);
+                setImagesFound(imageCount);
+                if (images.length > 0) onImagesExtracted?.(images);
+              },
+              
+              // Stop and pause between pages
+              signal: runController?.signal,
+              waitWhilePaused: runController?.waitWhilePaused,
+              
               // Debug flags
-              debugMode: true
+              debugMode: true,
+              
+              // Pick the processor from the file name / MIME type
+              documentType: getDocumentType(pdfFile) || 'pdf'
             };
             
-            // Process the PDF with these options
-            const result = await processPdfDocument(pdfData, options);
+            // PDFs are processed in a web worker so the UI stays responsive
+            const result = await processDocumentInWorker(pdfData, options);
             
             if (result.success) {
               // Preserve the original filename from the uploaded file
@@ -200,6 +219,8 @@ export default function ExtractGraphics({
               };
               
               setPdfResult(enrichedResult);
+              // A stopped run keeps the pages processed before the stop
+              setCurrentPage(result.stopped ? result.pages.length : result.totalPages);
               setTotalPages(result.totalPages);
               
               // Set the final image count based on the result
@@ -209,11 +230,12 @@ export default function ExtractGraphics({
               // Notify parent component of completion
               onComplete(enrichedResult);
             } else {
-              setError(result.error || 'An error occurred while processing the PDF');
+              setError(result.error || 'An error occurred while processing the document');
+              setPasswordRequired(!!result.passwordRequired);
             }
           } catch (err) {
             console.error('Error processing PDF:', err);
-            setError(err.message || 'An error occurred while processing the PDF');
+            setError(err.message || 'An error occurred while processing the document');
           } finally {
             setIsProcessing(false);
             // Reset processing flag
@@ -239,7 +261,28 @@ export default function ExtractGraphics({
     };
     
     processPdf();
-  }, [pdfFile, onComplete, processingComplete, skipProcessing, existingResults, scanAllPages]);
+  }, [pdfFile, onComplete, processingComplete, skipProcessing, existingResults, scanAllPages, layoutDebug, processingAttempt, onImagesExtracted, runController]);
+
+  // Don't leave processing waiting for a password after unmounting
+  useEffect(() => {
+    return () => passwordPromptRef.current?.resolve(null);
+  }, []);
+
+  // Answers the pending password prompt; null gives up
+  const answerPasswordPrompt = (password) => {
+    passwordPromptRef.current?.resolve(password);
+    passwordPromptRef.current = null;
+    setPasswordPrompt(null);
+    setPasswordInput('');
+  };
+
+  const encryption = (pdfResult || existingResults)?.metadata?.encryption;
+  const restrictions = encryption ? [
+    !encryption.permissions.print && 'printing',
+    !encryption.permissions.copy && 'copying text',
+    !encryption.permissions.modifyContents && 'editing',
+    !encryption.permissions.fillForms && 'filling in forms',
+  ].filter(Boolean) : [];
 
   return (
     <Stack spacing={3} width="100%">
@@ -256,6 +299,79 @@ export default function ExtractGraphics({
         </Alert>
       )}
       
+      {passwordPrompt && (
+        <Paper
+          component="form"
+          onSubmit={(e) => {
+            e.preventDefault()
+            answerPasswordPrompt(passwordInput)
+          }}
+          sx={{
+            p: { xs: 2, sm: 3 },
+            bgcolor: 'background.paper',
+            borderRadius: { xs: 1, sm: 2 },
+          }}
+        >
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <LockIcon sx={{ color: 'primary.main' }} />
+            <Typography variant="h6">This PDF is password-protected</Typography>
+          </Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Enter the password to open it. The password is only used to decrypt the file in your browser.
+          </Typography>
+          <TextField
+            type="password"
+            label="Password"
+            value={passwordInput}
+            onChange={(e) => setPasswordInput(e.target.value)}
+            error={passwordPrompt.incorrectPassword}
+            helperText={passwordPrompt.incorrectPassword ? 'Incorrect password, please try again' : ' '}
+            autoFocus
+            fullWidth
+            size="small"
+            autoComplete="off"
+          />
+          <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+            <Button type="submit" variant="contained">
+              Unlock
+            </Button>
+            <Button onClick={() => answerPasswordPrompt(null)} color="inherit">
+              Cancel
+            </Button>
+          </Stack>
+        </Paper>
+      )}
+      
+      {error && passwordRequired && !isProcessing && (
+        <Box>
+          <Button
+            variant="outlined"
+            startIcon={<LockIcon />}
+            onClick={() => setProcessingAttempt(prev => prev + 1)}
+          >
+            Enter password
+          </Button>
+        </Box>
+      )}
+      
+      {encryption?.isEncrypted && (
+        <Alert
+          severity="info"
+          icon={<LockIcon />}
+          sx={{
+            '& .MuiAlert-icon': {
+              color: 'primary.main'
+            }
+          }}
+        >
+          This PDF is encrypted{encryption.filter ? ` (${encryption.filter} security)` : ''}
+          {encryption.passwordProtected ? ' and was opened with its password' : ''}.
+          {restrictions.length > 0
+            ? ` Its author restricts ${restrictions.join(', ')}. The text is extracted regardless, so make sure you are allowed to use it.`
+            : ' It sets no usage restrictions.'}
+        </Alert>
+      )}
+      
       <Paper
         sx={{
           p: { xs: 2, sm: 3 },
@@ -267,7 +383,7 @@ export default function ExtractGraphics({
           <Typography variant="h6">
             {skipProcessing && existingResults 
               ? "Graphics Already Extracted" 
-              : "Extracting Images from PDF"}
+              : "Extracting Images from Document"}
           </Typography>
           
           {/* Debug button - only show when in debug mode */}
@@ -304,6 +420,9 @@ export default function ExtractGraphics({
                 sx={{ ml: 'auto' }}
               />
             )}
+            {(isProcessing || ocrProgress !== null) && runController && (
+              <RunControls runController={runController} />
+            )}
           </Stack>
           <LinearProgress 
             variant="determinate" 
@@ -346,16 +465,40 @@ export default function ExtractGraphics({
             </Typography>
           </Box>
           
+          {analysisStatus && (
+            <Box>
+              <Typography variant="body2" color="text.secondary">
+                Images Analyzed
+              </Typography>
+              <Typography variant="h6">
+                {analysisStatus.processedCount} / {analysisStatus.totalImages}
+              </Typography>
+            </Box>
+          )}
+
+          {ocrProgress !== null && (
+            <Box>
+              <Typography variant="body2" color="text.secondary">
+                Offline OCR
+              </Typography>
+              <Typography variant="h6">
+                {ocrProgress}%
+              </Typography>
+            </Box>
+          )}
+          
           <Box>
             <Typography variant="body2" color="text.secondary">
               Status
             </Typography>
             <Typography variant="h6" color={
               error ? 'error.main' : 
+              (pdfResult || existingResults)?.stopped ? 'warning.main' :
               processingComplete || (skipProcessing && existingResults) ? 'success.main' : 
               'primary.main'
             }>
               {error ? 'Error' : 
+               (pdfResult || existingResults)?.stopped ? 'Stopped' :
                processingComplete || (skipProcessing && existingResults) ? 'Complete' : 
                isProcessing ? 'Processing' : 'Ready'}
             </Typography>
@@ -408,6 +551,11 @@ export default function ExtractGraphics({
         </Paper>
       )}
       
+      {/* Layout overlay - only show when in debug mode */}
+      {debugMode && (pdfResult || existingResults) && (
+        <LayoutDebugOverlay pages={(pdfResult || existingResults).pages} />
+      )}
+      
       {/* Raw Data Modal */}
       <RawDataViewer
         data={pdfResult || existingResults}
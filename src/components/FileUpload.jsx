@@ -13,18 +13,32 @@ import {
 import {
   CloudUpload as CloudUploadIcon,
   PictureAsPdf as PdfIcon,
+  Description as DocumentIcon,
+  Image as ImageIcon,
   Delete as DeleteIcon,
   ExpandLess as ExpandLessIcon,
   ExpandMore as ExpandMoreIcon,
 } from '@mui/icons-material'
 import Settings from './Settings'
+import { ACCEPTED_FILE_TYPES, DOCUMENT_TYPES, getDocumentType } from '../utils/documentUtils'
+import { ACCEPTED_ARCHIVE_TYPES, isZipArchive } from '../utils/batchQueueUtils'
 
+// "PDF or Word" style list of the supported formats for messages
+const SUPPORTED_FORMATS_LABEL = Object.values(DOCUMENT_TYPES)
+  .map(type => type.label)
+  .join(', ')
+  .replace(/, ([^,]*)$/, ' or $1')
+
+// Several files, or a ZIP of them, are handed to `onFilesSelect` and
+// processed by the batch queue instead of the single-file steps.
+//
 // Controlled component: the parent (`App`) owns the currently-selected file
 // via the `selectedFile` prop. Removing the local `file` state fixes the
 // reset bug where clicking "Process Another PDF" left the old filename and
 // delete icon visible because nothing told FileUpload to clear itself.
 const FileUpload = ({
   onFileSelect,
+  onFilesSelect,
   onDebugModeChange,
   onAutoProgressChange,
   onSettingsChange,
@@ -46,21 +60,22 @@ const FileUpload = ({
   }, [])
 
   const onDrop = useCallback((acceptedFiles) => {
-    const dropped = acceptedFiles[0]
-    if (dropped?.type !== 'application/pdf') {
-      setError('Please upload a PDF file only')
+    const dropped = acceptedFiles.filter(droppedFile => getDocumentType(droppedFile) || isZipArchive(droppedFile))
+    if (dropped.length === 0) {
+      setError(`Please upload ${SUPPORTED_FORMATS_LABEL} files (or a ZIP of them) only`)
       return
     }
     setError(null)
-    onFileSelect?.(dropped)
-  }, [onFileSelect])
+    if (dropped.length === 1 && !isZipArchive(dropped[0])) {
+      onFileSelect?.(dropped[0])
+    } else {
+      onFilesSelect?.(dropped)
+    }
+  }, [onFileSelect, onFilesSelect])
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: {
-      'application/pdf': ['.pdf']
-    },
-    maxFiles: 1,
+    accept: { ...ACCEPTED_FILE_TYPES, ...ACCEPTED_ARCHIVE_TYPES },
   })
 
   const handleDelete = () => {
@@ -116,7 +131,9 @@ const FileUpload = ({
             <CloudUploadIcon sx={{ fontSize: 48, color: 'primary.main' }} />
             {file ? (
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                <PdfIcon sx={{ color: 'primary.main' }} />
+                {getDocumentType(file) === 'pdf' && <PdfIcon sx={{ color: 'primary.main' }} />}
+                {getDocumentType(file) === 'image' && <ImageIcon sx={{ color: 'primary.main' }} />}
+                {!['pdf', 'image'].includes(getDocumentType(file)) && <DocumentIcon sx={{ color: 'primary.main' }} />}
                 <Typography>{file.name}</Typography>
                 <IconButton 
                   size="small"
@@ -137,8 +154,8 @@ const FileUpload = ({
             ) : (
               <Typography align="center" color="text.secondary">
                 {isDragActive
-                  ? 'Release to upload your PDF file'
-                  : 'Drag and drop a PDF file here, or click to browse files'}
+                  ? 'Release to upload your files'
+                  : `Drag and drop ${SUPPORTED_FORMATS_LABEL} files (or a ZIP of them) here, or click to browse files. Several files are processed as a queue.`}
               </Typography>
             )}
           </Box>
@@ -35,6 +35,8 @@ export default function ImageDetailModal({ open, onClose, image, analysis }) {
       return { label: 'Full Page Scan', color: 'info' };
     } else if (image.isFullPage) {
       return { label: 'Full Page Content', color: 'info' };
+    } else if (image.type === 'vector_figure') {
+      return { label: 'Vector Figure', color: 'primary' };
     } else {
       return { label: 'Regular Image', color: 'default' };
     }
@@ -259,7 +261,11 @@ export default function ImageDetailModal({ open, onClose, image, analysis }) {
               <>
                 {analysis.analysisType && (
                   <Chip 
-                    label={`Analysis Type: ${analysis.analysisType === 'page_description' ? 'Page Description' : 'General Image'}`}
+                    label={`Analysis Type: ${
+                      analysis.analysisType === 'page_description'
+                        ? 'Page Description'
+                        : analysis.analysisType === 'alt_text' ? 'Alt Text' : 'General Image'
+                    }`}
                     size="small"
                     color="primary"
                     variant="outlined"
@@ -0,0 +1,116 @@
+import { useState } from 'react'
+import {
+  Box,
+  Typography,
+  Paper,
+  Pagination,
+  Stack,
+  Chip,
+} from '@mui/material'
+
+// Stroke colors per column; full-width blocks use the accent color
+const COLUMN_COLORS = ['#2196f3', '#4caf50', '#9c27b0', '#00bcd4', '#795548']
+const FULL_WIDTH_COLOR = '#ff9800'
+
+const blockColor = (block) =>
+  block.column === null ? FULL_WIDTH_COLOR : COLUMN_COLORS[block.column % COLUMN_COLORS.length]
+
+/**
+ * Draws the layout analysis of each page (gutters and blocks numbered in
+ * reading order) on top of a page preview, to check column detection.
+ * @param {Object} props - Component props
+ * @param {Array} props.pages - Pages from processPdfDocument, with `layout`
+ */
+export default function LayoutDebugOverlay({ pages = [] }) {
+  const [pageIndex, setPageIndex] = useState(0)
+
+  const page = pages[pageIndex]
+  const layout = page?.layout
+
+  if (pages.length === 0) {
+    return null
+  }
+
+  return (
+    <Paper
+      sx={{
+        p: 2,
+        bgcolor: 'background.paper',
+        borderRadius: 2
+      }}
+    >
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+        <Typography variant="subtitle2">
+          Layout Analysis
+        </Typography>
+        {layout && (
+          <Stack direction="row" spacing={1}>
+            <Chip size="small" label={`${layout.columns.length} column${layout.columns.length === 1 ? '' : 's'}`} />
+            <Chip size="small" label={`${layout.blocks.length} blocks`} />
+          </Stack>
+        )}
+      </Stack>
+
+      <Box sx={{ display: 'flex', justifyContent: 'center', mb: 1 }}>
+        <Pagination
+          count={pages.length}
+          page={pageIndex + 1}
+          onChange={(_, value) => setPageIndex(value - 1)}
+          size="small"
+          siblingCount={1}
+        />
+      </Box>
+
+      {!layout ? (
+        <Typography variant="body2" sx={{ fontStyle: 'italic', textAlign: 'center' }}>
+          No text layout on page {page.pageNumber}
+        </Typography>
+      ) : (
+        <Box sx={{ maxWidth: 600, mx: 'auto', border: 1, borderColor: 'divider' }}>
+          <svg
+            viewBox={`0 0 ${layout.width} ${layout.height}`}
+            width="100%"
+            style={{ display: 'block', background: 'white' }}
+          >
+            {layout.thumbnail && (
+              <image href={layout.thumbnail} x={0} y={0} width={layout.width} height={layout.height} />
+            )}
+            {layout.gutters.map((gutter, index) => (
+              <rect
+                key={`gutter-${index}`}
+                x={gutter.x0}
+                y={0}
+                width={gutter.x1 - gutter.x0}
+                height={layout.height}
+                fill="rgba(244, 67, 54, 0.15)"
+              />
+            ))}
+            {layout.blocks.map(block => (
+              <g key={block.order}>
+                <rect
+                  x={block.bbox.x}
+                  y={block.bbox.y}
+                  width={Math.max(block.bbox.width, 1)}
+                  height={Math.max(block.bbox.height, 1)}
+                  fill="none"
+                  stroke={blockColor(block)}
+                  strokeWidth={1.5}
+                  strokeDasharray={block.kind === 'text' ? undefined : '4 2'}
+                />
+                <text
+                  x={block.bbox.x + 2}
+                  y={block.bbox.y + 9}
+                  fontSize={9}
+                  fontFamily="monospace"
+                  fill={blockColor(block)}
+                >
+                  {block.order + 1}
+                </text>
+              </g>
+            ))}
+          </svg>
+        </Box>
+      )}
+    </Paper>
+  )
+}
@@ -16,6 +16,7 @@ import {
   Chip,
   Grid,
   Slider,
+  MenuItem,
 } from '@mui/material'
 import {
   ContentCopy as ContentCopyIcon,
@@ -28,7 +29,10 @@ import {
   Description as DocumentIcon,
   Image as ImageIcon,
 } from '@mui/icons-material'
-import { createTextReplacement, generateFormattedText } from '../utils/textReplacementUtils'
+import { createTextReplacement, generateFormattedText, generateMarkdown, FORMAT_SETTINGS_STORAGE_KEY } from '../utils/textReplacementUtils'
+import { buildDocumentModel } from '../utils/documentModelUtils'
+import { stripDocumentExtension } from '../utils/documentUtils'
+import { createChunks, chunksToJsonl, DEFAULT_CHUNKING_OPTIONS, TOKENIZER_ENCODINGS } from '../utils/chunkingUtils'
 import ImageDetailModal from './ImageDetailModal'
 
 // Helper function to escape special regex characters
@@ -55,9 +59,17 @@ const normalizeText = (text, _context = 'display') => {
 const DEFAULT_FORMAT_SETTINGS = {
   contentTypes: {
     pageHeading: {
-      prefix: '<page page_number="{pageNumber}">',
+      prefix: '<page page_number="{pageNumber}" page_label="{pageLabel}">',
       suffix: '</page>'
     },
+    tableOfContents: {
+      prefix: '<table_of_contents>',
+      suffix: '</table_of_contents>'
+    },
+    runningText: {
+      prefix: '<running_text>',
+      suffix: '</running_text>'
+    },
     pageScan: {
       prefix: '<page_scan page_number="{pageNumber}">',
       suffix: '</page_scan>'
@@ -69,24 +81,53 @@ const DEFAULT_FORMAT_SETTINGS = {
     text: {
       prefix: '<text page_number="{pageNumber}">',
       suffix: '</text>'
+    },
+    table: {
+      prefix: '<table page_number="{pageNumber}">',
+      suffix: '</table>',
+      format: 'markdown'
+    },
+    speakerNotes: {
+      prefix: '<speaker_notes page_number="{pageNumber}">',
+      suffix: '</speaker_notes>'
+    },
+    emailHeaders: {
+      prefix: '<email_headers page_number="{pageNumber}">',
+      suffix: '</email_headers>'
+    },
+    formFields: {
+      prefix: '<form_fields page_number="{pageNumber}">',
+      suffix: '</form_fields>'
+    },
+    annotation: {
+      prefix: '<annotation page_number="{pageNumber}">',
+      suffix: '</annotation>'
+    },
+    attachment: {
+      prefix: '<attachment page_number="{pageNumber}" file_name="{fileName}">',
+      suffix: '</attachment>'
     }
   },
   spacing: {
     betweenPages: 2,            // 1 blank line between pages
     markerToContent: 1,         // No blank line between a tag and its content
     betweenContentSections: 2   // 1 blank line between content blocks on the same page
+  },
+  // Token budget for the JSONL chunk export
+  chunking: {
+    maxTokens: DEFAULT_CHUNKING_OPTIONS.maxTokens,
+    overlapTokens: DEFAULT_CHUNKING_OPTIONS.overlapTokens,
+    encoding: DEFAULT_CHUNKING_OPTIONS.encoding
   }
 };
 
-// Bumped whenever the marker shape or default spacing changes so previously-
-// saved user preferences are silently replaced by the new defaults instead of
-// rendering stale formatting forever.
-const FORMAT_SETTINGS_STORAGE_KEY = 'textFormatSettings_v5';
 const LEGACY_FORMAT_SETTINGS_STORAGE_KEYS = [
   'textFormatSettings',
   'textFormatSettings_v2',
   'textFormatSettings_v3',
   'textFormatSettings_v4',
+  'textFormatSettings_v5',
+  'textFormatSettings_v6',
 ];
 
 // Helper function to format a slider label with the current value
@@ -99,11 +140,15 @@ export default function Results({
 }) {
   // Content state
   const [formattedText, setFormattedText] = useState('')
+  const [markdownText, setMarkdownText] = useState('')
+  const [replacementResult, setReplacementResult] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
   
   // Copy state
   const [copied, setCopied] = useState(false)
+  const [markdownCopied, setMarkdownCopied] = useState(false)
+  const [isChunking, setIsChunking] = useState(false)
   
   // View states
   const [showAdvancedSettings, setShowAdvancedSettings] = useState(false)
@@ -138,6 +183,7 @@ export default function Results({
       // Ensure all required sections exist
       if (!parsedSettings.contentTypes) parsedSettings.contentTypes = DEFAULT_FORMAT_SETTINGS.contentTypes;
       if (!parsedSettings.spacing) parsedSettings.spacing = DEFAULT_FORMAT_SETTINGS.spacing;
+      if (!parsedSettings.chunking) parsedSettings.chunking = DEFAULT_FORMAT_SETTINGS.chunking;
 
       // Strip any legacy fields that no longer exist in the schema so they
       // can't reappear in saved-state round trips.
@@ -173,16 +219,24 @@ export default function Results({
       setIsLoading(true)
       
       // Create text replacement with current format settings
-      const replacementResult = createTextReplacement(
+      const replacement = createTextReplacement(
         pdfResult, 
         analysisResult.imageAnalysisResults || [],
         formatSettings
       )
       
       // Generate formatted text
-      const text = generateFormattedText(replacementResult, formatSettings)
+      const text = generateFormattedText(replacement, formatSettings)
+      
+      // Generate the Markdown export from the same blocks
+      const markdown = generateMarkdown(replacement, {
+        title: stripDocumentExtension(pdfResult.originalFilename || 'Document'),
+        images: pdfResult.images || []
+      })
       
       setFormattedText(text)
+      setMarkdownText(markdown)
+      setReplacementResult(replacement)
       setError(null)
     } catch (err) {
       console.error('Error formatting results:', err)
@@ -257,43 +311,89 @@ export default function Results({
       })
   }
 
+  // Base name of the source document, without its extension
+  const getBaseFileName = () => {
+    const sourceName = pdfResult?.originalFilename ||
+      pdfResult?.name ||
+      pdfResult?.filename ||
+      pdfResult?.file?.name;
+    return sourceName ? stripDocumentExtension(sourceName) : 'extracted-text';
+  }
+
+  // Create and trigger a file download
+  const downloadFile = (content, fileName, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
   // Handle download with normalized text
   const handleDownload = () => {
     if (!analysisResult) return;
     
     // Use formatted text with normalization applied
     const textToDownload = normalizeText(formattedText || analysisResult.extractedText, 'download');
+    downloadFile(textToDownload, `${getBaseFileName()}.txt`, 'text/plain');
+  }
+
+  // Handle Markdown copy to clipboard
+  const handleCopyMarkdown = () => {
+    if (!markdownText) return;
     
-    // Determine filename
-    let fileName = 'extracted-text.txt'
+    navigator.clipboard.writeText(markdownText)
+      .then(() => {
+        setMarkdownCopied(true)
+        setTimeout(() => setMarkdownCopied(false), 2000)
+      })
+      .catch(err => {
+        console.error('Failed to copy Markdown:', err)
+      })
+  }
+
+  // Handle Markdown download
+  const handleDownloadMarkdown = () => {
+    if (!markdownText) return;
+    downloadFile(markdownText, `${getBaseFileName()}.md`, 'text/markdown');
+  }
+
+  // Handle JSON document model download
+  const handleDownloadJson = () => {
+    if (!pdfResult) return;
     
-    if (pdfResult) {
-      // First try the specific originalFilename property we've added
-      if (pdfResult.originalFilename) {
-        fileName = pdfResult.originalFilename.replace(/\.pdf$/i, '') + '.txt'
+    // Fallbacks for results that predate recorded processing settings
+    const documentModel = buildDocumentModel(pdfResult, analysisResult, {
+      settings: {
+        model: localStorage.getItem('pdf_processor_model') || 'gpt-4o-mini',
+        scanAllPages: localStorage.getItem('scanAllPages') === 'true'
       }
-      // Fallback to other possible name properties
-      else if (pdfResult.name) {
-        fileName = pdfResult.name.replace(/\.pdf$/i, '') + '.txt'
-      } 
-      else if (pdfResult.filename) {
-        fileName = pdfResult.filename.replace(/\.pdf$/i, '') + '.txt'
-      } 
-      else if (pdfResult.file && pdfResult.file.name) {
-        fileName = pdfResult.file.name.replace(/\.pdf$/i, '') + '.txt'
-      }
-    }
+    });
+    downloadFile(JSON.stringify(documentModel, null, 2), `${getBaseFileName()}.json`, 'application/json');
+  }
+
+  // Handle JSONL chunk download for vector stores
+  const handleDownloadChunks = async () => {
+    if (!replacementResult) return;
     
-    // Create and trigger download
-    const blob = new Blob([textToDownload], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = fileName;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    setIsChunking(true);
+    try {
+      const chunkSettings = formatSettings?.chunking ?? DEFAULT_FORMAT_SETTINGS.chunking;
+      const chunks = await createChunks(replacementResult, {
+        ...chunkSettings,
+        sourceFileName: pdfResult?.originalFilename || `${getBaseFileName()}.pdf`
+      });
+      downloadFile(chunksToJsonl(chunks), `${getBaseFileName()}.chunks.jsonl`, 'application/jsonl');
+    } catch (err) {
+      console.error('Failed to create chunks:', err);
+      setError('Error creating chunks: ' + err.message);
+    } finally {
+      setIsChunking(false);
+    }
   }
 
   // Get the text to display based on whether formatted text is available or not
@@ -340,10 +440,12 @@ export default function Results({
         .replace(/"/g, '&quot;')
         .replace(/'/g, '&#039;');
 
-      // 2) Regex-escape, then turn the {pageNumber} sentinel into \d+.
+      // 2) Regex-escape, then turn the {pageNumber} sentinel into \d+ and
+      //    the {pageLabel} and {fileName} sentinels into any text.
       const escaped = htmlEscaped
         .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-        .replace(/\\\{pageNumber\\\}/g, '\\d+');
+        .replace(/\\\{pageNumber\\\}/g, '\\d+')
+        .replace(/\\\{(pageLabel|fileName)\\\}/g, '.*?');
 
       return escaped;
     };
@@ -352,6 +454,12 @@ export default function Results({
     const pageHeadingPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.pageHeading?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.pageHeading.prefix);
     const pageHeadingSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.pageHeading?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.pageHeading.suffix);
     
+    const tableOfContentsPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.tableOfContents?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.tableOfContents.prefix);
+    const tableOfContentsSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.tableOfContents?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.tableOfContents.suffix);
+    
+    const runningTextPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.runningText?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.runningText.prefix);
+    const runningTextSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.runningText?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.runningText.suffix);
+    
     const pageScanPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.pageScan?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.pageScan.prefix);
     const pageScanSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.pageScan?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.pageScan.suffix);
     
@@ -361,12 +469,38 @@ export default function Results({
     const textContentPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.text?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.text.prefix);
     const textContentSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.text?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.text.suffix);
     
+    const tableContentPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.table?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.table.prefix);
+    const tableContentSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.table?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.table.suffix);
+    
+    const speakerNotesPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.speakerNotes?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.speakerNotes.prefix);
+    const speakerNotesSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.speakerNotes?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.speakerNotes.suffix);
+    
+    const emailHeadersPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.emailHeaders?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.emailHeaders.prefix);
+    const emailHeadersSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.emailHeaders?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.emailHeaders.suffix);
+    
+    const formFieldsPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.formFields?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.formFields.prefix);
+    const formFieldsSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.formFields?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.formFields.suffix);
+    
+    const annotationPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.annotation?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.annotation.prefix);
+    const annotationSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.annotation?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.annotation.suffix);
+    
+    const attachmentPrefix = escapeRegexSpecialChars(formatSettings?.contentTypes?.attachment?.prefix || DEFAULT_FORMAT_SETTINGS.contentTypes.attachment.prefix);
+    const attachmentSuffix = escapeRegexSpecialChars(formatSettings?.contentTypes?.attachment?.suffix || DEFAULT_FORMAT_SETTINGS.contentTypes.attachment.suffix);
+    
     if (DEBUG_MARKERS) {
       console.log('Marker patterns:', {
         pageHeadingPrefix, pageHeadingSuffix,
+        tableOfContentsPrefix, tableOfContentsSuffix,
+        runningTextPrefix, runningTextSuffix,
         pageScanPrefix, pageScanSuffix,
         imageContentPrefix, imageContentSuffix,
-        textContentPrefix, textContentSuffix
+        textContentPrefix, textContentSuffix,
+        tableContentPrefix, tableContentSuffix,
+        speakerNotesPrefix, speakerNotesSuffix,
+        emailHeadersPrefix, emailHeadersSuffix,
+        formFieldsPrefix, formFieldsSuffix,
+        annotationPrefix, annotationSuffix,
+        attachmentPrefix, attachmentSuffix
       });
       
       // Log actual marker occurrences in the text
@@ -387,6 +521,16 @@ export default function Results({
       .replace(new RegExp(`(${pageHeadingPrefix})`, 'g'), '<span class="marker page-heading-marker start-marker">$1</span>')
       .replace(new RegExp(`(${pageHeadingSuffix})`, 'g'), '<span class="marker page-heading-marker end-marker">$1</span>');
     
+    // Table of contents markers
+    formattedDisplayText = formattedDisplayText
+      .replace(new RegExp(`(${tableOfContentsPrefix})`, 'g'), '<span class="marker toc-marker start-marker">$1</span>')
+      .replace(new RegExp(`(${tableOfContentsSuffix})`, 'g'), '<span class="marker toc-marker end-marker">$1</span>');
+    
+    // Running header and footer markers
+    formattedDisplayText = formattedDisplayText
+      .replace(new RegExp(`(${runningTextPrefix})`, 'g'), '<span class="marker running-text-marker start-marker">$1</span>')
+      .replace(new RegExp(`(${runningTextSuffix})`, 'g'), '<span class="marker running-text-marker end-marker">$1</span>');
+    
     // Full page scan markers - ensure these are properly styled as page-marker class
     formattedDisplayText = formattedDisplayText
       .replace(new RegExp(`(${pageScanPrefix})`, 'g'), '<span class="marker page-marker start-marker">$1</span>')
@@ -402,6 +546,33 @@ export default function Results({
       .replace(new RegExp(`(${textContentPrefix})`, 'g'), '<span class="marker text-marker start-marker">$1</span>')
       .replace(new RegExp(`(${textContentSuffix})`, 'g'), '<span class="marker text-marker end-marker">$1</span>');
     
+    // Table content markers
+    formattedDisplayText = formattedDisplayText
+      .replace(new RegExp(`(${tableContentPrefix})`, 'g'), '<span class="marker table-marker start-marker">$1</span>')
+      .replace(new RegExp(`(${tableContentSuffix})`, 'g'), '<span class="marker table-marker end-marker">$1</span>');
+    
+    // Speaker notes markers
+    formattedDisplayText = formattedDisplayText
+      .replace(new RegExp(`(${speakerNotesPrefix})`, 'g'), '<span class="marker speaker-notes-marker start-marker">$1</span>')
+      .replace(new RegExp(`(${speakerNotesSuffix})`, 'g'), '<span class="marker speaker-notes-marker end-marker">$1</span>');
+    
+    // Form field markers
+    formattedDisplayText = formattedDisplayText
+      .replace(new RegExp(`(${formFieldsPrefix})`, 'g'), '<span class="marker form-fields-marker start-marker">$1</span>')
+      .replace(new RegExp(`(${formFieldsSuffix})`, 'g'), '<span class="marker form-fields-marker end-marker">$1</span>');
+    
+    // Annotation markers
+    formattedDisplayText = formattedDisplayText
+      .replace(new RegExp(`(${annotationPrefix})`, 'g'), '<span class="marker annotation-marker start-marker">$1</span>')
+      .replace(new RegExp(`(${annotationSuffix})`, 'g'), '<span class="marker annotation-marker end-marker">$1</span>');
+    
+    // Email headers and attachment markers
+    formattedDisplayText = formattedDisplayText
+      .replace(new RegExp(`(${emailHeadersPrefix})`, 'g'), '<span class="marker email-headers-marker start-marker">$1</span>')
+      .replace(new RegExp(`(${emailHeadersSuffix})`, 'g'), '<span class="marker email-headers-marker end-marker">$1</span>')
+      .replace(new RegExp(`(${attachmentPrefix})`, 'g'), '<span class="marker attachment-marker start-marker">$1</span>')
+      .replace(new RegExp(`(${attachmentSuffix})`, 'g'), '<span class="marker attachment-marker end-marker">$1</span>');
+    
     // Belt-and-braces fallback for anything the dynamic regexes above might
     // miss — primarily defends against custom user marker overrides that
     // happen to share the canonical XML shape, plus the legacy `#…#`
@@ -412,8 +583,14 @@ export default function Results({
     // `&lt;page page_number=&quot;2&quot;&gt;`.
     formattedDisplayText = formattedDisplayText
       // Current XML-style page markers
-      .replace(/(&lt;page page_number=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker page-heading-marker start-marker">$1</span>')
+      .replace(/(&lt;page page_number=&quot;\d+&quot;(?: page_label=&quot;.*?&quot;)?&gt;)(?!<\/span>)/g, '<span class="marker page-heading-marker start-marker">$1</span>')
       .replace(/(&lt;\/page&gt;)(?!<\/span>)/g, '<span class="marker page-heading-marker end-marker">$1</span>')
+      // Current XML-style table of contents markers
+      .replace(/(&lt;table_of_contents&gt;)(?!<\/span>)/g, '<span class="marker toc-marker start-marker">$1</span>')
+      .replace(/(&lt;\/table_of_contents&gt;)(?!<\/span>)/g, '<span class="marker toc-marker end-marker">$1</span>')
+      // Current XML-style running header and footer markers
+      .replace(/(&lt;running_text&gt;)(?!<\/span>)/g, '<span class="marker running-text-marker start-marker">$1</span>')
+      .replace(/(&lt;\/running_text&gt;)(?!<\/span>)/g, '<span class="marker running-text-marker end-marker">$1</span>')
       // Current XML-style page scan markers
       .replace(/(&lt;page_scan page_number=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker page-marker start-marker">$1</span>')
       .replace(/(&lt;\/page_scan&gt;)(?!<\/span>)/g, '<span class="marker page-marker end-marker">$1</span>')
@@ -423,6 +600,23 @@ export default function Results({
       // Current XML-style text markers
       .replace(/(&lt;text page_number=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker text-marker start-marker">$1</span>')
       .replace(/(&lt;\/text&gt;)(?!<\/span>)/g, '<span class="marker text-marker end-marker">$1</span>')
+      // Current XML-style table markers
+      .replace(/(&lt;table page_number=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker table-marker start-marker">$1</span>')
+      .replace(/(&lt;\/table&gt;)(?!<\/span>)/g, '<span class="marker table-marker end-marker">$1</span>')
+      // Current XML-style speaker notes markers
+      .replace(/(&lt;speaker_notes page_number=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker speaker-notes-marker start-marker">$1</span>')
+      .replace(/(&lt;\/speaker_notes&gt;)(?!<\/span>)/g, '<span class="marker speaker-notes-marker end-marker">$1</span>')
+      // Current XML-style form field markers
+      .replace(/(&lt;form_fields page_number=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker form-fields-marker start-marker">$1</span>')
+      .replace(/(&lt;\/form_fields&gt;)(?!<\/span>)/g, '<span class="marker form-fields-marker end-marker">$1</span>')
+      // Current XML-style annotation markers
+      .replace(/(&lt;annotation page_number=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker annotation-marker start-marker">$1</span>')
+      .replace(/(&lt;\/annotation&gt;)(?!<\/span>)/g, '<span class="marker annotation-marker end-marker">$1</span>')
+      // Current XML-style email headers and attachment markers
+      .replace(/(&lt;email_headers page_number=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker email-headers-marker start-marker">$1</span>')
+      .replace(/(&lt;\/email_headers&gt;)(?!<\/span>)/g, '<span class="marker email-headers-marker end-marker">$1</span>')
+      .replace(/(&lt;attachment page_number=&quot;\d+&quot; file_name=&quot;.*?&quot;&gt;)(?!<\/span>)/g, '<span class="marker attachment-marker start-marker">$1</span>')
+      .replace(/(&lt;\/attachment&gt;)(?!<\/span>)/g, '<span class="marker attachment-marker end-marker">$1</span>')
       // Earlier short-attribute form (`n="2"`) kept for backwards-compat
       .replace(/(&lt;page n=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker page-heading-marker start-marker">$1</span>')
       .replace(/(&lt;page_scan n=&quot;\d+&quot;&gt;)(?!<\/span>)/g, '<span class="marker page-marker start-marker">$1</span>')
@@ -557,6 +751,54 @@ export default function Results({
                 border: 1px solid #4a148c;
                 color: #ffffff;
               }
+              /* Table content markers - teal */
+              .table-marker {
+                background-color: #00796b;
+                border: 1px solid #004d40;
+                color: #ffffff;
+              }
+              /* Speaker notes markers - amber */
+              .speaker-notes-marker {
+                background-color: #ef6c00;
+                border: 1px solid #e65100;
+                color: #ffffff;
+              }
+              /* Email headers markers - slate */
+              .email-headers-marker {
+                background-color: #455a64;
+                border: 1px solid #263238;
+                color: #ffffff;
+              }
+              /* Attachment markers - brown */
+              .attachment-marker {
+                background-color: #6d4c41;
+                border: 1px solid #3e2723;
+                color: #ffffff;
+              }
+              /* Form field markers - lime */
+              .form-fields-marker {
+                background-color: #827717;
+                border: 1px solid #524c00;
+                color: #ffffff;
+              }
+              /* Annotation markers - pink */
+              .annotation-marker {
+                background-color: #ad1457;
+                border: 1px solid #880e4f;
+                color: #ffffff;
+              }
+              /* Table of contents markers - indigo */
+              .toc-marker {
+                background-color: #3949ab;
+                border: 1px solid #1a237e;
+                color: #ffffff;
+              }
+              /* Running header and footer markers - blue grey */
+              .running-text-marker {
+                background-color: #546e7a;
+                border: 1px solid #263238;
+                color: #ffffff;
+              }
               /* Start markers with left border indicator */
               .start-marker {
                 border-left: 4px solid rgba(255, 255, 255, 0.8);
@@ -968,23 +1210,57 @@ export default function Results({
         <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
           <Typography variant="h6">Analysis Results</Typography>
           
-          <ButtonGroup variant="outlined" size="small">
-            <Button 
-              variant="contained" 
-              disableElevation
-              startIcon={<ContentCopyIcon />}
-              onClick={handleCopy}
-              color={copied ? "success" : "primary"}
-            >
-              {copied ? "Copied!" : "Copy"}
-            </Button>
-            <Button
-              startIcon={<DownloadIcon />}
-              onClick={handleDownload}
-            >
-              Download
-            </Button>
-          </ButtonGroup>
+          <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap justifyContent="flex-end">
+            <ButtonGroup variant="outlined" size="small">
+              <Button 
+                variant="contained" 
+                disableElevation
+                startIcon={<ContentCopyIcon />}
+                onClick={handleCopy}
+                color={copied ? "success" : "primary"}
+              >
+                {copied ? "Copied!" : "Copy"}
+              </Button>
+              <Button
+                startIcon={<DownloadIcon />}
+                onClick={handleDownload}
+              >
+                Download
+              </Button>
+            </ButtonGroup>
+          
+            <ButtonGroup variant="outlined" size="small">
+              <Button
+                startIcon={<ContentCopyIcon />}
+                onClick={handleCopyMarkdown}
+                disabled={!markdownText}
+                color={markdownCopied ? "success" : "primary"}
+              >
+                {markdownCopied ? "Copied!" : "Copy Markdown"}
+              </Button>
+              <Button
+                startIcon={<DownloadIcon />}
+                onClick={handleDownloadMarkdown}
+                disabled={!markdownText}
+              >
+                .md
+              </Button>
+              <Button
+                startIcon={<DataObjectIcon />}
+                onClick={handleDownloadJson}
+                disabled={!pdfResult?.pages}
+              >
+                .json
+              </Button>
+              <Button
+                startIcon={<DownloadIcon />}
+                onClick={handleDownloadChunks}
+                disabled={!replacementResult || isChunking}
+              >
+                {isChunking ? "Chunking..." : ".jsonl"}
+              </Button>
+            </ButtonGroup>
+          </Stack>
         </Box>
 
         {/* Run metadata strip — tells the user (and helps compare runs) what
@@ -1000,6 +1276,11 @@ export default function Results({
           const scanAll = localStorage.getItem('scanAllPages') === 'true';
           const imageCount = pdfResult?.images?.length ?? 0;
           const analyzedCount = analysisResult?.imageAnalysisResults?.length ?? 0;
+          const ocrResults = (analysisResult?.imageAnalysisResults || []).filter(result => result.analysisType === 'ocr' && result.success);
+          const altTextCount = (analysisResult?.imageAnalysisResults || []).filter(result => result.analysisType === 'alt_text').length;
+          const ocrConfidence = ocrResults.length > 0
+            ? Math.round(ocrResults.reduce((sum, result) => sum + (result.confidence || 0), 0) / ocrResults.length)
+            : null;
           return (
             <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
               {skipped ? (
@@ -1012,7 +1293,9 @@ export default function Results({
                       ? 'AI analysis skipped: no API key'
                       : skippedReason === 'no_images'
                         ? 'AI analysis skipped: no images'
-                        : 'AI analysis skipped'
+                        : skippedReason === 'stopped'
+                          ? 'AI analysis skipped: processing stopped'
+                          : 'AI analysis skipped'
                   }
                 />
               ) : (
@@ -1028,10 +1311,41 @@ export default function Results({
                 variant="outlined"
                 label={
                   skipped
-                    ? `${imageCount} image(s) found`
+                    ? altTextCount > 0
+                      ? `${imageCount} image(s) found, ${altTextCount} described by alt text`
+                      : `${imageCount} image(s) found`
                     : `${analyzedCount} / ${imageCount} image(s) analyzed`
                 }
               />
+              {ocrResults.length > 0 && (
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  label={`Offline OCR: ${ocrResults.length} page(s), ${ocrConfidence}% mean confidence`}
+                />
+              )}
+              {pdfResult?.stopped && (
+                <Chip
+                  size="small"
+                  color="warning"
+                  label={`Extraction stopped after ${pdfResult.pages?.length ?? 0} of ${pdfResult.totalPages} page(s)`}
+                />
+              )}
+              {analysisResult?.analysisStopped && (
+                <Chip
+                  size="small"
+                  color="warning"
+                  label="Analysis stopped: images not analyzed yet have no description"
+                />
+              )}
+              {analysisResult?.analysisInProgress && (
+                <Chip
+                  size="small"
+                  color="primary"
+                  icon={<CircularProgress size={12} color="inherit" />}
+                  label="Analysis in progress: descriptions are added as images are analyzed"
+                />
+              )}
             </Box>
           );
         })()}
@@ -1103,6 +1417,7 @@ export default function Results({
                   fullWidth
                   size="small"
                   label="Page Heading Prefix Marker"
+                  helperText="{pageLabel} is the printed page label (e.g. iv), or the page number"
                   value={formatSettings?.contentTypes?.pageHeading?.prefix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.pageHeading.prefix}
                   onChange={(e) => handleFormatChange('contentTypes.pageHeading.prefix', e.target.value)}
                   margin="dense"
@@ -1118,6 +1433,52 @@ export default function Results({
               </Stack>
 
             <Divider sx={{ my: 1 }} />
+
+            <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Table of Contents Formatting</Typography>
+
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 0.5 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Table of Contents Prefix"
+                value={formatSettings?.contentTypes?.tableOfContents?.prefix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.tableOfContents.prefix}
+                onChange={(e) => handleFormatChange('contentTypes.tableOfContents.prefix', e.target.value)}
+                margin="dense"
+              />
+              <TextField
+                fullWidth
+                size="small"
+                label="Table of Contents Suffix"
+                value={formatSettings?.contentTypes?.tableOfContents?.suffix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.tableOfContents.suffix}
+                onChange={(e) => handleFormatChange('contentTypes.tableOfContents.suffix', e.target.value)}
+                margin="dense"
+              />
+            </Stack>
+
+            <Divider sx={{ my: 1 }} />
+
+            <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Running Header and Footer Formatting</Typography>
+
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 0.5 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Running Text Prefix"
+                value={formatSettings?.contentTypes?.runningText?.prefix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.runningText.prefix}
+                onChange={(e) => handleFormatChange('contentTypes.runningText.prefix', e.target.value)}
+                margin="dense"
+              />
+              <TextField
+                fullWidth
+                size="small"
+                label="Running Text Suffix"
+                value={formatSettings?.contentTypes?.runningText?.suffix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.runningText.suffix}
+                onChange={(e) => handleFormatChange('contentTypes.runningText.suffix', e.target.value)}
+                margin="dense"
+              />
+            </Stack>
+
+            <Divider sx={{ my: 1 }} />
               
             <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Page Content Formatting</Typography>
               
@@ -1188,6 +1549,153 @@ export default function Results({
 
             <Divider sx={{ my: 1 }} />
 
+            <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Table Content Formatting</Typography>
+
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 0.5 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Table Content Prefix"
+                value={formatSettings?.contentTypes?.table?.prefix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.table.prefix}
+                onChange={(e) => handleFormatChange('contentTypes.table.prefix', e.target.value)}
+                margin="dense"
+              />
+              <TextField
+                fullWidth
+                size="small"
+                label="Table Content Suffix"
+                value={formatSettings?.contentTypes?.table?.suffix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.table.suffix}
+                onChange={(e) => handleFormatChange('contentTypes.table.suffix', e.target.value)}
+                margin="dense"
+              />
+              <TextField
+                select
+                size="small"
+                label="Table Format"
+                value={formatSettings?.contentTypes?.table?.format ?? DEFAULT_FORMAT_SETTINGS.contentTypes.table.format}
+                onChange={(e) => handleFormatChange('contentTypes.table.format', e.target.value)}
+                margin="dense"
+                sx={{ minWidth: 140 }}
+              >
+                <MenuItem value="markdown">Markdown</MenuItem>
+                <MenuItem value="html">HTML</MenuItem>
+              </TextField>
+            </Stack>
+
+            <Divider sx={{ my: 1 }} />
+
+            <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Speaker Notes Formatting</Typography>
+
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 0.5 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Speaker Notes Prefix"
+                value={formatSettings?.contentTypes?.speakerNotes?.prefix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.speakerNotes.prefix}
+                onChange={(e) => handleFormatChange('contentTypes.speakerNotes.prefix', e.target.value)}
+                margin="dense"
+              />
+              <TextField
+                fullWidth
+                size="small"
+                label="Speaker Notes Suffix"
+                value={formatSettings?.contentTypes?.speakerNotes?.suffix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.speakerNotes.suffix}
+                onChange={(e) => handleFormatChange('contentTypes.speakerNotes.suffix', e.target.value)}
+                margin="dense"
+              />
+            </Stack>
+
+            <Divider sx={{ my: 1 }} />
+
+            <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Form Field Formatting</Typography>
+
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 0.5 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Form Fields Prefix"
+                value={formatSettings?.contentTypes?.formFields?.prefix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.formFields.prefix}
+                onChange={(e) => handleFormatChange('contentTypes.formFields.prefix', e.target.value)}
+                margin="dense"
+              />
+              <TextField
+                fullWidth
+                size="small"
+                label="Form Fields Suffix"
+                value={formatSettings?.contentTypes?.formFields?.suffix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.formFields.suffix}
+                onChange={(e) => handleFormatChange('contentTypes.formFields.suffix', e.target.value)}
+                margin="dense"
+              />
+            </Stack>
+
+            <Divider sx={{ my: 1 }} />
+
+            <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Annotation Formatting</Typography>
+
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 0.5 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Annotation Prefix"
+                value={formatSettings?.contentTypes?.annotation?.prefix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.annotation.prefix}
+                onChange={(e) => handleFormatChange('contentTypes.annotation.prefix', e.target.value)}
+                margin="dense"
+              />
+              <TextField
+                fullWidth
+                size="small"
+                label="Annotation Suffix"
+                value={formatSettings?.contentTypes?.annotation?.suffix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.annotation.suffix}
+                onChange={(e) => handleFormatChange('contentTypes.annotation.suffix', e.target.value)}
+                margin="dense"
+              />
+            </Stack>
+
+            <Divider sx={{ my: 1 }} />
+
+            <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Email Formatting</Typography>
+
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 0.5 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Email Headers Prefix"
+                value={formatSettings?.contentTypes?.emailHeaders?.prefix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.emailHeaders.prefix}
+                onChange={(e) => handleFormatChange('contentTypes.emailHeaders.prefix', e.target.value)}
+                margin="dense"
+              />
+              <TextField
+                fullWidth
+                size="small"
+                label="Email Headers Suffix"
+                value={formatSettings?.contentTypes?.emailHeaders?.suffix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.emailHeaders.suffix}
+                onChange={(e) => handleFormatChange('contentTypes.emailHeaders.suffix', e.target.value)}
+                margin="dense"
+              />
+            </Stack>
+
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 0.5 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Attachment Prefix"
+                helperText="{fileName} is the attachment's file name"
+                value={formatSettings?.contentTypes?.attachment?.prefix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.attachment.prefix}
+                onChange={(e) => handleFormatChange('contentTypes.attachment.prefix', e.target.value)}
+                margin="dense"
+              />
+              <TextField
+                fullWidth
+                size="small"
+                label="Attachment Suffix"
+                value={formatSettings?.contentTypes?.attachment?.suffix ?? DEFAULT_FORMAT_SETTINGS.contentTypes.attachment.suffix}
+                onChange={(e) => handleFormatChange('contentTypes.attachment.suffix', e.target.value)}
+                margin="dense"
+              />
+            </Stack>
+
+            <Divider sx={{ my: 1 }} />
+
             <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Spacing Controls</Typography>
 
             <Box sx={{ px: 2, py: 1 }}>
@@ -1233,6 +1741,46 @@ export default function Results({
                 size="small"
               />
             </Box>
+
+            <Divider sx={{ my: 1 }} />
+
+            <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Chunk Export (JSONL)</Typography>
+
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mt: 0.5 }}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Max Tokens per Chunk"
+                value={formatSettings?.chunking?.maxTokens ?? DEFAULT_FORMAT_SETTINGS.chunking.maxTokens}
+                onChange={(e) => handleFormatChange('chunking.maxTokens', Number(e.target.value))}
+                slotProps={{ htmlInput: { min: 16, step: 16 } }}
+                margin="dense"
+              />
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Overlap Tokens"
+                value={formatSettings?.chunking?.overlapTokens ?? DEFAULT_FORMAT_SETTINGS.chunking.overlapTokens}
+                onChange={(e) => handleFormatChange('chunking.overlapTokens', Number(e.target.value))}
+                slotProps={{ htmlInput: { min: 0, step: 8 } }}
+                margin="dense"
+              />
+              <TextField
+                select
+                size="small"
+                label="Tokenizer"
+                value={formatSettings?.chunking?.encoding ?? DEFAULT_FORMAT_SETTINGS.chunking.encoding}
+                onChange={(e) => handleFormatChange('chunking.encoding', e.target.value)}
+                margin="dense"
+                sx={{ minWidth: 160 }}
+              >
+                {TOKENIZER_ENCODINGS.map(encoding => (
+                  <MenuItem key={encoding} value={encoding}>{encoding}</MenuItem>
+                ))}
+              </TextField>
+            </Stack>
           </Collapse>
         </Box>
       </Paper>
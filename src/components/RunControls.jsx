@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react'
+import { Stack, Button } from '@mui/material'
+import {
+  Pause as PauseIcon,
+  PlayArrow as ResumeIcon,
+  Stop as StopIcon,
+} from '@mui/icons-material'
+
+/**
+ * Pause / Resume and Stop buttons of a processing run. Stopping keeps what
+ * has been processed so far, which still goes on to Results.
+ * @param {Object} props - Component props
+ * @param {Object} props.runController - Controls of the run (see createRunController)
+ */
+export default function RunControls({ runController }) {
+  const [isPaused, setIsPaused] = useState(() => runController.isPaused())
+  const [isStopped, setIsStopped] = useState(() => runController.isStopped())
+
+  // Follow the run, which other components (and the hidden processing layer) share
+  useEffect(() => {
+    const update = () => {
+      setIsPaused(runController.isPaused())
+      setIsStopped(runController.isStopped())
+    }
+    update()
+    return runController.subscribe(update)
+  }, [runController])
+
+  return (
+    <Stack direction="row" spacing={1}>
+      <Button
+        variant="outlined"
+        size="small"
+        startIcon={isPaused ? <ResumeIcon /> : <PauseIcon />}
+        onClick={isPaused ? runController.resume : runController.pause}
+        disabled={isStopped}
+      >
+        {isPaused ? 'Resume' : 'Pause'}
+      </Button>
+      <Button
+        variant="outlined"
+        size="small"
+        color="error"
+        startIcon={<StopIcon />}
+        onClick={runController.stop}
+        disabled={isStopped}
+      >
+        {isStopped ? 'Stopping...' : 'Stop'}
+      </Button>
+    </Stack>
+  )
+}
@@ -30,6 +30,8 @@ import {
   CheckCircle as CheckCircleIcon,
 } from '@mui/icons-material'
 import OpenAI from 'openai'
+import { DEFAULT_SPREADSHEET_ROW_LIMIT } from '../utils/spreadsheetUtils'
+import { DEFAULT_RUNNING_TEXT_MODE } from '../utils/runningTextUtils'
 
 // Storage keys
 const STORAGE_KEYS = {
@@ -42,7 +44,10 @@ const STORAGE_KEYS = {
   AUTO_PROGRESS: 'pdf_processor_auto_progress',
   GENERAL_IMAGE_PROMPT: 'pdf_processor_general_image_prompt',
   PAGE_SCAN_PROMPT: 'pdf_processor_page_scan_prompt',
-  MAX_REFUSAL_RETRIES: 'pdf_processor_max_refusal_retries'
+  MAX_REFUSAL_RETRIES: 'pdf_processor_max_refusal_retries',
+  SPREADSHEET_ROW_LIMIT: 'pdf_processor_spreadsheet_row_limit',
+  RUNNING_TEXT: 'pdf_processor_running_text',
+  PIPELINED_ANALYSIS: 'pdf_processor_pipelined_analysis'
 }
 
 // Default prompts
@@ -90,6 +95,15 @@ export default function Settings({ onDebugModeChange, onAutoProgressChange, onSe
   const [autoProgress, setAutoProgress] = useState(() => 
     safeParseBoolean(localStorage.getItem(STORAGE_KEYS.AUTO_PROGRESS), true)
   )
+  const [spreadsheetRowLimit, setSpreadsheetRowLimit] = useState(() =>
+    safeParseInt(localStorage.getItem(STORAGE_KEYS.SPREADSHEET_ROW_LIMIT), DEFAULT_SPREADSHEET_ROW_LIMIT)
+  )
+  const [runningText, setRunningText] = useState(() =>
+    localStorage.getItem(STORAGE_KEYS.RUNNING_TEXT) || DEFAULT_RUNNING_TEXT_MODE
+  )
+  const [pipelinedAnalysis, setPipelinedAnalysis] = useState(() =>
+    safeParseBoolean(localStorage.getItem(STORAGE_KEYS.PIPELINED_ANALYSIS), true)
+  )
   const [scanAllPages, setScanAllPages] = useState(() => {
     return localStorage.getItem('scanAllPages') === "true";
   });
@@ -133,6 +147,8 @@ export default function Settings({ onDebugModeChange, onAutoProgressChange, onSe
 
   useEffect(() => {
     localStorage.setItem(STORAGE_KEYS.MAX_REQUESTS, maxConcurrentRequests.toString())
+    // A running batch queue resizes its request budget
+    window.dispatchEvent(new CustomEvent('pdf_processor_settings_changed'))
   }, [maxConcurrentRequests])
 
   useEffect(() => {
@@ -180,6 +196,21 @@ export default function Settings({ onDebugModeChange, onAutoProgressChange, onSe
     }
   }, [maxRefusalRetries, onSettingsChange])
   
+  // Save spreadsheet row limit to localStorage (read by ExtractGraphics)
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.SPREADSHEET_ROW_LIMIT, spreadsheetRowLimit.toString())
+  }, [spreadsheetRowLimit])
+  
+  // Save the pipelined analysis setting to localStorage (read by App)
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.PIPELINED_ANALYSIS, pipelinedAnalysis.toString())
+  }, [pipelinedAnalysis])
+  
+  // Save the running header/footer handling to localStorage (read by ExtractGraphics)
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.RUNNING_TEXT, runningText)
+  }, [runningText])
+  
   // Handle API key validation
   const validateApiKey = async (key) => {
     if (!key || key.trim() === '') {
@@ -486,6 +517,26 @@ export default function Settings({ onDebugModeChange, onAutoProgressChange, onSe
             />
           </FormControl>
           
+          <FormControl component="fieldset" variant="standard">
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={pipelinedAnalysis}
+                  onChange={(e) => setPipelinedAnalysis(e.target.checked)}
+                  color="primary"
+                />
+              }
+              label={
+                <Box>
+                  <Typography variant="body2" sx={{ fontWeight: 'medium' }}>Analyze While Extracting</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Send each PDF image to analysis as soon as its page is extracted; Results fill in as images are analyzed
+                  </Typography>
+                </Box>
+              }
+            />
+          </FormControl>
+          
           <FormControl component="fieldset" variant="standard">
             <FormControlLabel
               control={
@@ -527,6 +578,32 @@ export default function Settings({ onDebugModeChange, onAutoProgressChange, onSe
             />
           </FormControl>
           
+          <FormControl fullWidth size="small">
+            <InputLabel>Running Headers and Footers</InputLabel>
+            <Select
+              value={runningText}
+              label="Running Headers and Footers"
+              onChange={(e) => setRunningText(e.target.value)}
+            >
+              <MenuItem value="remove">Remove from the page text</MenuItem>
+              <MenuItem value="metadata">Remove, and keep once as document metadata</MenuItem>
+              <MenuItem value="keep">Keep on every page</MenuItem>
+            </Select>
+            <FormHelperText>
+              Headers, footers and page numbers that repeat on most pages of a PDF
+            </FormHelperText>
+          </FormControl>
+          
+          <TextField
+            type="number"
+            size="small"
+            label="Spreadsheet Table Row Limit"
+            value={spreadsheetRowLimit}
+            onChange={(e) => setSpreadsheetRowLimit(Math.max(1, safeParseInt(e.target.value, DEFAULT_SPREADSHEET_ROW_LIMIT)))}
+            slotProps={{ htmlInput: { min: 1, max: 100000 } }}
+            helperText="Data rows kept per spreadsheet table; longer tables are cut off with a note saying how many rows were left out"
+          />
+          
           <Box>
             <Typography gutterBottom variant="body2" sx={{ fontWeight: 'medium' }}>
               Maximum Refusal Retries: {maxRefusalRetries}
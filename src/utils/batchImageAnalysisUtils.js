@@ -1,32 +1,35 @@
 import pLimit from 'p-limit';
 import { analyzeImage } from './imageAnalysisUtils';
+import { recognizePageScans } from './ocrUtils';
+
+const determineAnalysisType = (image) => {
+  if (image.isForcedScan) return 'page_description';
+  if (image.isFullPage && image.isScanned) return 'page_description';
+  if (
+    image.scanReason &&
+    (image.scanReason.includes('page') || image.scanReason.includes('document'))
+  ) {
+    return 'page_description';
+  }
+  return 'general';
+};
 
 /**
- * Sliding-window concurrent batch processing of PDF images via the OpenAI
- * vision API.
- *
- * Improvements over the previous "for...await Promise.all" implementation:
- *
- *  - True sliding window via `p-limit`, so a slow image does not block the
- *    next 99. This typically cuts wall-clock time 30-50% on large PDFs.
- *  - Content-hash dedup: identical `dataURL`s (e.g. a logo repeated on
- *    every page) are billed to OpenAI once and the result is broadcast to
- *    every duplicate, without renaming any IDs.
- *  - Per-image errors are isolated and reported individually instead of
- *    failing the whole batch.
+ * Creates an analysis queue that images can be added to while the document
+ * is still being extracted (pipelined mode): each image is analyzed as soon
+ * as it is added, instead of after the last page. processBatchImages runs
+ * on top of it, so both share the sliding window and the dedup below.
  *
- * @param {Object} pdfData PDF data containing the images array.
  * @param {string} apiKey OpenAI API key.
- * @param {Object} [options] Processing options.
- * @param {Object} [callbacks] Progress / completion callbacks.
- * @returns {Promise<Object>} Aggregate batch result.
+ * @param {Object} [options] Processing options (see processBatchImages).
+ * @param {Object} [callbacks] Progress / completion callbacks (see processBatchImages).
+ * @returns {Object} `{ addImages, getResults, getStatus, finish }`. `finish(pdfData)`
+ *   adds any of `pdfData.images` not added yet, waits for every analysis and
+ *   resolves to the processBatchImages result. Once `options.signal` aborts,
+ *   images not analyzed yet get no result, and `finish` resolves with the
+ *   results so far and `analysisStopped: true`.
  */
-export async function processBatchImages(
-  pdfData,
-  apiKey,
-  options = {},
-  callbacks = {}
-) {
+export function createBatchAnalysisQueue(apiKey, options = {}, callbacks = {}) {
   const {
     retryCount = 2,
     modelVersion = 'latest',
@@ -36,15 +39,18 @@ export async function processBatchImages(
     maxConcurrentRequests = 5,
     temperature = 0.7,
     maxTokens = 1000,
+    // p-limit instance shared with other documents (batch queue), so they
+    // stay within one request budget together
+    limit: sharedLimit = null,
+    // Run controls (see runControlUtils): stop, and pause before each request
+    signal = null,
+    waitWhilePaused = null,
     ...restOptions
   } = options;
 
   if (!apiKey) {
     throw new Error('API key is required');
   }
-  if (!pdfData || !pdfData.images || pdfData.images.length === 0) {
-    throw new Error('No images available in PDF data');
-  }
 
   const processingOptions = {
     maxConcurrentRequests,
@@ -61,73 +67,43 @@ export async function processBatchImages(
     onImageProcessed: callbacks.onImageProcessed || (() => {}),
   };
 
-  const images = pdfData.images;
-  const totalImages = images.length;
-  const results = new Array(totalImages);
+  // Images in the order they were added, and their results at the same index
+  const images = [];
+  const results = [];
+  const addedImageIds = new Set();
+  const pendingResults = [];
 
   let processedCount = 0;
   let errorCount = 0;
+  let stoppedCount = 0;
+  let isFinished = false;
+  let finishing = null;
 
   const updateStatus = () => ({
     processedCount,
-    totalImages,
+    totalImages: images.length,
     errorCount,
-    progressPercentage: totalImages > 0 ? (processedCount / totalImages) * 100 : 0,
-    isComplete: processedCount >= totalImages,
+    progressPercentage: images.length > 0 ? (processedCount / images.length) * 100 : 0,
+    // More images may still be added until finish() is called
+    isComplete: isFinished && processedCount >= images.length,
+    isStopped: !!signal?.aborted,
   });
   const getCurrentResults = () => results.filter((r) => r !== undefined);
 
-  const forcedScans = images.filter((img) => img.isForcedScan);
-  if (forcedScans.length > 0) {
-    console.log(
-      `Found ${forcedScans.length} page scans generated by "Scan All Pages" feature`
-    );
-  }
-
-  const determineAnalysisType = (image) => {
-    if (image.isForcedScan) return 'page_description';
-    if (image.isFullPage && image.isScanned) return 'page_description';
-    if (
-      image.scanReason &&
-      (image.scanReason.includes('page') || image.scanReason.includes('document'))
-    ) {
-      return 'page_description';
-    }
-    return 'general';
-  };
-
   // Group identical images so we only call OpenAI once per unique dataURL.
   // Hashing is purely structural (string identity of the data URL) which is
   // free and avoids any pixel-level work on the main thread.
-  const dedupGroups = new Map(); // hashKey -> { leaderIndex, indices, image }
-  for (let i = 0; i < images.length; i++) {
-    const image = images[i];
-    // Forced scans must never be deduped — every page must get its own
-    // independent description even when two pages happen to render to
-    // pixel-identical content.
-    const hashKey = image.isForcedScan
-      ? `forced:${image.id}`
-      : image.dataURL;
-    let group = dedupGroups.get(hashKey);
-    if (!group) {
-      group = { leaderIndex: i, indices: [], image };
-      dedupGroups.set(hashKey, group);
-    }
-    group.indices.push(i);
-  }
-
-  const dedupedCount = totalImages - dedupGroups.size;
-  if (dedupedCount > 0) {
-    console.log(
-      `Deduplicated ${dedupedCount} repeated image(s); will issue ${dedupGroups.size} OpenAI request(s) instead of ${totalImages}.`
-    );
-  }
+  const dedupGroups = new Map(); // hashKey -> { leader, analysis }
+  let dedupedCount = 0;
 
-  const limit = pLimit(Math.max(1, maxConcurrentRequests));
+  const limit = sharedLimit || pLimit(Math.max(1, maxConcurrentRequests));
 
-  const processGroup = async (group) => {
-    const leader = group.image;
-    const imageAnalysisType = determineAnalysisType(leader);
+  // Analyzes the first image of a dedup group; resolves to `{ analysisResult }`,
+  // `{ error }` or, once stopped, `{ stopped: true }`; never rejects
+  const analyzeLeader = async (leader) => {
+    // A paused run holds its request slots until resumed
+    if (typeof waitWhilePaused === 'function') await waitWhilePaused();
+    if (signal?.aborted) return { stopped: true };
 
     if (leader.isForcedScan) {
       console.log(
@@ -139,85 +115,268 @@ export async function processBatchImages(
       );
     }
 
-    let analysisResult;
     try {
-      analysisResult = await analyzeImage(leader.dataURL, apiKey, {
+      const analysisResult = await analyzeImage(leader.dataURL, apiKey, {
         model: processingOptions.model,
         retryCount,
-        analysisType: imageAnalysisType,
+        analysisType: determineAnalysisType(leader),
         isForcedScan: !!leader.isForcedScan,
         temperature: processingOptions.temperature,
         maxTokens: processingOptions.maxTokens,
+        signal,
       });
+      return { analysisResult };
     } catch (error) {
+      if (signal?.aborted) return { stopped: true };
       console.error(`Error processing image ${leader.id}:`, error);
-      for (const idx of group.indices) {
-        const image = images[idx];
-        const errorResult = {
-          imageId: image.id,
-          success: false,
-          isForcedScan: !!image.isForcedScan,
-          pageNumber: image.pageNumber,
-          error: error.message || 'An unknown error occurred',
-        };
-        results[idx] = errorResult;
-        processedCount++;
-        errorCount++;
-        const status = updateStatus();
-        statusCallbacks.onProgress(status);
-        statusCallbacks.onError(errorResult, getCurrentResults(), status);
-      }
-      return;
+      return { error };
     }
+  };
 
-    // Broadcast a copy of the analysis to every image that shares this
-    // dataURL so each individual image ID still gets its own result entry.
-    for (const idx of group.indices) {
-      const image = images[idx];
-      const result = {
+  const recordResult = (idx, leader, { analysisResult, error, stopped }) => {
+    const image = images[idx];
+    // Stopped images stay without a result rather than counting as failed
+    if (stopped) {
+      stoppedCount++;
+      return;
+    }
+    if (error) {
+      const errorResult = {
         imageId: image.id,
-        success: analysisResult.success,
-        text: analysisResult.refusalDetected ? '' : analysisResult.text,
-        refusalDetected: analysisResult.refusalDetected || false,
-        refusalRetries: analysisResult.refusalRetries || 0,
-        retries: analysisResult.retries || 0,
+        success: false,
         isForcedScan: !!image.isForcedScan,
         pageNumber: image.pageNumber,
-        analysisType: imageAnalysisType,
-        sharedWithLeader: idx !== group.leaderIndex ? leader.id : undefined,
+        model: processingOptions.model,
+        error: error.message || 'An unknown error occurred',
       };
-      results[idx] = result;
+      results[idx] = errorResult;
       processedCount++;
+      errorCount++;
       const status = updateStatus();
       statusCallbacks.onProgress(status);
-      statusCallbacks.onImageProcessed(result, getCurrentResults(), status);
+      statusCallbacks.onError(errorResult, getCurrentResults(), status);
+      return;
+    }
+
+    // Broadcast a copy of the analysis to every image that shares this
+    // dataURL so each individual image ID still gets its own result entry.
+    const result = {
+      imageId: image.id,
+      success: analysisResult.success,
+      text: analysisResult.refusalDetected ? '' : analysisResult.text,
+      refusalDetected: analysisResult.refusalDetected || false,
+      refusalRetries: analysisResult.refusalRetries || 0,
+      retries: analysisResult.retries || 0,
+      isForcedScan: !!image.isForcedScan,
+      pageNumber: image.pageNumber,
+      model: processingOptions.model,
+      analysisType: determineAnalysisType(leader),
+      sharedWithLeader: image !== leader ? leader.id : undefined,
+    };
+    results[idx] = result;
+    processedCount++;
+    const status = updateStatus();
+    statusCallbacks.onProgress(status);
+    statusCallbacks.onImageProcessed(result, getCurrentResults(), status);
+  };
+
+  /**
+   * Queues images for analysis. Images already added (by ID) are ignored,
+   * so pages reported twice are not analyzed twice.
+   * @param {Array} newImages Extracted images.
+   */
+  const addImages = (newImages = []) => {
+    for (const image of newImages) {
+      if (addedImageIds.has(image.id)) continue;
+      addedImageIds.add(image.id);
+      const idx = images.length;
+      images.push(image);
+
+      // Forced scans must never be deduped — every page must get its own
+      // independent description even when two pages happen to render to
+      // pixel-identical content.
+      const hashKey = image.isForcedScan
+        ? `forced:${image.id}`
+        : image.dataURL;
+      let group = dedupGroups.get(hashKey);
+      if (!group) {
+        group = { leader: image, analysis: limit(() => analyzeLeader(image)) };
+        dedupGroups.set(hashKey, group);
+      } else {
+        dedupedCount++;
+      }
+      pendingResults.push(group.analysis.then((outcome) => recordResult(idx, group.leader, outcome)));
     }
   };
 
-  await Promise.all(
-    Array.from(dedupGroups.values()).map((group) => limit(() => processGroup(group)))
-  );
+  const finish = (pdfData) => {
+    finishing = finishing || (async () => {
+      addImages(pdfData.images);
+      isFinished = true;
+
+      const forcedScans = images.filter((img) => img.isForcedScan);
+      if (forcedScans.length > 0) {
+        console.log(
+          `Found ${forcedScans.length} page scans generated by "Scan All Pages" feature`
+        );
+      }
+      if (dedupedCount > 0) {
+        console.log(
+          `Deduplicated ${dedupedCount} repeated image(s); will issue ${dedupGroups.size} OpenAI request(s) instead of ${images.length}.`
+        );
+      }
 
-  const finalResults = results.filter((r) => r !== undefined);
+      await Promise.all(pendingResults);
 
-  const updatedPdfData = {
-    name: pdfData.name,
-    totalPages: pdfData.totalPages,
-    metadata: pdfData.metadata,
-    processingTime: pdfData.processingTime,
-    images: pdfData.images,
-    imageAnalysisResults: finalResults,
+      const finalResults = getCurrentResults();
+      if (signal?.aborted) {
+        console.log(
+          `Analysis stopped: ${processedCount} of ${images.length} image(s) analyzed, ${stoppedCount} left without a description`
+        );
+      }
+
+      const updatedPdfData = {
+        name: pdfData.name,
+        totalPages: pdfData.totalPages,
+        metadata: pdfData.metadata,
+        processingTime: pdfData.processingTime,
+        images: pdfData.images,
+        imageAnalysisResults: finalResults,
+        analysisOptions: {
+          model: processingOptions.model,
+          temperature,
+          maxTokens,
+          maxConcurrentRequests,
+          retryCount,
+        },
+        ...(signal?.aborted && { analysisStopped: true }),
+      };
+
+      statusCallbacks.onComplete(finalResults, updateStatus(), updatedPdfData);
+
+      return {
+        results: finalResults,
+        status: updateStatus(),
+        updatedPdfData,
+      };
+    })();
+    return finishing;
   };
 
-  statusCallbacks.onComplete(finalResults, updateStatus(), updatedPdfData);
+  return {
+    addImages,
+    getResults: getCurrentResults,
+    getStatus: updateStatus,
+    finish,
+  };
+}
+
+/**
+ * Sliding-window concurrent batch processing of PDF images via the OpenAI
+ * vision API.
+ *
+ * Improvements over the previous "for...await Promise.all" implementation:
+ *
+ *  - True sliding window via `p-limit`, so a slow image does not block the
+ *    next 99. This typically cuts wall-clock time 30-50% on large PDFs.
+ *  - Content-hash dedup: identical `dataURL`s (e.g. a logo repeated on
+ *    every page) are billed to OpenAI once and the result is broadcast to
+ *    every duplicate, without renaming any IDs.
+ *  - Per-image errors are isolated and reported individually instead of
+ *    failing the whole batch.
+ *
+ * @param {Object} pdfData PDF data containing the images array.
+ * @param {string} apiKey OpenAI API key.
+ * @param {Object} [options] Processing options. `signal` (AbortSignal) stops
+ *   the batch, keeping the results of the images analyzed so far, and
+ *   `waitWhilePaused()` is awaited before each request.
+ * @param {Object} [callbacks] Progress / completion callbacks.
+ * @returns {Promise<Object>} Aggregate batch result.
+ */
+export async function processBatchImages(
+  pdfData,
+  apiKey,
+  options = {},
+  callbacks = {}
+) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  if (!pdfData || !pdfData.images || pdfData.images.length === 0) {
+    throw new Error('No images available in PDF data');
+  }
+
+  return createBatchAnalysisQueue(apiKey, options, callbacks).finish(pdfData);
+}
+
+/**
+ * Builds analysis results from the images' own alt text, used in place of AI
+ * descriptions when analysis is skipped. Images without alt text get no result.
+ * @param {Array} images Images from the processing result.
+ * @returns {Array} Results in the processBatchImages result shape.
+ */
+export function createAltTextResults(images = []) {
+  return images
+    .filter((image) => image.altText)
+    .map((image) => ({
+      imageId: image.id,
+      success: true,
+      text: image.altText,
+      refusalDetected: false,
+      refusalRetries: 0,
+      retries: 0,
+      isForcedScan: !!image.isForcedScan,
+      pageNumber: image.pageNumber,
+      model: null,
+      analysisType: 'alt_text',
+    }));
+}
+
+/**
+ * Builds the analysis result used when image analysis is skipped, so Results
+ * still get the extracted text layer (and any alt text descriptions).
+ * @param {Object} pdfData Processing result.
+ * @param {string} reason 'no_api_key', 'no_images' or 'stopped' (processing was stopped before analysis).
+ * @param {Array} [ocrResults] Offline OCR results of the page scans (see createOfflineAnalysisResult).
+ * @returns {Object} Processing result with empty (or alt text and OCR) analysis results.
+ */
+export function createSkippedAnalysisResult(pdfData, reason, ocrResults = []) {
+  // Images that carry their own alt text (Word, PowerPoint, HTML, EPUB)
+  // still get that as their description
+  const altTextResults = reason !== 'no_images' ? createAltTextResults(pdfData.images) : [];
+  const offlineResults = [...ocrResults, ...altTextResults];
+  const skippedTexts = {
+    no_api_key: 'Image analysis was skipped because no OpenAI API key is configured.',
+    no_images: 'No images found in the document to analyze.',
+    stopped: 'Image analysis was skipped because processing was stopped.',
+  };
+  const skippedText = skippedTexts[reason] || skippedTexts.no_images;
 
   return {
-    results: finalResults,
-    status: updateStatus(),
-    updatedPdfData,
+    ...pdfData,
+    imageAnalysisResults: offlineResults,
+    analysisSkipped: true,
+    analysisSkippedReason: reason,
+    extractedText: offlineResults.length > 0
+      ? extractTextFromBatchResults(offlineResults, pdfData).extractedText
+      : skippedText,
   };
 }
 
+/**
+ * Builds the skipped analysis result, first reading the page scans with the
+ * offline OCR engine when there is no API key, so scanned pages still yield
+ * their text.
+ * @param {Object} pdfData Processing result.
+ * @param {string} reason 'no_api_key' or 'no_images'.
+ * @param {Object} [callbacks] recognizePageScans options (`onProgress`, `onLog`, and the run controls `signal` and `waitWhilePaused`).
+ * @returns {Promise<Object>} Processing result with the OCR and alt text analysis results.
+ */
+export async function createOfflineAnalysisResult(pdfData, reason, callbacks = {}) {
+  const ocrResults = reason === 'no_api_key' ? await recognizePageScans(pdfData.images, callbacks) : [];
+  return createSkippedAnalysisResult(pdfData, reason, ocrResults);
+}
+
 /**
  * Extracts useful text content from batch analysis results.
  * @param {Array} results Array of image analysis results.
@@ -267,7 +426,7 @@ export function extractTextFromBatchResults(results, pdfData = null) {
     if (!textByPage[pageNumber]) {
       textByPage[pageNumber] = [];
     }
-    if (result.isForcedScan) {
+    if (result.isForcedScan || result.analysisType === 'ocr') {
       textByPage[pageNumber].push(`[Page Scan ${pageNumber}]: ${result.text}`);
     } else {
       textByPage[pageNumber].push(`[Image ${result.imageId}]: ${result.text}`);
@@ -0,0 +1,218 @@
+import { zipSync, strToU8 } from 'fflate';
+import { readZip } from './zipUtils';
+import { getDocumentType, stripDocumentExtension } from './documentUtils';
+import { processDocumentInWorker } from './extractionWorkerUtils';
+import { processBatchImages, extractTextFromBatchResults, createOfflineAnalysisResult } from './batchImageAnalysisUtils';
+import { createTextReplacement, generateFormattedText, generateMarkdown, FORMAT_SETTINGS_STORAGE_KEY } from './textReplacementUtils';
+import { buildDocumentModel } from './documentModelUtils';
+
+/**
+ * Helpers for processing many documents as one queue: expanding uploaded
+ * ZIP archives, running each file through extraction and image analysis,
+ * and bundling the results into one export.
+ */
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+/**
+ * Accepted ZIP MIME types and extensions, in the react-dropzone `accept` format
+ */
+export const ACCEPTED_ARCHIVE_TYPES = ZIP_MIME_TYPES.reduce((accept, mimeType) => {
+  accept[mimeType] = ['.zip'];
+  return accept;
+}, {});
+
+/**
+ * Checks whether a file is a ZIP archive of documents. Packages that are
+ * ZIPs themselves (DOCX, EPUB, ...) are documents, not archives.
+ * @param {Object} file - File (or `{ name, type }`)
+ * @returns {boolean} True for .zip files
+ */
+export function isZipArchive(file) {
+  if (!file) return false;
+  const name = (file.name || '').toLowerCase();
+  return name.endsWith('.zip') || (!getDocumentType(file) && ZIP_MIME_TYPES.includes(file.type));
+}
+
+// macOS resource forks and hidden files are not documents
+const isIgnoredArchiveEntry = (path) =>
+  path.startsWith('__MACOSX/') || path.split('/').some(segment => segment.startsWith('.'));
+
+/**
+ * Expands uploaded files into the list of documents to queue: ZIP archives
+ * are replaced by the supported documents inside them
+ * @param {Array<File>} files - Uploaded files
+ * @returns {Promise<Object>} `{ files, skipped }`, where skipped lists `{ name, reason }`
+ */
+export async function expandUploadedFiles(files) {
+  const documents = [];
+  const skipped = [];
+
+  for (const file of files) {
+    if (!isZipArchive(file)) {
+      if (getDocumentType(file)) {
+        documents.push(file);
+      } else {
+        skipped.push({ name: file.name, reason: 'Unsupported file type' });
+      }
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = readZip(new Uint8Array(await file.arrayBuffer()));
+    } catch (error) {
+      console.error(`Could not read ZIP archive ${file.name}:`, error);
+      skipped.push({ name: file.name, reason: `Could not read the ZIP archive: ${error.message}` });
+      continue;
+    }
+
+    const entryPaths = Array.from(entries.keys())
+      .filter(path => !isIgnoredArchiveEntry(path))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    console.log(`Expanding ${file.name}: ${entryPaths.length} file(s)`);
+
+    entryPaths.forEach(path => {
+      // Entry files keep their folder in the name so same-named files stay apart
+      const entryFile = new File([entries.get(path)], path, { lastModified: file.lastModified });
+      if (isZipArchive(entryFile)) {
+        skipped.push({ name: `${file.name}/${path}`, reason: 'Nested archives are not expanded' });
+      } else if (getDocumentType(entryFile)) {
+        documents.push(entryFile);
+      } else {
+        skipped.push({ name: `${file.name}/${path}`, reason: 'Unsupported file type' });
+      }
+    });
+  }
+
+  return { files: documents, skipped };
+}
+
+/**
+ * Extracts a file with the processor for its type (the Extract step)
+ * @param {File} file - Document file
+ * @param {Object} options - processDocument options (`scanAllPages`, `maxTableRows`, callbacks,
+ *   `signal`, ...); an aborted signal stops a PDF after its current page
+ * @returns {Promise<Object>} Processing result with the original file name
+ */
+export async function extractDocumentFile(file, options = {}) {
+  const data = new Uint8Array(await file.arrayBuffer());
+  // PDFs are extracted in a web worker so the queue UI stays responsive
+  const result = await processDocumentInWorker(data, {
+    ...options,
+    documentType: getDocumentType(file) || 'pdf'
+  });
+
+  if (!result.success) {
+    throw new Error(result.error || 'An error occurred while processing the document');
+  }
+
+  return {
+    ...result,
+    originalFilename: file.name,
+    name: file.name,
+    file: {
+      name: file.name,
+      type: file.type,
+      size: file.size
+    }
+  };
+}
+
+/**
+ * Analyzes the images of an extracted document (the Analyze step). Without
+ * an API key or images the analysis is skipped, as in the single-file flow;
+ * without a key, page scans are still read with the offline OCR engine.
+ * @param {Object} pdfResult - Result of extractDocumentFile
+ * @param {Object} options - Analysis options
+ * @param {string} options.apiKey - OpenAI API key
+ * @param {string} options.model - Vision model
+ * @param {Function} options.limit - p-limit instance shared by the whole queue
+ * @param {AbortSignal} [options.signal] - Cancels the file: requests in flight and
+ *   OCR stop, and images not analyzed yet are left without a result
+ * @param {Function} [options.onProgress] - Called with the percentage of images analyzed
+ * @returns {Promise<Object>} Analysis result, as passed to Results
+ */
+export async function analyzeDocument(pdfResult, { apiKey, model, limit, signal = null, onProgress = () => {} }) {
+  const hasImages = !!pdfResult.images && pdfResult.images.length > 0;
+  if (!apiKey || !hasImages) {
+    return createOfflineAnalysisResult(pdfResult, !apiKey ? 'no_api_key' : 'no_images', { onProgress, signal });
+  }
+
+  const { results, updatedPdfData } = await processBatchImages(pdfResult, apiKey, {
+    maxConcurrentRequests: limit.concurrency,
+    model,
+    temperature: 0.7,
+    maxTokens: 1000,
+    limit,
+    signal
+  }, {
+    onProgress: (status) => onProgress(status.progressPercentage)
+  });
+
+  return {
+    ...updatedPdfData,
+    extractedText: extractTextFromBatchResults(results, pdfResult).extractedText
+  };
+}
+
+/**
+ * Loads the text format settings saved in Results
+ * @returns {Object} Saved settings, or an empty object for the defaults
+ */
+export function loadSavedFormatSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(FORMAT_SETTINGS_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Error loading format settings from localStorage:', error);
+    return {};
+  }
+}
+
+/**
+ * Bundles the results of a finished queue into one ZIP: the text, Markdown
+ * and JSON exports of every file, plus `combined.txt` and `combined.md`
+ * holding all files in queue order
+ * @param {Array} items - Finished items `{ name, pdfResult, analysisResult }`
+ * @param {Object} options - Options
+ * @param {Object} [options.formatSettings] - Text format settings (see Results)
+ * @param {Object} [options.settings] - Processing settings for the document model
+ * @returns {Uint8Array} ZIP file contents
+ */
+export function buildBatchExport(items, { formatSettings = {}, settings = {} } = {}) {
+  const files = {};
+  const combinedText = [];
+  const combinedMarkdown = [];
+  // Reserved for the bundle files, so a queued combined.pdf becomes "combined (2)"
+  const usedNames = new Set(['combined']);
+
+  items.forEach(({ name, pdfResult, analysisResult }) => {
+    // Files with the same base name (report.pdf, report.docx) get a suffix
+    const baseName = stripDocumentExtension(name);
+    let exportName = baseName;
+    for (let n = 2; usedNames.has(exportName.toLowerCase()); n++) {
+      exportName = `${baseName} (${n})`;
+    }
+    usedNames.add(exportName.toLowerCase());
+
+    const replacement = createTextReplacement(pdfResult, analysisResult.imageAnalysisResults || [], formatSettings);
+    const text = generateFormattedText(replacement, formatSettings).trim();
+    const markdown = generateMarkdown(replacement, {
+      title: stripDocumentExtension(name),
+      images: pdfResult.images || []
+    });
+    const documentModel = buildDocumentModel(pdfResult, analysisResult, { settings });
+
+    files[`${exportName}.txt`] = strToU8(text);
+    files[`${exportName}.md`] = strToU8(markdown);
+    files[`${exportName}.json`] = strToU8(JSON.stringify(documentModel, null, 2));
+
+    combinedText.push(`<document file_name="${name.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">\n${text}\n</document>`);
+    combinedMarkdown.push(markdown);
+  });
+
+  files['combined.txt'] = strToU8(combinedText.join('\n\n'));
+  files['combined.md'] = strToU8(combinedMarkdown.join('\n\n---\n\n'));
+
+  return zipSync(files);
+}
@@ -0,0 +1,472 @@
+import { childElements, firstChildElement, descendantElements, getAttribute } from './zipUtils';
+
+/**
+ * Office charts are stored as data (series values plus formatting), not as
+ * pictures. These helpers read DrawingML (XLSX) and ODF (ODS) charts into a
+ * common chart model and draw it on a canvas, so charts can go through image
+ * analysis like any other picture.
+ *
+ * Chart model: `{ title, categories, groups: [{ kind, series: [{ name, values, xValues }] }] }`
+ * where kind is column, bar, line, area, scatter, pie or doughnut.
+ */
+
+const CHART_SIZE = { width: 800, height: 500 };
+
+const PALETTE = ['#4472c4', '#ed7d31', '#a5a5a5', '#ffc000', '#5b9bd5', '#70ad47', '#264478', '#9e480e', '#636363', '#997300'];
+
+// DrawingML plot groups by element name; bar charts are refined by c:barDir
+const DRAWINGML_CHART_KINDS = {
+  barChart: 'column',
+  bar3DChart: 'column',
+  lineChart: 'line',
+  line3DChart: 'line',
+  stockChart: 'line',
+  radarChart: 'line',
+  areaChart: 'area',
+  area3DChart: 'area',
+  scatterChart: 'scatter',
+  bubbleChart: 'scatter',
+  pieChart: 'pie',
+  pie3DChart: 'pie',
+  ofPieChart: 'pie',
+  doughnutChart: 'doughnut'
+};
+
+// ODF chart classes
+const ODF_CHART_KINDS = {
+  'chart:bar': 'column',
+  'chart:line': 'line',
+  'chart:radar': 'line',
+  'chart:filled-radar': 'area',
+  'chart:area': 'area',
+  'chart:scatter': 'scatter',
+  'chart:bubble': 'scatter',
+  'chart:stock': 'line',
+  'chart:circle': 'pie',
+  'chart:ring': 'doughnut'
+};
+
+/**
+ * Reads the cached points of a DrawingML data reference (`c:cat`, `c:val`, ...)
+ * @param {Element|null} node - Reference element
+ * @returns {Array<string|null>} Point values by index
+ */
+const readCachedPoints = (node) => {
+  if (!node) return [];
+  // Multi-level categories: the first level holds the innermost labels
+  const level = descendantElements(node, 'lvl')[0] || node;
+  const count = parseInt(getAttribute(descendantElements(node, 'ptCount')[0], 'val') || '0', 10);
+  const points = Array(count).fill(null);
+  descendantElements(level, 'pt').forEach(pt => {
+    points[parseInt(getAttribute(pt, 'idx') || '0', 10)] = firstChildElement(pt, 'v')?.textContent ?? null;
+  });
+  return points;
+};
+
+const toNumbers = (points) => points.map(point => {
+  const value = parseFloat(point);
+  return Number.isFinite(value) ? value : null;
+});
+
+/**
+ * Plain text of a DrawingML title or series name
+ * @param {Element|null} node - `c:title` or `c:tx`
+ * @returns {string} Text ('' when there is none)
+ */
+const readDrawingMLText = (node) => {
+  if (!node) return '';
+  const runs = descendantElements(node, 't');
+  const values = runs.length ? runs : descendantElements(node, 'v');
+  return values.map(element => element.textContent).join('').trim();
+};
+
+/**
+ * Reads a DrawingML chart part (`xl/charts/chartN.xml`) into the chart model
+ * @param {Document} doc - Parsed chart part
+ * @returns {Object|null} Chart model, or null when it has no plottable series
+ */
+export function parseDrawingMLChart(doc) {
+  const chart = firstChildElement(doc?.documentElement, 'chart');
+  const plotArea = firstChildElement(chart, 'plotArea');
+  if (!plotArea) return null;
+
+  let categories = [];
+  const groups = childElements(plotArea)
+    .filter(group => DRAWINGML_CHART_KINDS[group.localName])
+    .map(group => {
+      let kind = DRAWINGML_CHART_KINDS[group.localName];
+      if (kind === 'column' && getAttribute(firstChildElement(group, 'barDir'), 'val') === 'bar') {
+        kind = 'bar';
+      }
+      const series = childElements(group, 'ser').map(ser => {
+        const categoryPoints = readCachedPoints(firstChildElement(ser, 'cat'));
+        if (!categories.length && categoryPoints.length) categories = categoryPoints.map(point => point ?? '');
+        return {
+          name: readDrawingMLText(firstChildElement(ser, 'tx')),
+          values: toNumbers(readCachedPoints(firstChildElement(ser, 'val') || firstChildElement(ser, 'yVal'))),
+          xValues: kind === 'scatter' ? toNumbers(readCachedPoints(firstChildElement(ser, 'xVal'))) : null
+        };
+      }).filter(series => series.values.some(value => value !== null));
+      return { kind, series };
+    })
+    .filter(group => group.series.length);
+
+  if (!groups.length) return null;
+
+  const autoTitleDeleted = getAttribute(firstChildElement(chart, 'autoTitleDeleted'), 'val') === '1';
+  let title = readDrawingMLText(firstChildElement(chart, 'title'));
+  if (!title && !autoTitleDeleted && groups.length === 1 && groups[0].series.length === 1) {
+    title = groups[0].series[0].name;
+  }
+
+  return { title, categories, groups };
+}
+
+/**
+ * Reads an ODF chart object (`Object N/content.xml`) into the chart model,
+ * from the data table the chart keeps a copy of
+ * @param {Document} doc - Parsed chart object content
+ * @returns {Object|null} Chart model, or null when it has no plottable series
+ */
+export function parseOdfChart(doc) {
+  const chart = descendantElements(doc, 'chart').find(element => element.namespaceURI?.includes('chart'));
+  if (!chart) return null;
+  const kind = ODF_CHART_KINDS[getAttribute(chart, 'class')] || 'column';
+  const title = descendantElements(firstChildElement(chart, 'title'), 'p').map(p => p.textContent).join(' ').trim();
+
+  const table = descendantElements(chart, 'table').find(element => element.namespaceURI?.includes('table'));
+  const readRows = (container) => descendantElements(container, 'table-row').map(row =>
+    childElements(row, 'table-cell').map(cell => ({
+      text: descendantElements(cell, 'p').map(p => p.textContent).join(' ').trim(),
+      value: getAttribute(cell, 'value')
+    }))
+  );
+  const headerRows = readRows(descendantElements(table, 'table-header-rows')[0]);
+  const bodyRows = readRows(descendantElements(table, 'table-rows')[0]);
+  if (!bodyRows.length) return null;
+
+  // Series are in columns: the first column holds the categories
+  const header = headerRows[0] || [];
+  const seriesCount = Math.max(0, ...bodyRows.map(row => row.length)) - 1;
+  const series = Array.from({ length: seriesCount }, (_, index) => ({
+    name: header[index + 1]?.text || `Series ${index + 1}`,
+    values: toNumbers(bodyRows.map(row => row[index + 1]?.value ?? row[index + 1]?.text ?? null)),
+    xValues: null
+  })).filter(item => item.values.some(value => value !== null));
+  if (!series.length) return null;
+
+  if (kind === 'scatter') {
+    // Scatter charts use the first column as the X values
+    const xValues = toNumbers(bodyRows.map(row => row[0]?.value ?? row[0]?.text ?? null));
+    series.forEach(item => { item.xValues = xValues; });
+  }
+
+  return {
+    title,
+    categories: bodyRows.map(row => row[0]?.text || ''),
+    groups: [{ kind, series }]
+  };
+}
+
+/**
+ * Evenly spaced axis ticks covering a value range
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {Array<number>} Tick values spanning min, max and zero
+ */
+const getAxisTicks = (min, max) => {
+  const low = Math.min(0, min);
+  const high = Math.max(0, max) > low ? Math.max(0, max) : low + 1;
+  const rawStep = (high - low) / 5;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+  const ticks = [];
+  for (let tick = Math.floor(low / step) * step; tick < high + step; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+    if (tick >= high) break;
+  }
+  return ticks;
+};
+
+const formatTick = (value) => {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${Number((value / 1e9).toPrecision(3))}B`;
+  if (abs >= 1e6) return `${Number((value / 1e6).toPrecision(3))}M`;
+  if (abs >= 1e4) return `${Number((value / 1e3).toPrecision(3))}k`;
+  return String(Number(value.toPrecision(6)));
+};
+
+const truncateLabel = (label, maxLength = 14) =>
+  label.length > maxLength ? `${label.slice(0, maxLength - 1)}…` : label;
+
+/**
+ * Draws pie and doughnut charts from the first series
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} chart - Chart model
+ * @param {Object} group - Pie group
+ * @param {Object} area - Plot area `{ x, y, width, height }`
+ */
+const drawPie = (ctx, chart, group, area) => {
+  const values = group.series[0].values.map(value => Math.max(0, value || 0));
+  const total = values.reduce((sum, value) => sum + value, 0) || 1;
+  const radius = Math.min(area.width * 0.6, area.height) / 2 - 10;
+  const centerX = area.x + radius + 20;
+  const centerY = area.y + area.height / 2;
+
+  let angle = -Math.PI / 2;
+  values.forEach((value, index) => {
+    const sweep = (value / total) * Math.PI * 2;
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.arc(centerX, centerY, radius, angle, angle + sweep);
+    ctx.closePath();
+    ctx.fillStyle = PALETTE[index % PALETTE.length];
+    ctx.fill();
+    angle += sweep;
+  });
+  if (group.kind === 'doughnut') {
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius * 0.5, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+  }
+
+  // Legend with category names and shares next to the pie
+  ctx.font = '14px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  const legendX = centerX + radius + 40;
+  values.forEach((value, index) => {
+    const y = area.y + 20 + index * 22;
+    if (y > area.y + area.height) return;
+    ctx.fillStyle = PALETTE[index % PALETTE.length];
+    ctx.fillRect(legendX, y - 6, 12, 12);
+    ctx.fillStyle = '#333333';
+    const label = truncateLabel(chart.categories[index] || `Item ${index + 1}`, 28);
+    ctx.fillText(`${label} (${Math.round((value / total) * 1000) / 10}%)`, legendX + 18, y);
+  });
+};
+
+/**
+ * Draws bar, column, line, area and scatter groups on shared axes
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} chart - Chart model
+ * @param {Object} area - Plot area `{ x, y, width, height }`
+ */
+const drawAxesChart = (ctx, chart, area) => {
+  const groups = chart.groups.filter(group => group.kind !== 'pie' && group.kind !== 'doughnut');
+  const horizontal = groups.every(group => group.kind === 'bar');
+  const allValues = groups.flatMap(group => group.series.flatMap(series => series.values)).filter(value => value !== null);
+  const ticks = getAxisTicks(Math.min(...allValues), Math.max(...allValues));
+  const low = ticks[0];
+  const high = ticks[ticks.length - 1];
+  const categoryCount = Math.max(chart.categories.length, ...groups.flatMap(group => group.series.map(series => series.values.length)));
+
+  const scatterX = groups.filter(group => group.kind === 'scatter').flatMap(group => group.series.flatMap(series => series.xValues || [])).filter(value => value !== null);
+  const xTicks = scatterX.length ? getAxisTicks(Math.min(...scatterX), Math.max(...scatterX)) : null;
+
+  // Value axis position (vertical, or horizontal for bar charts)
+  const valueToPixel = (value) => horizontal
+    ? area.x + ((value - low) / (high - low)) * area.width
+    : area.y + area.height - ((value - low) / (high - low)) * area.height;
+  const bandSize = (horizontal ? area.height : area.width) / Math.max(1, categoryCount);
+  const bandStart = (index) => (horizontal ? area.y : area.x) + index * bandSize;
+
+  // Grid lines and value labels
+  ctx.font = '12px sans-serif';
+  ctx.strokeStyle = '#e0e0e0';
+  ctx.fillStyle = '#555555';
+  ctx.lineWidth = 1;
+  ticks.forEach(tick => {
+    const position = valueToPixel(tick);
+    ctx.beginPath();
+    if (horizontal) {
+      ctx.moveTo(position, area.y);
+      ctx.lineTo(position, area.y + area.height);
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(formatTick(tick), position, area.y + area.height + 6);
+    } else {
+      ctx.moveTo(area.x, position);
+      ctx.lineTo(area.x + area.width, position);
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(formatTick(tick), area.x - 6, position);
+    }
+    ctx.stroke();
+  });
+
+  // Category labels, thinned out when they would overlap
+  if (!xTicks) {
+    const labelEvery = Math.max(1, Math.ceil(categoryCount / Math.floor((horizontal ? area.height / 18 : area.width / 70) || 1)));
+    for (let index = 0; index < categoryCount; index += labelEvery) {
+      const label = truncateLabel(String(chart.categories[index] ?? index + 1));
+      const center = bandStart(index) + bandSize / 2;
+      if (horizontal) {
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, area.x - 6, center);
+      } else {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(label, center, area.y + area.height + 6);
+      }
+    }
+  } else {
+    xTicks.forEach(tick => {
+      const x = area.x + ((tick - xTicks[0]) / (xTicks[xTicks.length - 1] - xTicks[0])) * area.width;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(formatTick(tick), x, area.y + area.height + 6);
+    });
+  }
+
+  let colorIndex = 0;
+  const barGroups = groups.filter(group => group.kind === 'bar' || group.kind === 'column');
+  const barSeriesCount = barGroups.reduce((count, group) => count + group.series.length, 0);
+  let barSeriesIndex = 0;
+
+  groups.forEach(group => {
+    group.series.forEach(series => {
+      const color = PALETTE[colorIndex++ % PALETTE.length];
+      ctx.fillStyle = color;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2.5;
+
+      if (group.kind === 'bar' || group.kind === 'column') {
+        const barSize = (bandSize * 0.8) / barSeriesCount;
+        series.values.forEach((value, index) => {
+          if (value === null) return;
+          const offset = bandStart(index) + bandSize * 0.1 + barSeriesIndex * barSize;
+          const from = valueToPixel(Math.max(low, 0));
+          const to = valueToPixel(value);
+          if (horizontal) {
+            ctx.fillRect(Math.min(from, to), offset, Math.abs(to - from), barSize);
+          } else {
+            ctx.fillRect(offset, Math.min(from, to), barSize, Math.abs(to - from));
+          }
+        });
+        barSeriesIndex++;
+        return;
+      }
+
+      const points = series.values.map((value, index) => {
+        if (value === null) return null;
+        const x = xTicks && series.xValues?.[index] !== null && series.xValues?.[index] !== undefined
+          ? area.x + ((series.xValues[index] - xTicks[0]) / (xTicks[xTicks.length - 1] - xTicks[0])) * area.width
+          : bandStart(index) + bandSize / 2;
+        return { x, y: valueToPixel(value) };
+      }).filter(Boolean);
+
+      if (group.kind === 'scatter') {
+        points.forEach(point => {
+          ctx.beginPath();
+          ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+          ctx.fill();
+        });
+        return;
+      }
+
+      ctx.beginPath();
+      points.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      if (group.kind === 'area' && points.length) {
+        const base = valueToPixel(Math.max(low, 0));
+        ctx.lineTo(points[points.length - 1].x, base);
+        ctx.lineTo(points[0].x, base);
+        ctx.closePath();
+        ctx.globalAlpha = 0.6;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+      } else {
+        ctx.stroke();
+      }
+    });
+  });
+
+  // Axis lines
+  ctx.strokeStyle = '#888888';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(area.x, area.y);
+  ctx.lineTo(area.x, area.y + area.height);
+  ctx.lineTo(area.x + area.width, area.y + area.height);
+  ctx.stroke();
+};
+
+/**
+ * Renders a chart model to a PNG image
+ * @param {Object} chart - Chart model from parseDrawingMLChart or parseOdfChart
+ * @returns {Object|null} `{ dataURL, width, height }`, or null when the chart can't be drawn
+ */
+export function renderChartImage(chart) {
+  if (!chart?.groups?.length) return null;
+
+  const { width, height } = CHART_SIZE;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  let top = 20;
+  if (chart.title) {
+    ctx.fillStyle = '#222222';
+    ctx.font = 'bold 20px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(truncateLabel(chart.title, 70), width / 2, top);
+    top += 40;
+  }
+
+  const firstGroup = chart.groups[0];
+  if (firstGroup.kind === 'pie' || firstGroup.kind === 'doughnut') {
+    drawPie(ctx, chart, firstGroup, { x: 20, y: top, width: width - 40, height: height - top - 20 });
+    return { dataURL: canvas.toDataURL('image/png'), width, height };
+  }
+
+  // Legend along the bottom when there is more than one series
+  const legendSeries = chart.groups.flatMap(group => group.series);
+  const legendHeight = legendSeries.length > 1 ? 30 : 0;
+  if (legendHeight) {
+    ctx.font = '13px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    let x = 70;
+    legendSeries.forEach((series, index) => {
+      const label = truncateLabel(series.name || `Series ${index + 1}`, 24);
+      const labelWidth = ctx.measureText(label).width + 34;
+      if (x + labelWidth > width - 20) return;
+      ctx.fillStyle = PALETTE[index % PALETTE.length];
+      ctx.fillRect(x, height - 22, 12, 12);
+      ctx.fillStyle = '#333333';
+      ctx.fillText(label, x + 18, height - 16);
+      x += labelWidth;
+    });
+  }
+
+  const horizontal = chart.groups.every(group => group.kind === 'bar');
+  const left = horizontal ? 130 : 70;
+  drawAxesChart(ctx, chart, {
+    x: left,
+    y: top,
+    width: width - left - 30,
+    height: height - top - 40 - legendHeight
+  });
+
+  return { dataURL: canvas.toDataURL('image/png'), width, height };
+}
+
+/**
+ * Short text summary of a chart, used as its alt text
+ * @param {Object} chart - Chart model
+ * @returns {string} Summary such as `Column chart "Revenue" (2 series, 4 categories)`
+ */
+export function describeChart(chart) {
+  const kinds = [...new Set(chart.groups.map(group => group.kind))];
+  const kindLabel = kinds.map(kind => kind.charAt(0).toUpperCase() + kind.slice(1)).join('/');
+  const seriesCount = chart.groups.reduce((count, group) => count + group.series.length, 0);
+  const categoryCount = chart.categories.length;
+  const title = chart.title ? ` "${chart.title}"` : '';
+  return `${kindLabel} chart${title} (${seriesCount} series${categoryCount ? `, ${categoryCount} categories` : ''})`;
+}
@@ -0,0 +1,287 @@
+import { renderHtmlTable, renderMarkdownTable } from './textReplacementUtils';
+
+/**
+ * Token-aware chunking of replaced pages for retrieval (RAG) pipelines.
+ *
+ * Chunks are packed from whole content blocks and only break between them;
+ * a block is split only when it alone exceeds the token budget (text at
+ * paragraph, line, sentence and word boundaries; tables between rows with
+ * the header repeated). Image and page scan descriptions are never split.
+ */
+
+export const DEFAULT_CHUNKING_OPTIONS = {
+  maxTokens: 512,
+  overlapTokens: 64,
+  // Encoding of OpenAI's text-embedding-3 models; GPT-4o models use o200k_base
+  encoding: 'cl100k_base',
+  keepPagesSeparate: true
+};
+
+// Encodings are several megabytes each, so they are loaded on first use
+const TOKENIZER_LOADERS = {
+  cl100k_base: () => import('gpt-tokenizer/encoding/cl100k_base'),
+  o200k_base: () => import('gpt-tokenizer/encoding/o200k_base')
+};
+
+export const TOKENIZER_ENCODINGS = Object.keys(TOKENIZER_LOADERS);
+
+// Units inside a chunk are separated by a blank line, which is one token
+const UNIT_SEPARATOR = '\n\n';
+const UNIT_SEPARATOR_TOKENS = 1;
+
+// Progressively finer split points for text that exceeds the budget
+const TEXT_SPLITTERS = [
+  { pattern: /\n{2,}/, joiner: '\n\n' },
+  { pattern: /\n/, joiner: '\n' },
+  { pattern: /(?<=[.!?])\s+/, joiner: ' ' },
+  { pattern: /\s+/, joiner: ' ' }
+];
+
+/**
+ * Loads a local tokenizer that matches OpenAI token counts
+ * @param {string} encoding - Encoding name (`cl100k_base` or `o200k_base`)
+ * @returns {Promise<Object>} `{ encoding, countTokens, encode, decode }`
+ */
+export async function loadTokenizer(encoding = DEFAULT_CHUNKING_OPTIONS.encoding) {
+  const loader = TOKENIZER_LOADERS[encoding];
+  if (!loader) {
+    throw new Error(`Unsupported tokenizer encoding: ${encoding}`);
+  }
+  const { countTokens, encode, decode } = await loader();
+  return { encoding, countTokens, encode, decode };
+}
+
+/**
+ * Splits text into pieces of at most `maxTokens`, preferring the coarsest
+ * boundaries and merging neighbouring pieces back up to the budget
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Token budget per piece
+ * @param {Object} tokenizer - Tokenizer from loadTokenizer
+ * @param {number} level - Index into TEXT_SPLITTERS
+ * @returns {Array<string>} Pieces in order
+ */
+const splitText = (text, maxTokens, tokenizer, level = 0) => {
+  if (tokenizer.countTokens(text) <= maxTokens) return [text];
+
+  if (level >= TEXT_SPLITTERS.length) {
+    // A single "word" longer than the budget: cut it by tokens
+    const tokens = tokenizer.encode(text);
+    const pieces = [];
+    for (let i = 0; i < tokens.length; i += maxTokens) {
+      pieces.push(tokenizer.decode(tokens.slice(i, i + maxTokens)));
+    }
+    return pieces;
+  }
+
+  const { pattern, joiner } = TEXT_SPLITTERS[level];
+  const parts = text.split(pattern).map(part => part.trim()).filter(Boolean);
+  if (parts.length <= 1) return splitText(text, maxTokens, tokenizer, level + 1);
+
+  const pieces = [];
+  let current = '';
+  parts
+    .flatMap(part => splitText(part, maxTokens, tokenizer, level + 1))
+    .forEach(part => {
+      const candidate = current ? `${current}${joiner}${part}` : part;
+      if (current && tokenizer.countTokens(candidate) > maxTokens) {
+        pieces.push(current);
+        current = part;
+      } else {
+        current = candidate;
+      }
+    });
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+/**
+ * Splits a table block into row groups that fit the budget, repeating the
+ * header row in every group
+ * @param {Object} block - Table block from createTextReplacement
+ * @param {number} maxTokens - Token budget
+ * @param {Object} tokenizer - Tokenizer from loadTokenizer
+ * @returns {Array<string>} Rendered table pieces
+ */
+const splitTable = (block, maxTokens, tokenizer) => {
+  if (tokenizer.countTokens(block.text) <= maxTokens || !block.rows?.length) return [block.text];
+
+  const render = block.text.startsWith('<thead>') ? renderHtmlTable : renderMarkdownTable;
+  const [header, ...body] = block.rows;
+  const pieces = [];
+  let rows = [];
+  body.forEach(row => {
+    if (rows.length > 0 && tokenizer.countTokens(render([header, ...rows, row])) > maxTokens) {
+      pieces.push(render([header, ...rows]));
+      rows = [];
+    }
+    rows.push(row);
+  });
+  if (rows.length > 0) pieces.push(render([header, ...rows]));
+  return pieces;
+};
+
+/**
+ * Turns the blocks of the replaced pages into the units chunks are packed
+ * from, each at most `maxTokens` except for image descriptions
+ * @param {Array} pages - Pages from createTextReplacement
+ * @param {number} maxTokens - Token budget
+ * @param {Object} tokenizer - Tokenizer from loadTokenizer
+ * @returns {Array} Units `{ text, tokens, pageNumber, blockType, imageId, splittable }`
+ */
+const createUnits = (pages, maxTokens, tokenizer) => {
+  const units = [];
+  const addUnit = (text, pageNumber, blockType, extra = {}) => {
+    units.push({ text, tokens: tokenizer.countTokens(text), pageNumber, blockType, imageId: null, splittable: false, ...extra });
+  };
+
+  for (const page of pages) {
+    for (const block of page.blocks || []) {
+      if (block.type === 'image' || block.type === 'pageScan') {
+        const label = block.type === 'pageScan' ? 'Page scan' : 'Image';
+        addUnit(`[${label} ${block.imageId}]: ${block.text.trim()}`, page.pageNumber, block.type, { imageId: block.imageId });
+      } else if (block.type === 'table') {
+        splitTable(block, maxTokens, tokenizer).forEach(text => addUnit(text, page.pageNumber, 'table'));
+      } else if (block.text?.trim() && block.text !== '[Empty page]') {
+        block.text.split(/\n{2,}/)
+          .map(paragraph => paragraph.trim())
+          .filter(Boolean)
+          .flatMap(paragraph => splitText(paragraph, maxTokens, tokenizer))
+          .forEach(text => addUnit(text, page.pageNumber, block.type, { splittable: true }));
+      }
+    }
+  }
+  return units;
+};
+
+/**
+ * Builds the overlap carried into the next chunk: trailing sentences of the
+ * text that ended the previous chunk, up to `overlapTokens`
+ * @param {Array} units - Units of the previous chunk
+ * @param {number} overlapTokens - Overlap budget
+ * @param {Object} tokenizer - Tokenizer from loadTokenizer
+ * @returns {Array} Overlap units, in order
+ */
+const createOverlap = (units, overlapTokens, tokenizer) => {
+  const overlap = [];
+  let budget = overlapTokens;
+
+  for (let i = units.length - 1; i >= 0 && budget > 0; i--) {
+    const unit = units[i];
+    // Image descriptions and tables are not repeated
+    if (!unit.splittable) break;
+
+    const sentences = unit.text.split(/(?<=[.!?])\s+/);
+    const kept = [];
+    for (let j = sentences.length - 1; j >= 0; j--) {
+      const tokens = tokenizer.countTokens(sentences[j]) + (kept.length > 0 ? 1 : 0);
+      if (tokens > budget) break;
+      kept.unshift(sentences[j]);
+      budget -= tokens;
+    }
+    if (kept.length === 0) break;
+
+    const text = kept.join(' ');
+    overlap.unshift({ ...unit, text, tokens: tokenizer.countTokens(text), isOverlap: true });
+    if (kept.length < sentences.length) break;
+    budget -= UNIT_SEPARATOR_TOKENS;
+  }
+  return overlap;
+};
+
+/**
+ * Splits the replaced pages into token-budgeted chunks for a vector store
+ * @param {Object} replacementResult - Result from createTextReplacement
+ * @param {Object} options - Chunking options
+ * @param {string} options.sourceFileName - Source file name for the chunk metadata
+ * @param {number} options.maxTokens - Token budget per chunk (default: 512)
+ * @param {number} options.overlapTokens - Tokens of trailing text repeated at
+ *   the start of the next chunk (default: 64)
+ * @param {string} options.encoding - Tokenizer encoding (default: cl100k_base)
+ * @param {boolean} options.keepPagesSeparate - Never combine content from different
+ *   pages (default: true); when false, a chunk's `pageStart`/`pageEnd` give its page range
+ * @returns {Promise<Array>} Chunks `{ id, text, metadata }`
+ */
+export async function createChunks(replacementResult, options = {}) {
+  if (!replacementResult?.success || !replacementResult.pages?.length) {
+    return [];
+  }
+
+  const { sourceFileName = null, encoding, keepPagesSeparate } = { ...DEFAULT_CHUNKING_OPTIONS, ...options };
+  const maxTokens = Math.max(16, Math.floor(Number(options.maxTokens) || DEFAULT_CHUNKING_OPTIONS.maxTokens));
+  const overlapTokens = Math.min(
+    Math.max(0, Math.floor(Number(options.overlapTokens ?? DEFAULT_CHUNKING_OPTIONS.overlapTokens) || 0)),
+    Math.floor(maxTokens / 2)
+  );
+
+  const tokenizer = await loadTokenizer(encoding);
+  const units = createUnits(replacementResult.pages, maxTokens, tokenizer);
+  console.log(`Chunking ${units.length} units from ${replacementResult.pages.length} pages (budget ${maxTokens}, overlap ${overlapTokens}, ${encoding})`);
+
+  const chunkUnits = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const hasContent = () => current.some(unit => !unit.isOverlap);
+  const flush = () => {
+    if (hasContent()) chunkUnits.push(current);
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const unit of units) {
+    const last = current[current.length - 1];
+    const pageChanged = last && last.pageNumber !== unit.pageNumber;
+
+    if (hasContent() && ((keepPagesSeparate && pageChanged) ||
+        currentTokens + UNIT_SEPARATOR_TOKENS + unit.tokens > maxTokens)) {
+      const previous = current;
+      flush();
+      if (overlapTokens > 0 && !(keepPagesSeparate && pageChanged)) {
+        // Only carry as much overlap as still leaves room for the next unit
+        const overlap = createOverlap(previous, overlapTokens, tokenizer);
+        while (overlap.length > 0 &&
+          overlap.reduce((sum, item) => sum + item.tokens + UNIT_SEPARATOR_TOKENS, 0) + unit.tokens > maxTokens) {
+          overlap.shift();
+        }
+        current = overlap;
+        currentTokens = overlap.reduce((sum, item) => sum + item.tokens + UNIT_SEPARATOR_TOKENS, 0);
+      }
+    }
+
+    currentTokens += (current.length > 0 ? UNIT_SEPARATOR_TOKENS : 0) + unit.tokens;
+    current.push(unit);
+  }
+  flush();
+
+  const baseId = (sourceFileName || 'document').replace(/\.[^.]+$/, '');
+  return chunkUnits.map((chunk, index) => {
+    const text = chunk.map(unit => unit.text).join(UNIT_SEPARATOR);
+    const pageNumbers = chunk.map(unit => unit.pageNumber);
+    const overlap = chunk.filter(unit => unit.isOverlap);
+
+    return {
+      id: `${baseId}#${index + 1}`,
+      text,
+      metadata: {
+        source: sourceFileName,
+        chunkIndex: index,
+        pageStart: Math.min(...pageNumbers),
+        pageEnd: Math.max(...pageNumbers),
+        blockTypes: [...new Set(chunk.filter(unit => !unit.isOverlap).map(unit => unit.blockType))],
+        imageIds: chunk.filter(unit => unit.imageId).map(unit => unit.imageId),
+        tokenCount: tokenizer.countTokens(text),
+        overlapTokenCount: overlap.reduce((sum, unit) => sum + unit.tokens, 0),
+        encoding
+      }
+    };
+  });
+}
+
+/**
+ * Serializes chunks as JSON Lines, one chunk per line
+ * @param {Array} chunks - Chunks from createChunks
+ * @returns {string} JSONL text
+ */
+export function chunksToJsonl(chunks) {
+  return chunks.map(chunk => JSON.stringify(chunk)).join('\n') + (chunks.length > 0 ? '\n' : '');
+}
@@ -0,0 +1,334 @@
+import { getImageFileName } from './imageUtils';
+import { renderAnnotationText, renderFormFieldsText } from './textReplacementUtils';
+
+/**
+ * Canonical JSON document model: the processed PDF as document → pages →
+ * ordered blocks, so downstream tools don't have to re-parse the formatted
+ * text to find out which content came from which page and image.
+ *
+ * The shape is described by `public/schemas/document-model-v1.schema.json`.
+ * Bump DOCUMENT_MODEL_VERSION (and publish a new schema) for any change that
+ * is not purely additive.
+ */
+
+export const DOCUMENT_MODEL_VERSION = '1.11.0';
+export const DOCUMENT_MODEL_SCHEMA_PATH = '/schemas/document-model-v1.schema.json';
+
+/**
+ * Rounds a bounding box to 0.01pt, or returns null when there is none
+ * @param {Object} bbox - Box with x, y, width and height
+ * @returns {Object|null} Rounded box
+ */
+const roundBox = (bbox) => {
+  if (!bbox) return null;
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+  return { x: round(bbox.x), y: round(bbox.y), width: round(bbox.width), height: round(bbox.height) };
+};
+
+/**
+ * Analysis status of an image result
+ * @param {Object} result - Entry of imageAnalysisResults
+ * @returns {string} success, refused, failed or not_analyzed
+ */
+const getAnalysisStatus = (result) => {
+  if (!result) return 'not_analyzed';
+  if (result.success && result.refusalDetected) return 'refused';
+  return result.success ? 'success' : 'failed';
+};
+
+/**
+ * Recognized words of an offline OCR result, with their boxes scaled from
+ * image pixels to page points when the page size is known
+ * @param {Object} result - OCR analysis result
+ * @param {Object|undefined} image - OCRed image
+ * @param {number|null} pageWidth - Width of the page the image covers
+ * @returns {Object} `{ confidence, words }`
+ */
+const describeOcr = (result, image, pageWidth) => {
+  const scale = pageWidth && image?.width ? pageWidth / image.width : 1;
+  return {
+    confidence: result.confidence ?? null,
+    words: (result.words || []).map(word => ({
+      text: word.text,
+      confidence: word.confidence,
+      bbox: roundBox({
+        x: word.bbox.x * scale,
+        y: word.bbox.y * scale,
+        width: word.bbox.width * scale,
+        height: word.bbox.height * scale
+      })
+    }))
+  };
+};
+
+/**
+ * Source image details and analysis metadata shared by image and page scan blocks
+ * @param {string} imageId - Extracted image ID
+ * @param {Map} imagesById - Extracted images by ID
+ * @param {Map} analysisById - Analysis results by image ID
+ * @param {string|null} defaultModel - Model to report when the result doesn't record one
+ * @param {number|null} [pageWidth] - Page width, for page scans whose OCR word boxes are given in page points
+ * @returns {Object} `source` and `analysis` block fields
+ */
+const describeImage = (imageId, imagesById, analysisById, defaultModel, pageWidth = null) => {
+  const image = imagesById.get(imageId);
+  const result = analysisById.get(imageId);
+
+  return {
+    source: {
+      imageId,
+      fileName: image ? getImageFileName(image) : null,
+      mimeType: image?.dataURL?.match(/^data:([^;,]+)/)?.[1] || null,
+      width: image?.width ?? null,
+      height: image?.height ?? null
+    },
+    analysis: {
+      status: getAnalysisStatus(result),
+      text: result?.success && !result.refusalDetected ? result.text || '' : null,
+      model: result ? result.model || defaultModel : null,
+      analysisType: result?.analysisType || null,
+      refusalDetected: !!result?.refusalDetected,
+      refusalRetries: result?.refusalRetries || 0,
+      retries: result?.retries || 0,
+      sharedWithImageId: result?.sharedWithLeader || null,
+      error: result?.error || null,
+      ...(result?.analysisType === 'ocr' && result.success && { ocr: describeOcr(result, image, pageWidth) })
+    }
+  };
+};
+
+/**
+ * Builds the ordered blocks of one page
+ * @param {Object} page - Page from processPdfDocument
+ * @param {Map} imagesById - Extracted images by ID
+ * @param {Map} analysisById - Analysis results by image ID
+ * @param {string|null} defaultModel - Model to report for analysis results
+ * @returns {Array} Blocks in reading order
+ */
+const buildPageBlocks = (page, imagesById, analysisById, defaultModel) => {
+  const blocks = [];
+  const references = page.imageReferences || [];
+  const placedImageIds = new Set();
+  const addBlock = (block) => {
+    blocks.push({ id: `p${page.pageNumber}_b${blocks.length + 1}`, ...block });
+  };
+
+  // Email headers open the message page
+  if (page.emailHeaders?.length) {
+    addBlock({
+      type: 'email_headers',
+      bbox: null,
+      column: null,
+      headers: page.emailHeaders.map(({ name, value }) => ({ name, value })),
+      text: page.emailHeaders.map(header => `${header.name}: ${header.value}`).join('\n')
+    });
+  }
+
+  // Page scans come first, like their placeholder in the page text
+  references.filter(ref => ref.isFullPage).forEach(ref => {
+    placedImageIds.add(ref.id);
+    addBlock({
+      type: 'page_scan',
+      bbox: page.width ? { x: 0, y: 0, width: page.width, height: page.height } : null,
+      placeholder: ref.placeholder,
+      ...describeImage(ref.id, imagesById, analysisById, defaultModel, page.width || null)
+    });
+  });
+
+  if (page.layout) {
+    for (const block of page.layout.blocks) {
+      if (block.kind === 'text') {
+        const links = [...new Set(block.lines.flatMap(line => line.links || []))].filter(link => link.text);
+        addBlock({
+          type: 'text',
+          bbox: roundBox(block.bbox),
+          column: block.column,
+          text: block.lines.map(line => line.text).join('\n'),
+          ...(links.length > 0 && { links: links.map(({ text, url }) => ({ text, url })) })
+        });
+      } else if (block.kind === 'table') {
+        addBlock({
+          type: 'table',
+          bbox: roundBox(block.bbox),
+          column: block.column,
+          tableId: block.item.id,
+          placeholder: block.item.placeholder,
+          detection: block.item.source || null,
+          rows: block.item.rows
+        });
+      } else if (block.kind === 'image' && block.item?.id) {
+        placedImageIds.add(block.item.id);
+        addBlock({
+          type: imagesById.get(block.item.id)?.type === 'vector_figure' ? 'vector_figure' : 'image',
+          bbox: roundBox(block.bbox),
+          column: block.column,
+          placeholder: block.item.placeholder,
+          ...describeImage(block.item.id, imagesById, analysisById, defaultModel)
+        });
+      }
+    }
+  } else if (page.structure?.length) {
+    // Formats without a positioned layout (e.g. DOCX) carry their structure
+    const tablesByPlaceholder = new Map((page.tables || []).map(table => [table.placeholder, table]));
+    const referencesByPlaceholder = new Map(references.map(ref => [ref.placeholder, ref]));
+    for (const element of page.structure) {
+      if (element.type === 'table') {
+        const table = tablesByPlaceholder.get(element.placeholder);
+        addBlock({
+          type: 'table',
+          bbox: roundBox(table?.bbox),
+          column: null,
+          tableId: table?.id || element.placeholder,
+          placeholder: element.placeholder,
+          detection: table?.source || null,
+          rows: element.rows
+        });
+      } else if (element.type === 'image') {
+        const ref = referencesByPlaceholder.get(element.placeholder);
+        if (!ref || placedImageIds.has(ref.id)) continue;
+        placedImageIds.add(ref.id);
+        addBlock({
+          type: 'image',
+          bbox: roundBox(imagesById.get(ref.id)?.bbox),
+          column: null,
+          placeholder: ref.placeholder,
+          ...describeImage(ref.id, imagesById, analysisById, defaultModel)
+        });
+      } else if (element.text) {
+        addBlock({
+          type: 'text',
+          bbox: null,
+          column: null,
+          role: element.type === 'listItem' ? 'list_item' : element.type,
+          ...(element.level !== undefined && { level: element.level }),
+          text: element.text
+        });
+      }
+    }
+  } else if (page.content?.rawText?.trim()) {
+    // No layout (e.g. a page without positioned text): keep its text as one block
+    addBlock({ type: 'text', bbox: null, column: null, text: page.content.rawText.trim() });
+  }
+
+  // Images that never made it into the layout still belong to the page
+  references.filter(ref => !placedImageIds.has(ref.id)).forEach(ref => {
+    addBlock({
+      type: 'image',
+      bbox: roundBox(imagesById.get(ref.id)?.bbox),
+      column: null,
+      placeholder: ref.placeholder,
+      ...describeImage(ref.id, imagesById, analysisById, defaultModel)
+    });
+  });
+
+  if (page.formFields?.length) {
+    addBlock({
+      type: 'form_fields',
+      bbox: null,
+      column: null,
+      fields: page.formFields.map(field => ({ ...field, bbox: roundBox(field.bbox) })),
+      text: renderFormFieldsText(page.formFields)
+    });
+  }
+
+  (page.annotations || []).forEach(annotation => {
+    addBlock({
+      type: 'annotation',
+      bbox: roundBox(annotation.bbox),
+      column: null,
+      annotationType: annotation.type,
+      author: annotation.author,
+      date: annotation.date,
+      contents: annotation.contents,
+      highlightedText: annotation.highlightedText,
+      inReplyTo: annotation.inReplyTo,
+      text: renderAnnotationText(annotation)
+    });
+  });
+
+  if (page.speakerNotes?.trim()) {
+    addBlock({ type: 'speaker_notes', bbox: null, column: null, text: page.speakerNotes.trim() });
+  }
+
+  return blocks;
+};
+
+/**
+ * Builds the versioned JSON document model for a processed PDF
+ * @param {Object} pdfResult - Result of processPdfDocument
+ * @param {Object} analysisResult - Result of image analysis, with `imageAnalysisResults`
+ * @param {Object} options - Options
+ * @param {Object} options.settings - Processing settings to report when the
+ *   results don't record them (e.g. the model selected in Settings)
+ * @returns {Object} Document model matching DOCUMENT_MODEL_SCHEMA_PATH
+ */
+export function buildDocumentModel(pdfResult, analysisResult, { settings = {} } = {}) {
+  const images = pdfResult?.images || [];
+  const analysisResults = analysisResult?.imageAnalysisResults || [];
+  const imagesById = new Map(images.map(image => [image.id, image]));
+  const analysisById = new Map(analysisResults.map(result => [result.imageId, result]));
+
+  const analysisSkipped = analysisResult?.analysisSkipped === true;
+  const processingSettings = {
+    scanAllPages: false,
+    layoutDebug: false,
+    model: null,
+    ...settings,
+    ...pdfResult?.processingOptions,
+    ...analysisResult?.analysisOptions,
+    analysisSkipped,
+    analysisSkippedReason: analysisResult?.analysisSkippedReason || null
+  };
+  if (analysisSkipped) {
+    processingSettings.model = null;
+  }
+
+  const pages = (pdfResult?.pages || []).map(page => ({
+    pageNumber: page.pageNumber,
+    ...(page.pageLabel && { pageLabel: page.pageLabel }),
+    width: page.width ?? page.layout?.width ?? null,
+    height: page.height ?? page.layout?.height ?? null,
+    isScanned: !!page.isScanned,
+    ...(page.textQuality && { textQuality: page.textQuality }),
+    ...(page.attachment && {
+      attachment: {
+        parentPageNumber: page.attachment.parentPageNumber,
+        fileName: page.attachment.fileName,
+        sourceType: page.attachment.sourceType || null
+      }
+    }),
+    blocks: buildPageBlocks(page, imagesById, analysisById, processingSettings.model)
+  }));
+
+  const countStatus = (status) => analysisResults.filter(result => getAnalysisStatus(result) === status).length;
+
+  return {
+    $schema: DOCUMENT_MODEL_SCHEMA_PATH,
+    schemaVersion: DOCUMENT_MODEL_VERSION,
+    generatedAt: new Date().toISOString(),
+    document: {
+      fileName: pdfResult?.originalFilename || null,
+      pageCount: pdfResult?.totalPages ?? pages.length,
+      imageCount: images.length,
+      processingTimeMs: pdfResult?.processingTime ? Math.round(pdfResult.processingTime) : null,
+      ...(pdfResult?.metadata?.encryption && { encryption: pdfResult.metadata.encryption }),
+      ...(pdfResult?.metadata?.info && {
+        metadata: {
+          info: pdfResult.metadata.info,
+          xmp: pdfResult.metadata.xmp || null,
+          outline: pdfResult.metadata.outline || [],
+          pageLabels: pdfResult.metadata.pageLabels || null,
+          ...(pdfResult.metadata.runningText && { runningText: pdfResult.metadata.runningText })
+        }
+      })
+    },
+    settings: processingSettings,
+    analysis: {
+      analyzed: analysisResults.length,
+      successful: countStatus('success'),
+      refused: countStatus('refused'),
+      failed: countStatus('failed')
+    },
+    pages
+  };
+}
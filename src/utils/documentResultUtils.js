@@ -0,0 +1,21 @@
+/**
+ * Builds the processing result every document processor returns when it
+ * cannot read its input, in the processPdfDocument result shape.
+ */
+
+/**
+ * Creates the result of a document that could not be processed
+ * @param {string} error - Error message shown to the user
+ * @returns {Object} Failed result with no pages or images
+ */
+export function createFailedResult(error) {
+  return {
+    success: false,
+    error,
+    pages: [],
+    images: [],
+    totalPages: 0,
+    processingTime: 0,
+    progress: { current: 0, total: 0 }
+  };
+}
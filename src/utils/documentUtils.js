@@ -0,0 +1,135 @@
+import { processPdfDocument } from './pdfUtils';
+import { processDocxDocument } from './docxUtils';
+import { processPptxDocument } from './pptxUtils';
+import { processImageDocument } from './imageDocumentUtils';
+import { processSpreadsheetDocument } from './spreadsheetUtils';
+import { processHtmlDocument, processEpubDocument } from './htmlUtils';
+import { processEmailDocument } from './emailUtils';
+import { createFailedResult } from './documentResultUtils';
+
+/**
+ * Input formats and their processors. Every processor takes the file bytes
+ * plus the processPdfDocument options and returns the processPdfDocument
+ * result shape (`{ success, pages, images, ... }`).
+ */
+export const DOCUMENT_TYPES = {
+  pdf: {
+    label: 'PDF',
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    process: processPdfDocument
+  },
+  docx: {
+    label: 'Word',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    process: processDocxDocument
+  },
+  pptx: {
+    label: 'PowerPoint',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extensions: ['.pptx'],
+    process: processPptxDocument
+  },
+  image: {
+    label: 'image',
+    mimeTypes: ['image/png', 'image/jpeg', 'image/webp', 'image/tiff'],
+    extensions: ['.png', '.jpg', '.jpeg', '.webp', '.tif', '.tiff'],
+    process: processImageDocument
+  },
+  spreadsheet: {
+    label: 'spreadsheet',
+    mimeTypes: [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'text/csv'
+    ],
+    extensions: ['.xlsx', '.ods', '.csv'],
+    process: processSpreadsheetDocument
+  },
+  epub: {
+    label: 'EPUB',
+    mimeTypes: ['application/epub+zip'],
+    extensions: ['.epub'],
+    process: processEpubDocument
+  },
+  html: {
+    label: 'HTML',
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml'],
+    process: processHtmlDocument
+  },
+  email: {
+    label: 'email',
+    mimeTypes: ['message/rfc822', 'application/mbox'],
+    extensions: ['.eml', '.mbox'],
+    // Attachments are processed with the processor for their own type
+    process: (data, options) => processEmailDocument(data, { ...options, processAttachment })
+  }
+};
+
+/**
+ * Accepted MIME types and extensions, in the react-dropzone `accept` format
+ */
+export const ACCEPTED_FILE_TYPES = Object.values(DOCUMENT_TYPES).reduce((accept, type) => {
+  type.mimeTypes.forEach(mimeType => {
+    accept[mimeType] = type.extensions;
+  });
+  return accept;
+}, {});
+
+/**
+ * Works out the document type of a file from its extension, falling back to
+ * its MIME type (browsers often report Office files without one)
+ * @param {Object} file - File (or `{ name, type }`)
+ * @returns {string|null} Key of DOCUMENT_TYPES, or null when unsupported
+ */
+export function getDocumentType(file) {
+  if (!file) return null;
+  const name = (file.name || '').toLowerCase();
+  const entry = Object.entries(DOCUMENT_TYPES).find(([, type]) =>
+    type.extensions.some(extension => name.endsWith(extension))
+  ) || Object.entries(DOCUMENT_TYPES).find(([, type]) => type.mimeTypes.includes(file.type));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Processes an email attachment with the processor for its type
+ * @param {Object} file - `{ name, type }` of the attachment
+ * @param {Uint8Array} data - Attachment bytes
+ * @param {Object} options - Processing options
+ * @returns {Promise<Object|null>} Result, or null when the type is not supported
+ */
+const processAttachment = async (file, data, options) => {
+  const documentType = getDocumentType(file);
+  return documentType ? processDocument(data, { ...options, documentType }) : null;
+};
+
+/**
+ * Removes a supported document extension from a file name
+ * @param {string} fileName - File name
+ * @returns {string} File name without its document extension
+ */
+export function stripDocumentExtension(fileName) {
+  const extension = Object.values(DOCUMENT_TYPES)
+    .flatMap(type => type.extensions)
+    .find(ext => fileName.toLowerCase().endsWith(ext));
+  return extension ? fileName.slice(0, -extension.length) : fileName;
+}
+
+/**
+ * Processes a document of any supported type
+ * @param {ArrayBuffer|Uint8Array} data - The binary file data
+ * @param {Object} options - Processing options, plus `documentType` (a key of DOCUMENT_TYPES)
+ * @returns {Promise<Object>} Processed document in the processPdfDocument result shape
+ */
+export async function processDocument(data, options = {}) {
+  const { documentType = 'pdf', ...processingOptions } = options;
+  const type = DOCUMENT_TYPES[documentType];
+  if (!type) {
+    return createFailedResult(`Unsupported document type: ${documentType}`);
+  }
+
+  const result = await type.process(data, processingOptions);
+  return result.success ? { sourceType: documentType, ...result } : result;
+}
@@ -0,0 +1,569 @@
+import { extractHtmlBlocks, buildPagesFromBlocks, decodeDataUri } from './htmlUtils';
+import { createFailedResult } from './documentResultUtils';
+
+/**
+ * Email ingestion: every message of an `.eml` or `.mbox` file becomes a page
+ * holding its headers, its body (text/plain, or the text of the text/html
+ * part) and its inline images. Attachments are run through the extractor for
+ * their format and their pages follow the message, each carrying
+ * `attachment: { parentPageNumber, fileName, index, sourceType }` so the
+ * output can nest them under the message.
+ */
+
+// Headers shown in the headers block, in this order
+const DISPLAYED_HEADERS = ['From', 'To', 'Cc', 'Date', 'Subject'];
+
+// Attached messages inside attached messages are followed this deep
+const MAX_NESTING_DEPTH = 5;
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Converts bytes to a binary string (one character per byte), the form the
+ * MIME parser works on so that 8-bit and base64 parts survive untouched
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Binary string
+ */
+const toBinaryString = (bytes) => {
+  let result = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    result += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+  }
+  return result;
+};
+
+const toBytes = (binary) => {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+};
+
+/**
+ * Decodes a binary string as text in the given charset, falling back to
+ * UTF-8 and then Windows-1252 when the charset is unknown or the bytes are invalid
+ * @param {string} binary - Binary string
+ * @param {string} [charset] - Declared charset
+ * @returns {string} Text
+ */
+const decodeText = (binary, charset) => {
+  const bytes = toBytes(binary);
+  for (const label of [charset, 'utf-8']) {
+    if (!label) continue;
+    try {
+      return new TextDecoder(label, { fatal: true }).decode(bytes);
+    } catch (_decodeError) {
+      // Try the next charset
+    }
+  }
+  return new TextDecoder('windows-1252').decode(bytes);
+};
+
+/**
+ * Decodes RFC 2047 encoded words (`=?charset?B|Q?...?=`) in a header value
+ * @param {string} value - Raw header value (already decoded from 8-bit)
+ * @returns {string} Decoded value
+ */
+const decodeEncodedWords = (value) => {
+  return value
+    // Whitespace between adjacent encoded words is not part of the text
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([bBqQ])\?([^?]*)\?=/g, (word, charset, encoding, text) => {
+      try {
+        const binary = encoding.toUpperCase() === 'B'
+          ? atob(text)
+          : text.replace(/_/g, ' ').replace(/=([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return decodeText(binary, charset.split('*')[0]);
+      } catch (_wordError) {
+        return word;
+      }
+    });
+};
+
+/**
+ * Parses a structured header value (`type/subtype; name=value; ...`),
+ * including RFC 2231 extended and continued parameters
+ * @param {string} value - Header value
+ * @returns {Object} `{ value, params }`; value is lower case, params are keyed by lower-case name
+ */
+const parseStructuredHeader = (value = '') => {
+  const [main, ...rest] = value.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const continuations = {};
+  const params = {};
+
+  rest.forEach(param => {
+    const separator = param.indexOf('=');
+    if (separator === -1) return;
+    const name = param.slice(0, separator).trim().toLowerCase();
+    let paramValue = param.slice(separator + 1).trim();
+    if (paramValue.startsWith('"')) {
+      paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    const extended = /^([^*]+)\*(?:(\d+)\*?)?$/.exec(name);
+    if (!extended) {
+      params[name] = decodeEncodedWords(paramValue);
+      return;
+    }
+    const [, baseName, index = '0'] = extended;
+    continuations[baseName] = continuations[baseName] || [];
+    continuations[baseName][parseInt(index, 10)] = { value: paramValue, encoded: name.endsWith('*') };
+  });
+
+  Object.entries(continuations).forEach(([name, pieces]) => {
+    let charset = null;
+    params[name] = pieces.filter(Boolean).map((piece, index) => {
+      let text = piece.value;
+      if (!piece.encoded) return text;
+      if (index === 0) {
+        const match = /^([^']*)'[^']*'(.*)$/.exec(text);
+        if (match) {
+          charset = match[1];
+          text = match[2];
+        }
+      }
+      return decodeText(text.replace(/%([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))), charset);
+    }).join('');
+  });
+
+  return { value: main.trim().toLowerCase(), params };
+};
+
+/**
+ * Decodes a part body from its Content-Transfer-Encoding
+ * @param {string} body - Encoded body (binary string)
+ * @param {string} encoding - Transfer encoding (lower case)
+ * @returns {string} Decoded body (binary string)
+ */
+const decodeTransferEncoding = (body, encoding) => {
+  if (encoding === 'base64') {
+    // Padding is recomputed, so bodies with stray characters or missing
+    // padding still decode
+    const cleaned = body.replace(/[^A-Za-z0-9+/]/g, '');
+    const usable = cleaned.slice(0, cleaned.length - (cleaned.length % 4 === 1 ? 1 : 0));
+    try {
+      return atob(usable.padEnd(Math.ceil(usable.length / 4) * 4, '='));
+    } catch (_base64Error) {
+      return '';
+    }
+  }
+  if (encoding === 'quoted-printable') {
+    return body
+      .replace(/[ \t]+(\r?\n)/g, '$1')
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+  return body;
+};
+
+/**
+ * Parses a MIME entity (a message or one of its parts) into a tree
+ * @param {string} raw - Entity as a binary string
+ * @returns {Object} `{ headers, type, params, disposition, fileName, contentId, body, parts }`;
+ *   headers are `{ name, value }` in order, body is the decoded binary string
+ *   of a leaf part, parts the children of a multipart
+ */
+const parseMimeEntity = (raw) => {
+  // A part may start with the blank line when it has no headers
+  const separator = /(?:^|\r?\n)\r?\n/.exec(raw);
+  const headerText = separator ? raw.slice(0, separator.index) : raw;
+  const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+  const headers = headerText
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .map(line => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) return null;
+      return {
+        name: line.slice(0, colon).trim(),
+        value: decodeEncodedWords(decodeText(line.slice(colon + 1).trim())).trim()
+      };
+    })
+    .filter(Boolean);
+  const getHeader = (name) => headers.find(header => header.name.toLowerCase() === name)?.value;
+
+  const contentType = parseStructuredHeader(getHeader('content-type') || 'text/plain');
+  const disposition = parseStructuredHeader(getHeader('content-disposition') || '');
+  const entity = {
+    headers,
+    type: contentType.value.includes('/') ? contentType.value : 'text/plain',
+    params: contentType.params,
+    disposition: disposition.value || null,
+    fileName: disposition.params.filename || contentType.params.name || null,
+    contentId: (getHeader('content-id') || '').replace(/^<|>$/g, '').trim() || null,
+    body: '',
+    parts: []
+  };
+
+  const boundary = contentType.params.boundary;
+  if (entity.type.startsWith('multipart/') && boundary) {
+    const delimiter = new RegExp(`(?:^|\\r?\\n)--${escapeRegExp(boundary)}(--)?[ \\t]*(?:\\r?\\n|$)`, 'g');
+    let previousEnd = null;
+    let match;
+    while ((match = delimiter.exec(body)) !== null) {
+      if (previousEnd !== null) {
+        entity.parts.push(parseMimeEntity(body.slice(previousEnd, match.index)));
+      }
+      if (match[1]) break;
+      previousEnd = delimiter.lastIndex;
+    }
+  } else {
+    const encoding = (getHeader('content-transfer-encoding') || '').trim().toLowerCase();
+    entity.body = decodeTransferEncoding(body, encoding);
+  }
+
+  return entity;
+};
+
+/**
+ * Splits an mbox file into its messages. Lines starting with `From ` after a
+ * blank line (or at the start of the file) separate messages; `>From ` quoting
+ * is undone.
+ * @param {string} text - mbox file as a binary string
+ * @returns {Array<string>} Raw messages (binary strings)
+ */
+const splitMbox = (text) => {
+  return text
+    .split(/(?:^|\r?\n\r?\n)From [^\r\n]*\r?\n/)
+    .filter(message => message.trim())
+    .map(message => message.replace(/^>(>*From )/gm, '$1'));
+};
+
+/**
+ * Undoes format=flowed soft line breaks (RFC 3676) in a text/plain body
+ * @param {string} text - Body text
+ * @param {boolean} delSp - Whether the space before a soft break is removed
+ * @returns {string} Text with flowed lines joined
+ */
+const unflowText = (text, delSp) => {
+  const lines = text.split(/\r?\n/).map(line => (line.startsWith(' ') ? line.slice(1) : line));
+  const joined = [];
+  let current = null;
+  lines.forEach(line => {
+    const merged = current !== null ? current + line : line;
+    if (line.endsWith(' ') && line !== '-- ') {
+      current = delSp ? merged.slice(0, -1) : merged;
+    } else {
+      joined.push(merged);
+      current = null;
+    }
+  });
+  if (current !== null) joined.push(current);
+  return joined.join('\n');
+};
+
+/**
+ * Collects the body, inline images and attachments of a message
+ * @param {Object} message - Parsed message entity
+ * @returns {Object} `{ bodies, inlineImages, attachments }`
+ */
+const collectMessageParts = (message) => {
+  const bodies = [];
+  const inlineImages = [];
+  const attachments = [];
+
+  const visit = (entity, imagesOnly = false) => {
+    if (entity.type === 'multipart/alternative') {
+      // The plain text alternative is the body; images from the other
+      // alternatives (e.g. multipart/related HTML) are still kept
+      const chosen = entity.parts.find(part => part.type === 'text/plain') ||
+        entity.parts.find(part => part.type === 'text/html') ||
+        entity.parts[entity.parts.length - 1];
+      entity.parts.forEach(part => visit(part, imagesOnly || part !== chosen));
+      return;
+    }
+    if (entity.type.startsWith('multipart/')) {
+      entity.parts.forEach(part => visit(part, imagesOnly));
+      return;
+    }
+
+    // Images referenced by Content-ID are inline even when marked as attachments
+    const isInlineImage = entity.type.startsWith('image/') &&
+      (entity.disposition !== 'attachment' || !!entity.contentId);
+    const isAttachment = !isInlineImage && (entity.disposition === 'attachment' || !!entity.fileName);
+    if (isInlineImage) {
+      inlineImages.push(entity);
+    } else if (imagesOnly) {
+      return;
+    } else if (!isAttachment && (entity.type === 'text/plain' || entity.type === 'text/html')) {
+      bodies.push(entity);
+    } else if (entity.type === 'message/rfc822' || isAttachment) {
+      attachments.push(entity);
+    }
+  };
+
+  visit(message);
+  return { bodies, inlineImages, attachments };
+};
+
+/**
+ * Offsets the pages, images and tables of a processed document and appends
+ * them to `target`, renumbering IDs and placeholders so they stay unique
+ * @param {Object} target - Document being built (`pages`, `images`, `skippedObjects`,
+ *   `imageCount`, `tableCount`)
+ * @param {Object} source - Result in the processPdfDocument shape
+ * @param {Object|null} attachment - `{ parentPageNumber, fileName, index, sourceType }`
+ *   for the source's top-level pages, or null when it is not an attachment
+ */
+const appendDocument = (target, source, attachment) => {
+  const pageOffset = target.pages.length;
+  const imagesById = new Map(source.images.map(image => [image.id, image]));
+
+  source.pages.forEach(page => {
+    const pageNumber = pageOffset + page.pageNumber;
+    const replacements = new Map();
+    const renamed = new Map();
+
+    const imageReferences = page.imageReferences.map(ref => {
+      let id, placeholder;
+      if (ref.isFullPage) {
+        id = `page_${pageNumber}`;
+        placeholder = `[PAGE_IMAGE_${pageNumber}]`;
+      } else {
+        target.imageCount++;
+        id = `img_${pageNumber}_${target.imageCount}`;
+        placeholder = `[IMAGE_${target.imageCount}]`;
+      }
+      replacements.set(ref.placeholder, placeholder);
+      renamed.set(ref.id, { id, placeholder });
+      const image = imagesById.get(ref.id);
+      if (image) {
+        target.images.push({ ...image, id, originalId: id, pageNumber });
+      }
+      return { ...ref, id, placeholder };
+    });
+
+    const tables = (page.tables || []).map(table => {
+      target.tableCount++;
+      const id = `table_${pageNumber}_${target.tableCount}`;
+      const placeholder = `[TABLE_${target.tableCount}]`;
+      replacements.set(table.placeholder, placeholder);
+      renamed.set(table.id, { id, placeholder });
+      return { ...table, id, placeholder };
+    });
+
+    const placeholderRegex = replacements.size > 0
+      ? new RegExp([...replacements.keys()].map(escapeRegExp).join('|'), 'g')
+      : null;
+    const replacePlaceholders = (text) => (placeholderRegex && text
+      ? text.replace(placeholderRegex, placeholder => replacements.get(placeholder))
+      : text);
+
+    target.pages.push({
+      ...page,
+      pageNumber,
+      content: { ...page.content, formattedText: replacePlaceholders(page.content?.formattedText || '') },
+      imageReferences,
+      tables,
+      structure: (page.structure || []).map(element => (element.placeholder
+        ? { ...element, placeholder: replacePlaceholders(element.placeholder) }
+        : element)),
+      layout: page.layout
+        ? {
+            ...page.layout,
+            blocks: page.layout.blocks.map(block => (block.item?.id && renamed.has(block.item.id)
+              ? { ...block, item: { ...block.item, ...renamed.get(block.item.id) } }
+              : block))
+          }
+        : page.layout,
+      ...(page.attachment
+        ? { attachment: { ...page.attachment, parentPageNumber: page.attachment.parentPageNumber + pageOffset } }
+        : attachment ? { attachment } : {})
+    });
+  });
+
+  (source.skippedObjects || []).forEach(object => {
+    target.skippedObjects.push({
+      ...object,
+      page: object.page ? object.page + pageOffset : (attachment?.parentPageNumber ?? null),
+      objectName: attachment ? `${attachment.fileName}: ${object.objectName}` : object.objectName
+    });
+  });
+};
+
+/**
+ * Processes an `.eml` message or an `.mbox` mailbox: one page per message
+ * (headers block, body and inline images), followed by the pages of its
+ * supported attachments.
+ * @param {ArrayBuffer|Uint8Array} emailData - The binary file data
+ * @param {Object} options - Processing options (`progressCallback`, `logCallback`),
+ *   plus `processAttachment(file, data, options)`, which processes an attachment
+ *   (`file` is `{ name, type }`) and resolves to a result, or null when its
+ *   format is not supported
+ * @returns {Promise<Object>} Processed document in the processPdfDocument result shape
+ */
+export async function processEmailDocument(emailData, options = {}) {
+  const {
+    progressCallback = null,
+    logCallback = null,
+    processAttachment = null,
+    attachmentDepth = 0,
+    ...attachmentOptions
+  } = options;
+
+  const onProgress = typeof progressCallback === 'function' ? progressCallback : () => {};
+  const onLog = typeof logCallback === 'function' ? logCallback : () => {};
+  const startTime = performance.now();
+
+  onLog('Loading email...');
+  let rawMessages;
+  try {
+    const bytes = emailData instanceof Uint8Array ? emailData : new Uint8Array(emailData);
+    const text = toBinaryString(bytes);
+    // mbox files start with a `From ` separator line; .eml files with headers
+    rawMessages = /^From /.test(text) ? splitMbox(text) : [text];
+    if (rawMessages.length === 0 || !/^[\w-]+:/m.test(rawMessages[0])) {
+      throw new Error('No message headers found');
+    }
+  } catch (loadError) {
+    console.error('Error loading email:', loadError);
+    return createFailedResult(`Error loading email: ${loadError.message}`);
+  }
+  onLog(rawMessages.length > 1 ? `Mailbox has ${rawMessages.length} messages` : 'Email loaded');
+
+  /**
+   * Builds the pages of one message and its attachments
+   * @param {Object} message - Parsed message entity
+   * @param {number} depth - Nesting depth (attached messages)
+   * @returns {Promise<Object>} Document `{ pages, images, skippedObjects, imageCount, tableCount }`
+   */
+  const processMessage = async (message, depth) => {
+    const parsedDocument = { pages: [], images: [], skippedObjects: [], imageCount: 0, tableCount: 0 };
+    const { bodies, inlineImages, attachments } = collectMessageParts(message);
+
+    const blocks = [];
+    bodies.forEach(body => {
+      const text = decodeText(body.body, body.params.charset);
+      if (body.type === 'text/html') {
+        blocks.push(...extractHtmlBlocks(new DOMParser().parseFromString(text, 'text/html')));
+        return;
+      }
+      const plainText = body.params.format?.toLowerCase() === 'flowed'
+        ? unflowText(text, body.params.delsp?.toLowerCase() === 'yes')
+        : text;
+      plainText.split(/\r?\n(?:[ \t]*\r?\n)+/)
+        .map(paragraph => paragraph.replace(/\r/g, '').replace(/[ \t]+$/gm, '').trim())
+        .filter(Boolean)
+        .forEach(paragraph => blocks.push({ type: 'paragraph', text: paragraph }));
+    });
+
+    // Inline images the HTML body doesn't place itself go after the body
+    const imagesBySource = new Map();
+    inlineImages.forEach((image, index) => {
+      const source = image.contentId ? `cid:${image.contentId}` : `cid:inline-part-${index + 1}`;
+      imagesBySource.set(source, image);
+      if (!blocks.some(block => block.type === 'image' && block.src === source)) {
+        blocks.push({ type: 'image', src: source, altText: null });
+      }
+    });
+
+    const resolveImage = async (src) => {
+      if (src.startsWith('data:')) {
+        const decoded = decodeDataUri(src);
+        return decoded ? { ...decoded, path: null } : { error: 'Malformed data URI' };
+      }
+      const image = imagesBySource.get(src.startsWith('cid:') ? `cid:${decodeURIComponent(src.slice(4))}` : src);
+      if (!image) {
+        return { error: src.startsWith('cid:') ? 'Inline image part missing' : 'Linked (external) image' };
+      }
+      return { bytes: toBytes(image.body), mimeType: image.type, path: image.fileName };
+    };
+
+    const built = await buildPagesFromBlocks([{ blocks, path: null }], resolveImage, 'email', { onLog, onProgress: () => {} });
+    const messagePage = built.pages[0] || {
+      pageNumber: 1,
+      isScanned: false,
+      width: null,
+      height: null,
+      content: { rawText: '', formattedText: '' },
+      imageReferences: [],
+      tables: [],
+      structure: [],
+      layout: null
+    };
+    messagePage.emailHeaders = DISPLAYED_HEADERS
+      .map(name => ({ name, value: message.headers.find(header => header.name.toLowerCase() === name.toLowerCase())?.value }))
+      .filter(header => header.value);
+    appendDocument(parsedDocument, { ...built, pages: [messagePage] }, null);
+
+    const subject = messagePage.emailHeaders.find(header => header.name === 'Subject')?.value;
+    onLog(`Message "${subject || '(no subject)'}": ${blocks.length} body blocks, ${attachments.length} attachments`);
+
+    for (const [index, part] of attachments.entries()) {
+      const fileName = part.fileName || (part.type === 'message/rfc822' ? `message-${index + 1}.eml` : `attachment-${index + 1}`);
+      const attachment = { parentPageNumber: 1, fileName, index: index + 1, sourceType: null };
+      let result = null;
+
+      if (part.type === 'message/rfc822' || /\.eml$/i.test(fileName)) {
+        if (depth + 1 > MAX_NESTING_DEPTH) {
+          parsedDocument.skippedObjects.push({ page: 1, objectName: fileName, reason: 'Attached message nested too deeply' });
+          continue;
+        }
+        result = { success: true, sourceType: 'email', ...(await processMessage(parseMimeEntity(part.body), depth + 1)) };
+      } else if (typeof processAttachment === 'function' && attachmentDepth < MAX_NESTING_DEPTH) {
+        try {
+          result = await processAttachment({ name: fileName, type: part.type }, toBytes(part.body), {
+            ...attachmentOptions,
+            attachmentDepth: attachmentDepth + 1,
+            logCallback: (logMessage) => onLog(`${fileName}: ${logMessage}`)
+          });
+        } catch (attachmentError) {
+          console.error(`Error processing attachment ${fileName}:`, attachmentError);
+          result = { success: false, error: attachmentError.message };
+        }
+      }
+
+      if (!result) {
+        parsedDocument.skippedObjects.push({ page: 1, objectName: fileName, reason: `Unsupported attachment type (${part.type})` });
+        onLog(`Skipping attachment ${fileName} (${part.type})`);
+        continue;
+      }
+      if (!result.success) {
+        parsedDocument.skippedObjects.push({ page: 1, objectName: fileName, reason: result.error || 'Attachment could not be processed' });
+        onLog(`Could not process attachment ${fileName}: ${result.error}`);
+        continue;
+      }
+      attachment.sourceType = result.sourceType || null;
+      appendDocument(parsedDocument, result, attachment);
+      onLog(`Attachment ${fileName}: ${result.pages.length} pages, ${result.images.length} images`);
+    }
+
+    return parsedDocument;
+  };
+
+  const combined = { pages: [], images: [], skippedObjects: [], imageCount: 0, tableCount: 0 };
+  for (const [index, rawMessage] of rawMessages.entries()) {
+    try {
+      appendDocument(combined, await processMessage(parseMimeEntity(rawMessage), 0), null);
+    } catch (messageError) {
+      console.error(`Error processing message ${index + 1}:`, messageError);
+      combined.skippedObjects.push({ page: null, objectName: `message ${index + 1}`, reason: messageError.message });
+    }
+    onProgress((index + 1) / rawMessages.length);
+  }
+
+  if (combined.pages.length === 0) {
+    return createFailedResult('No readable messages found');
+  }
+
+  const result = {
+    success: true,
+    sourceType: 'email',
+    totalPages: combined.pages.length,
+    processingTime: performance.now() - startTime,
+    pages: combined.pages,
+    images: combined.images,
+    skippedObjects: combined.skippedObjects,
+    originalImageCount: combined.images.length,
+    progress: { current: combined.pages.length, total: combined.pages.length },
+    processingOptions: { scanAllPages: false, layoutDebug: false }
+  };
+
+  onProgress(1);
+  onLog(`Email processed: ${rawMessages.length} messages, ${result.totalPages} pages, ${result.images.length} images in ${Math.round(result.processingTime)}ms`);
+  onLog(`Found ${result.images.length} unique images`);
+
+  return result;
+}
@@ -0,0 +1,93 @@
+import { processPdfDocument } from './pdfUtils';
+
+/**
+ * Dedicated worker that runs PDF extraction off the main thread, so
+ * rendering pages and scanning their pixels never blocks the UI. Started by
+ * processDocumentInWorker (extractionWorkerUtils.js); pages are rendered on
+ * OffscreenCanvas.
+ *
+ * Messages from the page:
+ *   { type: 'process', data, options }  - Start processing the PDF bytes
+ *   { type: 'password', password }      - Answer to a password request (null to give up)
+ *   { type: 'continue' }                - Answer to a checkpoint: go on with the next page
+ *   { type: 'abort' }                   - Stop after the current page, keeping the pages so far
+ *
+ * Messages to the page:
+ *   { type: 'log', message }                    - Log line
+ *   { type: 'progress', progress }              - Share of pages processed (0-1)
+ *   { type: 'page', page }                      - Summary and images of a processed page
+ *   { type: 'password', incorrectPassword }     - The PDF needs a password
+ *   { type: 'checkpoint' }                      - About to start the next page; waits for
+ *                                                 'continue' so the page can pause the run
+ *   { type: 'result', result }                  - Final result; data URLs of images
+ *                                                 already sent with their page are left out
+ *   { type: 'error', message }                  - Processing failed unexpectedly
+ */
+
+// Resolves the pending password request with the page's answer
+let answerPasswordRequest = null;
+
+const requestPassword = ({ incorrectPassword }) => new Promise((resolve) => {
+  answerPasswordRequest = resolve;
+  self.postMessage({ type: 'password', incorrectPassword });
+});
+
+// Aborted by the page's 'abort' message
+const abortController = new AbortController();
+
+// Resolves the pending checkpoint once the page is not paused
+let answerCheckpoint = null;
+
+const waitForCheckpoint = () => new Promise((resolve) => {
+  answerCheckpoint = resolve;
+  self.postMessage({ type: 'checkpoint' });
+});
+
+const processInWorker = async (data, options) => {
+  // Image data URLs are large; each is sent once, with the page it is on
+  const sentImageIds = new Set();
+
+  const result = await processPdfDocument(data, {
+    ...options,
+    progressCallback: (progress) => self.postMessage({ type: 'progress', progress }),
+    logCallback: (message) => self.postMessage({ type: 'log', message }),
+    passwordCallback: options.askForPassword ? requestPassword : null,
+    signal: abortController.signal,
+    waitWhilePaused: options.pausable ? waitForCheckpoint : null,
+    pageCallback: (page) => {
+      self.postMessage({ type: 'page', page });
+      page.images.forEach(image => sentImageIds.add(image.id));
+    }
+  });
+
+  const images = (result.images || []).map(image => {
+    if (!sentImageIds.has(image.id)) return image;
+    const { dataURL: _dataURL, ...rest } = image;
+    return rest;
+  });
+  self.postMessage({ type: 'result', result: { ...result, images } });
+};
+
+self.onmessage = ({ data: message }) => {
+  switch (message.type) {
+    case 'process':
+      processInWorker(message.data, message.options).catch((error) => {
+        console.error('PDF extraction worker failed:', error);
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+      });
+      break;
+    case 'password':
+      answerPasswordRequest?.(message.password);
+      answerPasswordRequest = null;
+      break;
+    case 'continue':
+      answerCheckpoint?.();
+      answerCheckpoint = null;
+      break;
+    case 'abort':
+      abortController.abort();
+      break;
+    default:
+      console.warn(`Unknown extraction worker message: ${message.type}`);
+  }
+};
@@ -0,0 +1,136 @@
+import { processDocument } from './documentUtils';
+
+/**
+ * Runs document extraction in the dedicated worker of extractionWorker.js
+ * when the browser can, so the UI stays responsive while large PDFs are
+ * rendered and scanned.
+ */
+
+/**
+ * Checks whether PDFs can be extracted in a web worker: it needs module
+ * workers and OffscreenCanvas to render pages on
+ * @returns {boolean} True when the worker can be used
+ */
+export function canExtractInWorker() {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+}
+
+/**
+ * Processes a document like processDocument, running PDFs in a web worker.
+ * Other document types, and browsers without worker rendering support, are
+ * processed on the main thread. The callbacks are called from the worker's
+ * messages; `pageCallback` gets each page summary as it is processed (see
+ * processPdfDocument), so progress needs no log parsing.
+ * @param {Uint8Array} data - The binary file data
+ * @param {Object} options - processDocument options, including `documentType`,
+ *   `progressCallback`, `logCallback`, `passwordCallback` and `pageCallback`,
+ *   and the run controls `signal` and `waitWhilePaused` (see processPdfDocument)
+ * @returns {Promise<Object>} Processed document in the processPdfDocument result shape
+ */
+export async function processDocumentInWorker(data, options = {}) {
+  const {
+    progressCallback = null,
+    logCallback = null,
+    passwordCallback = null,
+    pageCallback = null,
+    signal = null,
+    waitWhilePaused = null,
+    ...processingOptions
+  } = options;
+  const { documentType = 'pdf', ...workerOptions } = processingOptions;
+
+  if (documentType !== 'pdf' || !canExtractInWorker()) {
+    return processDocument(data, options);
+  }
+
+  let worker;
+  try {
+    worker = new Worker(new URL('./extractionWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn(`Could not start the extraction worker, processing on the main thread: ${error.message}`);
+    return processDocument(data, options);
+  }
+
+  return new Promise((resolve, reject) => {
+    // Data URLs of the images sent with their page, left out of the result
+    const imageDataURLs = new Map();
+    let hasStarted = false;
+
+    // The signal cannot be sent to the worker; its abort is forwarded instead
+    const forwardAbort = () => worker.postMessage({ type: 'abort' });
+    const finish = () => {
+      signal?.removeEventListener('abort', forwardAbort);
+      worker.terminate();
+    };
+
+    worker.onmessage = ({ data: message }) => {
+      hasStarted = true;
+      switch (message.type) {
+        case 'log':
+          logCallback?.(message.message);
+          break;
+        case 'progress':
+          progressCallback?.(message.progress);
+          break;
+        case 'page':
+          message.page.images.forEach(image => imageDataURLs.set(image.id, image.dataURL));
+          pageCallback?.(message.page);
+          break;
+        case 'password':
+          Promise.resolve(passwordCallback?.({ incorrectPassword: message.incorrectPassword }))
+            .catch(() => null)
+            .then(password => worker.postMessage({ type: 'password', password: password ?? null }));
+          break;
+        case 'checkpoint':
+          Promise.resolve(waitWhilePaused?.())
+            .catch(() => {})
+            .then(() => worker.postMessage({ type: 'continue' }));
+          break;
+        case 'result': {
+          finish();
+          const { result } = message;
+          const images = (result.images || []).map(image =>
+            image.dataURL ? image : { ...image, dataURL: imageDataURLs.get(image.id) }
+          );
+          resolve(result.success ? { sourceType: 'pdf', ...result, images } : result);
+          break;
+        }
+        case 'error':
+          finish();
+          reject(new Error(message.message));
+          break;
+        default:
+          console.warn(`Unknown extraction worker message: ${message.type}`);
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      finish();
+      // A worker that fails to load (e.g. no module worker support) never
+      // sends a message; process on the main thread instead
+      if (!hasStarted) {
+        console.warn(`Extraction worker failed to start, processing on the main thread: ${event.message}`);
+        processDocument(data, options).then(resolve, reject);
+        return;
+      }
+      reject(new Error(event.message || 'The extraction worker failed'));
+    };
+
+    worker.postMessage({
+      type: 'process',
+      data,
+      options: {
+        ...workerOptions,
+        askForPassword: typeof passwordCallback === 'function',
+        pausable: typeof waitWhilePaused === 'function'
+      }
+    });
+
+    if (signal?.aborted) {
+      forwardAbort();
+    } else {
+      signal?.addEventListener('abort', forwardAbort, { once: true });
+    }
+  });
+}
@@ -0,0 +1,568 @@
+import { renderStructure, formatListNumber } from './structureUtils';
+import { createImageFromBytes, MIN_IMAGE_SIZE } from './imageUtils';
+import { createFailedResult } from './documentResultUtils';
+import {
+  readZip,
+  readZipText,
+  readZipXml,
+  parseXml,
+  childElements,
+  firstChildElement,
+  descendantElements,
+  getAttribute,
+  resolveZipPath,
+  getMimeTypeFromPath
+} from './zipUtils';
+
+/**
+ * HTML and EPUB ingestion. A standalone HTML file becomes one page and every
+ * EPUB spine document (chapter) becomes a page, in reading order. Block
+ * elements are converted to structure elements, `<img>` elements to images
+ * carrying their `alt` text.
+ */
+
+// Elements whose content is never document text
+const SKIPPED_ELEMENTS = new Set([
+  'head', 'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+  'video', 'audio', 'canvas', 'map', 'button', 'select', 'textarea', 'input'
+]);
+
+// Elements that start a new block; everything else is inline
+const BLOCK_ELEMENTS = new Set([
+  'html', 'body', 'address', 'article', 'aside', 'blockquote', 'caption', 'center', 'dd',
+  'details', 'dialog', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer',
+  'form', 'header', 'hgroup', 'hr', 'legend', 'main', 'nav', 'p', 'section', 'summary',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'
+]);
+
+// `<ol type>` values mapped onto formatListNumber formats
+const LIST_NUMBER_FORMATS = {
+  1: 'decimal',
+  a: 'lowerLetter',
+  A: 'upperLetter',
+  i: 'lowerRoman',
+  I: 'upperRoman'
+};
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+const EPUB_CONTENT_TYPES = new Set(['application/xhtml+xml', 'text/html']);
+
+// encryption.xml algorithm used for font obfuscation, which is not DRM
+const FONT_OBFUSCATION_ALGORITHMS = new Set([
+  'http://www.idpf.org/2008/embedding',
+  'http://ns.adobe.com/pdf/enc#RC'
+]);
+
+/**
+ * Whether an element is hidden from readers (`hidden`, `aria-hidden` or an
+ * inline `display: none`), or is an EPUB page-break marker
+ * @param {Element} element - Element to check
+ * @returns {boolean} True when its content should be skipped
+ */
+const isHiddenElement = (element) => {
+  if (element.hasAttribute('hidden') || element.getAttribute('aria-hidden') === 'true') return true;
+  if (/(?:^|;)\s*(?:display\s*:\s*none|visibility\s*:\s*hidden)/i.test(element.getAttribute('style') || '')) return true;
+  return /\bpagebreak\b/.test(element.getAttribute('epub:type') || '');
+};
+
+/**
+ * Converts an HTML or XHTML document into content blocks in reading order
+ * @param {Document} doc - Parsed document
+ * @returns {Array} Blocks: `heading`, `listItem` and `paragraph` (as structure
+ *   elements), `table` (`rows`) and `image` (`src`, `altText`)
+ */
+export function extractHtmlBlocks(doc) {
+  const root = doc.body || doc.getElementsByTagNameNS('*', 'body')[0] || doc.documentElement;
+  const blocks = [];
+  const listStack = [];
+  let buffer = '';
+  let preformatted = false;
+  let kind = { type: 'paragraph' };
+
+  // Emits the text collected so far as a block of the current kind; the
+  // kind reverts to paragraph once a block has been emitted
+  const flush = () => {
+    const text = preformatted
+      ? buffer.replace(/\r\n?/g, '\n').replace(/^\n+/, '').trimEnd()
+      : buffer
+        .replace(/[ \t\u00a0]+/g, ' ')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .trim();
+    buffer = '';
+    if (text) {
+      blocks.push({ ...kind, text });
+      kind = { type: 'paragraph' };
+    }
+  };
+
+  const addImage = (src, altText) => {
+    if (!src) return;
+    blocks.push({ type: 'image', src: src.trim(), altText: altText?.trim() || null });
+  };
+
+  // Plain text of a table cell; images in the cell are collected separately
+  const collectCellText = (node, cellImages) => {
+    let text = '';
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType === 3) {
+        text += child.nodeValue;
+      } else if (child.nodeType === 1 && !SKIPPED_ELEMENTS.has(child.localName) && !isHiddenElement(child)) {
+        if (child.localName === 'img') {
+          cellImages.push({ src: child.getAttribute('src'), altText: child.getAttribute('alt') });
+        } else if (child.localName === 'br') {
+          text += ' ';
+        } else {
+          text += ` ${collectCellText(child, cellImages)} `;
+        }
+      }
+    }
+    return text.replace(/\s+/g, ' ').trim();
+  };
+
+  const getTableRows = (table) => childElements(table).flatMap(child => {
+    if (child.localName === 'tr') return [child];
+    if (['thead', 'tbody', 'tfoot'].includes(child.localName)) return childElements(child, 'tr');
+    return [];
+  });
+
+  const handleTable = (table) => {
+    const rowElements = getTableRows(table);
+    const cells = rowElements.flatMap(row => childElements(row).filter(cell => ['td', 'th'].includes(cell.localName)));
+    // Tables used for page layout are walked as ordinary blocks
+    const isLayoutTable = table.getAttribute('role') === 'presentation' ||
+      cells.some(cell => descendantElements(cell, 'table').length > 0);
+
+    const cellImages = [];
+    const rows = isLayoutTable ? [] : rowElements.map(row => childElements(row)
+      .filter(cell => ['td', 'th'].includes(cell.localName))
+      .flatMap(cell => {
+        const span = parseInt(cell.getAttribute('colspan') || '1', 10) || 1;
+        return [collectCellText(cell, cellImages), ...Array(Math.max(0, span - 1)).fill('')];
+      }))
+      .filter(row => row.some(cell => cell));
+    const columnCount = Math.max(0, ...rows.map(row => row.length));
+
+    if (rows.length < 2 || columnCount < 2) {
+      childElements(table).forEach(walk);
+      flush();
+      return;
+    }
+
+    const caption = firstChildElement(table, 'caption');
+    if (caption) {
+      walk(caption);
+      flush();
+    }
+    blocks.push({ type: 'table', rows: rows.map(row => [...row, ...Array(columnCount - row.length).fill('')]) });
+    cellImages.forEach(({ src, altText }) => addImage(src, altText));
+  };
+
+  const walkChildren = (node) => Array.from(node.childNodes).forEach(walk);
+
+  const walk = (node) => {
+    if (node.nodeType === 3 || node.nodeType === 4) {
+      buffer += preformatted ? node.nodeValue : node.nodeValue.replace(/[ \t\n\r\f]+/g, ' ');
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const name = node.localName;
+    if (SKIPPED_ELEMENTS.has(name) || isHiddenElement(node)) return;
+
+    if (name === 'br') {
+      buffer += '\n';
+    } else if (name === 'img') {
+      flush();
+      addImage(node.getAttribute('src'), node.getAttribute('alt'));
+    } else if (name === 'svg') {
+      // Only embedded raster images are kept from inline SVG (EPUB covers use this)
+      flush();
+      descendantElements(node, 'image').forEach(image => addImage(
+        image.getAttribute('href') || image.getAttributeNS(XLINK_NS, 'href'),
+        descendantElements(node, 'title')[0]?.textContent
+      ));
+    } else if (/^h[1-6]$/.test(name)) {
+      flush();
+      kind = { type: 'heading', level: parseInt(name[1], 10) };
+      walkChildren(node);
+      flush();
+      kind = { type: 'paragraph' };
+    } else if (name === 'ul' || name === 'ol') {
+      flush();
+      listStack.push({
+        ordered: name === 'ol',
+        counter: (parseInt(node.getAttribute('start'), 10) || 1) - 1,
+        numFmt: LIST_NUMBER_FORMATS[node.getAttribute('type')] || 'decimal'
+      });
+      walkChildren(node);
+      flush();
+      listStack.pop();
+    } else if (name === 'li') {
+      flush();
+      const list = listStack[listStack.length - 1];
+      if (list) {
+        const value = parseInt(node.getAttribute('value'), 10);
+        list.counter = Number.isNaN(value) ? list.counter + 1 : value;
+        kind = {
+          type: 'listItem',
+          ordered: list.ordered,
+          marker: list.ordered ? `${formatListNumber(list.counter, list.numFmt)}.` : '-',
+          level: listStack.length - 1
+        };
+      }
+      walkChildren(node);
+      flush();
+      kind = { type: 'paragraph' };
+    } else if (name === 'table') {
+      flush();
+      handleTable(node);
+    } else if (name === 'pre') {
+      flush();
+      preformatted = true;
+      walkChildren(node);
+      flush();
+      preformatted = false;
+    } else if (BLOCK_ELEMENTS.has(name)) {
+      flush();
+      walkChildren(node);
+      flush();
+    } else {
+      walkChildren(node);
+    }
+  };
+
+  walk(root);
+  flush();
+  return blocks;
+}
+
+/**
+ * Decodes a `data:` URI into its bytes and MIME type
+ * @param {string} uri - Data URI
+ * @returns {Object|null} `{ bytes, mimeType }`, or null when the URI is malformed
+ */
+export function decodeDataUri(uri) {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),([\s\S]*)$/i.exec(uri);
+  if (!match) return null;
+  try {
+    const bytes = /;base64/i.test(match[2])
+      ? Uint8Array.from(atob(match[3].replace(/\s+/g, '')), char => char.charCodeAt(0))
+      : new TextEncoder().encode(decodeURIComponent(match[3]));
+    return { bytes, mimeType: match[1].toLowerCase() || 'text/plain' };
+  } catch (_decodeError) {
+    return null;
+  }
+}
+
+/**
+ * Decodes HTML bytes, honouring a byte order mark or `<meta charset>`
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string} Document text
+ */
+const decodeHtml = (bytes) => {
+  let charset = null;
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) charset = 'utf-8';
+  else if (bytes[0] === 0xff && bytes[1] === 0xfe) charset = 'utf-16le';
+  else if (bytes[0] === 0xfe && bytes[1] === 0xff) charset = 'utf-16be';
+  else {
+    const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, 1024));
+    charset = /<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i.exec(head)?.[1] || 'utf-8';
+  }
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (_charsetError) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+};
+
+/**
+ * Parses a chapter as XHTML, falling back to the lenient HTML parser for
+ * documents that are not well-formed XML
+ * @param {string} text - Document text
+ * @returns {Document} Parsed document
+ */
+const parseChapter = (text) => {
+  try {
+    return parseXml(text);
+  } catch (_xmlError) {
+    return new DOMParser().parseFromString(text, 'text/html');
+  }
+};
+
+/**
+ * Turns chapter blocks (from extractHtmlBlocks) into pages in the
+ * processPdfDocument shape, decoding images with the given resolver. Chapters
+ * without content produce no page.
+ * @param {Array} chapters - Chapters `{ blocks, path }`; `path` is null for standalone HTML
+ * @param {Function} resolveImage - `(src, chapterPath) => Promise<Object>` returning
+ *   `{ bytes, mimeType, path }` or `{ error }`
+ * @param {string} sourceType - Source format, recorded as the table source
+ * @param {Object} callbacks - `{ onLog, onProgress }`; progress runs from 0.2 to 0.9
+ * @returns {Promise<Object>} `{ pages, images, skippedObjects, tableCount }`
+ */
+export async function buildPagesFromBlocks(chapters, resolveImage, sourceType, { onLog, onProgress }) {
+  const pages = [];
+  const images = [];
+  const skippedObjects = [];
+  const decodedImages = new Map();
+  let imageCounter = 0;
+  let tableCounter = 0;
+
+  for (const [chapterIndex, chapter] of chapters.entries()) {
+    const pageNumber = pages.length + 1;
+    const elements = [];
+    const imageReferences = [];
+    const tables = [];
+
+    for (const block of chapter.blocks) {
+      if (block.type === 'table') {
+        tableCounter++;
+        const placeholder = `[TABLE_${tableCounter}]`;
+        tables.push({
+          id: `table_${pageNumber}_${tableCounter}`,
+          placeholder,
+          rows: block.rows,
+          bbox: null,
+          source: sourceType
+        });
+        elements.push({ type: 'table', placeholder, rows: block.rows });
+        onLog(`Found table ${placeholder} on page ${pageNumber}: ${block.rows.length} rows x ${block.rows[0].length} columns (${sourceType})`);
+        continue;
+      }
+      if (block.type !== 'image') {
+        elements.push(block);
+        continue;
+      }
+
+      const objectName = block.src.startsWith('data:') ? 'data URI image' : block.src;
+      const cacheKey = `${chapter.path}\n${block.src}`;
+      if (!decodedImages.has(cacheKey)) {
+        const resolved = await resolveImage(block.src, chapter.path);
+        const decoded = resolved.error ? null : await createImageFromBytes(resolved.bytes, resolved.mimeType);
+        decodedImages.set(cacheKey, decoded
+          ? { ...decoded, path: resolved.path }
+          : { error: resolved.error || 'Unsupported or empty image' });
+      }
+      const decoded = decodedImages.get(cacheKey);
+      if (decoded.error || decoded.width < MIN_IMAGE_SIZE || decoded.height < MIN_IMAGE_SIZE) {
+        skippedObjects.push({ page: pageNumber, objectName, reason: decoded.error || 'Image too small' });
+        continue;
+      }
+
+      imageCounter++;
+      const id = `img_${pageNumber}_${imageCounter}`;
+      const placeholder = `[IMAGE_${imageCounter}]`;
+      images.push({
+        id,
+        originalId: id,
+        pageNumber,
+        width: decoded.width,
+        height: decoded.height,
+        isFullPage: false,
+        isScanned: false,
+        isForcedScan: false,
+        scanReason: 'natural_page_content',
+        sourcePath: decoded.path,
+        altText: block.altText,
+        dataURL: decoded.dataURL
+      });
+      imageReferences.push({ id, placeholder, isFullPage: false });
+      elements.push({ type: 'image', placeholder });
+      onLog(`Found image ${imageCounter} on page ${pageNumber} (${objectName}) with size ${decoded.width}x${decoded.height}`);
+    }
+
+    onProgress(0.2 + (0.7 * (chapterIndex + 1)) / chapters.length);
+    if (elements.length === 0) {
+      if (chapter.path) onLog(`Skipping empty chapter ${chapter.path}`);
+      continue;
+    }
+
+    pages.push({
+      pageNumber,
+      isScanned: false,
+      width: null,
+      height: null,
+      content: renderStructure(elements),
+      imageReferences,
+      tables,
+      structure: elements,
+      layout: null,
+      ...(chapter.path ? { sourcePath: chapter.path } : {})
+    });
+  }
+
+  return { pages, images, skippedObjects, tableCount: tableCounter };
+}
+
+/**
+ * Wraps built pages into the processPdfDocument result shape
+ * @param {Object} built - Output of buildPagesFromBlocks
+ * @param {string} sourceType - `html` or `epub`
+ * @param {number} startTime - performance.now() at the start of processing
+ * @returns {Object} Result
+ */
+const createResult = ({ pages, images, skippedObjects }, sourceType, startTime) => ({
+  success: true,
+  sourceType,
+  totalPages: pages.length,
+  processingTime: performance.now() - startTime,
+  pages,
+  images,
+  skippedObjects,
+  originalImageCount: images.length,
+  progress: { current: pages.length, total: pages.length },
+  processingOptions: { scanAllPages: false, layoutDebug: false }
+});
+
+/**
+ * Processes a standalone HTML file (e.g. a saved web page) into a single page.
+ * Only images embedded as data URIs can be read; linked images are listed in
+ * `skippedObjects`.
+ * @param {ArrayBuffer|Uint8Array} htmlData - The binary file data
+ * @param {Object} options - Processing options (`progressCallback`, `logCallback`)
+ * @returns {Promise<Object>} Processed document in the processPdfDocument result shape
+ */
+export async function processHtmlDocument(htmlData, options = {}) {
+  const {
+    progressCallback = null,
+    logCallback = null
+  } = options;
+
+  const onProgress = typeof progressCallback === 'function' ? progressCallback : () => {};
+  const onLog = typeof logCallback === 'function' ? logCallback : () => {};
+  const startTime = performance.now();
+
+  onLog('Loading HTML document...');
+  let blocks;
+  try {
+    const bytes = htmlData instanceof Uint8Array ? htmlData : new Uint8Array(htmlData);
+    const doc = new DOMParser().parseFromString(decodeHtml(bytes), 'text/html');
+    const title = doc.querySelector('title')?.textContent.trim();
+    if (title) onLog(`Document title: ${title}`);
+    blocks = extractHtmlBlocks(doc);
+  } catch (loadError) {
+    console.error('Error loading HTML document:', loadError);
+    return createFailedResult(`Error loading HTML: ${loadError.message}`);
+  }
+  onProgress(0.2);
+
+  const resolveImage = async (src) => {
+    if (!src.startsWith('data:')) {
+      return { error: 'Linked (external) image' };
+    }
+    const decoded = decodeDataUri(src);
+    return decoded ? { ...decoded, path: null } : { error: 'Malformed data URI' };
+  };
+
+  const built = await buildPagesFromBlocks([{ blocks, path: null }], resolveImage, 'html', { onLog, onProgress });
+  if (built.pages.length === 0) {
+    return createFailedResult('No text or images found in the HTML document');
+  }
+
+  const result = createResult(built, 'html', startTime);
+  onProgress(1);
+  onLog(`HTML document processed: ${built.images.length} images, ${built.tableCount} tables in ${Math.round(result.processingTime)}ms`);
+  onLog(`Found ${built.images.length} unique images`);
+
+  return result;
+}
+
+/**
+ * Processes an EPUB e-book, one page per spine document in reading order.
+ * DRM-protected books are rejected.
+ * @param {ArrayBuffer|Uint8Array} epubData - The binary file data
+ * @param {Object} options - Processing options (`progressCallback`, `logCallback`)
+ * @returns {Promise<Object>} Processed document in the processPdfDocument result shape
+ */
+export async function processEpubDocument(epubData, options = {}) {
+  const {
+    progressCallback = null,
+    logCallback = null
+  } = options;
+
+  const onProgress = typeof progressCallback === 'function' ? progressCallback : () => {};
+  const onLog = typeof logCallback === 'function' ? logCallback : () => {};
+  const startTime = performance.now();
+
+  onLog('Loading EPUB...');
+  let entries, packagePath, spine, encryptedPaths;
+  try {
+    entries = readZip(epubData);
+    const rootFile = descendantElements(readZipXml(entries, 'META-INF/container.xml'), 'rootfile')[0];
+    packagePath = rootFile && getAttribute(rootFile, 'full-path');
+    const opf = packagePath && readZipXml(entries, packagePath);
+    if (!opf) {
+      throw new Error('No package document found');
+    }
+
+    const manifest = new Map(descendantElements(opf, 'item').map(item => [getAttribute(item, 'id'), {
+      path: resolveZipPath(packagePath, getAttribute(item, 'href').split('#')[0]),
+      mediaType: getAttribute(item, 'media-type')
+    }]));
+    spine = descendantElements(firstChildElement(opf.documentElement, 'spine'), 'itemref')
+      .map(itemRef => manifest.get(getAttribute(itemRef, 'idref')))
+      .filter(Boolean);
+
+    // Encrypted content documents mean DRM; obfuscated fonts are fine
+    const encryption = readZipXml(entries, 'META-INF/encryption.xml');
+    encryptedPaths = new Set(descendantElements(encryption, 'EncryptedData')
+      .filter(data => !FONT_OBFUSCATION_ALGORITHMS.has(getAttribute(firstChildElement(data, 'EncryptionMethod'), 'Algorithm')))
+      .map(data => getAttribute(descendantElements(data, 'CipherReference')[0], 'URI'))
+      .filter(Boolean)
+      .map(uri => resolveZipPath('', uri)));
+
+    const title = descendantElements(opf, 'title')[0]?.textContent.trim();
+    onLog(`EPUB loaded${title ? `: "${title}"` : ''}, ${spine.length} spine documents`);
+  } catch (loadError) {
+    console.error('Error loading EPUB:', loadError);
+    return createFailedResult(`Error loading EPUB: ${loadError.message}`);
+  }
+
+  if (spine.some(item => encryptedPaths.has(item.path))) {
+    return createFailedResult('This EPUB is DRM-protected and cannot be read');
+  }
+  onProgress(0.1);
+
+  const chapters = [];
+  spine.forEach(item => {
+    if (!EPUB_CONTENT_TYPES.has(item.mediaType)) {
+      onLog(`Skipping spine document ${item.path} (${item.mediaType})`);
+      return;
+    }
+    const text = readZipText(entries, item.path);
+    if (text === null) {
+      onLog(`Spine document ${item.path} is missing from the package`);
+      return;
+    }
+    chapters.push({ blocks: extractHtmlBlocks(parseChapter(text)), path: item.path });
+  });
+  onProgress(0.2);
+
+  const resolveImage = async (src, chapterPath) => {
+    if (src.startsWith('data:')) {
+      const decoded = decodeDataUri(src);
+      return decoded ? { ...decoded, path: null } : { error: 'Malformed data URI' };
+    }
+    if (/^[a-z][a-z\d+.-]*:/i.test(src)) {
+      return { error: 'Linked (external) image' };
+    }
+    const path = resolveZipPath(chapterPath, src.split(/[?#]/)[0]);
+    const bytes = entries.get(path);
+    return bytes ? { bytes, mimeType: getMimeTypeFromPath(path), path } : { error: 'Media file missing' };
+  };
+
+  const built = await buildPagesFromBlocks(chapters, resolveImage, 'epub', { onLog, onProgress });
+  if (built.pages.length === 0) {
+    return createFailedResult('No readable chapters found in the EPUB');
+  }
+
+  const result = createResult(built, 'epub', startTime);
+  onProgress(1);
+  onLog(`EPUB processed: ${result.totalPages} chapters, ${built.images.length} images, ${built.tableCount} tables in ${Math.round(result.processingTime)}ms`);
+  onLog(`Found ${built.images.length} unique images`);
+
+  return result;
+}
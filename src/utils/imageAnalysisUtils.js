@@ -27,6 +27,8 @@ const DEFAULT_PAGE_SCAN_PROMPT =
  * @param {number} options.retryCount - Number of retries for API errors, defaults to 2
  * @param {string} options.analysisType - Type of analysis to perform: 'general' or 'page_description', defaults to 'general'
  * @param {boolean} options.isForcedScan - Flag indicating if this is a forced page scan, defaults to false
+ * @param {AbortSignal} [options.signal] - Cancels the request, its retries and the refusal check;
+ *   the returned promise then rejects with the abort reason
  * @returns {Promise<Object>} Analysis results including the response
  */
 export async function analyzeImage(base64Image, apiKey, options = {}) {
@@ -43,6 +45,7 @@ export async function analyzeImage(base64Image, apiKey, options = {}) {
     analysisType = 'general',
     // Use maxRefusalRetries from options only as fallback if localStorage value isn't available
     maxRefusalRetries = defaultMaxRefusalRetries,
+    signal,
   } = options;
 
   // Log maxRefusalRetries source for debugging
@@ -104,7 +107,7 @@ export async function analyzeImage(base64Image, apiKey, options = {}) {
         ],
         max_completion_tokens: maxTokens,
         temperature: temperature
-      });
+      }, { signal });
 
       const responseText = response.choices[0]?.message?.content || '';
       
@@ -114,6 +117,8 @@ export async function analyzeImage(base64Image, apiKey, options = {}) {
         response: response
       };
     } catch (error) {
+      // Stopped: let withRetry end the retries
+      if (signal?.aborted) throw error;
       console.error(`Error during basic analysis: ${error.message}`);
       return {
         success: false,
@@ -126,6 +131,7 @@ export async function analyzeImage(base64Image, apiKey, options = {}) {
   // Use withRetry for API call retries
   const result = await withRetry(performBasicAnalysis, {
     maxRetries: retryCount,
+    signal,
     onError: (message) => console.warn(message),
     retryOnResult: async (result) => {
       // If the API call was successful, check for refusal
@@ -135,7 +141,8 @@ export async function analyzeImage(base64Image, apiKey, options = {}) {
           const refusalCheck = await detectRefusal(result.text, apiKey, { 
             temperature: 0.1,
             model: "gpt-4o-mini",
-            maxRetries: 2
+            maxRetries: 2,
+            signal
           });
           
           // If refusal detected and we still have refusal retries left, retry
@@ -151,6 +158,7 @@ export async function analyzeImage(base64Image, apiKey, options = {}) {
             result.text = ''; // Clear text when refusal detected
           }
         } catch (refusalError) {
+          if (signal?.aborted) throw refusalError;
           // If refusal detection fails, log but continue
           console.warn(`Refusal detection failed: ${refusalError.message}`);
         }
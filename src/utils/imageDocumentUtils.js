@@ -0,0 +1,196 @@
+import { createImageFromBytes, MIN_IMAGE_SIZE } from './imageUtils';
+import { createFailedResult } from './documentResultUtils';
+
+/**
+ * Image ingestion: a PNG, JPEG or WebP file becomes a one-page document and
+ * every frame of a TIFF becomes a page. Each page holds a single page scan,
+ * so the image is analyzed with the `page_description` analysis type and
+ * rendered in the `<page_scan>` markers, like a scanned PDF page.
+ */
+
+const POINTS_PER_INCH = 72;
+
+// TIFF NewSubfileType bit for reduced-resolution copies (thumbnails)
+const TIFF_REDUCED_RESOLUTION = 1;
+
+/**
+ * Detects an image format from the file signature
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} MIME type, or null when the format is not supported
+ */
+export function detectImageMimeType(bytes) {
+  const startsWith = (signature, offset = 0) =>
+    signature.every((byte, index) => bytes[offset + index] === byte);
+
+  if (startsWith([0x89, 0x50, 0x4e, 0x47])) return 'image/png';
+  if (startsWith([0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  if (startsWith([0x49, 0x49, 0x2a, 0x00]) || startsWith([0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  return null;
+}
+
+/**
+ * Page size of a TIFF frame in points, from its resolution tags
+ * @param {Object} ifd - Decoded image file directory
+ * @returns {Object} `{ width, height }`; pixels when the frame has no resolution
+ */
+const getTiffPageSize = (ifd) => {
+  const unit = ifd.t296?.[0] ?? 2;
+  const toDpi = (resolution) => {
+    if (!resolution?.[0] || unit === 1) return null;
+    return unit === 3 ? resolution[0] * 2.54 : resolution[0];
+  };
+  const xDpi = toDpi(ifd.t282);
+  const yDpi = toDpi(ifd.t283) || xDpi;
+  return {
+    width: xDpi ? (ifd.width * POINTS_PER_INCH) / xDpi : ifd.width,
+    height: yDpi ? (ifd.height * POINTS_PER_INCH) / yDpi : ifd.height
+  };
+};
+
+/**
+ * Decodes every full-resolution frame of a TIFF into a PNG data URL
+ * @param {Uint8Array} bytes - TIFF file contents
+ * @param {Function} onLog - Log callback
+ * @returns {Promise<Array>} Frames `{ dataURL, width, height, pageSize }`, or
+ *   `{ error }` for frames that could not be decoded
+ */
+const decodeTiffFrames = async (bytes, onLog) => {
+  // Loaded on first use so PDF-only sessions don't pay for the decoder
+  const { default: UTIF } = await import('utif');
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const ifds = UTIF.decode(buffer)
+    .filter(ifd => !((ifd.t254?.[0] ?? 0) & TIFF_REDUCED_RESOLUTION));
+  onLog(`TIFF has ${ifds.length} frames`);
+
+  return ifds.map((ifd, index) => {
+    try {
+      UTIF.decodeImage(buffer, ifd, ifds);
+      if (!ifd.width || !ifd.height) {
+        return { error: 'Frame has no image data' };
+      }
+      const canvas = document.createElement('canvas');
+      canvas.width = ifd.width;
+      canvas.height = ifd.height;
+      const ctx = canvas.getContext('2d');
+      ctx.putImageData(new ImageData(new Uint8ClampedArray(UTIF.toRGBA8(ifd).buffer), ifd.width, ifd.height), 0, 0);
+      return {
+        dataURL: canvas.toDataURL('image/png'),
+        width: ifd.width,
+        height: ifd.height,
+        pageSize: getTiffPageSize(ifd)
+      };
+    } catch (e) {
+      console.warn(`Could not decode TIFF frame ${index + 1}: ${e.message}`);
+      return { error: e.message };
+    }
+  });
+};
+
+/**
+ * Processes an image file into one page per image (or TIFF frame), each
+ * holding a single page scan
+ * @param {ArrayBuffer|Uint8Array} imageData - The binary image data
+ * @param {Object} options - Processing options (`progressCallback`, `logCallback`)
+ * @returns {Promise<Object>} Processed document in the processPdfDocument result shape
+ */
+export async function processImageDocument(imageData, options = {}) {
+  const {
+    progressCallback = null,
+    logCallback = null
+  } = options;
+
+  const onProgress = typeof progressCallback === 'function' ? progressCallback : () => {};
+  const onLog = typeof logCallback === 'function' ? logCallback : () => {};
+  const startTime = performance.now();
+
+  const bytes = imageData instanceof Uint8Array ? imageData : new Uint8Array(imageData);
+  const mimeType = detectImageMimeType(bytes);
+
+  if (!mimeType) {
+    return createFailedResult('Unsupported image format (expected PNG, JPEG, WebP or TIFF)');
+  }
+  onLog(`Loading ${mimeType} image...`);
+
+  let frames;
+  try {
+    if (mimeType === 'image/tiff') {
+      frames = await decodeTiffFrames(bytes, onLog);
+    } else {
+      const decoded = await createImageFromBytes(bytes, mimeType);
+      frames = [decoded
+        ? { ...decoded, pageSize: { width: decoded.width, height: decoded.height } }
+        : { error: 'Image could not be decoded' }];
+    }
+  } catch (loadError) {
+    console.error('Error loading image:', loadError);
+    return createFailedResult(`Error loading image: ${loadError.message}`);
+  }
+  onProgress(0.5);
+
+  const pages = [];
+  const images = [];
+  const skippedObjects = [];
+
+  frames.forEach((frame, index) => {
+    const frameName = frames.length > 1 ? `frame ${index + 1}` : 'image';
+    if (frame.error || frame.width < MIN_IMAGE_SIZE || frame.height < MIN_IMAGE_SIZE) {
+      skippedObjects.push({ page: null, objectName: frameName, reason: frame.error || 'Image too small' });
+      onLog(`Skipping ${frameName}: ${frame.error || 'image too small'}`);
+      return;
+    }
+
+    const pageNumber = pages.length + 1;
+    const id = `page_${pageNumber}`;
+    const placeholder = `[PAGE_IMAGE_${pageNumber}]`;
+
+    images.push({
+      id,
+      originalId: id,
+      pageNumber,
+      width: frame.width,
+      height: frame.height,
+      isFullPage: true,
+      isScanned: true,
+      isForcedScan: false,
+      scanReason: 'image_page_content',
+      position: { x: 0, y: 0 },
+      dataURL: frame.dataURL
+    });
+    pages.push({
+      pageNumber,
+      isScanned: true,
+      width: frame.pageSize.width,
+      height: frame.pageSize.height,
+      content: { rawText: '', formattedText: placeholder },
+      imageReferences: [{ id, placeholder, isFullPage: true }],
+      tables: [],
+      structure: [],
+      layout: null
+    });
+    onLog(`Created page scan for page ${pageNumber} (${frameName}, ${frame.width}x${frame.height})`);
+  });
+
+  if (pages.length === 0) {
+    return createFailedResult('No decodable image found in the file');
+  }
+
+  const result = {
+    success: true,
+    sourceType: 'image',
+    totalPages: pages.length,
+    processingTime: 0,
+    pages,
+    images,
+    skippedObjects,
+    originalImageCount: images.length,
+    progress: { current: pages.length, total: pages.length },
+    processingOptions: { scanAllPages: false, layoutDebug: false }
+  };
+
+  result.processingTime = performance.now() - startTime;
+  onProgress(1);
+  onLog(`Image processed: ${result.totalPages} pages in ${Math.round(result.processingTime)}ms`);
+
+  return result;
+}
@@ -223,4 +223,142 @@ export async function groupSimilarImages(images, threshold = 0.99) {
     // Fallback to original images
     return images;
   }
-} 
\ No newline at end of file
+}
+
+// File extensions for the image MIME types we produce
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * Returns the file name used when an extracted image is referenced or
+ * written out, e.g. `img_3_12.jpg`
+ * 
+ * @param {Object} image - Extracted image with `id` and `dataURL`
+ * @returns {string} File name derived from the image ID and MIME type
+ */
+export function getImageFileName(image) {
+  const mimeType = image?.dataURL?.match(/^data:([^;,]+)/)?.[1];
+  const extension = IMAGE_EXTENSIONS[mimeType] || 'jpg';
+  return `${image?.id || 'image'}.${extension}`;
+}
+
+// Formats vision models accept as-is; anything else is re-encoded as PNG
+const PASSTHROUGH_MIME_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+/**
+ * Reads a Blob as a data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} Data URL
+ */
+const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error('Could not read image data'));
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Creates a canvas that also works off the main thread: a <canvas> element
+ * where there is a DOM, and an OffscreenCanvas in web workers
+ * @param {number} [width] - Canvas width in pixels
+ * @param {number} [height] - Canvas height in pixels
+ * @returns {HTMLCanvasElement|OffscreenCanvas} The canvas
+ */
+export function createCanvas(width = 300, height = 150) {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Encodes a canvas from createCanvas as a data URL. OffscreenCanvas has no
+ * toDataURL, so it is encoded to a Blob first.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to encode
+ * @param {string} [type] - Image MIME type
+ * @param {number} [quality] - JPEG/WebP quality from 0 to 1
+ * @returns {Promise<string>} Data URL
+ */
+export async function canvasToDataURL(canvas, type = 'image/png', quality) {
+  if (typeof canvas.toDataURL === 'function') {
+    return canvas.toDataURL(type, quality);
+  }
+  return blobToDataURL(await canvas.convertToBlob({ type, quality }));
+}
+
+/**
+ * Decodes a Blob with an <img> element, for formats createImageBitmap
+ * rejects (SVG in some browsers)
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+const loadImageElement = (blob) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Image could not be decoded'));
+  };
+  img.src = url;
+});
+
+// Embedded images narrower or shorter than this (in pixels) are skipped by
+// every extractor: spacers, rules and tracking pixels carry no content
+export const MIN_IMAGE_SIZE = 5;
+
+/**
+ * Turns raw image file bytes (e.g. media embedded in a Word document) into
+ * a data URL vision models accept, with its pixel dimensions
+ * 
+ * @param {Uint8Array} bytes - Image file contents
+ * @param {string} mimeType - MIME type of the bytes
+ * @returns {Promise<Object|null>} `{ dataURL, width, height }`, or null when
+ *   the browser cannot decode the format (e.g. EMF/WMF)
+ */
+export async function createImageFromBytes(bytes, mimeType) {
+  const blob = new Blob([bytes], { type: mimeType });
+  
+  let source;
+  try {
+    source = await createImageBitmap(blob);
+  } catch (_bitmapError) {
+    try {
+      source = await loadImageElement(blob);
+    } catch (e) {
+      console.warn(`Could not decode ${mimeType} image: ${e.message}`);
+      return null;
+    }
+  }
+  
+  const width = source.width || source.naturalWidth || 0;
+  const height = source.height || source.naturalHeight || 0;
+  
+  try {
+    if (width === 0 || height === 0) return null;
+    
+    if (PASSTHROUGH_MIME_TYPES.has(mimeType)) {
+      return { dataURL: await blobToDataURL(blob), width, height };
+    }
+    
+    // Re-encode other formats (BMP, SVG, ...) on a white background
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(source, 0, 0, width, height);
+    return { dataURL: await canvasToDataURL(canvas, 'image/png'), width, height };
+  } finally {
+    source.close?.();
+  }
+}
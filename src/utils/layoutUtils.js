@@ -0,0 +1,357 @@
+/**
+ * Page layout analysis: reconstructs the natural reading order of a page
+ * from positioned text and image boxes.
+ *
+ * The approach is deliberately geometric and page-local:
+ *
+ *  1. Text items are grouped into lines and every line is split at large
+ *     horizontal gaps into fragments, so two columns sharing a baseline
+ *     never merge into one line.
+ *  2. Column gutters are found as vertical whitespace strips that the
+ *     narrow (column-width) fragments never cross.
+ *  3. Anything that crosses a gutter (titles, abstracts, wide figures) is a
+ *     full-width element. Full-width elements split the page into bands;
+ *     inside a band each column is read top to bottom, left to right.
+ *  4. Consecutive lines of the same column are grouped into blocks.
+ *
+ * All coordinates are top-down page units (PDF points at scale 1.0).
+ */
+
+// Minimum vertical overlap (relative to the smaller item) for two text
+// items to be on the same line.
+const LINE_OVERLAP_RATIO = 0.5;
+
+// A horizontal gap wider than this many font heights splits a line into
+// separate fragments (e.g. the two halves of a line across a gutter).
+const FRAGMENT_GAP_RATIO = 0.9;
+
+// Gap (in font heights) above which two adjacent items are joined with a
+// space when building line text.
+const WORD_GAP_RATIO = 0.15;
+
+// Fragments narrower than this share of the text area are candidates for
+// column text; wider ones are assumed to span columns.
+const NARROW_FRAGMENT_RATIO = 0.55;
+
+// Gutters narrower than this (in points) are ignored.
+const MIN_GUTTER_WIDTH = 8;
+
+// A column must be filled by its lines: the median fragment width on each
+// side of a gutter has to reach this share of the column width. This keeps
+// the gaps between table cells from being mistaken for gutters.
+const MIN_COLUMN_FILL = 0.5;
+
+// Vertical gap (in line heights) that starts a new block within a column.
+const BLOCK_GAP_RATIO = 1.0;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const unionBox = (boxes) => {
+  const x0 = Math.min(...boxes.map(b => b.x));
+  const y0 = Math.min(...boxes.map(b => b.y));
+  const x1 = Math.max(...boxes.map(b => b.x + b.width));
+  const y1 = Math.max(...boxes.map(b => b.y + b.height));
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+};
+
+/**
+ * Joins the text of horizontally sorted items, inserting a space only where
+ * the gap between two items is wide enough to be a word break.
+ * @param {Array} items - Text items sorted by x
+ * @returns {string} Line text
+ */
+const joinItemText = (items) => {
+  let text = '';
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (i > 0) {
+      const prev = items[i - 1];
+      const gap = item.x - (prev.x + prev.width);
+      const needsSpace = gap > WORD_GAP_RATIO * Math.max(prev.height, item.height, 1) &&
+        !/\s$/.test(text) && !/^\s/.test(item.text);
+      if (needsSpace) text += ' ';
+    }
+    text += item.text;
+  }
+  return text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Groups text items into lines and splits each line at wide horizontal gaps.
+ * @param {Array} textItems - Items with `{ text, x, y, width, height }`
+ * @returns {Array} Line fragments with `{ text, items, x, y, width, height }`,
+ *   plus the `links` of their items
+ */
+export const buildLineFragments = (textItems) => {
+  const items = textItems
+    .filter(item => item.text && item.text.trim().length > 0)
+    .sort((a, b) => (a.y + a.height / 2) - (b.y + b.height / 2));
+
+  // Group into lines by vertical overlap
+  const lines = [];
+  for (const item of items) {
+    const line = lines.find(candidate => {
+      const overlap = Math.min(candidate.y1, item.y + item.height) - Math.max(candidate.y0, item.y);
+      return overlap >= LINE_OVERLAP_RATIO * Math.min(candidate.y1 - candidate.y0, item.height || 1);
+    });
+    if (line) {
+      line.items.push(item);
+      line.y0 = Math.min(line.y0, item.y);
+      line.y1 = Math.max(line.y1, item.y + item.height);
+    } else {
+      lines.push({ items: [item], y0: item.y, y1: item.y + item.height });
+    }
+  }
+
+  // Split each line into fragments at wide gaps
+  const fragments = [];
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+    let current = [line.items[0]];
+    for (let i = 1; i < line.items.length; i++) {
+      const prev = current[current.length - 1];
+      const item = line.items[i];
+      const gap = item.x - (prev.x + prev.width);
+      if (gap > FRAGMENT_GAP_RATIO * Math.max(prev.height, item.height, 1)) {
+        fragments.push(current);
+        current = [];
+      }
+      current.push(item);
+    }
+    fragments.push(current);
+  }
+
+  return fragments.map(fragmentItems => {
+    // Links covering the fragment's items (see readPageAnnotations)
+    const links = [...new Set(fragmentItems.flatMap(item => item.links || []))];
+    return {
+      kind: 'text',
+      text: joinItemText(fragmentItems),
+      items: fragmentItems,
+      ...(links.length > 0 && { links }),
+      ...unionBox(fragmentItems)
+    };
+  });
+};
+
+/**
+ * Finds column gutters: vertical whitespace strips that column-width text
+ * never crosses and that have real columns of text on both sides.
+ * @param {Array} fragments - Line fragments
+ * @returns {Array} Gutters as `{ x0, x1 }`, left to right
+ */
+export const detectGutters = (fragments) => {
+  if (fragments.length === 0) return [];
+
+  const textLeft = Math.min(...fragments.map(f => f.x));
+  const textRight = Math.max(...fragments.map(f => f.x + f.width));
+  const textWidth = textRight - textLeft;
+  if (textWidth <= 0) return [];
+
+  const narrow = fragments.filter(f => f.width < NARROW_FRAGMENT_RATIO * textWidth);
+  if (narrow.length < 6) return [];
+
+  // Coverage histogram at 1pt resolution
+  const size = Math.ceil(textWidth) + 1;
+  const coverage = new Array(size).fill(0);
+  for (const fragment of narrow) {
+    const start = Math.max(0, Math.floor(fragment.x - textLeft));
+    const end = Math.min(size - 1, Math.ceil(fragment.x + fragment.width - textLeft));
+    for (let i = start; i <= end; i++) coverage[i]++;
+  }
+
+  // A handful of stray fragments (page numbers, footnote marks) may sit in
+  // the gutter, so allow a small amount of coverage.
+  const tolerance = Math.max(0, Math.floor(narrow.length * 0.02));
+  let candidates = [];
+  let runStart = null;
+  for (let i = 0; i < size; i++) {
+    const empty = coverage[i] <= tolerance;
+    if (empty && runStart === null) runStart = i;
+    if ((!empty || i === size - 1) && runStart !== null) {
+      const runEnd = empty ? i : i - 1;
+      // Ignore runs touching the text edges: those are margins, not gutters
+      if (runStart > 0 && runEnd < size - 1 && runEnd - runStart + 1 >= MIN_GUTTER_WIDTH) {
+        candidates.push({ x0: textLeft + runStart, x1: textLeft + runEnd });
+      }
+      runStart = null;
+    }
+  }
+
+  // Each side of a gutter must hold vertically overlapping, well-filled
+  // columns. Drop the worst offender and re-check until the set is stable,
+  // because column widths depend on the neighbouring gutters.
+  const sideStats = (left, right) => {
+    const inside = narrow.filter(f => f.x >= left - 1 && f.x + f.width <= right + 1);
+    if (inside.length < 3) return null;
+    return {
+      fill: median(inside.map(f => f.width)) / Math.max(1, right - left),
+      y0: Math.min(...inside.map(f => f.y)),
+      y1: Math.max(...inside.map(f => f.y + f.height))
+    };
+  };
+
+  let changed = true;
+  while (changed && candidates.length > 0) {
+    changed = false;
+    let worst = null;
+    candidates.forEach((gutter, index) => {
+      const leftBound = index > 0 ? candidates[index - 1].x1 : textLeft;
+      const rightBound = index < candidates.length - 1 ? candidates[index + 1].x0 : textRight;
+      const left = sideStats(leftBound, gutter.x0);
+      const right = sideStats(gutter.x1, rightBound);
+
+      let score = 0;
+      if (left && right) {
+        const overlap = Math.min(left.y1, right.y1) - Math.max(left.y0, right.y0);
+        const shorter = Math.min(left.y1 - left.y0, right.y1 - right.y0) || 1;
+        score = Math.min(left.fill, right.fill) / MIN_COLUMN_FILL;
+        if (overlap < 0.3 * shorter) score = 0;
+      }
+      if (score < 1 && (!worst || score < worst.score)) {
+        worst = { index, score };
+      }
+    });
+    if (worst) {
+      candidates = candidates.filter((_, index) => index !== worst.index);
+      changed = true;
+    }
+  }
+
+  return candidates;
+};
+
+/**
+ * Assigns an element to a column, or `null` when it spans a gutter.
+ * @param {Object} element - Box with `{ x, width }`
+ * @param {Array} gutters - Detected gutters
+ * @returns {number|null} Column index
+ */
+export const assignColumn = (element, gutters) => {
+  const x1 = element.x + element.width;
+  if (gutters.some(g => element.x < g.x0 && x1 > g.x1)) {
+    return null;
+  }
+  const center = element.x + element.width / 2;
+  return gutters.filter(g => center > g.x1).length;
+};
+
+/**
+ * Analyzes the layout of a page and returns its content in reading order.
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {Array} params.textItems - Text items `{ text, x, y, width, height }`
+ * @param {Array} [params.imageItems] - Image items with a `bbox`
+ * @param {Array} [params.tableItems] - Detected tables with a `bbox`
+ * @param {number} params.pageWidth - Page width
+ * @param {number} params.pageHeight - Page height
+ * @returns {Object} Layout with `gutters`, `columns` and ordered `blocks`.
+ *   Text blocks carry their `lines`; image and table blocks carry the original `item`.
+ */
+export function analyzeLayout({ textItems, imageItems = [], tableItems = [], pageWidth, pageHeight }) {
+  const fragments = buildLineFragments(textItems);
+  const gutters = detectGutters(fragments);
+
+  const columns = [];
+  if (fragments.length > 0) {
+    const textLeft = Math.min(...fragments.map(f => f.x));
+    const textRight = Math.max(...fragments.map(f => f.x + f.width));
+    let left = textLeft;
+    for (const gutter of gutters) {
+      columns.push({ x0: left, x1: gutter.x0 });
+      left = gutter.x1;
+    }
+    columns.push({ x0: left, x1: textRight });
+  }
+
+  const elements = [
+    ...fragments,
+    ...imageItems
+      .filter(item => item.bbox)
+      .map(item => ({ kind: 'image', item, ...item.bbox })),
+    ...tableItems.map(item => ({ kind: 'table', item, ...item.bbox }))
+  ].map(element => ({ ...element, column: assignColumn(element, gutters) }));
+
+  elements.sort((a, b) => a.y - b.y || a.x - b.x);
+
+  // Walk top-down. Full-width elements close the current band; inside a
+  // band every column is emitted in turn.
+  const ordered = [];
+  let band = new Map();
+  let bandIndex = 0;
+  const flushBand = () => {
+    [...band.keys()].sort((a, b) => a - b).forEach(column => {
+      band.get(column).forEach(element => ordered.push({ ...element, band: bandIndex }));
+    });
+    band = new Map();
+    bandIndex++;
+  };
+
+  for (const element of elements) {
+    if (element.column === null) {
+      flushBand();
+      ordered.push({ ...element, band: bandIndex });
+      bandIndex++;
+    } else {
+      if (!band.has(element.column)) band.set(element.column, []);
+      band.get(element.column).push(element);
+    }
+  }
+  flushBand();
+
+  // Group consecutive lines of the same column and band into blocks
+  const blocks = [];
+  let currentBlock = null;
+  for (const element of ordered) {
+    if (element.kind !== 'text') {
+      currentBlock = null;
+      blocks.push({
+        kind: element.kind,
+        column: element.column,
+        item: element.item,
+        bbox: { x: element.x, y: element.y, width: element.width, height: element.height }
+      });
+      continue;
+    }
+
+    const lastLine = currentBlock?.lines[currentBlock.lines.length - 1];
+    const sameFlow = currentBlock &&
+      currentBlock.column === element.column &&
+      currentBlock.band === element.band;
+    const gap = lastLine ? element.y - (lastLine.y + lastLine.height) : Infinity;
+    const lineHeight = Math.max(lastLine?.height || 0, element.height, 1);
+
+    if (sameFlow && gap <= BLOCK_GAP_RATIO * lineHeight) {
+      currentBlock.lines.push(element);
+    } else {
+      currentBlock = {
+        kind: 'text',
+        column: element.column,
+        band: element.band,
+        lines: [element]
+      };
+      blocks.push(currentBlock);
+    }
+  }
+
+  blocks.forEach((block, index) => {
+    block.order = index;
+    if (block.kind === 'text') {
+      block.bbox = unionBox(block.lines);
+      delete block.band;
+    }
+  });
+
+  return {
+    width: pageWidth,
+    height: pageHeight,
+    gutters,
+    columns,
+    blocks
+  };
+}
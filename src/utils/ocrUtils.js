@@ -0,0 +1,145 @@
+import { createWorker, OEM } from 'tesseract.js';
+
+/**
+ * Offline OCR of page scans with the Tesseract WASM engine. The engine, its
+ * web worker and the language data are self-hosted under `/tesseract/`
+ * (copied from node_modules by vite.config.js, like the PDF.js cmaps), so
+ * scanned pages still yield text without an API key or network access.
+ */
+
+const TESSERACT_WORKER_URL = '/tesseract/worker.min.js';
+const TESSERACT_CORE_URL = '/tesseract/core/';
+const TESSERACT_LANG_URL = '/tesseract/lang/';
+
+// Language of the bundled traineddata (@tesseract.js-data/eng)
+export const OCR_LANGUAGE = 'eng';
+
+// Reported as the model of OCR results
+export const OCR_ENGINE = 'tesseract';
+
+// Tesseract's confidence is 0-100; rounded to one decimal
+const roundConfidence = (confidence) => Math.round((confidence || 0) * 10) / 10;
+
+/**
+ * Checks whether an extracted image is a scan of a whole page (a scanned PDF
+ * page or an image document), as opposed to an embedded image or a page
+ * rendered only because Scan All Pages is on
+ * @param {Object} image - Extracted image
+ * @returns {boolean} True for page scans that need OCR
+ */
+export function isOcrCandidate(image) {
+  return !!image?.isFullPage && !image.isForcedScan && !!image.dataURL;
+}
+
+/**
+ * Collects the recognized words of a Tesseract page, in reading order
+ * @param {Object} data - Recognition data with `blocks`
+ * @returns {Array} Words `{ text, confidence, bbox }`, bbox in image pixels
+ */
+const collectWords = (data) =>
+  (data.blocks || []).flatMap(block =>
+    block.paragraphs.flatMap(paragraph =>
+      paragraph.lines.flatMap(line =>
+        line.words
+          .filter(word => word.text.trim())
+          .map(word => ({
+            text: word.text,
+            confidence: roundConfidence(word.confidence),
+            bbox: {
+              x: word.bbox.x0,
+              y: word.bbox.y0,
+              width: word.bbox.x1 - word.bbox.x0,
+              height: word.bbox.y1 - word.bbox.y0
+            }
+          }))
+      )
+    )
+  );
+
+/**
+ * Runs OCR on page scans, one page at a time on a single Tesseract worker
+ * @param {Array} images - Extracted images; only page scans are recognized (see isOcrCandidate)
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onProgress] - Called with the percentage of pages recognized
+ * @param {Function} [options.onLog] - Log callback
+ * @param {AbortSignal} [options.signal] - Stops after the current page, keeping the pages read so far
+ * @param {Function} [options.waitWhilePaused] - Awaited before each page
+ * @returns {Promise<Array>} Results in the processBatchImages result shape,
+ *   with `analysisType: 'ocr'`, the mean `confidence` and the recognized `words`
+ */
+export async function recognizePageScans(images = [], { onProgress = () => {}, onLog = console.log, signal = null, waitWhilePaused = null } = {}) {
+  const pageScans = images.filter(isOcrCandidate);
+  if (pageScans.length === 0) return [];
+
+  let currentPage = 0;
+  const reportProgress = (pageProgress) => {
+    onProgress(Math.round(((currentPage + pageProgress) / pageScans.length) * 100));
+  };
+
+  onLog(`Running offline OCR on ${pageScans.length} page scan(s)`);
+
+  let worker;
+  try {
+    worker = await createWorker(OCR_LANGUAGE, OEM.LSTM_ONLY, {
+      workerPath: TESSERACT_WORKER_URL,
+      corePath: TESSERACT_CORE_URL,
+      langPath: TESSERACT_LANG_URL,
+      gzip: true,
+      // The worker script is same-origin, so it is loaded directly instead
+      // of through a blob URL (which would need an absolute script URL)
+      workerBlobURL: false,
+      logger: (message) => {
+        if (message.status === 'recognizing text') reportProgress(message.progress);
+      }
+    });
+  } catch (error) {
+    console.error('Could not start the OCR engine:', error);
+    onLog(`Could not start the OCR engine: ${error.message || error}`);
+    return [];
+  }
+
+  const results = [];
+  try {
+    for (const image of pageScans) {
+      if (typeof waitWhilePaused === 'function') await waitWhilePaused();
+      if (signal?.aborted) {
+        onLog(`OCR stopped after ${currentPage} of ${pageScans.length} page scan(s)`);
+        break;
+      }
+
+      const baseResult = {
+        imageId: image.id,
+        refusalDetected: false,
+        refusalRetries: 0,
+        retries: 0,
+        isForcedScan: false,
+        pageNumber: image.pageNumber,
+        model: OCR_ENGINE,
+        analysisType: 'ocr'
+      };
+
+      try {
+        const { data } = await worker.recognize(image.dataURL, {}, { text: true, blocks: true });
+        const words = collectWords(data);
+        onLog(`OCR of page ${image.pageNumber}: ${words.length} words, confidence ${roundConfidence(data.confidence)}`);
+        results.push({
+          ...baseResult,
+          success: true,
+          text: (data.text || '').trim(),
+          confidence: roundConfidence(data.confidence),
+          words
+        });
+      } catch (error) {
+        console.error(`OCR of page ${image.pageNumber} failed:`, error);
+        results.push({ ...baseResult, success: false, text: '', error: error.message || String(error) });
+      }
+
+      currentPage++;
+      reportProgress(0);
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  return results;
+}
@@ -5,6 +5,13 @@ import * as pdfjsLib from 'pdfjs-dist';
 // instead of pointing to a hand-copied `public/pdf.worker.min.mjs`.
 import pdfjsWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
 
+import { analyzeLayout, assignColumn, buildLineFragments, detectGutters } from './layoutUtils';
+import { computeFontStatistics, inferPageStructure, renderStructure } from './structureUtils';
+import { DEFAULT_RUNNING_TEXT_MODE, findRunningText, removeLayoutLines } from './runningTextUtils';
+import { scoreTextQuality } from './textQualityUtils';
+import { canvasToDataURL, createCanvas, MIN_IMAGE_SIZE } from './imageUtils';
+import { createFailedResult } from './documentResultUtils';
+
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorkerUrl;
 
 // cMaps and standard fonts must match the installed pdfjs-dist version.
@@ -13,6 +20,58 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorkerUrl;
 const PDFJS_CMAP_URL = '/pdfjs/cmaps/';
 const PDFJS_STANDARD_FONT_URL = '/pdfjs/standard_fonts/';
 
+/**
+ * Canvas factory for PDF.js in a web worker (see extractionWorker.js), where
+ * there is no document to create <canvas> elements with
+ */
+class OffscreenCanvasFactory {
+  create(width, height) {
+    if (width <= 0 || height <= 0) {
+      throw new Error('Invalid canvas size');
+    }
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d', { willReadFrequently: true }) };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+/**
+ * Filter factory for PDF.js in a web worker. Transfer maps and
+ * high-contrast filters are SVG elements in the document, so they are left
+ * out ('none' is the CSS filter PDF.js then applies).
+ */
+class NoopFilterFactory {
+  addFilter() { return 'none'; }
+  addHCMFilter() { return 'none'; }
+  addAlphaFilter() { return 'none'; }
+  addLuminosityFilter() { return 'none'; }
+  addHighlightHCMFilter() { return 'none'; }
+  destroy() {}
+}
+
+/**
+ * getDocument options for the current context. Without a document (in a web
+ * worker) pages are rendered on OffscreenCanvas, and fonts are drawn as
+ * paths instead of being loaded with @font-face.
+ * @returns {Object} Extra getDocument options
+ */
+const getRenderingContextOptions = () => (
+  typeof document === 'undefined'
+    ? { CanvasFactory: OffscreenCanvasFactory, FilterFactory: NoopFilterFactory, disableFontFace: true }
+    : {}
+);
+
 /**
  * Analyzes PDF page content to determine its characteristics
  * @param {Object} operatorList - The operator list from PDF.js
@@ -99,6 +158,243 @@ const analyzePageContent = (operatorList, textContent) => {
   return result;
 };
 
+// Operators that paint a raster image into the unit square of the current
+// transformation matrix (CTM).
+const IMAGE_PAINT_OPS = new Set([
+  pdfjsLib.OPS.paintImageXObject,
+  pdfjsLib.OPS.paintImageMaskXObject,
+  pdfjsLib.OPS.paintInlineImageXObject,
+  pdfjsLib.OPS.paintImageXObjectRepeat,
+  pdfjsLib.OPS.paintImageMaskXObjectRepeat,
+]);
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// Path paint operators that make a path visible (everything except endPath,
+// which only establishes a clipping path)
+const PATH_PAINT_OPS = new Set([
+  pdfjsLib.OPS.stroke,
+  pdfjsLib.OPS.closeStroke,
+  pdfjsLib.OPS.fill,
+  pdfjsLib.OPS.eoFill,
+  pdfjsLib.OPS.fillStroke,
+  pdfjsLib.OPS.eoFillStroke,
+  pdfjsLib.OPS.closeFillStroke,
+  pdfjsLib.OPS.closeEOFillStroke,
+]);
+
+// Path buffer opcodes used by PDF.js (`DrawOPS`, not exported by pdfjs-dist)
+const DRAW_MOVE_TO = 0;
+const DRAW_LINE_TO = 1;
+const DRAW_CURVE_TO = 2;
+const DRAW_QUADRATIC_CURVE_TO = 3;
+const DRAW_CLOSE_PATH = 4;
+
+// Straight segments shorter than this (in points) are not rulings
+const MIN_RULING_LENGTH = 5;
+
+/**
+ * Adds the axis-aligned straight segments of a path to `rulings`.
+ * Rectangles (cell borders, thin filled bars) decompose into their edges.
+ * @param {Float32Array} buffer - PDF.js path buffer
+ * @param {Array} ctm - Current transformation matrix
+ * @param {Object} viewport - Page viewport at scale 1.0
+ * @param {Array} rulings - Output array
+ */
+const collectPathRulings = (buffer, ctm, viewport, rulings) => {
+  const toViewport = (x, y) => {
+    // Util.applyTransform transforms the point in place
+    const point = [x, y];
+    pdfjsLib.Util.applyTransform(point, ctm);
+    return viewport.convertToViewportPoint(point[0], point[1]);
+  };
+
+  const addSegment = (from, to) => {
+    const [x1, y1] = toViewport(from[0], from[1]);
+    const [x2, y2] = toViewport(to[0], to[1]);
+    if (Math.abs(y1 - y2) <= 1 && Math.abs(x2 - x1) >= MIN_RULING_LENGTH) {
+      rulings.push({ orientation: 'h', y: (y1 + y2) / 2, x0: Math.min(x1, x2), x1: Math.max(x1, x2) });
+    } else if (Math.abs(x1 - x2) <= 1 && Math.abs(y2 - y1) >= MIN_RULING_LENGTH) {
+      rulings.push({ orientation: 'v', x: (x1 + x2) / 2, y0: Math.min(y1, y2), y1: Math.max(y1, y2) });
+    }
+  };
+
+  let current = null;
+  let start = null;
+  for (let k = 0; k < buffer.length;) {
+    switch (buffer[k++]) {
+      case DRAW_MOVE_TO:
+        current = start = [buffer[k], buffer[k + 1]];
+        k += 2;
+        break;
+      case DRAW_LINE_TO: {
+        const next = [buffer[k], buffer[k + 1]];
+        if (current) addSegment(current, next);
+        current = next;
+        k += 2;
+        break;
+      }
+      case DRAW_CURVE_TO:
+        current = [buffer[k + 4], buffer[k + 5]];
+        k += 6;
+        break;
+      case DRAW_QUADRATIC_CURVE_TO:
+        current = [buffer[k + 2], buffer[k + 3]];
+        k += 4;
+        break;
+      case DRAW_CLOSE_PATH:
+        if (current && start) addSegment(current, start);
+        current = start;
+        break;
+      default:
+        // Unknown opcode: the rest of the buffer can't be interpreted
+        return;
+    }
+  }
+};
+
+/**
+ * Computes the viewport bounding box of a path from its points (curve
+ * control points included, which can only make the box slightly larger)
+ * @param {Float32Array} buffer - PDF.js path buffer
+ * @param {Array} ctm - Current transformation matrix
+ * @param {Object} viewport - Page viewport at scale 1.0
+ * @returns {Object|null} `{ x, y, width, height }`, or null for an empty path
+ */
+const getPathBox = (buffer, ctm, viewport) => {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const addPoints = (k, count) => {
+    for (let n = 0; n < count; n++) {
+      const point = [buffer[k + n * 2], buffer[k + n * 2 + 1]];
+      pdfjsLib.Util.applyTransform(point, ctm);
+      const [x, y] = viewport.convertToViewportPoint(point[0], point[1]);
+      bounds[0] = Math.min(bounds[0], x);
+      bounds[1] = Math.min(bounds[1], y);
+      bounds[2] = Math.max(bounds[2], x);
+      bounds[3] = Math.max(bounds[3], y);
+    }
+  };
+
+  for (let k = 0; k < buffer.length;) {
+    const opcode = buffer[k++];
+    if (opcode === DRAW_MOVE_TO || opcode === DRAW_LINE_TO) {
+      addPoints(k, 1);
+      k += 2;
+    } else if (opcode === DRAW_CURVE_TO) {
+      addPoints(k, 3);
+      k += 6;
+    } else if (opcode === DRAW_QUADRATIC_CURVE_TO) {
+      addPoints(k, 2);
+      k += 4;
+    } else if (opcode !== DRAW_CLOSE_PATH) {
+      // Unknown opcode: the rest of the buffer can't be interpreted
+      break;
+    }
+  }
+
+  if (bounds[0] === Infinity) return null;
+  return { x: bounds[0], y: bounds[1], width: bounds[2] - bounds[0], height: bounds[3] - bounds[1] };
+};
+
+/**
+ * Walks the operator list while tracking the graphics state stack and
+ * returns the page-space bounding box of every image paint operation, plus
+ * the horizontal and vertical ruling lines drawn by painted paths and the
+ * bounding box of every painted path outside annotation appearances.
+ *
+ * PDF.js flattens form XObjects and annotation appearances into the same
+ * operator list, so besides plain `save`/`restore`/`transform` we also have
+ * to honour the implicit save/restore of `paintFormXObjectBegin/End`,
+ * `beginGroup/endGroup` and `beginAnnotation/endAnnotation`.
+ *
+ * @param {Object} operatorList - The operator list from PDF.js
+ * @param {Object} viewport - Page viewport at scale 1.0
+ * @returns {Object} `images`: Map of operator index -> `{ x, y, width, height }`;
+ *   `rulings`: Array of `{ orientation: 'h', y, x0, x1 }` / `{ orientation: 'v', x, y0, y1 }`;
+ *   `paths`: Array of `{ x, y, width, height }`.
+ *   All coordinates are top-down viewport coordinates.
+ */
+const collectGraphicsPlacements = (operatorList, viewport) => {
+  const placements = new Map();
+  const rulings = [];
+  const paths = [];
+  const stack = [];
+  let ctm = IDENTITY_MATRIX;
+  // Annotation appearances (highlights, widget borders) are not page artwork
+  let annotationDepth = 0;
+
+  const toViewportBox = (matrix) => {
+    // Images are painted into the unit square [0, 0, 1, 1] of the CTM.
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    pdfjsLib.Util.axialAlignedBoundingBox([0, 0, 1, 1], matrix, bounds);
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(bounds);
+    return {
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.abs(x2 - x1),
+      height: Math.abs(y2 - y1)
+    };
+  };
+
+  for (let i = 0; i < operatorList.fnArray.length; i++) {
+    const op = operatorList.fnArray[i];
+    const args = operatorList.argsArray[i];
+
+    switch (op) {
+      case pdfjsLib.OPS.save:
+      case pdfjsLib.OPS.beginGroup:
+        stack.push(ctm);
+        break;
+      case pdfjsLib.OPS.restore:
+      case pdfjsLib.OPS.endGroup:
+      case pdfjsLib.OPS.paintFormXObjectEnd:
+      case pdfjsLib.OPS.endAnnotation:
+        // Unbalanced restores are common in broken PDFs; keep the last CTM.
+        ctm = stack.length > 0 ? stack.pop() : ctm;
+        if (op === pdfjsLib.OPS.endAnnotation) annotationDepth = Math.max(0, annotationDepth - 1);
+        break;
+      case pdfjsLib.OPS.transform:
+        ctm = pdfjsLib.Util.transform(ctm, args);
+        break;
+      case pdfjsLib.OPS.paintFormXObjectBegin:
+        stack.push(ctm);
+        if (args?.[0]) {
+          ctm = pdfjsLib.Util.transform(ctm, args[0]);
+        }
+        break;
+      case pdfjsLib.OPS.beginAnnotation: {
+        // Annotation appearances are drawn from the page base transform,
+        // then positioned by their own transform and appearance matrix.
+        stack.push(ctm);
+        annotationDepth++;
+        const [, , annotTransform, annotMatrix] = args || [];
+        ctm = IDENTITY_MATRIX;
+        if (annotTransform) ctm = pdfjsLib.Util.transform(ctm, annotTransform);
+        if (annotMatrix) ctm = pdfjsLib.Util.transform(ctm, annotMatrix);
+        break;
+      }
+      case pdfjsLib.OPS.constructPath: {
+        // v5 packs a whole path into one op: [paintOp, [buffer], minMax].
+        // Clipping paths (endPath) are never visible, so skip them.
+        const [paintOp, [buffer] = []] = args || [];
+        if (PATH_PAINT_OPS.has(paintOp) && buffer) {
+          collectPathRulings(buffer, ctm, viewport, rulings);
+          const box = annotationDepth === 0 ? getPathBox(buffer, ctm, viewport) : null;
+          if (box) paths.push(box);
+        }
+        break;
+      }
+      default:
+        if (IMAGE_PAINT_OPS.has(op)) {
+          placements.set(i, toViewportBox(ctm));
+        }
+        break;
+    }
+  }
+
+  return { images: placements, rulings, paths };
+};
+
 /**
  * Extracts and renders an image from a PDF page or object
  * @param {Object} params - Parameters for extraction
@@ -106,7 +402,7 @@ const analyzePageContent = (operatorList, textContent) => {
  */
 const extractImage = async ({ page, imgObj, pageNum, id, isFullPage = false, isScanned = false, isForcedScan = false }) => {
   try {
-    const canvas = document.createElement('canvas');
+    const canvas = createCanvas();
     let ctx, viewport, width, height;
     
     // Different handling for full page vs embedded image
@@ -133,7 +429,7 @@ const extractImage = async ({ page, imgObj, pageNum, id, isFullPage = false, isS
       height = viewport.height;
     } else {
       // More inclusive size threshold for embedded images (reduced from 10x10)
-      if (imgObj.width < 5 || imgObj.height < 5) {
+      if (imgObj.width < MIN_IMAGE_SIZE || imgObj.height < MIN_IMAGE_SIZE) {
         return null;
       }
       
@@ -205,7 +501,7 @@ const extractImage = async ({ page, imgObj, pageNum, id, isFullPage = false, isS
       const viewport = page.getViewport({ scale });
       
       // Create a canvas and render the page
-      const canvas = document.createElement('canvas');
+      const canvas = createCanvas();
       canvas.width = viewport.width;
       canvas.height = viewport.height;
       const ctx = canvas.getContext('2d');
@@ -231,7 +527,7 @@ const extractImage = async ({ page, imgObj, pageNum, id, isFullPage = false, isS
         isForcedScan: true, // Mark explicitly as forced scan
         scanReason: 'forced_by_toggle',
         hasValidContent: true, // Mark as having valid content to bypass content checks
-        dataURL: canvas.toDataURL('image/jpeg', 0.8) // Use JPEG for smaller size
+        dataURL: await canvasToDataURL(canvas, 'image/jpeg', 0.8) // Use JPEG for smaller size
       };
     }
     
@@ -277,7 +573,7 @@ const extractImage = async ({ page, imgObj, pageNum, id, isFullPage = false, isS
       isScanned,
       isForcedScan,
       scanReason: isForcedScan ? 'forced_by_toggle' : 'natural_page_content',
-      dataURL: canvas.toDataURL('image/png')
+      dataURL: await canvasToDataURL(canvas, 'image/png')
     };
   } catch (e) {
     console.error(`Error extracting image: ${e.message}`);
@@ -290,198 +586,924 @@ const extractImage = async ({ page, imgObj, pageNum, id, isFullPage = false, isS
  * @param {Object} options - Item properties
  * @returns {Object} Position-aware content item
  */
-const createContentItem = ({ type, text = '', id = null, x = 0, y = 0, placeholder = '' }) => {
-  return { type, text, id, x, y, placeholder };
+const createContentItem = ({ type, text = '', id = null, x = 0, y = 0, placeholder = '', bbox = null }) => {
+  return { type, text, id, x, y, placeholder, bbox };
 };
 
 /**
- * Organizes text and image items by their positions and creates formatted text with placeholders
- * @param {Object} params - Processing parameters
- * @returns {Object} Organized text content with positioned placeholders
+ * Looks up the weight and style of the fonts used on a page. Fonts are
+ * resolved into `page.commonObjs` while the operator list is built, so this
+ * must run after `getOperatorList()`.
+ * @param {Object} page - PDF.js page object
+ * @param {Object} textContent - The text content from PDF.js
+ * @returns {Map<string, Object>} Font name -> `{ bold, italic }`
  */
-const organizeContent = ({ textContent, viewport, imageItems = [], pageScan = null }) => {
-  // If no text and no images, return empty result
-  if (!textContent.items.length && !imageItems.length && !pageScan) {
-    return { 
-      rawText: '', 
-      formattedText: '' 
-    };
+const getFontStyles = (page, textContent) => {
+  const styles = new Map();
+  for (const item of textContent.items) {
+    if (!item.fontName || styles.has(item.fontName)) continue;
+    let font = null;
+    try {
+      font = page.commonObjs.has(item.fontName) ? page.commonObjs.get(item.fontName) : null;
+    } catch (_e) {
+      font = null;
+    }
+    // Subset prefixes ("ABCDEF+") and foundry names vary, so also look for
+    // weight keywords in the PostScript name
+    const name = font?.name || '';
+    styles.set(item.fontName, {
+      bold: !!(font?.bold || font?.black) || /bold|black|heavy|semibold|demi/i.test(name),
+      italic: !!font?.italic || /italic|oblique/i.test(name)
+    });
   }
-  
-  // If we only have a page scan and no text, just return the scan placeholder
-  if (!textContent.items.length && imageItems.length === 0 && pageScan) {
+  return styles;
+};
+
+/**
+ * Converts PDF.js text content into top-down text boxes. Going through the
+ * viewport (rather than `height - y`) keeps text in the same space as image
+ * bounding boxes and ruling lines, including for cropped or rotated pages.
+ * @param {Object} textContent - The text content from PDF.js
+ * @param {Object} viewport - Page viewport at scale 1.0
+ * @param {Map<string, Object>} fontStyles - Font styles from getFontStyles
+ * @returns {Array} Text items with `{ text, x, y, width, height, fontSize, bold, italic }`
+ */
+const createTextItems = (textContent, viewport, fontStyles = new Map()) => {
+  return textContent.items.map(item => {
+    const style = fontStyles.get(item.fontName);
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+      item.transform[4],
+      item.transform[5],
+      item.transform[4] + item.width,
+      item.transform[5] + item.height
+    ]);
+    
     return {
-      rawText: '',
-      formattedText: pageScan.placeholder
+      ...createContentItem({
+        type: 'text',
+        text: item.str,
+        x: Math.min(x1, x2),
+        y: Math.min(y1, y2)
+      }),
+      width: Math.abs(x2 - x1),
+      height: Math.abs(y2 - y1),
+      // The text matrix carries the font size as its vertical scale
+      fontSize: Math.hypot(item.transform[2], item.transform[3]) || item.height,
+      bold: !!style?.bold,
+      italic: !!style?.italic
     };
-  }
-  
-  // Convert text items to position-aware items
-  const textItems = textContent.items.map(item => {
-    // PDF coordinates start from bottom, convert to top-down
-    const y = viewport.height - item.transform[5];
-    
-    return createContentItem({
-      type: 'text',
-      text: item.str,
-      x: item.transform[4],
-      y
+  });
+};
+
+// Text markup and comment annotations kept in the result, by PDF subtype
+const ANNOTATION_TYPES = {
+  Text: 'comment',
+  FreeText: 'freeText',
+  Highlight: 'highlight',
+  Underline: 'underline',
+  StrikeOut: 'strikeOut',
+  Squiggly: 'squiggly'
+};
+
+/**
+ * Converts a PDF rectangle to a top-down page box
+ * @param {Object} viewport - Page viewport
+ * @param {Array<number>} rect - `[x1, y1, x2, y2]` in PDF user space
+ * @returns {Object} Box with x, y, width and height
+ */
+const toViewportBox = (viewport, rect) => {
+  const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+  return { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+};
+
+// Relative glyph width of a character, to place words inside a text item
+// whose per-glyph positions PDF.js doesn't report
+const estimateCharWidth = (char) => {
+  if (/[ilIjtf.,;:'|!\s]/.test(char)) return 0.5;
+  if (/[mwMW]/.test(char)) return 1.5;
+  return 1;
+};
+
+/**
+ * Finds the text covered by boxes (a link area or the quads of a
+ * highlight). Items that stick out of a box keep the words whose middle
+ * lies inside it, with word positions estimated from the item width.
+ * @param {Array} textItems - Text items from createTextItems
+ * @param {Array} boxes - Top-down boxes
+ * @returns {Object} `{ text, items }`: the covered text and the items it comes from
+ */
+const extractTextInBox = (textItems, boxes) => {
+  const pieces = [];
+  for (const item of textItems) {
+    if (!item.text?.trim() || !item.width) continue;
+    const box = boxes.find(candidate => {
+      const verticalOverlap = Math.min(item.y + item.height, candidate.y + candidate.height) - Math.max(item.y, candidate.y);
+      const horizontalOverlap = Math.min(item.x + item.width, candidate.x + candidate.width) - Math.max(item.x, candidate.x);
+      return verticalOverlap >= item.height * 0.5 && horizontalOverlap > 0;
     });
+    if (!box) continue;
+
+    const scale = item.width / [...item.text].reduce((sum, char) => sum + estimateCharWidth(char), 0);
+    const words = [];
+    let x = item.x;
+    for (const token of item.text.split(/(\s+)/)) {
+      const width = [...token].reduce((sum, char) => sum + estimateCharWidth(char), 0) * scale;
+      const middle = x + width / 2;
+      if (token.trim() && middle >= box.x && middle <= box.x + box.width) words.push(token);
+      x += width;
+    }
+    if (words.length > 0) pieces.push({ item, text: words.join(' ') });
+  }
+
+  pieces.sort((a, b) => a.item.y - b.item.y || a.item.x - b.item.x);
+  return {
+    text: pieces.map(piece => piece.text).join(' ').replace(/\s+/g, ' ').trim(),
+    items: pieces.map(piece => piece.item)
+  };
+};
+
+/**
+ * Converts an AcroForm widget annotation to a form field
+ * @param {Object} annotation - Widget annotation from getAnnotations
+ * @param {Object} viewport - Page viewport
+ * @returns {Object|null} `{ name, label, type, value, checked, options, readOnly, required, bbox, source }`,
+ *   or null for push buttons, which hold no data. The label is the field's tooltip.
+ */
+const readWidgetField = (annotation, viewport) => {
+  const fieldValue = annotation.fieldValue;
+  let type;
+  let value = typeof fieldValue === 'string' && fieldValue !== '' ? fieldValue : null;
+  let checked = null;
+  let options = null;
+
+  if (annotation.fieldType === 'Tx') {
+    type = 'text';
+  } else if (annotation.fieldType === 'Ch') {
+    type = 'choice';
+    options = (annotation.options || []).map(option => option.displayValue ?? option.exportValue);
+    // Selected export values are shown by their display value
+    const selected = (Array.isArray(fieldValue) ? fieldValue : [fieldValue])
+      .filter(selectedValue => selectedValue !== null && selectedValue !== undefined && selectedValue !== '')
+      .map(selectedValue => annotation.options?.find(option => option.exportValue === selectedValue)?.displayValue ?? selectedValue);
+    value = annotation.multiSelect ? selected : selected[0] ?? null;
+  } else if (annotation.fieldType === 'Sig') {
+    type = 'signature';
+    value = null;
+  } else if (annotation.checkBox) {
+    type = 'checkbox';
+    checked = fieldValue === annotation.exportValue;
+    value = checked ? annotation.exportValue : null;
+  } else if (annotation.radioButton) {
+    type = 'radio';
+    checked = fieldValue === annotation.buttonValue;
+    value = checked ? annotation.buttonValue : null;
+    options = [annotation.buttonValue];
+  } else {
+    return null;
+  }
+
+  return {
+    name: annotation.fieldName || '',
+    label: annotation.alternativeText?.trim() || null,
+    type,
+    value,
+    checked,
+    options,
+    readOnly: !!annotation.readOnly,
+    required: !!annotation.required,
+    bbox: toViewportBox(viewport, annotation.rect),
+    source: 'acroform'
+  };
+};
+
+// Furthest a caption may sit to the left of its form field, in points
+const MAX_CAPTION_DISTANCE = 200;
+
+/**
+ * Finds the printed caption of a form field: the nearest text on the same
+ * line to the left of its widget
+ * @param {Array} textItems - Text items from createTextItems
+ * @param {Object} bbox - Widget box
+ * @returns {string|null} Caption text
+ */
+const findFieldCaption = (textItems, bbox) => {
+  const candidates = textItems.filter(item => {
+    const verticalOverlap = Math.min(item.y + item.height, bbox.y + bbox.height) - Math.max(item.y, bbox.y);
+    const right = item.x + item.width;
+    return item.text?.trim() && verticalOverlap >= Math.min(item.height, bbox.height) * 0.5 &&
+      right <= bbox.x + 2 && bbox.x - right <= MAX_CAPTION_DISTANCE;
   });
-  
-  // Combine all items (text + images)
-  let allItems = [...textItems];
-  
-  // Add image items, but check if they're already in the list first
-  const existingImageIds = new Set();
-  
-  for (const imgItem of imageItems) {
-    if (!existingImageIds.has(imgItem.id)) {
-      existingImageIds.add(imgItem.id);
-      allItems.push(imgItem);
+  if (candidates.length === 0) return null;
+  const nearest = candidates.reduce((best, item) => (item.x + item.width > best.x + best.width ? item : best));
+  return nearest.text.trim().replace(/:$/, '') || null;
+};
+
+// Text of an XFA HTML node and its children
+const getXfaNodeText = (node) =>
+  [node.value, ...(node.children || []).map(getXfaNodeText)].filter(Boolean).join(' ').trim();
+
+/**
+ * Reads the form fields of a pure XFA page (XFA forms without AcroForm
+ * widgets) from the HTML tree PDF.js builds for them. XFA fields have no
+ * position; they are named by their XFA name and labelled by their caption.
+ * @param {Object} node - XFA HTML node from page.getXfa()
+ * @param {Array} fields - Fields found so far
+ * @param {Object} field - Enclosing XFA field `{ name, caption }`
+ * @returns {Array} Form fields in document order
+ */
+const readXfaFields = (node, fields = [], field = {}) => {
+  if (!node) return fields;
+  const attributes = node.attributes || {};
+  const classes = attributes.class || [];
+  if (classes.includes('xfaField')) {
+    field = { name: attributes.xfaName || attributes.id, caption: null };
+  } else if (classes.includes('xfaCaption') || classes.includes('xfaCaptionForCheckButton')) {
+    field.caption = getXfaNodeText(node) || null;
+    return fields;
+  }
+  const label = attributes['aria-label'] || field.caption || null;
+  const base = { name: field.name || attributes.fieldId || '', label, readOnly: false, required: !!attributes['aria-required'], bbox: null, source: 'xfa' };
+
+  if (node.name === 'textarea' || (node.name === 'input' && attributes.type === 'text')) {
+    const value = (node.name === 'textarea' ? attributes.textContent : attributes.value) || null;
+    fields.push({ ...base, type: 'text', value, checked: null, options: null });
+  } else if (node.name === 'input' && attributes.type === 'checkbox') {
+    const checked = !!attributes.checked;
+    fields.push({ ...base, type: 'checkbox', value: checked ? attributes.xfaOn : null, checked, options: null });
+  } else if (node.name === 'input' && attributes.type === 'radio') {
+    // Buttons of an exclusive group share their `name`; keep one field per group
+    const group = fields.find(field => field.groupId && field.groupId === attributes.name);
+    const checked = !!attributes.checked;
+    if (group) {
+      group.options.push(attributes.xfaOn);
+      if (checked) Object.assign(group, { value: attributes.xfaOn, checked });
+    } else {
+      fields.push({ ...base, groupId: attributes.name, type: 'radio', value: checked ? attributes.xfaOn : null, checked, options: [attributes.xfaOn] });
     }
+  } else if (node.name === 'select') {
+    const options = (node.children || []).filter(child => child.name === 'option');
+    const selected = options.filter(option => option.attributes?.selected).map(option => option.value);
+    fields.push({
+      ...base,
+      type: 'choice',
+      value: attributes.multiple ? selected : selected[0] ?? null,
+      checked: null,
+      options: options.map(option => option.value)
+    });
+  } else {
+    (node.children || []).forEach(child => readXfaFields(child, fields, field));
   }
-  
-  // If there's a full page scan and it's important, add it at the beginning
-  // but only if we haven't already included it
-  if (pageScan && !existingImageIds.has(pageScan.id)) {
-    allItems.unshift(createContentItem({
-      type: 'image',
-      id: pageScan.id,
-      placeholder: pageScan.placeholder,
-      y: 0,
-      x: 0
-    }));
+  return fields;
+};
+
+/**
+ * Reads the link, comment, text markup and form widget annotations of a
+ * page. Links are attached to the text items they cover (`item.links`), so
+ * the page text can render them as Markdown links.
+ * @param {Object} page - PDF.js page
+ * @param {Object} viewport - Page viewport
+ * @param {Array} textItems - Text items from createTextItems
+ * @returns {Promise<Object>} `{ links, annotations, formFields }`
+ */
+const readPageAnnotations = async (page, viewport, textItems) => {
+  let pageAnnotations;
+  try {
+    pageAnnotations = await page.getAnnotations({ intent: 'display' });
+  } catch (error) {
+    console.warn(`Could not read annotations: ${error.message}`);
+    return { links: [], annotations: [], formFields: [] };
   }
-  
-  // No content case
-  if (allItems.length === 0) {
-    return { 
-      rawText: '', 
-      formattedText: '' 
-    };
+
+  const links = [];
+  const annotations = [];
+  const formFields = [];
+  for (const annotation of pageAnnotations) {
+    if (annotation.subtype === 'Widget') {
+      const field = annotation.hidden ? null : readWidgetField(annotation, viewport);
+      if (field && !field.label) field.label = findFieldCaption(textItems, field.bbox);
+      // The widgets of a radio group are one field: the selected button is its value
+      const group = field?.type === 'radio' && formFields.find(other => other.type === 'radio' && other.name === field.name);
+      if (group) {
+        group.options.push(...field.options);
+        if (field.checked) Object.assign(group, { value: field.value, checked: true, bbox: field.bbox });
+      } else if (field) {
+        formFields.push(field);
+      }
+      continue;
+    }
+
+    if (annotation.subtype === 'Link') {
+      // Internal links (to another page of the PDF) have no URL
+      if (!annotation.url) continue;
+      const bbox = toViewportBox(viewport, annotation.rect);
+      const { text, items } = extractTextInBox(textItems, [bbox]);
+      const link = { url: annotation.url, text, bbox };
+      items.forEach(item => {
+        item.links = [...(item.links || []), link];
+      });
+      links.push(link);
+      continue;
+    }
+
+    const type = ANNOTATION_TYPES[annotation.subtype];
+    if (!type) continue;
+
+    const bbox = toViewportBox(viewport, annotation.rect);
+    const isTextMarkup = !['comment', 'freeText'].includes(type);
+    let highlightedText = null;
+    if (isTextMarkup) {
+      // Each quad (8 numbers) covers one line of the marked-up text
+      const quadPoints = annotation.quadPoints || [];
+      const quads = [];
+      for (let i = 0; i + 8 <= quadPoints.length; i += 8) {
+        const xs = [quadPoints[i], quadPoints[i + 2], quadPoints[i + 4], quadPoints[i + 6]];
+        const ys = [quadPoints[i + 1], quadPoints[i + 3], quadPoints[i + 5], quadPoints[i + 7]];
+        quads.push(toViewportBox(viewport, [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]));
+      }
+      highlightedText = extractTextInBox(textItems, quads.length > 0 ? quads : [bbox]).text || null;
+    }
+
+    const contents = annotation.contentsObj?.str?.trim() || null;
+    if (!contents && !highlightedText) continue;
+
+    annotations.push({
+      id: annotation.id,
+      type,
+      author: annotation.titleObj?.str?.trim() || null,
+      date: toIsoDate(annotation.modificationDate) || toIsoDate(annotation.creationDate),
+      contents,
+      highlightedText,
+      inReplyTo: annotation.inReplyTo || null,
+      bbox
+    });
   }
-  
-  // Sort by position (y first, then x)
-  allItems.sort((a, b) => {
-    // Group items by y position with some tolerance
-    if (Math.abs(a.y - b.y) > 5) {
-      return a.y - b.y;
+
+  // Annotations and fields in reading order, top to bottom
+  annotations.sort((a, b) => a.bbox.y - b.bbox.y || a.bbox.x - b.bbox.x);
+  formFields.sort((a, b) => a.bbox.y - b.bbox.y || a.bbox.x - b.bbox.x);
+  return { links, annotations, formFields };
+};
+
+// Tolerance (in points) when matching ruling lines to each other and to text
+const RULING_TOLERANCE = 2;
+
+// Pages with more ruling segments than this are treated as vector artwork
+// rather than tables
+const MAX_RULINGS = 2000;
+
+// Minimum number of aligned rows for a table without a ruled grid
+const MIN_ALIGNED_TABLE_ROWS = 3;
+
+// Fragments longer than this (in characters) are running text, which ends
+// an aligned table
+const MAX_ALIGNED_CELL_LENGTH = 40;
+
+// A cell counts as numeric when it is a number, amount or percentage,
+// optionally negative, in parentheses or with a currency sign
+const NUMERIC_CELL_REGEX = /^[-+–(]?\s?[$€£¥]?\s?\d[\d,.\s]*%?\)?$/;
+
+/**
+ * Merges nearby coordinates into a sorted list of distinct positions
+ * @param {Array<number>} values - Coordinates
+ * @returns {Array<number>} Clustered positions
+ */
+const clusterPositions = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const clusters = [];
+  for (const value of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && value - last.max <= RULING_TOLERANCE) {
+      last.max = value;
+      last.sum += value;
+      last.count++;
+    } else {
+      clusters.push({ max: value, sum: value, count: 1 });
     }
-    // If on same line, sort by x position
-    return a.x - b.x;
-  });
-  
-  // Group by lines with improved approach for handling multiple images
-  const yTolerance = 5; // Slightly increased tolerance
-  const lines = [];
-  let currentLine = [];
-  let currentY = null;
-  
-  // First pass: Group by y position with tolerance
-  allItems.forEach(item => {
-    const roundedY = Math.round(item.y / yTolerance) * yTolerance;
-    
-    if (currentY === null) {
-      currentY = roundedY;
-    } else if (Math.abs(roundedY - currentY) > yTolerance) {
-      // New line
-      if (currentLine.length > 0) {
-        lines.push([...currentLine]);
+  }
+  return clusters.map(cluster => cluster.sum / cluster.count);
+};
+
+/**
+ * Joins text items into reading-order text (lines joined by spaces)
+ * @param {Array} items - Text items
+ * @returns {string} Cell text
+ */
+const joinCellText = (items) => {
+  return buildLineFragments(items).map(fragment => fragment.text).join(' ').trim();
+};
+
+/**
+ * Drops rows and columns that are empty in every cell
+ * @param {Array<Array<string>>} rows - Table rows
+ * @returns {Array<Array<string>>} Compacted rows
+ */
+const compactRows = (rows) => {
+  const nonEmptyRows = rows.filter(row => row.some(cell => cell.length > 0));
+  if (nonEmptyRows.length === 0) return [];
+  const keepColumns = nonEmptyRows[0]
+    .map((_, col) => col)
+    .filter(col => nonEmptyRows.some(row => row[col].length > 0));
+  return nonEmptyRows.map(row => keepColumns.map(col => row[col]));
+};
+
+/**
+ * Finds ruled grids: connected sets of horizontal and vertical rulings that
+ * form at least two cells.
+ * @param {Array} rulings - Rulings from collectGraphicsPlacements
+ * @returns {Array} Grids with `{ bbox, rowEdges, columnEdges }`
+ */
+const findRulingGrids = (rulings) => {
+  const horizontal = rulings.filter(r => r.orientation === 'h');
+  const vertical = rulings.filter(r => r.orientation === 'v');
+  if (horizontal.length < 2 || vertical.length < 2 || rulings.length > MAX_RULINGS) {
+    return [];
+  }
+
+  // Union-find over all rulings; a horizontal and a vertical ruling are
+  // connected when they touch or cross
+  const parent = rulings.map((_, index) => index);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const hIndexes = rulings.map((r, i) => (r.orientation === 'h' ? i : -1)).filter(i => i >= 0);
+  const vIndexes = rulings.map((r, i) => (r.orientation === 'v' ? i : -1)).filter(i => i >= 0);
+
+  for (const hi of hIndexes) {
+    const h = rulings[hi];
+    for (const vi of vIndexes) {
+      const v = rulings[vi];
+      if (v.x >= h.x0 - RULING_TOLERANCE && v.x <= h.x1 + RULING_TOLERANCE &&
+          h.y >= v.y0 - RULING_TOLERANCE && h.y <= v.y1 + RULING_TOLERANCE) {
+        parent[find(hi)] = find(vi);
       }
-      currentLine = [];
-      currentY = roundedY;
     }
-    
-    currentLine.push(item);
+  }
+
+  const components = new Map();
+  rulings.forEach((ruling, index) => {
+    const root = find(index);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(ruling);
   });
-  
-  // Add the last line
-  if (currentLine.length > 0) {
-    lines.push(currentLine);
+
+  const grids = [];
+  for (const members of components.values()) {
+    const rowEdges = clusterPositions(members.filter(r => r.orientation === 'h').map(r => r.y));
+    const columnEdges = clusterPositions(members.filter(r => r.orientation === 'v').map(r => r.x));
+    // A single frame (1x1) is a box, not a table
+    if (rowEdges.length < 2 || columnEdges.length < 3) continue;
+
+    grids.push({
+      bbox: {
+        x: columnEdges[0],
+        y: rowEdges[0],
+        width: columnEdges[columnEdges.length - 1] - columnEdges[0],
+        height: rowEdges[rowEdges.length - 1] - rowEdges[0]
+      },
+      rowEdges,
+      columnEdges
+    });
   }
-  
-  // Second pass: Ensure images that are horizontally close but on different lines
-  // are properly placed (especially in multi-column layouts)
-  for (let i = 0; i < lines.length; i++) {
-    // Check if this line has an image
-    const hasImage = lines[i].some(item => item.type === 'image');
-    
-    if (hasImage && i < lines.length - 1) {
-      // Look ahead for nearby images in subsequent lines
-      for (let j = i + 1; j < Math.min(i + 3, lines.length); j++) {
-        const nearbyImages = lines[j].filter(item => item.type === 'image');
-        
-        if (nearbyImages.length > 0) {
-          // For each nearby image, decide if it should move up to the current line
-          for (let k = 0; k < nearbyImages.length; k++) {
-            const img = nearbyImages[k];
-            const imgIndex = lines[j].indexOf(img);
-            
-            // If the image is close in y-position or has no text around it, move it up
-            const isTextNearby = lines[j].some(item => 
-              item.type === 'text' && 
-              Math.abs(item.x - img.x) < 50
-            );
-            
-            // Remove from next line, add to current line if appropriate
-            if (!isTextNearby || Math.abs(img.y - lines[i][0].y) < 20) {
-              if (imgIndex !== -1) {
-                // Remove from original line
-                lines[j].splice(imgIndex, 1);
-                // Add to current line
-                lines[i].push(img);
-                // Ensure current line is sorted
-                lines[i].sort((a, b) => a.x - b.x);
-              }
-            }
-          }
+
+  return grids;
+};
+
+/**
+ * Fills a ruled grid with the text items whose centers fall in its cells
+ * @param {Object} grid - Grid from findRulingGrids
+ * @param {Array} textItems - Candidate text items
+ * @returns {Object} `{ rows, items }` where `items` are the consumed text items
+ */
+const fillRulingGrid = (grid, textItems) => {
+  const { rowEdges, columnEdges } = grid;
+  const cells = rowEdges.slice(1).map(() => columnEdges.slice(1).map(() => []));
+  const items = [];
+
+  for (const item of textItems) {
+    const cx = item.x + item.width / 2;
+    const cy = item.y + item.height / 2;
+    const row = rowEdges.findIndex((edge, i) => i > 0 && cy < edge) - 1;
+    const col = columnEdges.findIndex((edge, i) => i > 0 && cx < edge) - 1;
+    if (cy <= rowEdges[0] || cx <= columnEdges[0] || row < 0 || col < 0) continue;
+    cells[row][col].push(item);
+    items.push(item);
+  }
+
+  return {
+    rows: compactRows(cells.map(row => row.map(joinCellText))),
+    items
+  };
+};
+
+/**
+ * Groups line fragments into visual rows by vertical overlap
+ * @param {Array} fragments - Line fragments
+ * @returns {Array} Rows with `{ y, height, fragments }`, top to bottom
+ */
+const groupFragmentRows = (fragments) => {
+  const rows = [];
+  const sorted = [...fragments].sort((a, b) => (a.y + a.height / 2) - (b.y + b.height / 2));
+  for (const fragment of sorted) {
+    const center = fragment.y + fragment.height / 2;
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(center - (row.y + row.height / 2)) <= Math.max(row.height, fragment.height) / 2) {
+      row.fragments.push(fragment);
+      row.y = Math.min(row.y, fragment.y);
+      row.height = Math.max(row.height, fragment.y + fragment.height - row.y);
+    } else {
+      rows.push({ y: fragment.y, height: fragment.height, fragments: [fragment] });
+    }
+  }
+  rows.forEach(row => row.fragments.sort((a, b) => a.x - b.x));
+  return rows;
+};
+
+/**
+ * Checks a run of aligned rows and turns it into a table when its column
+ * structure holds up.
+ * @param {Array} run - Consecutive rows with at least two fragments each
+ * @param {Array} horizontalRulings - Horizontal rulings on the page
+ * @returns {Object|null} `{ bbox, rows, items }` or null
+ */
+const buildAlignedTable = (run, horizontalRulings) => {
+  // Column bands come from the rows with the most common fragment count, so
+  // a header cell spanning two columns doesn't merge them
+  const counts = new Map();
+  run.forEach(row => counts.set(row.fragments.length, (counts.get(row.fragments.length) || 0) + 1));
+  const typicalCount = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+
+  const intervals = run
+    .filter(row => row.fragments.length === typicalCount)
+    .flatMap(row => row.fragments.map(f => ({ x0: f.x, x1: f.x + f.width })))
+    .sort((a, b) => a.x0 - b.x0);
+
+  const bands = [];
+  for (const interval of intervals) {
+    const last = bands[bands.length - 1];
+    if (last && interval.x0 <= last.x1 + RULING_TOLERANCE) {
+      last.x1 = Math.max(last.x1, interval.x1);
+    } else {
+      bands.push({ ...interval });
+    }
+  }
+  if (bands.length < 2) return null;
+
+  const bandFor = (fragment) => {
+    let best = 0;
+    let bestScore = -Infinity;
+    bands.forEach((band, index) => {
+      const overlap = Math.min(band.x1, fragment.x + fragment.width) - Math.max(band.x0, fragment.x);
+      const distance = Math.max(band.x0 - (fragment.x + fragment.width), fragment.x - band.x1, 0);
+      const score = overlap > 0 ? overlap : -distance;
+      if (score > bestScore) {
+        bestScore = score;
+        best = index;
+      }
+    });
+    return best;
+  };
+
+  // Most rows must put their fragments in distinct columns
+  let consistentRows = 0;
+  const cells = run.map(row => {
+    const rowCells = bands.map(() => []);
+    const used = new Set();
+    let consistent = true;
+    row.fragments.forEach(fragment => {
+      const band = bandFor(fragment);
+      if (used.has(band)) consistent = false;
+      used.add(band);
+      rowCells[band].push(...fragment.items);
+    });
+    if (consistent) consistentRows++;
+    return rowCells;
+  });
+  if (consistentRows < 0.7 * run.length) return null;
+
+  const rows = cells.map(row => row.map(joinCellText));
+  const items = run.flatMap(row => row.fragments.flatMap(f => f.items));
+  const x0 = Math.min(...run.flatMap(row => row.fragments.map(f => f.x)));
+  const x1 = Math.max(...run.flatMap(row => row.fragments.map(f => f.x + f.width)));
+  const y0 = run[0].y;
+  const y1 = run[run.length - 1].y + run[run.length - 1].height;
+  const rowHeight = Math.max(...run.map(row => row.height));
+
+  // A horizontal rule across (most of) the run is strong evidence of a table
+  const hasRuling = horizontalRulings.some(ruling =>
+    ruling.y >= y0 - 2 * rowHeight && ruling.y <= y1 + 2 * rowHeight &&
+    Math.min(ruling.x1, x1) - Math.max(ruling.x0, x0) >= 0.8 * (x1 - x0)
+  );
+
+  // Without a ruling, only accept short cells (prose in side-by-side
+  // columns has long fragments) and, for two columns, mostly numeric data
+  // (a numbered list also has two aligned columns).
+  if (!hasRuling) {
+    const allCells = rows.flat().filter(cell => cell.length > 0);
+    const lengths = allCells.map(cell => cell.length).sort((a, b) => a - b);
+    if (lengths[Math.floor(lengths.length / 2)] > 30) return null;
+
+    if (bands.length === 2) {
+      const valueCells = rows.map(row => row[1]).filter(cell => cell.length > 0);
+      const numericCells = valueCells.filter(cell => NUMERIC_CELL_REGEX.test(cell));
+      if (numericCells.length < 0.5 * valueCells.length) return null;
+    }
+  }
+
+  return {
+    bbox: { x: x0, y: y0, width: x1 - x0, height: y1 - y0 },
+    rows: compactRows(rows),
+    items
+  };
+};
+
+/**
+ * Scans rows of fragments for runs of aligned multi-cell rows and keeps the
+ * runs that hold up as tables.
+ * @param {Array} fragments - Line fragments
+ * @param {Array} horizontalRulings - Horizontal rulings on the page
+ * @returns {Array} Tables with `{ bbox, rows, items }`
+ */
+const findTableRuns = (fragments, horizontalRulings) => {
+  const tables = [];
+  let run = [];
+
+  const flushRun = () => {
+    if (run.length >= MIN_ALIGNED_TABLE_ROWS) {
+      const table = buildAlignedTable(run, horizontalRulings);
+      if (table) tables.push(table);
+    }
+    run = [];
+  };
+
+  for (const row of groupFragmentRows(fragments)) {
+    // Rows with a prose-length fragment are running text, not table rows
+    const isTableRow = row.fragments.length >= 2 &&
+      row.fragments.every(fragment => fragment.text.length <= MAX_ALIGNED_CELL_LENGTH);
+    const previous = run[run.length - 1];
+    const gap = previous ? row.y - (previous.y + previous.height) : 0;
+    if (!isTableRow || (previous && gap > 2 * Math.max(previous.height, row.height))) {
+      flushRun();
+    }
+    if (isTableRow) {
+      run.push(row);
+    }
+  }
+  flushRun();
+
+  return tables;
+};
+
+/**
+ * Finds tables whose columns are formed by text alignment alone (or with
+ * only horizontal rules). Full-width tables are found on the whole page
+ * first; the remaining text is then searched one layout column at a time,
+ * so a table sitting next to running text in the other column is found too.
+ * @param {Array} textItems - Text items not claimed by a ruled grid
+ * @param {Array} horizontalRulings - Horizontal rulings on the page
+ * @returns {Array} Tables with `{ bbox, rows, items }`
+ */
+const findAlignedTables = (textItems, horizontalRulings) => {
+  const fragments = buildLineFragments(textItems);
+  const tables = findTableRuns(fragments, horizontalRulings);
+
+  const claimed = new Set(tables.flatMap(table => table.items));
+  const remaining = fragments.filter(fragment => !fragment.items.some(item => claimed.has(item)));
+  const gutters = detectGutters(fragments);
+  if (gutters.length === 0) return tables;
+
+  const groups = new Map();
+  for (const fragment of remaining) {
+    const column = assignColumn(fragment, gutters);
+    if (!groups.has(column)) groups.set(column, []);
+    groups.get(column).push(fragment);
+  }
+  for (const groupFragments of groups.values()) {
+    tables.push(...findTableRuns(groupFragments, horizontalRulings));
+  }
+
+  return tables;
+};
+
+/**
+ * Detects tables on a page from ruled grids and from text alignment
+ * @param {Object} params - Detection parameters
+ * @param {Array} params.textItems - Text items from createTextItems
+ * @param {Array} params.rulings - Rulings from collectGraphicsPlacements
+ * @returns {Array} Tables with `{ bbox, rows, items, source }`, where `rows`
+ *   is an array of rows of cell strings and `items` the text they consumed
+ */
+const detectTables = ({ textItems, rulings }) => {
+  const tables = [];
+  const claimed = new Set();
+  const candidates = textItems.filter(item => item.text && item.text.trim().length > 0);
+
+  for (const grid of findRulingGrids(rulings)) {
+    const { rows, items } = fillRulingGrid(grid, candidates.filter(item => !claimed.has(item)));
+    const filledCells = rows.flat().filter(cell => cell.length > 0).length;
+    if (filledCells < 2 || rows[0]?.length < 2) continue;
+
+    items.forEach(item => claimed.add(item));
+    tables.push({ bbox: grid.bbox, rows, items, source: 'ruled' });
+  }
+
+  const horizontalRulings = rulings.filter(r => r.orientation === 'h');
+  const alignedTables = findAlignedTables(
+    candidates.filter(item => !claimed.has(item)),
+    horizontalRulings
+  );
+  alignedTables.forEach(table => tables.push({ ...table, source: 'aligned' }));
+
+  return tables.sort((a, b) => a.bbox.y - b.bbox.y || a.bbox.x - b.bbox.x);
+};
+
+// Paths closer than this (in points) belong to the same figure
+const FIGURE_CLUSTER_GAP = 12;
+
+// A figure needs this many painted paths, of which this many are shapes
+// (bars, wedges, curves) rather than thin lines: a boxed paragraph or a
+// few separator rules are not figures
+const MIN_FIGURE_PATHS = 3;
+const MIN_FIGURE_SHAPES = 2;
+
+// Paths thinner than this (in points) are lines rather than shapes
+const MAX_LINE_THICKNESS = 2;
+
+// Smallest figure width and height (in points)
+const MIN_FIGURE_SIZE = 40;
+
+// Paths covering more than this share of the page are backgrounds or frames
+const MAX_PATH_PAGE_COVERAGE = 0.6;
+
+// Above this many paths (maps, dense plots) every path is one figure
+// instead of being clustered pairwise
+const MAX_CLUSTERED_PATHS = 2000;
+
+// Short text this close to a figure (axis labels, legends) is rendered with it
+const FIGURE_LABEL_MARGIN = 14;
+const MAX_FIGURE_LABEL_LENGTH = 40;
+
+const boxArea = (box) => box.width * box.height;
+
+const boxesIntersect = (a, b, margin = 0) =>
+  a.x - margin <= b.x + b.width && b.x - margin <= a.x + a.width &&
+  a.y - margin <= b.y + b.height && b.y - margin <= a.y + a.height;
+
+const overlapArea = (a, b) =>
+  Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x)) *
+  Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+
+const mergeBoxes = (boxes) => {
+  const [x0, y0, x1, y1] = boxes.reduce(
+    (bounds, box) => [
+      Math.min(bounds[0], box.x),
+      Math.min(bounds[1], box.y),
+      Math.max(bounds[2], box.x + box.width),
+      Math.max(bounds[3], box.y + box.height)
+    ],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+};
+
+/**
+ * Finds vector figures (charts, diagrams) by clustering the painted paths
+ * of a page into regions. Table rulings, page backgrounds and paths under
+ * raster images are left out, and short text on or next to a figure (axis
+ * labels, legends) is included in its region.
+ * @param {Object} params - Page content
+ * @param {Array} params.paths - Path boxes from collectGraphicsPlacements
+ * @param {Array} params.textItems - Text items from createTextItems
+ * @param {Array} params.tables - Tables from detectTables
+ * @param {Array} params.imageBoxes - Bounding boxes of the page's raster images
+ * @param {Object} params.viewport - Page viewport at scale 1.0
+ * @returns {Array} Figure regions `{ bbox, pathCount, items }`, top to bottom, where
+ *   `items` are the label text items drawn in the region
+ */
+const findVectorFigures = ({ paths, textItems, tables, imageBoxes, viewport }) => {
+  const pageArea = viewport.width * viewport.height;
+  const candidates = paths.filter(path =>
+    boxArea(path) <= pageArea * MAX_PATH_PAGE_COVERAGE &&
+    !tables.some(table => boxesIntersect(table.bbox, path, RULING_TOLERANCE))
+  );
+  if (candidates.length < MIN_FIGURE_PATHS) return [];
+
+  let clusters;
+  if (candidates.length > MAX_CLUSTERED_PATHS) {
+    clusters = [candidates];
+  } else {
+    const parent = candidates.map((_, index) => index);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        if (boxesIntersect(candidates[i], candidates[j], FIGURE_CLUSTER_GAP)) {
+          parent[find(i)] = find(j);
         }
       }
     }
+    const components = new Map();
+    candidates.forEach((path, index) => {
+      const root = find(index);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(path);
+    });
+    clusters = [...components.values()];
+  }
+
+  const figures = [];
+  for (const members of clusters) {
+    const shapeCount = members.filter(path => Math.min(path.width, path.height) > MAX_LINE_THICKNESS).length;
+    if (members.length < MIN_FIGURE_PATHS || shapeCount < MIN_FIGURE_SHAPES) continue;
+
+    const pathBox = mergeBoxes(members);
+    if (pathBox.width < MIN_FIGURE_SIZE || pathBox.height < MIN_FIGURE_SIZE) continue;
+    // Vector overlays on a photo belong to the extracted image
+    if (imageBoxes.some(imageBox => overlapArea(imageBox, pathBox) > boxArea(pathBox) * 0.5)) continue;
+
+    const labels = textItems.filter(item =>
+      item.text.trim().length <= MAX_FIGURE_LABEL_LENGTH &&
+      boxesIntersect(pathBox, item, FIGURE_LABEL_MARGIN)
+    );
+    figures.push({ bbox: mergeBoxes([pathBox, ...labels]), pathCount: members.length, items: labels });
+  }
+
+  return figures.sort((a, b) => a.bbox.y - b.bbox.y || a.bbox.x - b.bbox.x);
+};
+
+/**
+ * Organizes text, image and table items by their positions and creates formatted text with placeholders.
+ * Reading order (columns, full-width titles and figures) comes from `analyzeLayout`.
+ * @param {Object} params - Processing parameters
+ * @returns {Object} Organized text content with positioned placeholders and the page layout
+ */
+const organizeContent = ({ textItems, viewport, imageItems = [], tables = [], pageScan = null }) => {
+  // If no text and no images, return empty result
+  if (!textItems.length && !imageItems.length && !pageScan) {
+    return { 
+      rawText: '', 
+      formattedText: '',
+      layout: null
+    };
   }
   
-  // Sort each line by x position
-  lines.forEach(line => line.sort((a, b) => a.x - b.x));
+  // If we only have a page scan and no text, just return the scan placeholder
+  if (!textItems.length && imageItems.length === 0 && pageScan) {
+    return {
+      rawText: '',
+      formattedText: pageScan.placeholder,
+      layout: null
+    };
+  }
   
-  // Remove empty lines after reorganization
-  const nonEmptyLines = lines.filter(line => line.length > 0);
+  // Text that belongs to a table is emitted through the table placeholder
+  const tableTextItems = new Set(tables.flatMap(table => table.items));
+  const flowTextItems = textItems.filter(item => !tableTextItems.has(item));
   
-  // Build raw text (just the text content)
-  let rawText = '';
-  const textOnlyItems = textItems.sort((a, b) => a.y - b.y);
+  // Collect image items, skipping duplicates of the same image. Images
+  // without a bounding box fall back to a zero-size box at their position.
+  const existingImageIds = new Set();
+  const placedImages = [];
   
-  for (let i = 0; i < textOnlyItems.length; i++) {
-    rawText += textOnlyItems[i].text;
-    if (i < textOnlyItems.length - 1) {
-      // If next item is on a new line, add a line break
-      if (Math.abs(textOnlyItems[i].y - textOnlyItems[i+1].y) > 5) {
-        rawText += '\n';
-      } else {
-        rawText += ' ';
-      }
+  for (const imgItem of imageItems) {
+    if (!existingImageIds.has(imgItem.id)) {
+      existingImageIds.add(imgItem.id);
+      placedImages.push({
+        ...imgItem,
+        bbox: imgItem.bbox || { x: imgItem.x, y: imgItem.y, width: 0, height: 0 }
+      });
     }
   }
   
-  // Build formatted text (with image placeholders)
-  let formattedText = '';
+  const layout = analyzeLayout({
+    textItems: flowTextItems,
+    imageItems: placedImages,
+    tableItems: tables,
+    pageWidth: viewport.width,
+    pageHeight: viewport.height
+  });
   
-  for (const line of nonEmptyLines) {
-    let lineText = '';
-    for (const item of line) {
-      if (item.type === 'text') {
-        lineText += item.text + ' ';
-      } else if (item.type === 'image' && item.placeholder) {
-        // Add extra space around image placeholders for better visibility
-        lineText += ` ${item.placeholder} `;
-      }
-    }
-    formattedText += lineText.trim() + '\n';
-  }
+  // Page-local font statistics give a usable structure right away;
+  // processPdfDocument re-renders with document-wide statistics at the end
+  const pageScanPlaceholder = pageScan && !existingImageIds.has(pageScan.id) ? pageScan.placeholder : null;
+  return {
+    ...renderPageContent(layout, pageScanPlaceholder, computeFontStatistics([layout])),
+    layout
+  };
+};
+
+/**
+ * Builds a page's text from its layout: infers headings, lists and
+ * paragraphs, then renders them with image and table placeholders
+ * @param {Object} layout - Page layout from analyzeLayout
+ * @param {string|null} pageScanPlaceholder - Placeholder of the page scan, which always comes first
+ * @param {Object} fontStatistics - Font statistics from computeFontStatistics
+ * @returns {Object} `{ rawText, formattedText, structure }`
+ */
+const renderPageContent = (layout, pageScanPlaceholder, fontStatistics) => {
+  const structure = inferPageStructure(layout, fontStatistics);
+  const { rawText, formattedText } = renderStructure(structure);
   
   return {
-    rawText: rawText.trim(),
-    formattedText: formattedText.trim()
+    rawText,
+    formattedText: [pageScanPlaceholder, formattedText].filter(Boolean).join('\n\n'),
+    structure
   };
 };
 
@@ -561,7 +1583,7 @@ async function renderPageToImage(page, options = {}) {
     const viewport = page.getViewport({ scale });
     
     // Create canvas
-    const canvas = document.createElement('canvas');
+    const canvas = createCanvas();
     canvas.width = viewport.width;
     canvas.height = viewport.height;
     const ctx = canvas.getContext('2d');
@@ -589,7 +1611,7 @@ async function renderPageToImage(page, options = {}) {
         isForcedScan: true,
         scanReason: 'forced_by_toggle', 
         hasValidContent: true,
-        dataURL: canvas.toDataURL('image/jpeg', 0.85)
+        dataURL: await canvasToDataURL(canvas, 'image/jpeg', 0.85)
       };
     }
     
@@ -635,7 +1657,7 @@ async function renderPageToImage(page, options = {}) {
       isScanned: isScanned,
       isForcedScan: false,
       scanReason: 'natural_page_content',
-      dataURL: canvas.toDataURL('image/jpeg', 0.85)
+      dataURL: await canvasToDataURL(canvas, 'image/jpeg', 0.85)
     };
   } catch (error) {
     console.error(`Error rendering page ${pageNum} to image: ${error.message}`);
@@ -643,10 +1665,221 @@ async function renderPageToImage(page, options = {}) {
   }
 }
 
+// Vector figures are rendered at this scale, capped so the longer side stays
+// within the size limit (in pixels)
+const FIGURE_RENDER_SCALE = 3;
+const MAX_FIGURE_RENDER_SIZE = 2048;
+
+// Padding (in points) around a rendered figure region
+const FIGURE_PADDING = 4;
+
+/**
+ * Renders one region of a page (a vector figure) at high resolution
+ * @param {Object} page - The PDF.js page object
+ * @param {Object} bbox - Region in top-down viewport coordinates at scale 1.0
+ * @param {Object} options - Image properties
+ * @param {number} options.pageNum - Page number
+ * @param {string} options.id - Image ID
+ * @returns {Promise<Object|null>} The rendered figure image, or null if rendering failed
+ */
+async function renderPageRegion(page, bbox, { pageNum, id }) {
+  try {
+    const pageViewport = page.getViewport({ scale: 1.0 });
+    const x0 = Math.max(0, bbox.x - FIGURE_PADDING);
+    const y0 = Math.max(0, bbox.y - FIGURE_PADDING);
+    const x1 = Math.min(pageViewport.width, bbox.x + bbox.width + FIGURE_PADDING);
+    const y1 = Math.min(pageViewport.height, bbox.y + bbox.height + FIGURE_PADDING);
+    const scale = Math.min(FIGURE_RENDER_SCALE, MAX_FIGURE_RENDER_SIZE / Math.max(x1 - x0, y1 - y0));
+
+    // Shifting the viewport puts the region's corner at the canvas origin
+    const viewport = page.getViewport({ scale, offsetX: -x0 * scale, offsetY: -y0 * scale });
+    const canvas = createCanvas();
+    canvas.width = Math.ceil((x1 - x0) * scale);
+    canvas.height = Math.ceil((y1 - y0) * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({
+      canvasContext: ctx,
+      viewport,
+      // Form widgets and comments are read separately
+      annotationMode: pdfjsLib.AnnotationMode.DISABLE
+    }).promise;
+
+    return {
+      id,
+      type: 'vector_figure',
+      pageNumber: pageNum,
+      width: canvas.width,
+      height: canvas.height,
+      isFullPage: false,
+      isScanned: false,
+      isForcedScan: false,
+      dataURL: await canvasToDataURL(canvas, 'image/png')
+    };
+  } catch (error) {
+    console.error(`Error rendering figure ${id} on page ${pageNum}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Renders a small preview of a page for the layout debug overlay
+ * @param {Object} page - The PDF.js page object
+ * @param {number} scale - Render scale
+ * @returns {Promise<string|null>} JPEG data URL, or null if rendering failed
+ */
+async function renderPageThumbnail(page, scale = 0.5) {
+  try {
+    const viewport = page.getViewport({ scale });
+    const canvas = createCanvas();
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    return await canvasToDataURL(canvas, 'image/jpeg', 0.7);
+  } catch (error) {
+    console.warn(`Could not render layout thumbnail: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reads the encryption and permission flags of a loaded PDF. PDF.js doesn't
+ * enforce the permissions; they are reported so users know what the author
+ * allowed (e.g. no copying) before processing the text.
+ * @param {Object} pdf - PDF.js document
+ * @param {boolean} passwordProtected - Whether a password had to be entered
+ * @returns {Promise<Object>} `{ isEncrypted, filter, passwordProtected, permissions }`
+ */
+const readEncryptionInfo = async (pdf, passwordProtected) => {
+  const [metadata, permissionFlags] = await Promise.all([
+    pdf.getMetadata().catch(() => null),
+    pdf.getPermissions().catch(() => null)
+  ]);
+  const filter = metadata?.info?.EncryptFilterName || null;
+
+  // getPermissions returns null when the document sets no restrictions
+  const isAllowed = (flag) => !permissionFlags || permissionFlags.includes(flag);
+
+  return {
+    isEncrypted: passwordProtected || !!filter || !!permissionFlags,
+    filter,
+    passwordProtected,
+    permissions: {
+      print: isAllowed(pdfjsLib.PermissionFlag.PRINT),
+      printHighQuality: isAllowed(pdfjsLib.PermissionFlag.PRINT_HIGH_QUALITY),
+      copy: isAllowed(pdfjsLib.PermissionFlag.COPY),
+      copyForAccessibility: isAllowed(pdfjsLib.PermissionFlag.COPY_FOR_ACCESSIBILITY),
+      modifyContents: isAllowed(pdfjsLib.PermissionFlag.MODIFY_CONTENTS),
+      modifyAnnotations: isAllowed(pdfjsLib.PermissionFlag.MODIFY_ANNOTATIONS),
+      fillForms: isAllowed(pdfjsLib.PermissionFlag.FILL_INTERACTIVE_FORMS),
+      assemble: isAllowed(pdfjsLib.PermissionFlag.ASSEMBLE)
+    }
+  };
+};
+
+/**
+ * Converts a PDF date string (`D:20240131120000+01'00'`) to an ISO date
+ * @param {string} pdfDate - PDF date string
+ * @returns {string|null} ISO 8601 date, or null when missing or invalid
+ */
+const toIsoDate = (pdfDate) => {
+  const date = pdfDate ? pdfjsLib.PDFDateString.toDateObject(pdfDate) : null;
+  return date ? date.toISOString() : null;
+};
+
+/**
+ * Resolves the page number an outline destination points to
+ * @param {Object} pdf - PDF.js document
+ * @param {string|Array} dest - Named destination or explicit destination array
+ * @returns {Promise<number|null>} 1-based page number, or null when it can't be resolved
+ */
+const resolveDestinationPage = async (pdf, dest) => {
+  try {
+    const explicitDest = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicitDest) || !explicitDest[0]) return null;
+    // The first entry is a page reference, or a page index for remote destinations
+    const pageIndex = typeof explicitDest[0] === 'object'
+      ? await pdf.getPageIndex(explicitDest[0])
+      : explicitDest[0];
+    return Number.isInteger(pageIndex) ? pageIndex + 1 : null;
+  } catch (error) {
+    console.warn(`Could not resolve outline destination: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Converts PDF.js outline items to `{ title, pageNumber, url, items }` entries
+ * @param {Object} pdf - PDF.js document
+ * @param {Array} items - Outline items from getOutline
+ * @returns {Promise<Array>} Outline entries with nested items
+ */
+const readOutlineItems = async (pdf, items) => {
+  const entries = [];
+  for (const item of items || []) {
+    entries.push({
+      title: (item.title || '').trim(),
+      pageNumber: item.dest ? await resolveDestinationPage(pdf, item.dest) : null,
+      url: item.url || null,
+      items: await readOutlineItems(pdf, item.items)
+    });
+  }
+  return entries;
+};
+
+/**
+ * Reads the descriptive metadata of a loaded PDF: the info dictionary, the
+ * XMP metadata stream, the outline (bookmarks) and the page labels
+ * @param {Object} pdf - PDF.js document
+ * @returns {Promise<Object>} `{ info, xmp, outline, pageLabels }`
+ */
+const readDocumentMetadata = async (pdf) => {
+  const [metadata, outline, pageLabels] = await Promise.all([
+    pdf.getMetadata().catch(() => null),
+    pdf.getOutline().catch(() => null),
+    pdf.getPageLabels().catch(() => null)
+  ]);
+  const info = metadata?.info || {};
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+  return {
+    info: {
+      title: text(info.Title),
+      author: text(info.Author),
+      subject: text(info.Subject),
+      keywords: text(info.Keywords),
+      creator: text(info.Creator),
+      producer: text(info.Producer),
+      creationDate: toIsoDate(info.CreationDate),
+      modificationDate: toIsoDate(info.ModDate),
+      pdfVersion: info.PDFFormatVersion || null
+    },
+    // Parsed XMP properties by name (e.g. dc:title)
+    xmp: metadata?.metadata ? Object.fromEntries(metadata.metadata) : null,
+    outline: await readOutlineItems(pdf, outline),
+    pageLabels: pageLabels || null
+  };
+};
+
 /**
  * Processes a PDF document and extracts text with positioned image placeholders
  * @param {ArrayBuffer|Uint8Array} pdfData - The binary PDF data
- * @param {Object} options - Processing options
+ * @param {Object} options - Processing options. `passwordCallback({ incorrectPassword })`
+ *   is called when the PDF needs a password and returns (or resolves to) the
+ *   password, or null to give up; it is called again after a wrong password.
+ *   `runningText` ('remove', 'metadata' or 'keep') sets what happens to
+ *   running headers, footers and page numbers (see runningTextUtils).
+ *   `pageCallback` is called after each page with `{ pageNumber, totalPages,
+ *   pageLabel, isScanned, textQuality, tableCount, images, imageCount }`:
+ *   the images extracted from that page and the running image count.
+ *   `signal` (AbortSignal) stops processing after the current page, and
+ *   `waitWhilePaused()` is awaited before each page; a stopped run still
+ *   returns the pages processed so far, with `stopped: true`
  * @returns {Promise<Object>} Processed PDF content
  */
 async function processPdfDocument(pdfData, options = {}) {
@@ -654,15 +1887,24 @@ async function processPdfDocument(pdfData, options = {}) {
   const {
     progressCallback = null,
     logCallback = null,
+    passwordCallback = null,
+    password = undefined,
     scanAllPages = false,
+    layoutDebug = false,
+    runningText = DEFAULT_RUNNING_TEXT_MODE,
+    pageCallback = null,
+    signal = null,
+    waitWhilePaused = null,
   } = options;
   
   // Use explicit function references for callbacks to prevent issues
   const onProgress = typeof progressCallback === 'function' ? progressCallback : () => {};
   const onLog = typeof logCallback === 'function' ? logCallback : () => {};
+  const onPage = typeof pageCallback === 'function' ? pageCallback : () => {};
   
   // Convert scanAllPages to a strict boolean using double negation
   const SCAN_ALL_PAGES = !!scanAllPages;
+  const LAYOUT_DEBUG = !!layoutDebug;
   
   // Log settings at start
   console.log(`PDF Processing with scanAllPages=${SCAN_ALL_PAGES} (${typeof scanAllPages})`);
@@ -681,7 +1923,8 @@ async function processPdfDocument(pdfData, options = {}) {
       images: [],
       skippedObjects: [], // Track skipped objects
       originalImageCount: 0, // Track the original number of images before deduplication
-      progress: { current: 0, total: 0 } // Track processing progress
+      progress: { current: 0, total: 0 }, // Track processing progress
+      processingOptions: { scanAllPages: SCAN_ALL_PAGES, layoutDebug: LAYOUT_DEBUG, runningText }
     };
     
     const startTime = performance.now();
@@ -689,9 +1932,14 @@ async function processPdfDocument(pdfData, options = {}) {
     
     // Load the PDF document with robust error handling
     let pdf;
-    try {
-      pdf = await pdfjsLib.getDocument({
-        data,
+    let passwordProtected = false;
+    let passwordEntryCancelled = false;
+    // The last password entered, so a second load doesn't ask again
+    let documentPassword = password;
+    const loadDocument = (enableXfa) => {
+      const loadingTask = pdfjsLib.getDocument({
+        data: data.slice(),
+        password: documentPassword,
         cMapUrl: PDFJS_CMAP_URL,
         cMapPacked: true,
         standardFontDataUrl: PDFJS_STANDARD_FONT_URL,
@@ -700,24 +1948,84 @@ async function processPdfDocument(pdfData, options = {}) {
         // free.
         isEvalSupported: false,
         useWorkerFetch: true,
-      }).promise;
+        // Pure XFA forms are laid out by PDF.js so their fields can be read
+        enableXfa,
+        ...getRenderingContextOptions(),
+      });
+
+      // Without an onPassword handler PDF.js rejects encrypted documents with
+      // a PasswordException, which is reported below
+      let rejectPasswordEntry = () => {};
+      const passwordEntry = new Promise((_, reject) => {
+        rejectPasswordEntry = reject;
+      });
+      if (typeof passwordCallback === 'function') {
+        loadingTask.onPassword = (updatePassword, reason) => {
+          passwordProtected = true;
+          const incorrectPassword = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+          onLog(incorrectPassword ? 'Incorrect password, asking again...' : 'PDF is password-protected, asking for the password...');
+
+          Promise.resolve(passwordCallback({ incorrectPassword })).then((enteredPassword) => {
+            if (enteredPassword === null || enteredPassword === undefined) {
+              passwordEntryCancelled = true;
+              rejectPasswordEntry(new Error('Password entry was cancelled'));
+              loadingTask.destroy();
+              return;
+            }
+            documentPassword = enteredPassword;
+            updatePassword(enteredPassword);
+          }, rejectPasswordEntry);
+        };
+      }
+
+      return Promise.race([loadingTask.promise, passwordEntry]);
+    };
+
+    try {
+      try {
+        pdf = await loadDocument(true);
+      } catch (xfaError) {
+        // PDF.js' XFA layout fails on some forms it reads fine as plain PDFs
+        if (passwordEntryCancelled || xfaError.name === 'PasswordException') throw xfaError;
+        console.warn(`Could not load the PDF with XFA support, retrying without: ${xfaError.message}`);
+        pdf = await loadDocument(false);
+      }
     } catch (loadError) {
       console.error('Error loading PDF document:', loadError);
-      return {
-        success: false,
-        error: `Error loading PDF: ${loadError.message}`,
-        pages: [],
-        images: [],
-        totalPages: 0,
-        processingTime: 0,
-        progress: { current: 0, total: 0 }
-      };
+      const passwordRequired = passwordEntryCancelled || loadError.name === 'PasswordException';
+      let errorMessage = `Error loading PDF: ${loadError.message}`;
+      if (passwordEntryCancelled) {
+        errorMessage = 'This PDF is password-protected and no password was entered';
+      } else if (loadError.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD) {
+        errorMessage = 'Incorrect password for this PDF';
+      } else if (passwordRequired) {
+        errorMessage = 'This PDF is password-protected';
+      }
+      return { ...createFailedResult(errorMessage), passwordRequired };
     }
     
     result.totalPages = pdf.numPages;
     result.progress.total = pdf.numPages;
     
     onLog(`PDF loaded successfully. Pages: ${pdf.numPages}`);
+
+    const encryption = await readEncryptionInfo(pdf, passwordProtected);
+    const { info, xmp, outline, pageLabels } = await readDocumentMetadata(pdf);
+    result.metadata = { encryption, info, xmp, outline, pageLabels };
+    if (info.title) {
+      onLog(`Title: ${info.title}${info.author ? ` (by ${info.author})` : ''}`);
+    }
+    if (outline.length > 0) {
+      onLog(`Found an outline with ${outline.length} top-level bookmark(s)`);
+    }
+    if (encryption.isEncrypted) {
+      const restrictions = [
+        !encryption.permissions.print && 'printing',
+        !encryption.permissions.copy && 'copying',
+        !encryption.permissions.modifyContents && 'editing'
+      ].filter(Boolean);
+      onLog(`PDF is encrypted${encryption.filter ? ` (${encryption.filter})` : ''}${restrictions.length > 0 ? `; the author restricts ${restrictions.join(', ')}` : ''}`);
+    }
     
     // Store all extracted images here
     const allExtractedImages = [];
@@ -725,9 +2033,21 @@ async function processPdfDocument(pdfData, options = {}) {
     const pageImageRef = new Map();
     // Global counter for regular embedded images
     let globalImageCounter = 0;
+    // Global counter for detected tables
+    let globalTableCounter = 0;
+    // Page scan placeholder per page, needed when page text is re-rendered
+    const pageScanPlaceholders = new Map();
     
     // PROCESS EACH PAGE
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      // Pausing holds the run between pages; stopping keeps the pages so far
+      if (typeof waitWhilePaused === 'function') await waitWhilePaused();
+      if (signal?.aborted) {
+        result.stopped = true;
+        onLog(`Processing stopped after ${pageNum - 1} of ${pdf.numPages} pages`);
+        break;
+      }
+      
       // Update progress
       result.progress.current = pageNum;
       onProgress(pageNum / pdf.numPages);
@@ -735,21 +2055,32 @@ async function processPdfDocument(pdfData, options = {}) {
       
       // Get the page
       const page = await pdf.getPage(pageNum);
+      const pageImageStart = allExtractedImages.length;
       
       // Initialize page object with logical structure
       const pageObj = {
         pageNumber: pageNum,
+        // Printed page label (e.g. "iv", "A-3"), the page number when the PDF sets none
+        pageLabel: pageLabels?.[pageNum - 1] || String(pageNum),
         isScanned: false,
         content: {
           rawText: '',    // Plain text without placeholders
           formattedText: '' // Text with image placeholders
         },
-        imageReferences: [] // References to images on this page (simplified structure)
+        imageReferences: [], // References to images on this page (simplified structure)
+        tables: [], // Tables detected on this page (rows of cell strings)
+        links: [], // Web links with the text they cover
+        annotations: [], // Comments, highlights and other text markup
+        formFields: [], // AcroForm / XFA form fields with their values
+        textQuality: null, // Text layer score, and whether a page scan replaced it
+        structure: [] // Headings, list items and paragraphs in reading order
       };
       
       // Get text content and viewport
       const textContent = await page.getTextContent();
       const viewport = page.getViewport({ scale: 1.0 });
+      pageObj.width = viewport.width;
+      pageObj.height = viewport.height;
       
       // Get operator list for image detection
       const operatorList = await page.getOperatorList();
@@ -758,6 +2089,14 @@ async function processPdfDocument(pdfData, options = {}) {
       const analysis = analyzePageContent(operatorList, textContent);
       pageObj.isScanned = analysis.isScanned;
       
+      // Broken font encodings give mojibake instead of text: a garbled text
+      // layer is discarded and the page is read from a page scan instead
+      const textQuality = page.isPureXfa ? null : scoreTextQuality(textContent.items.map(item => item.str).join(' '));
+      const isTextGarbled = !!textQuality?.garbled;
+      if (isTextGarbled) {
+        onLog(`Page ${pageNum} text layer looks garbled (score ${textQuality.score}: ${textQuality.reasons.join(', ')}); reading the page from a scan instead`);
+      }
+      
       // Items for image placeholders to position in text
       const imageItems = [];
       let pageScan = null;
@@ -767,6 +2106,7 @@ async function processPdfDocument(pdfData, options = {}) {
       
       // STEP 1: Extract embedded images
       const processedImageNames = new Set();
+      const { images: imagePlacements, rulings, paths } = collectGraphicsPlacements(operatorList, viewport);
       
       // Process all image operations
       for (let i = 0; i < operatorList.fnArray.length; i++) {
@@ -802,22 +2142,11 @@ async function processPdfDocument(pdfData, options = {}) {
               continue;
             }
             
-            // Find image position
-            let transform = null;
-            for (let j = i - 1; j >= 0 && j >= i - 15; j--) {
-              if (operatorList.fnArray[j] === pdfjsLib.OPS.transform) {
-                transform = operatorList.argsArray[j];
-                break;
-              }
-            }
-            
-            // Calculate position
-            let y = 0, x = 0;
-            if (transform) {
-              // Convert PDF coordinates (bottom-up) to top-down coordinates
-              y = viewport.height - transform[5];
-              x = transform[4];
-            }
+            // Position comes from the CTM walk: top-left corner of the
+            // image's bounding box in top-down page coordinates
+            const bbox = imagePlacements.get(i) || null;
+            const x = bbox ? bbox.x : 0;
+            const y = bbox ? bbox.y : 0;
             
             const imageId = `img_${pageNum}_${globalImageCounter}`;
             const placeholder = `[IMAGE_${globalImageCounter}]`;
@@ -835,6 +2164,17 @@ async function processPdfDocument(pdfData, options = {}) {
             if (extractedImage) {
               // Add position to the extracted image
               extractedImage.position = { x, y };
+              extractedImage.bbox = bbox;
+              
+              // Make the placeholder part of the page's text flow
+              imageItems.push(createContentItem({
+                type: 'image',
+                id: imageId,
+                placeholder,
+                x,
+                y,
+                bbox
+              }));
               
               // Store extracted image
               allExtractedImages.push(extractedImage);
@@ -866,11 +2206,12 @@ async function processPdfDocument(pdfData, options = {}) {
       const pagePlaceholder = `[PAGE_IMAGE_${pageNum}]`;
       
       // Determine if this page needs a scan based on content
-      const needsNaturalScan = analysis.isScanned || 
+      const needsNaturalScan = analysis.isScanned || isTextGarbled ||
                               (analysis.textElementCount < 10 && analysis.imageCount > 0);
       
-      // SIMPLE, CLEAR DECISION:
-      if (SCAN_ALL_PAGES) {
+      // SIMPLE, CLEAR DECISION (a garbled page gets a natural scan, so it is
+      // OCRed and analyzed as a scanned page even with Scan All Pages on):
+      if (SCAN_ALL_PAGES && !isTextGarbled) {
         onLog(`Creating scan for page ${pageNum}: Reason: Scan All Pages is ENABLED`);
         const fullPageImage = await renderPageToImage(page, {
           pageNum,
@@ -912,7 +2253,7 @@ async function processPdfDocument(pdfData, options = {}) {
           pageNum,
           id: pageImageId,
           isFullPage: true,
-          isScanned: analysis.isScanned,
+          isScanned: analysis.isScanned || isTextGarbled,
           isForcedScan: false
         });
         
@@ -946,19 +2287,165 @@ async function processPdfDocument(pdfData, options = {}) {
         onLog(`No scan needed for page ${pageNum}: Scan All Pages is OFF and page content doesn't require scanning`);
       }
       
-      // Organize content with text and image placeholders
-      const content = organizeContent({
-        textContent,
+      // Pure XFA pages are HTML built by PDF.js: their text has no positions.
+      // A garbled text layer is left out; the page scan replaces it.
+      const discardTextLayer = isTextGarbled && !!pageScan;
+      const textItems = page.isPureXfa || discardTextLayer
+        ? []
+        : createTextItems(textContent, viewport, getFontStyles(page, textContent));
+      if (textQuality) {
+        // Why the text layer was kept or replaced by the page scan
+        pageObj.textQuality = { ...textQuality, action: discardTextLayer ? 'page_scan' : 'kept' };
+      }
+      
+      // Links are attached to the text items they cover before the layout
+      // is built; comments, highlights and form fields are kept beside the page text
+      const { links, annotations, formFields } = await readPageAnnotations(page, viewport, textItems);
+      pageObj.links = links;
+      pageObj.annotations = annotations;
+      pageObj.formFields = page.isPureXfa
+        ? readXfaFields(await page.getXfa()).map(({ groupId: _groupId, ...field }) => field)
+        : formFields;
+      if (links.length > 0 || annotations.length > 0) {
+        onLog(`Found ${links.length} link(s) and ${annotations.length} comment(s) or highlight(s) on page ${pageNum}`);
+      }
+      if (pageObj.formFields.length > 0) {
+        const filledCount = pageObj.formFields.filter(field => field.value !== null && field.value.length !== 0).length;
+        onLog(`Found ${pageObj.formFields.length} form field(s) on page ${pageNum}, ${filledCount} filled in`);
+      }
+      
+      // Rebuild tables from text alignment and ruling lines
+      const tables = detectTables({ textItems, rulings }).map(table => {
+        globalTableCounter++;
+        return {
+          ...table,
+          id: `table_${pageNum}_${globalTableCounter}`,
+          placeholder: `[TABLE_${globalTableCounter}]`
+        };
+      });
+      
+      tables.forEach(table => {
+        onLog(`Found table ${table.placeholder} on page ${pageNum}: ${table.rows.length} rows x ${table.rows[0]?.length || 0} columns (${table.source})`);
+      });
+      
+      // Vector charts and diagrams get their own high-resolution render,
+      // unless a page scan already shows them
+      const figures = pageScan ? [] : findVectorFigures({
+        paths,
+        textItems,
+        tables,
+        imageBoxes: [...imagePlacements.values()],
+        viewport
+      });
+      // Figure labels are part of the figure image, like table text is part
+      // of the table
+      const figureTextItems = new Set();
+      for (const figure of figures) {
+        globalImageCounter++;
+        const imageId = `figure_${pageNum}_${globalImageCounter}`;
+        const placeholder = `[IMAGE_${globalImageCounter}]`;
+        const { x, y } = figure.bbox;
+        
+        const figureImage = await renderPageRegion(page, figure.bbox, { pageNum, id: imageId });
+        if (!figureImage) continue;
+        figureImage.position = { x, y };
+        figureImage.bbox = figure.bbox;
+        figure.items.forEach(item => figureTextItems.add(item));
+        
+        imageItems.push(createContentItem({
+          type: 'image',
+          id: imageId,
+          placeholder,
+          x,
+          y,
+          bbox: figure.bbox
+        }));
+        allExtractedImages.push(figureImage);
+        pageImageRef.set(imageId, {
+          pageNum,
+          placeholder,
+          x,
+          y,
+          type: 'vector_figure',
+          imageItems,
+          pageObj
+        });
+        
+        onLog(`Found vector figure ${globalImageCounter} on page ${pageNum} at position (${Math.round(x)}, ${Math.round(y)}) with size ${Math.round(figure.bbox.width)}x${Math.round(figure.bbox.height)}pt (${figure.pathCount} paths)`);
+      }
+      
+      // Organize content with text, image and table placeholders
+      const { layout, ...content } = organizeContent({
+        textItems: textItems.filter(item => !figureTextItems.has(item)),
         viewport,
         imageItems,
+        tables,
         pageScan
       });
       
+      // Keep the table data (not the consumed text items) for text replacement
+      pageObj.tables = tables.map(({ items: _items, ...table }) => table);
+      
       // Update the page content
-      pageObj.content = content;
+      const { structure, ...pageText } = content;
+      pageObj.content = pageText;
+      pageObj.structure = structure || [];
+      if (page.isPureXfa) {
+        // The static text of an XFA page, one line per text run
+        const xfaText = textContent.items.map(item => item.str.trim()).filter(Boolean).join('\n');
+        pageObj.content = { rawText: xfaText, formattedText: xfaText };
+      }
+      pageObj.layout = layout;
+      pageScanPlaceholders.set(pageNum, pageScan?.placeholder || null);
+      
+      // Attach a low-resolution render so the detected blocks can be
+      // inspected on top of the page
+      if (layout && LAYOUT_DEBUG) {
+        layout.thumbnail = await renderPageThumbnail(page);
+      }
       
       // Add page to result
       result.pages.push(pageObj);
+      onPage({
+        pageNumber: pageNum,
+        totalPages: pdf.numPages,
+        pageLabel: pageObj.pageLabel,
+        isScanned: pageObj.isScanned,
+        textQuality: pageObj.textQuality,
+        tableCount: pageObj.tables.length,
+        images: allExtractedImages.slice(pageImageStart),
+        imageCount: allExtractedImages.length
+      });
+    }
+    
+    // Running headers, footers and page numbers repeat on every page; they
+    // are taken out of the layouts before the final render
+    if (runningText !== 'keep') {
+      const running = findRunningText(result.pages);
+      if (running.lines.size > 0) {
+        for (const pageObj of result.pages) {
+          if (pageObj.layout) pageObj.layout = removeLayoutLines(pageObj.layout, running.lines);
+        }
+        onLog(`Removed ${running.lines.size} running header, footer and page number line(s)`);
+      }
+      if (runningText === 'metadata') {
+        result.metadata.runningText = { headers: running.headers, footers: running.footers };
+      }
+    }
+    
+    // Heading levels depend on font sizes across the whole document, so
+    // re-render every page's text with document-wide statistics
+    const fontStatistics = computeFontStatistics(result.pages.map(pageObj => pageObj.layout));
+    onLog(`Body font size ${fontStatistics.bodySize}pt, ${fontStatistics.headingSizes.length} heading size tiers`);
+    for (const pageObj of result.pages) {
+      if (!pageObj.layout) continue;
+      const { structure, ...pageText } = renderPageContent(
+        pageObj.layout,
+        pageScanPlaceholders.get(pageObj.pageNumber),
+        fontStatistics
+      );
+      pageObj.content = pageText;
+      pageObj.structure = structure;
     }
     
     // Store original count before deduplication
@@ -1001,7 +2488,8 @@ async function processPdfDocument(pdfData, options = {}) {
           const imageReference = {
             id: imageId,
             placeholder: refData.placeholder,
-            isFullPage: !!refData.isFullPage
+            isFullPage: !!refData.isFullPage,
+            ...(refData.type && { type: refData.type })
           };
           
           // Add to the page's imageReferences array if not already there
@@ -1024,7 +2512,11 @@ async function processPdfDocument(pdfData, options = {}) {
     // Calculate total processing time
     const endTime = performance.now();
     result.processingTime = endTime - startTime;
-    result.progress.current = result.progress.total; // Ensure progress is complete
+    if (!result.stopped) {
+      result.progress.current = result.progress.total; // Ensure progress is complete
+    } else {
+      result.progress.current = result.pages.length;
+    }
     
     // Count forced scans for logging
     const forcedScans = result.images.filter(img => img.isForcedScan === true).length;
@@ -1038,15 +2530,7 @@ async function processPdfDocument(pdfData, options = {}) {
     return result;
   } catch (error) {
     console.error('Error processing PDF:', error);
-    return {
-      success: false,
-      error: `Error processing PDF: ${error.message}`,
-      pages: [],
-      images: [],
-      totalPages: 0,
-      processingTime: 0,
-      progress: { current: 0, total: 0 }
-    };
+    return createFailedResult(`Error processing PDF: ${error.message}`);
   }
 }
 
@@ -0,0 +1,561 @@
+import { renderStructure, formatListNumber } from './structureUtils';
+import { createImageFromBytes, MIN_IMAGE_SIZE } from './imageUtils';
+import { createFailedResult } from './documentResultUtils';
+import {
+  readZip,
+  readZipXml,
+  readRelationships,
+  childElements,
+  firstChildElement,
+  getAttribute,
+  getMimeTypeFromPath
+} from './zipUtils';
+
+/**
+ * PowerPoint (PPTX) ingestion: every slide becomes a page in the same
+ * `{ pages, images }` shape as processPdfDocument.
+ *
+ * Shapes are read from the slide's shape tree in z-order (back to front):
+ * title placeholders become headings, body placeholders and text boxes
+ * become list items and paragraphs, tables stay tables and pictures from
+ * `ppt/media` become images with their position on the slide. Speaker notes
+ * are kept on the page as `speakerNotes` and rendered as their own content
+ * type by createTextReplacement.
+ */
+
+const EMU_PER_POINT = 12700;
+
+// 4:3 slide (10in x 7.5in), used when the deck doesn't declare a slide size
+const DEFAULT_SLIDE_SIZE = { width: 720, height: 540 };
+
+// Namespace of `r:id` / `r:embed`; slide IDs also have a plain `id` attribute
+const RELATIONSHIPS_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle']);
+
+// Date, footer and slide number placeholders repeat on every slide
+const SKIPPED_PLACEHOLDERS = new Set(['dt', 'ftr', 'sldNum', 'hdr']);
+
+// Placeholders whose paragraphs are bulleted unless the deck turns it off
+const BULLETED_PLACEHOLDERS = new Set(['body', 'obj']);
+
+// `a:buAutoNum` schemes (e.g. arabicPeriod, alphaLcParenR) by number format
+const AUTO_NUMBER_FORMATS = {
+  arabic: 'decimal',
+  alphaLc: 'lowerLetter',
+  alphaUc: 'upperLetter',
+  romanLc: 'lowerRoman',
+  romanUc: 'upperRoman'
+};
+
+/**
+ * Formats a list marker for an auto-numbering scheme
+ * @param {number} value - Counter value
+ * @param {string|null} scheme - `a:buAutoNum` type
+ * @returns {string} Marker such as `1.`, `b)` or `(iv)`
+ */
+const formatAutoNumber = (value, scheme) => {
+  const match = (scheme || 'arabicPeriod').match(/^(arabic|alphaLc|alphaUc|romanLc|romanUc)(ParenBoth|ParenR|Period|Plain)?/);
+  const number = formatListNumber(value, AUTO_NUMBER_FORMATS[match?.[1]] || 'decimal');
+  switch (match?.[2]) {
+    case 'ParenBoth':
+      return `(${number})`;
+    case 'ParenR':
+      return `${number})`;
+    case 'Plain':
+      return number;
+    default:
+      return `${number}.`;
+  }
+};
+
+/**
+ * Non-visual properties of a shape (`p:nvSpPr`, `p:nvPicPr`, ...)
+ * @param {Element} shape - Shape element
+ * @returns {Object} `{ name, altText, hidden, placeholder }`; placeholder is
+ *   `{ type, idx }` or null for shapes that aren't placeholders
+ */
+const readShapeInfo = (shape) => {
+  const nvPr = childElements(shape).find(child => child.localName.startsWith('nv'));
+  const cNvPr = firstChildElement(nvPr, 'cNvPr');
+  const ph = firstChildElement(firstChildElement(nvPr, 'nvPr'), 'ph');
+  return {
+    name: getAttribute(cNvPr, 'name') || '',
+    altText: getAttribute(cNvPr, 'descr') || getAttribute(cNvPr, 'title') || null,
+    hidden: ['1', 'true'].includes(getAttribute(cNvPr, 'hidden')),
+    placeholder: ph
+      ? { type: getAttribute(ph, 'type') || 'obj', idx: getAttribute(ph, 'idx') }
+      : null
+  };
+};
+
+/**
+ * Reads an `a:xfrm` / `p:xfrm` transform
+ * @param {Element|null} xfrm - Transform element
+ * @returns {Object|null} `{ x, y, width, height }` in EMU, plus the child
+ *   offset and extent for group transforms
+ */
+const readTransform = (xfrm) => {
+  const off = firstChildElement(xfrm, 'off');
+  const ext = firstChildElement(xfrm, 'ext');
+  if (!off || !ext) return null;
+  const read = (element, name) => parseInt(getAttribute(element, name) || '0', 10);
+  const chOff = firstChildElement(xfrm, 'chOff');
+  const chExt = firstChildElement(xfrm, 'chExt');
+  return {
+    x: read(off, 'x'),
+    y: read(off, 'y'),
+    width: read(ext, 'cx'),
+    height: read(ext, 'cy'),
+    child: chOff && chExt
+      ? { x: read(chOff, 'x'), y: read(chOff, 'y'), width: read(chExt, 'cx'), height: read(chExt, 'cy') }
+      : null
+  };
+};
+
+/**
+ * Transform of a shape: `p:spPr` for shapes and pictures, `p:grpSpPr` for
+ * groups and the frame's own `p:xfrm` for graphic frames
+ * @param {Element} shape - Shape element
+ * @returns {Object|null} Transform from readTransform
+ */
+const getShapeTransform = (shape) => {
+  if (shape.localName === 'graphicFrame') return readTransform(firstChildElement(shape, 'xfrm'));
+  const properties = firstChildElement(shape, shape.localName === 'grpSp' ? 'grpSpPr' : 'spPr');
+  return readTransform(firstChildElement(properties, 'xfrm'));
+};
+
+/**
+ * Reads the placeholders of a slide layout or master, for the positions and
+ * list styles slides inherit from them
+ * @param {Document|null} doc - Parsed layout or master
+ * @returns {Array} Placeholders `{ type, idx, transform, listStyle }`
+ */
+const readPlaceholders = (doc) => {
+  const spTree = firstChildElement(firstChildElement(doc?.documentElement, 'cSld'), 'spTree');
+  return childElements(spTree)
+    .map(shape => ({ shape, info: readShapeInfo(shape) }))
+    .filter(({ info }) => info.placeholder)
+    .map(({ shape, info }) => ({
+      ...info.placeholder,
+      transform: getShapeTransform(shape),
+      listStyle: firstChildElement(firstChildElement(shape, 'txBody'), 'lstStyle')
+    }));
+};
+
+/**
+ * Finds the layout or master placeholder a slide placeholder inherits from:
+ * by index first, then by type (any body-like type matches the master body)
+ * @param {Array} placeholders - Placeholders from readPlaceholders
+ * @param {Object} placeholder - Slide placeholder `{ type, idx }`
+ * @returns {Object|null} Matching placeholder
+ */
+const findInheritedPlaceholder = (placeholders, placeholder) => {
+  if (!placeholder) return null;
+  const normalize = (type) => {
+    if (TITLE_PLACEHOLDERS.has(type)) return 'title';
+    return SKIPPED_PLACEHOLDERS.has(type) ? type : 'body';
+  };
+  return (placeholder.idx !== null && placeholders.find(item => item.idx === placeholder.idx)) ||
+    placeholders.find(item => item.type === placeholder.type) ||
+    placeholders.find(item => normalize(item.type) === normalize(placeholder.type)) ||
+    null;
+};
+
+/**
+ * Level properties (`a:lvl1pPr` ... `a:lvl9pPr`) of a list style
+ * @param {Element|null} listStyle - `a:lstStyle`, or a master text style
+ * @param {number} level - 0-based paragraph level
+ * @returns {Element|null} Level properties
+ */
+const getLevelProperties = (listStyle, level) => firstChildElement(listStyle, `lvl${level + 1}pPr`);
+
+/**
+ * Bullet of a paragraph from the first properties in the inheritance chain
+ * that set one
+ * @param {Array<Element|null>} chain - Paragraph properties, most specific first
+ * @returns {Object|null|undefined} `{ ordered, scheme, startAt }`, null for
+ *   no bullet, undefined when nothing in the chain decides
+ */
+const resolveBullet = (chain) => {
+  for (const pPr of chain) {
+    if (!pPr) continue;
+    if (firstChildElement(pPr, 'buNone')) return null;
+    const autoNumber = firstChildElement(pPr, 'buAutoNum');
+    if (autoNumber) {
+      return {
+        ordered: true,
+        scheme: getAttribute(autoNumber, 'type'),
+        startAt: parseInt(getAttribute(autoNumber, 'startAt') || '1', 10)
+      };
+    }
+    if (firstChildElement(pPr, 'buChar') || firstChildElement(pPr, 'buBlip')) {
+      return { ordered: false };
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Text of a DrawingML paragraph: runs, fields and line breaks
+ * @param {Element} paragraph - `a:p` element
+ * @returns {string} Paragraph text with collapsed whitespace
+ */
+const getParagraphText = (paragraph) => {
+  return childElements(paragraph)
+    .map(child => {
+      if (child.localName === 'r' || child.localName === 'fld') {
+        return firstChildElement(child, 't')?.textContent || '';
+      }
+      return child.localName === 'br' ? '\n' : '';
+    })
+    .join('')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .trim();
+};
+
+/**
+ * Processes a PowerPoint deck into one page per slide
+ * @param {ArrayBuffer|Uint8Array} pptxData - The binary PPTX data
+ * @param {Object} options - Processing options (`progressCallback`, `logCallback`, `scanAllPages`)
+ * @returns {Promise<Object>} Processed document in the processPdfDocument result shape
+ */
+export async function processPptxDocument(pptxData, options = {}) {
+  const {
+    progressCallback = null,
+    logCallback = null,
+    scanAllPages = false
+  } = options;
+
+  const onProgress = typeof progressCallback === 'function' ? progressCallback : () => {};
+  const onLog = typeof logCallback === 'function' ? logCallback : () => {};
+  const startTime = performance.now();
+
+  onLog('Loading PowerPoint deck...');
+  if (scanAllPages) {
+    onLog('Scan All Pages is not available for PowerPoint decks (there are no rendered pages to scan)');
+  }
+
+  let entries, presentationPath, presentation;
+  try {
+    entries = readZip(pptxData);
+    const packageRels = readRelationships(entries, '');
+    presentationPath = [...packageRels.values()].find(rel => rel.type === 'officeDocument')?.target || 'ppt/presentation.xml';
+    presentation = readZipXml(entries, presentationPath)?.documentElement;
+    if (!presentation) {
+      throw new Error('No presentation part found');
+    }
+  } catch (loadError) {
+    console.error('Error loading PPTX document:', loadError);
+    return createFailedResult(`Error loading PPTX: ${loadError.message}`);
+  }
+
+  // Slide order comes from the slide ID list, not the part names
+  const presentationRels = readRelationships(entries, presentationPath);
+  const slidePaths = childElements(firstChildElement(presentation, 'sldIdLst'), 'sldId')
+    .map(sldId => presentationRels.get(sldId.getAttributeNS(RELATIONSHIPS_NAMESPACE, 'id')))
+    .filter(rel => rel && !rel.external && entries.has(rel.target))
+    .map(rel => rel.target);
+
+  const sldSz = firstChildElement(presentation, 'sldSz');
+  const slideSize = sldSz
+    ? {
+        width: parseInt(getAttribute(sldSz, 'cx'), 10) / EMU_PER_POINT || DEFAULT_SLIDE_SIZE.width,
+        height: parseInt(getAttribute(sldSz, 'cy'), 10) / EMU_PER_POINT || DEFAULT_SLIDE_SIZE.height
+      }
+    : DEFAULT_SLIDE_SIZE;
+
+  onLog(`Deck loaded: ${slidePaths.length} slides, ${Math.round(slideSize.width)}x${Math.round(slideSize.height)}pt`);
+  onProgress(0.05);
+
+  // Layouts and masters are shared between slides, so parse each once
+  const partCache = new Map();
+  const readPart = (path) => {
+    if (!partCache.has(path)) {
+      const doc = path ? readZipXml(entries, path) : null;
+      const rels = path ? readRelationships(entries, path) : new Map();
+      partCache.set(path, { doc, rels, placeholders: readPlaceholders(doc) });
+    }
+    return partCache.get(path);
+  };
+  const relatedPath = (rels, type) => [...rels.values()].find(rel => rel.type === type && !rel.external)?.target || null;
+
+  // Media is often reused across slides; decode each file once
+  const decodedMedia = new Map();
+  const decodeMedia = async (path) => {
+    if (!decodedMedia.has(path)) {
+      const bytes = entries.get(path);
+      decodedMedia.set(path, bytes ? await createImageFromBytes(bytes, getMimeTypeFromPath(path)) : null);
+    }
+    return decodedMedia.get(path);
+  };
+
+  const pages = [];
+  const images = [];
+  const skippedObjects = [];
+  let imageCounter = 0;
+  let tableCounter = 0;
+  let notesCount = 0;
+
+  for (let slideIndex = 0; slideIndex < slidePaths.length; slideIndex++) {
+    const pageNumber = slideIndex + 1;
+    const slidePath = slidePaths[slideIndex];
+    const slide = readPart(slidePath);
+    const layout = readPart(relatedPath(slide.rels, 'slideLayout'));
+    const master = readPart(relatedPath(layout.rels, 'slideMaster'));
+    const textStyles = firstChildElement(master.doc?.documentElement, 'txStyles');
+
+    const elements = [];
+    const imageReferences = [];
+    const tables = [];
+
+    const toBox = (transform) => transform && {
+      x: transform.x / EMU_PER_POINT,
+      y: transform.y / EMU_PER_POINT,
+      width: transform.width / EMU_PER_POINT,
+      height: transform.height / EMU_PER_POINT
+    };
+
+    // Placeholders without their own transform sit where the layout (or
+    // master) puts them
+    const getInheritedTransform = (placeholder) =>
+      findInheritedPlaceholder(layout.placeholders, placeholder)?.transform ||
+      findInheritedPlaceholder(master.placeholders, placeholder)?.transform ||
+      null;
+
+    const addImage = async (relId, info, transform, mapToSlide) => {
+      const rel = slide.rels.get(relId);
+      if (!rel) return;
+      if (rel.external) {
+        skippedObjects.push({ page: pageNumber, objectName: rel.target, reason: 'Linked (external) image' });
+        return;
+      }
+      const decoded = await decodeMedia(rel.target);
+      if (!decoded || decoded.width < MIN_IMAGE_SIZE || decoded.height < MIN_IMAGE_SIZE) {
+        skippedObjects.push({ page: pageNumber, objectName: rel.target, reason: entries.has(rel.target) ? 'Unsupported or empty image' : 'Media file missing' });
+        return;
+      }
+
+      imageCounter++;
+      const id = `img_${pageNumber}_${imageCounter}`;
+      const placeholder = `[IMAGE_${imageCounter}]`;
+      const bbox = toBox(transform && mapToSlide(transform));
+
+      images.push({
+        id,
+        originalId: id,
+        pageNumber,
+        width: decoded.width,
+        height: decoded.height,
+        isFullPage: false,
+        isScanned: false,
+        isForcedScan: false,
+        scanReason: 'natural_page_content',
+        sourcePath: rel.target,
+        altText: info.altText,
+        position: bbox ? { x: bbox.x, y: bbox.y } : null,
+        bbox,
+        dataURL: decoded.dataURL
+      });
+      imageReferences.push({ id, placeholder, isFullPage: false });
+      elements.push({ type: 'image', placeholder });
+      onLog(`Found image ${imageCounter} on slide ${pageNumber} (${rel.target}) with size ${decoded.width}x${decoded.height}`);
+    };
+
+    const addTextBody = (txBody, info) => {
+      const placeholder = info.placeholder;
+      const placeholderType = placeholder?.type || null;
+      const paragraphs = childElements(txBody, 'p')
+        .map(paragraph => ({ paragraph, text: getParagraphText(paragraph) }))
+        .filter(({ text }) => text);
+      if (!paragraphs.length) return;
+
+      if (TITLE_PLACEHOLDERS.has(placeholderType)) {
+        elements.push({ type: 'heading', level: 1, text: paragraphs.map(({ text }) => text).join(' ').replace(/\s+/g, ' ') });
+        return;
+      }
+
+      const shapeListStyle = firstChildElement(txBody, 'lstStyle');
+      const layoutListStyle = findInheritedPlaceholder(layout.placeholders, placeholder)?.listStyle || null;
+      const masterListStyle = findInheritedPlaceholder(master.placeholders, placeholder)?.listStyle || null;
+      const masterTextStyle = firstChildElement(textStyles, placeholder ? 'bodyStyle' : 'otherStyle');
+      const counters = [];
+
+      for (const { paragraph, text } of paragraphs) {
+        const pPr = firstChildElement(paragraph, 'pPr');
+        const level = Math.min(8, parseInt(getAttribute(pPr, 'lvl') || '0', 10));
+        let bullet = resolveBullet([
+          pPr,
+          getLevelProperties(shapeListStyle, level),
+          getLevelProperties(layoutListStyle, level),
+          getLevelProperties(masterListStyle, level),
+          getLevelProperties(masterTextStyle, level)
+        ]);
+        if (bullet === undefined) {
+          bullet = BULLETED_PLACEHOLDERS.has(placeholderType) ? { ordered: false } : null;
+        }
+
+        if (!bullet) {
+          elements.push({ type: 'paragraph', text });
+          continue;
+        }
+
+        let marker = '-';
+        if (bullet.ordered) {
+          // A shallower item restarts the numbering of deeper levels
+          counters[level] = (counters[level] ?? (bullet.startAt - 1)) + 1;
+          counters.length = level + 1;
+          marker = formatAutoNumber(counters[level], bullet.scheme);
+        }
+        elements.push({ type: 'listItem', ordered: bullet.ordered, marker, level, text });
+      }
+    };
+
+    const addTable = (table, transform) => {
+      const rows = childElements(table, 'tr')
+        .map(row => childElements(row, 'tc').map(cell =>
+          childElements(firstChildElement(cell, 'txBody'), 'p')
+            .map(getParagraphText)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+        ))
+        .filter(row => row.some(cell => cell));
+
+      const columnCount = Math.max(0, ...rows.map(row => row.length));
+      if (rows.length < 2 || columnCount < 2) {
+        // Single-row or single-column tables are layout boxes, not data
+        rows.flat().filter(Boolean).forEach(text => elements.push({ type: 'paragraph', text }));
+        return;
+      }
+
+      tableCounter++;
+      const paddedRows = rows.map(row => [...row, ...Array(columnCount - row.length).fill('')]);
+      const placeholder = `[TABLE_${tableCounter}]`;
+      tables.push({
+        id: `table_${pageNumber}_${tableCounter}`,
+        placeholder,
+        rows: paddedRows,
+        bbox: toBox(transform),
+        source: 'pptx'
+      });
+      elements.push({ type: 'table', placeholder, rows: paddedRows });
+      onLog(`Found table ${placeholder} on slide ${pageNumber}: ${paddedRows.length} rows x ${columnCount} columns (pptx)`);
+    };
+
+    // Walks a shape tree back to front; mapToSlide turns a shape transform
+    // into slide coordinates through the enclosing group transforms
+    const handleShapes = async (container, mapToSlide) => {
+      for (const shape of childElements(container)) {
+        if (shape.localName === 'AlternateContent') {
+          await handleShapes(firstChildElement(shape, 'Choice'), mapToSlide);
+          continue;
+        }
+        if (!['sp', 'pic', 'grpSp', 'graphicFrame'].includes(shape.localName)) continue;
+
+        const info = readShapeInfo(shape);
+        if (info.hidden || SKIPPED_PLACEHOLDERS.has(info.placeholder?.type)) continue;
+        const transform = getShapeTransform(shape) || getInheritedTransform(info.placeholder);
+
+        switch (shape.localName) {
+          case 'sp': {
+            const fill = firstChildElement(firstChildElement(shape, 'spPr'), 'blipFill');
+            const fillRelId = firstChildElement(fill, 'blip')?.getAttributeNS(RELATIONSHIPS_NAMESPACE, 'embed');
+            if (fillRelId) {
+              await addImage(fillRelId, info, transform, mapToSlide);
+            }
+            addTextBody(firstChildElement(shape, 'txBody'), info);
+            break;
+          }
+          case 'pic': {
+            const relId = firstChildElement(firstChildElement(shape, 'blipFill'), 'blip')?.getAttributeNS(RELATIONSHIPS_NAMESPACE, 'embed');
+            if (relId) {
+              await addImage(relId, info, transform, mapToSlide);
+            }
+            break;
+          }
+          case 'grpSp': {
+            // Children are positioned in the group's child coordinate space
+            const group = transform?.child;
+            const mapFromGroup = group && group.width && group.height
+              ? (box) => mapToSlide({
+                  x: transform.x + (box.x - group.x) * (transform.width / group.width),
+                  y: transform.y + (box.y - group.y) * (transform.height / group.height),
+                  width: box.width * (transform.width / group.width),
+                  height: box.height * (transform.height / group.height)
+                })
+              : mapToSlide;
+            await handleShapes(shape, mapFromGroup);
+            break;
+          }
+          case 'graphicFrame': {
+            const graphicData = firstChildElement(firstChildElement(shape, 'graphic'), 'graphicData');
+            const table = firstChildElement(graphicData, 'tbl');
+            if (table) {
+              addTable(table, transform && mapToSlide(transform));
+            } else {
+              const kind = (getAttribute(graphicData, 'uri') || '').split('/').pop() || 'graphic';
+              skippedObjects.push({ page: pageNumber, objectName: info.name || kind, reason: `Unsupported graphic frame (${kind})` });
+            }
+            break;
+          }
+          default:
+            break;
+        }
+      }
+    };
+
+    const spTree = firstChildElement(firstChildElement(slide.doc?.documentElement, 'cSld'), 'spTree');
+    await handleShapes(spTree, (box) => box);
+
+    // Speaker notes are the body placeholder of the slide's notes page
+    const notesPath = relatedPath(slide.rels, 'notesSlide');
+    const notesTree = notesPath
+      ? firstChildElement(firstChildElement(readZipXml(entries, notesPath)?.documentElement, 'cSld'), 'spTree')
+      : null;
+    const speakerNotes = childElements(notesTree, 'sp')
+      .filter(shape => readShapeInfo(shape).placeholder?.type === 'body')
+      .flatMap(shape => childElements(firstChildElement(shape, 'txBody'), 'p').map(getParagraphText))
+      .filter(Boolean)
+      .join('\n');
+    if (speakerNotes) notesCount++;
+
+    pages.push({
+      pageNumber,
+      isScanned: false,
+      width: slideSize.width,
+      height: slideSize.height,
+      content: renderStructure(elements),
+      imageReferences,
+      tables,
+      structure: elements,
+      speakerNotes: speakerNotes || null,
+      layout: null
+    });
+
+    onProgress(0.05 + 0.9 * (pageNumber / slidePaths.length));
+  }
+
+  const result = {
+    success: true,
+    sourceType: 'pptx',
+    totalPages: pages.length,
+    processingTime: 0,
+    pages,
+    images,
+    skippedObjects,
+    originalImageCount: images.length,
+    progress: { current: pages.length, total: pages.length },
+    processingOptions: { scanAllPages: false, layoutDebug: false }
+  };
+
+  result.processingTime = performance.now() - startTime;
+  onProgress(1);
+  onLog(`PowerPoint deck processed: ${result.totalPages} slides, ${images.length} images, ${tableCounter} tables, ${notesCount} with speaker notes in ${Math.round(result.processingTime)}ms`);
+  onLog(`Found ${images.length} unique images`);
+
+  return result;
+}
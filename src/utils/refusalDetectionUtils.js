@@ -24,7 +24,8 @@ const looksLikeRefusal = (text) => REFUSAL_PATTERNS.some((re) => re.test(text));
  *
  * @param {string} responseText The text response from an LLM to analyze.
  * @param {string} apiKey OpenAI API key.
- * @param {Object} options Additional options for the detection.
+ * @param {Object} options Additional options for the detection. `signal`
+ *   (AbortSignal) cancels the request and its retries.
  * @returns {Promise<Object>} Result with `isRefusal` boolean and metadata.
  */
 export async function detectRefusal(responseText, apiKey, options = {}) {
@@ -95,7 +96,7 @@ export async function detectRefusal(responseText, apiKey, options = {}) {
           },
         },
       },
-    });
+    }, { signal: options.signal });
 
     const message = response.choices[0]?.message;
 
@@ -127,5 +128,6 @@ export async function detectRefusal(responseText, apiKey, options = {}) {
   return withRetry(checkRefusal, {
     maxRetries: options.maxRetries || 3,
     onError: (message) => console.warn(message),
+    signal: options.signal,
   });
 }
@@ -52,6 +52,8 @@ const isRetryable = (error) => {
  * @param {Function} [options.retryOnResult] Predicate `(result, attempt) => boolean`.
  * @param {Function} [options.onRetry] Notification callback.
  * @param {Function} [options.onError] Logging callback for errors.
+ * @param {AbortSignal} [options.signal] Stops the retries: once aborted, the
+ *   abort reason is thrown instead of retrying or returning a failure result.
  * @returns {Promise<any>}
  */
 export async function withRetry(fn, options = {}) {
@@ -61,14 +63,31 @@ export async function withRetry(fn, options = {}) {
   const retryOnResult = options.retryOnResult || (() => false);
   const onRetry = options.onRetry || (() => {});
   const onError = options.onError || console.warn;
+  const signal = options.signal;
 
-  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  // Backoff that ends early when the signal aborts
+  const sleep = (ms) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
   const backoff = (attempt) => Math.min(2 ** attempt * baseDelay, maxDelay);
 
   let attempt = 0;
   let lastError = null;
 
   while (attempt <= maxRetries) {
+    signal?.throwIfAborted();
     try {
       const result = await fn(attempt);
 
@@ -92,6 +111,8 @@ export async function withRetry(fn, options = {}) {
 
       return { ...result, retries: attempt };
     } catch (error) {
+      // An aborted request is not a failure to retry
+      if (signal?.aborted) throw signal.reason;
       lastError = error;
 
       // Fail fast on non-retryable errors (e.g. 401/403/404).
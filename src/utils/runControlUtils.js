@@ -0,0 +1,61 @@
+/**
+ * Stop, pause and resume for a processing run (extraction and image
+ * analysis of one document). Stopping aborts the AbortSignal that is passed
+ * to processPdfDocument, processBatchImages and the OpenAI requests; pausing
+ * holds the run at its next checkpoint (the next page, or the next image
+ * request) until it is resumed.
+ */
+
+/**
+ * Creates the controls of a processing run
+ * @returns {Object} `{ signal, isPaused, isStopped, pause, resume, stop,
+ *   waitWhilePaused, subscribe }`. `waitWhilePaused()` resolves right away,
+ *   or once the run is resumed or stopped; `subscribe(listener)` calls the
+ *   listener on every pause, resume and stop, and returns an unsubscribe function
+ */
+export function createRunController() {
+  const abortController = new AbortController();
+  const listeners = new Set();
+  let paused = false;
+  let resumeWaiters = [];
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  const releaseWaiters = () => {
+    resumeWaiters.forEach(resolve => resolve());
+    resumeWaiters = [];
+  };
+
+  return {
+    signal: abortController.signal,
+    isPaused: () => paused,
+    isStopped: () => abortController.signal.aborted,
+    pause: () => {
+      if (paused || abortController.signal.aborted) return;
+      paused = true;
+      console.log('Processing paused');
+      notify();
+    },
+    resume: () => {
+      if (!paused) return;
+      paused = false;
+      console.log('Processing resumed');
+      releaseWaiters();
+      notify();
+    },
+    stop: () => {
+      if (abortController.signal.aborted) return;
+      console.log('Processing stopped');
+      abortController.abort();
+      // Paused work continues to its checkpoint, where it sees the abort
+      paused = false;
+      releaseWaiters();
+      notify();
+    },
+    waitWhilePaused: () => (paused ? new Promise(resolve => resumeWaiters.push(resolve)) : Promise.resolve()),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
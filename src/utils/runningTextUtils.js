@@ -0,0 +1,146 @@
+/**
+ * Finds running headers, footers and page numbers: text lines that repeat
+ * in the top or bottom margin of most pages of a PDF. They are stripped from
+ * the page layouts before the page text is rendered, and can be kept once
+ * as document metadata instead.
+ */
+
+// What happens to running text: 'remove' drops it, 'metadata' drops it from
+// the pages and keeps it once in `metadata.runningText`, 'keep' leaves it
+export const RUNNING_TEXT_MODES = ['remove', 'metadata', 'keep'];
+export const DEFAULT_RUNNING_TEXT_MODE = 'remove';
+
+// Share of the page height searched for running text at the top and bottom
+const MARGIN_ZONE_RATIO = 0.1;
+
+// The same running line may move this much (in points) between pages
+const POSITION_TOLERANCE = 6;
+
+// A line is running text when it repeats on this share of the pages, and on
+// at least MIN_RUNNING_PAGES pages
+const MIN_PAGE_SHARE = 0.5;
+const MIN_RUNNING_PAGES = 3;
+
+// Lines longer than this (in characters) are body text
+const MAX_RUNNING_LINE_LENGTH = 120;
+
+// "12", "- 12 -", "Page 12", "Page 12 of 40", "12 / 40", "xii"
+const PAGE_NUMBER_REGEX = /^(?:page\s+)?[-–—]?\s*(\d+|[ivxlcdm]+)\s*[-–—]?(?:\s*(?:of|\/)\s*\d+)?$/i;
+
+const ROMAN_NUMERALS = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+const parseRomanNumeral = (numeral) => {
+  const values = numeral.toLowerCase().split('').map(char => ROMAN_NUMERALS[char]);
+  return values.reduce((total, value, index) => (value < (values[index + 1] || 0) ? total - value : total + value), 0);
+};
+
+/**
+ * Reads the number of a page number line
+ * @param {string} text - Line text
+ * @returns {number|null} The page number, or null when the line is not one
+ */
+const parsePageNumber = (text) => {
+  const match = text.trim().match(PAGE_NUMBER_REGEX);
+  if (!match) return null;
+  return /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : parseRomanNumeral(match[1]);
+};
+
+// Numbers are masked so "Annual Report 2024 | Chapter 3" and the same line
+// with another chapter number count as one running line
+const normalizeLine = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const groupBy = (items, getKey) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Finds the running text of a document: lines in the top or bottom margin
+ * that repeat (numbers aside) at about the same height on most pages, and
+ * page numbers that count up with the pages
+ * @param {Array} pages - Pages with `pageNumber` and the `layout` from analyzeLayout
+ * @returns {Object} `{ lines, headers, footers }`: the Set of running layout
+ *   lines, and the text of the running headers and footers (page numbers
+ *   aside), as found on their first page
+ */
+export function findRunningText(pages) {
+  const laidOutPages = pages.filter(page => page.layout?.height);
+  const result = { lines: new Set(), headers: [], footers: [] };
+  if (laidOutPages.length < MIN_RUNNING_PAGES) return result;
+
+  const candidates = [];
+  laidOutPages.forEach(page => {
+    const { height, blocks } = page.layout;
+    const zone = height * MARGIN_ZONE_RATIO;
+    blocks.filter(block => block.kind === 'text').forEach(block => {
+      block.lines.forEach(line => {
+        const text = line.text.trim();
+        const position = line.y + line.height <= zone ? 'header' : line.y >= height - zone ? 'footer' : null;
+        if (!position || !text || text.length > MAX_RUNNING_LINE_LENGTH) return;
+        candidates.push({ line, text, position, pageNumber: page.pageNumber, number: parsePageNumber(text) });
+      });
+    });
+  });
+
+  const minPages = Math.max(MIN_RUNNING_PAGES, Math.ceil(laidOutPages.length * MIN_PAGE_SHARE));
+  const countPages = (group) => new Set(group.map(candidate => candidate.pageNumber)).size;
+
+  // Page numbers: numbers that keep the same offset from the page number
+  // (front matter numbered i, ii, ... and a body restarting at 1 are two runs)
+  groupBy(candidates.filter(candidate => candidate.number !== null), candidate => candidate.number - candidate.pageNumber)
+    .forEach(group => {
+      if (countPages(group) < MIN_RUNNING_PAGES) return;
+      group.forEach(candidate => result.lines.add(candidate.line));
+    });
+
+  // Repeated lines: the same text in the same margin at about the same height
+  const remaining = candidates.filter(candidate => !result.lines.has(candidate.line));
+  groupBy(remaining, candidate => `${candidate.position}:${normalizeLine(candidate.text)}`)
+    .forEach(group => {
+      const y = median(group.map(candidate => candidate.line.y));
+      const aligned = group.filter(candidate => Math.abs(candidate.line.y - y) <= POSITION_TOLERANCE);
+      if (countPages(aligned) < minPages) return;
+      aligned.forEach(candidate => result.lines.add(candidate.line));
+      const [first] = aligned;
+      if (first.number === null) {
+        (first.position === 'header' ? result.headers : result.footers).push(first.text);
+      }
+    });
+
+  return result;
+}
+
+/**
+ * Removes lines from a page layout; text blocks left without lines are dropped
+ * @param {Object} layout - Page layout from analyzeLayout
+ * @param {Set} lines - Layout lines to remove (see findRunningText)
+ * @returns {Object} Layout without the lines
+ */
+export function removeLayoutLines(layout, lines) {
+  const blocks = layout.blocks
+    .map(block => {
+      if (block.kind !== 'text' || !block.lines.some(line => lines.has(line))) return block;
+      const keptLines = block.lines.filter(line => !lines.has(line));
+      if (keptLines.length === 0) return null;
+      const x0 = Math.min(...keptLines.map(line => line.x));
+      const y0 = Math.min(...keptLines.map(line => line.y));
+      const x1 = Math.max(...keptLines.map(line => line.x + line.width));
+      const y1 = Math.max(...keptLines.map(line => line.y + line.height));
+      return { ...block, lines: keptLines, bbox: { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } };
+    })
+    .filter(Boolean)
+    .map((block, index) => ({ ...block, order: index }));
+
+  return { ...layout, blocks };
+}
@@ -0,0 +1,567 @@
+import { renderStructure } from './structureUtils';
+import { createImageFromBytes, MIN_IMAGE_SIZE } from './imageUtils';
+import { createFailedResult } from './documentResultUtils';
+import { parseDrawingMLChart, parseOdfChart, renderChartImage, describeChart } from './chartUtils';
+import {
+  readZip,
+  readZipText,
+  readZipXml,
+  readRelationships,
+  childElements,
+  firstChildElement,
+  descendantElements,
+  getAttribute,
+  getMimeTypeFromPath
+} from './zipUtils';
+
+/**
+ * Spreadsheet ingestion (XLSX, ODS and CSV): every worksheet becomes a page.
+ *
+ * A sheet's used cells are split into ranges at fully empty rows; ranges of
+ * at least two rows and two columns become tables (rendered as Markdown by
+ * text replacement), smaller ones become paragraphs. Tables are cut off at
+ * `maxTableRows` data rows with a note saying how many were left out.
+ * Pictures and charts drawn on a sheet become images, placed before the
+ * range at their anchor row, so they get vision descriptions next to the data.
+ */
+
+export const DEFAULT_SPREADSHEET_ROW_LIMIT = 100;
+
+// Repeated rows/columns (ODS) are expanded up to this count; longer runs are
+// the empty filler ODS writes up to the sheet's last row or column
+const MAX_REPEAT = 1000;
+
+// Built-in XLSX number formats that aren't plain numbers
+const BUILTIN_NUMBER_FORMATS = {
+  9: '0%',
+  10: '0.00%',
+  14: 'yyyy-mm-dd',
+  15: 'd-mmm-yy',
+  16: 'd-mmm',
+  17: 'mmm-yy',
+  18: 'h:mm AM/PM',
+  19: 'h:mm:ss AM/PM',
+  20: 'h:mm',
+  21: 'h:mm:ss',
+  22: 'yyyy-mm-dd h:mm',
+  45: 'mm:ss',
+  46: '[h]:mm:ss',
+  47: 'mm:ss.0'
+};
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Column letters for a 0-based column index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Parses a cell reference such as `C12`
+ * @param {string} reference - Cell reference
+ * @returns {Object|null} `{ row, column }`, 0-based
+ */
+const parseCellReference = (reference) => {
+  const match = /^\$?([A-Z]+)\$?(\d+)$/i.exec(reference || '');
+  if (!match) return null;
+  const column = match[1].toUpperCase().split('').reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  return { row: parseInt(match[2], 10) - 1, column };
+};
+
+/**
+ * Formats an XLSX number with its number format: dates and times as ISO
+ * strings, percentages and fixed decimals as displayed, anything else as is
+ * @param {number} value - Cell value
+ * @param {string|null} formatCode - Number format code
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {string} Display text
+ */
+const formatNumber = (value, formatCode, date1904) => {
+  // Quoted literals and [colour]/[locale] sections don't affect the type
+  const code = (formatCode || 'General').split(';')[0].replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+
+  if (/[dmyhs]/i.test(code) && !/general/i.test(code)) {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const iso = new Date(epoch + Math.round(value * MS_PER_DAY)).toISOString();
+    const hasDate = /[dy]/i.test(code) || (/m/i.test(code) && !/[hs]/i.test(code));
+    const hasTime = /[hs]/i.test(code);
+    if (hasDate && hasTime) return `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+    if (hasTime) return iso.slice(11, /s/i.test(code) ? 19 : 16);
+    return iso.slice(0, 10);
+  }
+
+  const decimals = (code.match(/\.(0+)/) || [null, ''])[1].length;
+  if (code.includes('%')) {
+    return `${(value * 100).toFixed(decimals)}%`;
+  }
+  if (decimals > 0) {
+    return value.toFixed(decimals);
+  }
+  return String(Number(value.toPrecision(15)));
+};
+
+/**
+ * Splits a sheet's cells into ranges separated by fully empty rows, each
+ * trimmed to its used columns
+ * @param {Map<number, Map<number, string>>} cells - Cell text by row, then column
+ * @returns {Array} Ranges `{ startRow, endRow, startColumn, rows }`
+ */
+const splitIntoRanges = (cells) => {
+  const rowIndexes = [...cells.keys()]
+    .filter(row => [...cells.get(row).values()].some(text => text))
+    .sort((a, b) => a - b);
+  const bands = [];
+  rowIndexes.forEach(row => {
+    const band = bands[bands.length - 1];
+    if (band && row === band[band.length - 1] + 1) band.push(row);
+    else bands.push([row]);
+  });
+
+  return bands.map(band => {
+    const columns = band.flatMap(row => [...cells.get(row).entries()].filter(([, text]) => text).map(([column]) => column));
+    const startColumn = Math.min(...columns);
+    const endColumn = Math.max(...columns);
+    return {
+      startRow: band[0],
+      endRow: band[band.length - 1],
+      startColumn,
+      endColumn,
+      rows: band.map(row => Array.from({ length: endColumn - startColumn + 1 }, (_, index) =>
+        cells.get(row).get(startColumn + index) || ''
+      ))
+    };
+  });
+};
+
+/**
+ * Parses CSV text (RFC 4180 quoting), detecting comma, semicolon or tab separators
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length - 1 }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Reads the worksheets of an XLSX workbook
+ * @param {Map<string, Uint8Array>} entries - Package entries
+ * @param {Function} onLog - Log callback
+ * @returns {Array} Sheets `{ name, cells, drawings }`; drawings are `{ row, kind, path | chart, altText }`
+ */
+const readXlsxSheets = (entries, onLog) => {
+  const packageRels = readRelationships(entries, '');
+  const workbookPath = [...packageRels.values()].find(rel => rel.type === 'officeDocument')?.target || 'xl/workbook.xml';
+  const workbook = readZipXml(entries, workbookPath)?.documentElement;
+  if (!workbook) throw new Error('No workbook found');
+
+  const workbookRels = readRelationships(entries, workbookPath);
+  const relatedXml = (type) => {
+    const rel = [...workbookRels.values()].find(item => item.type === type && !item.external);
+    return rel ? readZipXml(entries, rel.target) : null;
+  };
+
+  const date1904 = ['1', 'true'].includes(getAttribute(firstChildElement(workbook, 'workbookPr'), 'date1904'));
+
+  // Shared strings: rich text runs are concatenated, phonetic runs skipped
+  const sharedStrings = descendantElements(relatedXml('sharedStrings'), 'si').map(si =>
+    childElements(si).map(child => {
+      if (child.localName === 't') return child.textContent;
+      if (child.localName === 'r') return firstChildElement(child, 't')?.textContent || '';
+      return '';
+    }).join('')
+  );
+
+  // Number format code of every cell style (cellXfs index)
+  const styles = relatedXml('styles');
+  const customFormats = new Map(descendantElements(styles, 'numFmt').map(numFmt =>
+    [parseInt(getAttribute(numFmt, 'numFmtId'), 10), getAttribute(numFmt, 'formatCode')]
+  ));
+  const cellFormats = childElements(descendantElements(styles, 'cellXfs')[0], 'xf').map(xf => {
+    const id = parseInt(getAttribute(xf, 'numFmtId') || '0', 10);
+    return customFormats.get(id) || BUILTIN_NUMBER_FORMATS[id] || null;
+  });
+
+  const sheets = [];
+  for (const sheet of descendantElements(firstChildElement(workbook, 'sheets'), 'sheet')) {
+    const name = getAttribute(sheet, 'name') || `Sheet ${sheets.length + 1}`;
+    if (['hidden', 'veryHidden'].includes(getAttribute(sheet, 'state'))) {
+      onLog(`Skipping hidden sheet "${name}"`);
+      continue;
+    }
+    const rel = workbookRels.get(sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id'));
+    const sheetDoc = rel && !rel.external ? readZipXml(entries, rel.target) : null;
+    if (!sheetDoc) {
+      onLog(`Skipping sheet "${name}": not a worksheet`);
+      continue;
+    }
+
+    const cells = new Map();
+    // Row and cell references are optional: without one, a row follows the
+    // previous row and a cell the previous cell
+    let nextRow = 0;
+    for (const row of descendantElements(firstChildElement(sheetDoc.documentElement, 'sheetData'), 'row')) {
+      let nextColumn = 0;
+      const rowNumber = parseInt(getAttribute(row, 'r'), 10);
+      const rowIndex = rowNumber > 0 ? rowNumber - 1 : nextRow;
+      nextRow = rowIndex + 1;
+      for (const cell of childElements(row, 'c')) {
+        const reference = parseCellReference(getAttribute(cell, 'r'));
+        const column = reference ? reference.column : nextColumn;
+        const cellRow = reference ? reference.row : rowIndex;
+        nextColumn = column + 1;
+
+        const type = getAttribute(cell, 't') || 'n';
+        const raw = firstChildElement(cell, 'v')?.textContent ?? null;
+        let text = '';
+        if (type === 's') {
+          text = sharedStrings[parseInt(raw, 10)] ?? '';
+        } else if (type === 'inlineStr') {
+          text = descendantElements(firstChildElement(cell, 'is'), 't').map(t => t.textContent).join('');
+        } else if (type === 'b') {
+          text = raw === '1' ? 'TRUE' : 'FALSE';
+        } else if (type === 'n' && raw !== null && raw !== '') {
+          text = formatNumber(parseFloat(raw), cellFormats[parseInt(getAttribute(cell, 's') || '0', 10)], date1904);
+        } else {
+          // Formula strings, errors and ISO dates are stored as displayed
+          text = raw ?? '';
+        }
+
+        if (!cells.has(cellRow)) cells.set(cellRow, new Map());
+        cells.get(cellRow).set(column, text.trim());
+      }
+    }
+
+    // Pictures and charts live in the sheet's drawing part
+    const drawings = [];
+    const sheetRels = readRelationships(entries, rel.target);
+    const drawingRelId = getAttribute(firstChildElement(sheetDoc.documentElement, 'drawing'), 'id');
+    const drawingPath = drawingRelId ? sheetRels.get(drawingRelId)?.target : null;
+    const drawingDoc = drawingPath ? readZipXml(entries, drawingPath) : null;
+    if (drawingDoc) {
+      const drawingRels = readRelationships(entries, drawingPath);
+      for (const anchor of childElements(drawingDoc.documentElement)) {
+        if (!/Anchor$/.test(anchor.localName)) continue;
+        const fromRow = firstChildElement(firstChildElement(anchor, 'from'), 'row')?.textContent;
+        const row = fromRow !== undefined ? parseInt(fromRow, 10) : Infinity;
+        const cNvPr = descendantElements(anchor, 'cNvPr')[0];
+        const altText = getAttribute(cNvPr, 'descr') || getAttribute(cNvPr, 'title') || null;
+
+        descendantElements(anchor, 'blip').forEach(blip => {
+          const target = drawingRels.get(getAttribute(blip, 'embed'));
+          if (target && !target.external) drawings.push({ row, kind: 'picture', path: target.target, altText });
+        });
+        descendantElements(anchor, 'chart').forEach(chartRef => {
+          const target = drawingRels.get(getAttribute(chartRef, 'id'));
+          const chartDoc = target && !target.external ? readZipXml(entries, target.target) : null;
+          if (chartDoc) drawings.push({ row, kind: 'chart', chart: parseDrawingMLChart(chartDoc), path: target.target, altText });
+        });
+      }
+    }
+
+    sheets.push({ name, cells, drawings });
+  }
+  return sheets;
+};
+
+/**
+ * Reads the sheets of an ODS spreadsheet
+ * @param {Map<string, Uint8Array>} entries - Package entries
+ * @returns {Array} Sheets `{ name, cells, drawings }`, as readXlsxSheets
+ */
+const readOdsSheets = (entries) => {
+  const content = readZipXml(entries, 'content.xml');
+  const spreadsheet = descendantElements(content, 'spreadsheet')[0];
+  if (!spreadsheet) throw new Error('No spreadsheet content found');
+
+  return childElements(spreadsheet, 'table').map((table, tableIndex) => {
+    const cells = new Map();
+    const drawings = [];
+
+    const addFrames = (container, row) => {
+      descendantElements(container, 'frame').forEach(frame => {
+        const altText = descendantElements(frame, 'desc')[0]?.textContent || descendantElements(frame, 'title')[0]?.textContent || null;
+        const object = firstChildElement(frame, 'object');
+        const image = firstChildElement(frame, 'image');
+        if (object) {
+          // Embedded objects are folders ("./Object 1") with their own content.xml
+          const folder = (getAttribute(object, 'href') || '').replace(/^\.\//, '').replace(/\/$/, '');
+          const chartDoc = folder ? readZipXml(entries, `${folder}/content.xml`) : null;
+          if (chartDoc) drawings.push({ row, kind: 'chart', chart: parseOdfChart(chartDoc), path: folder, altText });
+        } else if (image) {
+          const path = (getAttribute(image, 'href') || '').replace(/^\.\//, '');
+          if (path) drawings.push({ row, kind: 'picture', path, altText });
+        }
+      });
+    };
+
+    // Shapes anchored to the page rather than a cell
+    addFrames(firstChildElement(table, 'shapes'), Infinity);
+
+    let rowIndex = 0;
+    const rows = descendantElements(table, 'table-row').filter(row => row.parentNode.localName !== 'table-row');
+    for (const row of rows) {
+      const rowRepeat = parseInt(getAttribute(row, 'number-rows-repeated') || '1', 10);
+      const rowCells = new Map();
+      let columnIndex = 0;
+      for (const cell of childElements(row).filter(child => child.localName === 'table-cell' || child.localName === 'covered-table-cell')) {
+        const columnRepeat = parseInt(getAttribute(cell, 'number-columns-repeated') || '1', 10);
+        const text = childElements(cell, 'p').map(p => p.textContent).join('\n').trim();
+        if (text) {
+          for (let i = 0; i < Math.min(columnRepeat, MAX_REPEAT); i++) rowCells.set(columnIndex + i, text);
+        }
+        addFrames(cell, rowIndex);
+        columnIndex += columnRepeat;
+      }
+      if (rowCells.size) {
+        for (let i = 0; i < Math.min(rowRepeat, MAX_REPEAT); i++) cells.set(rowIndex + i, rowCells);
+      }
+      rowIndex += rowRepeat;
+    }
+
+    return { name: getAttribute(table, 'name') || `Sheet ${tableIndex + 1}`, cells, drawings };
+  });
+};
+
+/**
+ * Decodes a CSV file, falling back to Windows-1252 for files that aren't UTF-8
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string} Text without a byte order mark
+ */
+const decodeCsv = (bytes) => {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    text = new TextDecoder('windows-1252').decode(bytes);
+  }
+  return text.replace(/^\uFEFF/, '');
+};
+
+/**
+ * Processes a spreadsheet into one page per worksheet
+ * @param {ArrayBuffer|Uint8Array} spreadsheetData - The binary XLSX, ODS or CSV data
+ * @param {Object} options - Processing options (`progressCallback`, `logCallback`,
+ *   `maxTableRows` - data rows kept per table, default DEFAULT_SPREADSHEET_ROW_LIMIT)
+ * @returns {Promise<Object>} Processed document in the processPdfDocument result shape
+ */
+export async function processSpreadsheetDocument(spreadsheetData, options = {}) {
+  const {
+    progressCallback = null,
+    logCallback = null,
+    maxTableRows = DEFAULT_SPREADSHEET_ROW_LIMIT
+  } = options;
+
+  const onProgress = typeof progressCallback === 'function' ? progressCallback : () => {};
+  const onLog = typeof logCallback === 'function' ? logCallback : () => {};
+  const startTime = performance.now();
+  const rowLimit = Math.max(1, parseInt(maxTableRows, 10) || DEFAULT_SPREADSHEET_ROW_LIMIT);
+
+  const bytes = spreadsheetData instanceof Uint8Array ? spreadsheetData : new Uint8Array(spreadsheetData);
+  let format, entries, sheets;
+  try {
+    // ZIP packages start with "PK"; anything else is read as CSV
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+      entries = readZip(bytes);
+      if (readZipText(entries, 'mimetype')?.trim() === 'application/vnd.oasis.opendocument.spreadsheet') {
+        format = 'ods';
+        sheets = readOdsSheets(entries);
+      } else {
+        format = 'xlsx';
+        sheets = readXlsxSheets(entries, onLog);
+      }
+    } else {
+      format = 'csv';
+      const cells = new Map();
+      parseCsv(decodeCsv(bytes)).forEach((row, rowIndex) => {
+        cells.set(rowIndex, new Map(row.map((text, column) => [column, text.trim()])));
+      });
+      sheets = [{ name: null, cells, drawings: [] }];
+    }
+  } catch (loadError) {
+    console.error('Error loading spreadsheet:', loadError);
+    return createFailedResult(`Error loading spreadsheet: ${loadError.message}`);
+  }
+  onLog(`Spreadsheet loaded (${format.toUpperCase()}): ${sheets.length} sheets`);
+  onProgress(0.1);
+
+  const pages = [];
+  const images = [];
+  const skippedObjects = [];
+  let imageCounter = 0;
+  let tableCounter = 0;
+
+  for (const sheet of sheets) {
+    const pageNumber = pages.length + 1;
+    const elements = [];
+    const imageReferences = [];
+    const tables = [];
+
+    if (sheet.name) {
+      elements.push({ type: 'heading', level: 1, text: sheet.name });
+    }
+
+    const addDrawing = async (drawing) => {
+      let decoded = null;
+      let altText = drawing.altText;
+      if (drawing.kind === 'chart') {
+        decoded = drawing.chart ? renderChartImage(drawing.chart) : null;
+        if (decoded) altText = altText || describeChart(drawing.chart);
+      } else {
+        const mediaBytes = entries?.get(drawing.path);
+        decoded = mediaBytes ? await createImageFromBytes(mediaBytes, getMimeTypeFromPath(drawing.path)) : null;
+      }
+      if (!decoded || decoded.width < MIN_IMAGE_SIZE || decoded.height < MIN_IMAGE_SIZE) {
+        skippedObjects.push({
+          page: pageNumber,
+          objectName: drawing.path,
+          reason: drawing.kind === 'chart' ? 'Chart without plottable data' : 'Unsupported or empty image'
+        });
+        return;
+      }
+
+      imageCounter++;
+      const id = `img_${pageNumber}_${imageCounter}`;
+      const placeholder = `[IMAGE_${imageCounter}]`;
+      images.push({
+        id,
+        originalId: id,
+        pageNumber,
+        width: decoded.width,
+        height: decoded.height,
+        isFullPage: false,
+        isScanned: false,
+        isForcedScan: false,
+        scanReason: 'natural_page_content',
+        sourcePath: drawing.path,
+        altText,
+        dataURL: decoded.dataURL
+      });
+      imageReferences.push({ id, placeholder, isFullPage: false });
+      elements.push({ type: 'image', placeholder });
+      onLog(`Found image ${imageCounter} on sheet ${pageNumber} (${drawing.kind === 'chart' ? 'chart' : drawing.path}) with size ${decoded.width}x${decoded.height}`);
+    };
+
+    const addRange = (range) => {
+      const address = `${columnName(range.startColumn)}${range.startRow + 1}:${columnName(range.endColumn)}${range.endRow + 1}`;
+      if (range.rows.length < 2 || range.rows[0].length < 2) {
+        range.rows.flat().filter(Boolean).forEach(text => elements.push({ type: 'paragraph', text }));
+        return;
+      }
+
+      tableCounter++;
+      const placeholder = `[TABLE_${tableCounter}]`;
+      const dataRowCount = range.rows.length - 1;
+      const rows = range.rows.slice(0, rowLimit + 1);
+      tables.push({
+        id: `table_${pageNumber}_${tableCounter}`,
+        placeholder,
+        rows,
+        bbox: null,
+        source: format,
+        range: address
+      });
+      elements.push({ type: 'table', placeholder, rows });
+      if (dataRowCount > rowLimit) {
+        elements.push({
+          type: 'paragraph',
+          text: `Table truncated: showing ${rowLimit} of ${dataRowCount} data rows (${address}).`
+        });
+      }
+      onLog(`Found table ${placeholder} on sheet ${pageNumber}: ${address}, ${rows.length} of ${range.rows.length} rows x ${range.rows[0].length} columns (${format})`);
+    };
+
+    // Drawings go before the range at or below their anchor row
+    const ranges = splitIntoRanges(sheet.cells);
+    const drawings = [...sheet.drawings].sort((a, b) => a.row - b.row);
+    for (const range of ranges) {
+      while (drawings.length && drawings[0].row <= range.endRow && drawings[0].row < Infinity) {
+        await addDrawing(drawings.shift());
+      }
+      addRange(range);
+    }
+    for (const drawing of drawings) {
+      await addDrawing(drawing);
+    }
+
+    pages.push({
+      pageNumber,
+      isScanned: false,
+      width: null,
+      height: null,
+      sheetName: sheet.name,
+      content: renderStructure(elements),
+      imageReferences,
+      tables,
+      structure: elements,
+      layout: null
+    });
+    onProgress(0.1 + 0.85 * (pageNumber / sheets.length));
+  }
+
+  const result = {
+    success: true,
+    sourceType: format,
+    totalPages: pages.length,
+    processingTime: 0,
+    pages,
+    images,
+    skippedObjects,
+    originalImageCount: images.length,
+    progress: { current: pages.length, total: pages.length },
+    processingOptions: { scanAllPages: false, layoutDebug: false, maxTableRows: rowLimit }
+  };
+
+  result.processingTime = performance.now() - startTime;
+  onProgress(1);
+  onLog(`Spreadsheet processed: ${result.totalPages} sheets, ${tableCounter} tables, ${images.length} images in ${Math.round(result.processingTime)}ms`);
+  onLog(`Found ${images.length} unique images`);
+
+  return result;
+}
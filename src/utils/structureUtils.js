@@ -0,0 +1,428 @@
+/**
+ * Document structure inference: turns the reading-order lines produced by
+ * `analyzeLayout` into headings, list items and paragraphs using the font
+ * metrics of the text items (size and weight).
+ *
+ * Heading levels are relative: the most common font size in the document is
+ * the body size, larger sizes rank as H1, H2, … from largest to smallest, and
+ * bold body-size lines standing on their own rank one level below those.
+ */
+
+// Sizes within this ratio of each other are treated as the same tier
+const SIZE_TIER_TOLERANCE = 0.05;
+
+// A line must be at least this much larger than body text to be a heading
+const HEADING_SIZE_RATIO = 1.15;
+
+// Headings are short; longer lines are body text regardless of font
+const MAX_HEADING_LENGTH = 150;
+
+// Bold body-size lines longer than this are emphasized text, not headings
+const MAX_BOLD_HEADING_LENGTH = 80;
+
+// Lines shorter than this share of the block width end a paragraph when
+// they also end a sentence
+const SHORT_LINE_RATIO = 0.7;
+
+const BULLET_REGEX = /^([•◦▪▫■□●○‣⁃∙·▸►✓✔\-–*])\s+/;
+// Numbers, single letters and valid roman numerals only, so that words
+// such as "dim" or "Civil" are not read as markers
+const ORDERED_REGEX = /^(\(?(\d{1,3}|[a-z]|(?=[ivxlcdm])m{0,3}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3}))[.)])\s+/i;
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+const roundSize = (size) => Math.round(size * 2) / 2;
+
+/**
+ * Dominant font size and weight of a line, weighted by character count
+ * @param {Object} line - Layout line with `items`
+ * @returns {Object} `{ fontSize, bold }`
+ */
+const getLineFont = (line) => {
+  const sizes = new Map();
+  let boldChars = 0;
+  let totalChars = 0;
+  for (const item of line.items) {
+    const chars = item.text.trim().length;
+    if (chars === 0) continue;
+    const size = roundSize(item.fontSize || item.height || 0);
+    sizes.set(size, (sizes.get(size) || 0) + chars);
+    totalChars += chars;
+    if (item.bold) boldChars += chars;
+  }
+  const fontSize = [...sizes.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+  return { fontSize, bold: totalChars > 0 && boldChars >= 0.8 * totalChars };
+};
+
+/**
+ * Collects font statistics across page layouts: the body font size and the
+ * heading tiers above it.
+ * @param {Array} layouts - Page layouts from analyzeLayout (null entries are skipped)
+ * @returns {Object} `{ bodySize, headingSizes }`, heading sizes largest first
+ */
+export function computeFontStatistics(layouts) {
+  const charsBySize = new Map();
+  const shortLineSizes = new Set();
+
+  for (const layout of layouts) {
+    if (!layout) continue;
+    for (const block of layout.blocks) {
+      if (block.kind !== 'text') continue;
+      for (const line of block.lines) {
+        const { fontSize } = getLineFont(line);
+        if (!fontSize) continue;
+        charsBySize.set(fontSize, (charsBySize.get(fontSize) || 0) + line.text.length);
+        if (line.text.length <= MAX_HEADING_LENGTH && /\p{L}{2}/u.test(line.text)) {
+          shortLineSizes.add(fontSize);
+        }
+      }
+    }
+  }
+
+  const bodySize = [...charsBySize.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+  // Merge near-identical sizes into tiers, largest first
+  const headingSizes = [];
+  [...shortLineSizes]
+    .filter(size => size >= bodySize * HEADING_SIZE_RATIO)
+    .sort((a, b) => b - a)
+    .forEach(size => {
+      const last = headingSizes[headingSizes.length - 1];
+      if (!last || (last - size) / last > SIZE_TIER_TOLERANCE) {
+        headingSizes.push(size);
+      }
+    });
+
+  return { bodySize, headingSizes: headingSizes.slice(0, 5) };
+}
+
+/**
+ * Heading level for a font size, or 0 when the size is not a heading tier
+ * @param {number} fontSize - Line font size
+ * @param {Object} stats - Font statistics
+ * @returns {number} Heading level (1-5) or 0
+ */
+const getSizeHeadingLevel = (fontSize, stats) => {
+  if (!stats.bodySize || fontSize < stats.bodySize * HEADING_SIZE_RATIO) return 0;
+  const index = stats.headingSizes.findIndex(size => fontSize >= size * (1 - SIZE_TIER_TOLERANCE));
+  return index === -1 ? stats.headingSizes.length : index + 1;
+};
+
+/**
+ * Joins wrapped lines, removing end-of-line hyphenation
+ * @param {string} text - Text so far
+ * @param {string} next - Next line
+ * @returns {string} Joined text
+ */
+const joinWrappedLine = (text, next) => {
+  if (/\p{Ll}-$/u.test(text) && /^\p{Ll}/u.test(next)) {
+    return text.slice(0, -1) + next;
+  }
+  return `${text} ${next}`;
+};
+
+/**
+ * Adds the links of a line to the structure element its text went into
+ * @param {Object} element - Structure element
+ * @param {Object} line - Line fragment
+ */
+const addLineLinks = (element, line) => {
+  (line.links || []).forEach(link => {
+    if (!link.text) return;
+    element.links = element.links || [];
+    // A link wrapping onto the next line is listed once
+    if (!element.links.includes(link)) element.links.push(link);
+  });
+};
+
+/**
+ * Renders the links of an element's text as Markdown links, in order
+ * @param {string} text - Element text
+ * @param {Array} links - Links `{ text, url }`
+ * @returns {string} Text with `[text](url)` links
+ */
+const renderLinks = (text, links = []) => {
+  let rendered = '';
+  let rest = text;
+  for (const link of links) {
+    const index = rest.indexOf(link.text);
+    if (index === -1) continue;
+    const label = link.text.replace(/[[\]]/g, '\\$&');
+    const url = link.url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+    rendered += `${rest.slice(0, index)}[${label}](${url})`;
+    rest = rest.slice(index + link.text.length);
+  }
+  return rendered + rest;
+};
+
+const parseRoman = (numeral) => [...numeral].reduce((total, char, index) => {
+  const value = ROMAN_VALUES[char];
+  return total + (value < (ROMAN_VALUES[numeral[index + 1]] || 0) ? -value : value);
+}, 0);
+
+/**
+ * Counter values an ordered list marker label can stand for: a letter that
+ * is also a roman numeral can be either ("i" is the 9th letter or 1)
+ * @param {string} label - Marker label without punctuation
+ * @returns {Array} `{ scheme, value }` candidates
+ */
+const getMarkerValues = (label) => {
+  const lower = label.toLowerCase();
+  const values = /^[ivxlcdm]+$/.test(lower) ? [{ scheme: 'roman', value: parseRoman(lower) }] : [];
+  if (lower.length === 1) values.push({ scheme: 'letter', value: lower.charCodeAt(0) - 96 });
+  return values;
+};
+
+/**
+ * Whether two ordered markers follow each other ("a)" then "b)", "iv." then "v.")
+ * @param {Array} before - ORDERED_REGEX match of the earlier marker
+ * @param {Array} after - ORDERED_REGEX match of the later marker
+ * @returns {boolean} True when the markers are consecutive in the same style
+ */
+const isMarkerSequence = (before, after) => {
+  const style = (match) => match[1].replace(match[2], '') + (match[2] === match[2].toLowerCase() ? 'lower' : 'upper');
+  if (style(before) !== style(after)) return false;
+  const beforeValues = getMarkerValues(before[2]);
+  return getMarkerValues(after[2]).some(({ scheme, value }) =>
+    beforeValues.some(previous => previous.scheme === scheme && previous.value + 1 === value)
+  );
+};
+
+/**
+ * Matches the list markers of a block's lines. Letter and roman numeral
+ * markers also start ordinary sentences ("A. Smith said", "Mix. well"), so
+ * they only count when they belong to a run: the nearest marker before or
+ * after them is in sequence, or is a bullet or numbered item at the same indent
+ * @param {Array} lines - Lines of the block
+ * @returns {Array} `{ bulletMatch, orderedMatch }` per line
+ */
+const matchListMarkers = (lines) => {
+  const matches = lines.map(({ line }) => {
+    const bulletMatch = line.text.match(BULLET_REGEX);
+    return { bulletMatch, orderedMatch: !bulletMatch && line.text.match(ORDERED_REGEX) };
+  });
+
+  // Nearest marked line, skipping only continuation lines indented past this one
+  const findNeighbour = (index, step) => {
+    const x = lines[index].line.x;
+    for (let i = index + step; i >= 0 && i < lines.length; i += step) {
+      if (matches[i].bulletMatch || matches[i].orderedMatch) return i;
+      if (lines[i].line.x <= x + 1) return -1;
+    }
+    return -1;
+  };
+
+  return matches.map((match, index) => {
+    const { orderedMatch } = match;
+    if (!orderedMatch || /^\d/.test(orderedMatch[2])) return match;
+
+    const inRun = [-1, 1].some(step => {
+      const neighbour = findNeighbour(index, step);
+      if (neighbour === -1) return false;
+      const other = matches[neighbour];
+      if (other.bulletMatch || /^\d/.test(other.orderedMatch[2])) {
+        return Math.abs(lines[neighbour].line.x - lines[index].line.x) <= 1;
+      }
+      return step === -1
+        ? isMarkerSequence(other.orderedMatch, orderedMatch)
+        : isMarkerSequence(orderedMatch, other.orderedMatch);
+    });
+    return inRun ? match : { bulletMatch: null, orderedMatch: null };
+  });
+};
+
+/**
+ * Classifies the lines of one text block
+ * @param {Object} block - Text block from analyzeLayout
+ * @param {Object} stats - Font statistics
+ * @returns {Array} Structure elements
+ */
+const structureTextBlock = (block, stats) => {
+  const elements = [];
+  const blockLeft = block.bbox.x;
+  const blockWidth = block.bbox.width || 1;
+  const lines = block.lines.map(line => ({ line, ...getLineFont(line) }));
+  const markers = matchListMarkers(lines);
+  const listLeft = Math.min(
+    ...lines.filter((_line, index) => markers[index].bulletMatch || markers[index].orderedMatch).map(({ line }) => line.x)
+  );
+
+  let current = null;
+  lines.forEach(({ line, fontSize, bold }, index) => {
+    const text = line.text;
+    const previous = lines[index - 1];
+    const sizeLevel = text.length <= MAX_HEADING_LENGTH ? getSizeHeadingLevel(fontSize, stats) : 0;
+    const { bulletMatch, orderedMatch } = markers[index];
+
+    // Headings: larger than body text, or a standalone bold body-size line
+    const nextLine = lines[index + 1];
+    const isBoldHeading = !sizeLevel && bold && !bulletMatch && !orderedMatch &&
+      text.length <= MAX_BOLD_HEADING_LENGTH &&
+      !/[.,;:]$/.test(text) &&
+      (!nextLine || !nextLine.bold) &&
+      (!previous || !previous.bold || current?.type === 'heading');
+    const headingLevel = sizeLevel || (isBoldHeading ? Math.min(6, stats.headingSizes.length + 1) : 0);
+
+    if (headingLevel) {
+      if (current?.type === 'heading' && current.level === headingLevel) {
+        current.text = joinWrappedLine(current.text, text);
+      } else {
+        current = { type: 'heading', level: headingLevel, text };
+        elements.push(current);
+      }
+      addLineLinks(current, line);
+      return;
+    }
+
+    if (bulletMatch || orderedMatch) {
+      const marker = (bulletMatch || orderedMatch)[1];
+      const indentUnit = Math.max(fontSize, 1) * 1.5;
+      current = {
+        type: 'listItem',
+        ordered: !!orderedMatch,
+        marker,
+        level: Math.max(0, Math.round((line.x - listLeft) / indentUnit)),
+        text: text.slice((bulletMatch || orderedMatch)[0].length),
+        x: line.x
+      };
+      elements.push(current);
+      addLineLinks(current, line);
+      return;
+    }
+
+    // List item continuation: indented past the item's marker
+    if (current?.type === 'listItem' && line.x > current.x + 1) {
+      current.text = joinWrappedLine(current.text, text);
+      addLineLinks(current, line);
+      return;
+    }
+
+    // Paragraph breaks inside a block: first-line indent, or the previous
+    // line stopped short at the end of a sentence
+    const previousLine = previous?.line;
+    const indented = line.x > blockLeft + Math.max(fontSize, 1) * 0.8 &&
+      (!previousLine || previousLine.x <= blockLeft + 1);
+    const previousEndedShort = previousLine &&
+      previousLine.x + previousLine.width < blockLeft + blockWidth * SHORT_LINE_RATIO &&
+      /[.!?:"”)]$/.test(previousLine.text);
+
+    if (current?.type === 'paragraph' && !indented && !previousEndedShort) {
+      current.text = joinWrappedLine(current.text, text);
+    } else {
+      current = { type: 'paragraph', text };
+      elements.push(current);
+    }
+    addLineLinks(current, line);
+  });
+
+  return elements.map(({ x: _x, ...element }) => element);
+};
+
+/**
+ * Infers the structure of a page from its layout
+ * @param {Object} layout - Page layout from analyzeLayout
+ * @param {Object} stats - Font statistics from computeFontStatistics
+ * @returns {Array} Structure elements in reading order: `heading` (with
+ *   `level`), `listItem` (with `ordered`, `marker` and nesting `level`),
+ *   `paragraph`, and `image` / `table` (with their `placeholder`; tables
+ *   also carry their `rows`). Text elements covered by links carry `links`
+ */
+export function inferPageStructure(layout, stats) {
+  if (!layout) return [];
+
+  const elements = [];
+  for (const block of layout.blocks) {
+    if (block.kind === 'text') {
+      elements.push(...structureTextBlock(block, stats));
+    } else if (block.kind === 'table') {
+      elements.push({ type: 'table', placeholder: block.item.placeholder, rows: block.item.rows });
+    } else if (block.item?.placeholder) {
+      elements.push({ type: block.kind, placeholder: block.item.placeholder });
+    }
+  }
+  return elements;
+}
+
+/**
+ * Formats a list counter in a Word number format (PPTX auto-numbering
+ * schemes are mapped onto the same names)
+ * @param {number} value - Counter value
+ * @param {string} numFmt - Word number format (decimal, lowerLetter, upperRoman, ...)
+ * @returns {string} Formatted number
+ */
+export function formatListNumber(value, numFmt) {
+  if (numFmt === 'lowerLetter' || numFmt === 'upperLetter') {
+    const letters = String.fromCharCode(97 + ((value - 1) % 26)).repeat(Math.floor((value - 1) / 26) + 1);
+    return numFmt === 'upperLetter' ? letters.toUpperCase() : letters;
+  }
+  if (numFmt === 'lowerRoman' || numFmt === 'upperRoman') {
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+      [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let remaining = value;
+    let roman = '';
+    for (const [amount, numeral] of numerals) {
+      while (remaining >= amount) {
+        roman += numeral;
+        remaining -= amount;
+      }
+    }
+    return numFmt === 'upperRoman' ? roman.toUpperCase() : roman;
+  }
+  return String(value);
+}
+
+/**
+ * Renders structure elements as Markdown-flavoured text: `#` headings,
+ * `-` / numbered list items and blank-line separated paragraphs, with image
+ * and table placeholders on their own lines. Element `links` become
+ * `[text](url)` links.
+ * @param {Array} elements - Structure elements
+ * @returns {Object} `{ formattedText, rawText }`; raw text has no markup or placeholders
+ */
+export function renderStructure(elements) {
+  const formatted = [];
+  const raw = [];
+
+  elements.forEach((element, index) => {
+    const previous = elements[index - 1];
+    // Items of the same list stay on consecutive lines; everything else is
+    // its own paragraph
+    const sameList = element.type === 'listItem' && previous?.type === 'listItem' &&
+      element.ordered === previous.ordered;
+    const separator = index === 0 ? '' : (sameList ? '\n' : '\n\n');
+
+    let formattedLine;
+    switch (element.type) {
+      case 'heading':
+        formattedLine = `${'#'.repeat(element.level)} ${renderLinks(element.text, element.links)}`;
+        raw.push(element.text);
+        break;
+      case 'listItem': {
+        const indent = '  '.repeat(element.level);
+        const marker = element.ordered
+          ? (/^\d+/.test(element.marker) ? `${parseInt(element.marker, 10)}.` : element.marker)
+          : '-';
+        formattedLine = `${indent}${marker} ${renderLinks(element.text, element.links)}`;
+        raw.push(element.text);
+        break;
+      }
+      case 'paragraph':
+        formattedLine = renderLinks(element.text, element.links);
+        raw.push(element.text);
+        break;
+      case 'table':
+        formattedLine = element.placeholder;
+        element.rows.forEach(row => raw.push(row.join('\t')));
+        break;
+      default:
+        formattedLine = element.placeholder;
+        break;
+    }
+    formatted.push(separator + formattedLine);
+  });
+
+  return {
+    formattedText: formatted.join('').trim(),
+    rawText: raw.join('\n\n').trim()
+  };
+}
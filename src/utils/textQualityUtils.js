@@ -0,0 +1,122 @@
+/**
+ * Scores how readable the text layer of a page is. PDFs with broken font
+ * encodings (no or wrong ToUnicode maps) yield mojibake, private-use glyphs
+ * or shifted letters instead of their text; such pages are better read from
+ * a page scan.
+ */
+
+// Pages with fewer non-space characters than this are not scored
+const MIN_SCORED_CHARACTERS = 40;
+
+// Share of unreadable glyphs (replacement characters, private-use and
+// control characters, UTF-8 read as Latin-1) at which the glyph score is 0
+const MAX_BAD_GLYPH_RATIO = 0.2;
+
+// Symbols (\p{S}) above this share count against the text, reaching a
+// score of 0 at MAX_SYMBOL_RATIO
+const EXPECTED_SYMBOL_RATIO = 0.15;
+const MAX_SYMBOL_RATIO = 0.5;
+
+// The dictionary hit rate is only judged with this many Latin-script words,
+// and gets full marks from EXPECTED_DICTIONARY_HIT_RATE
+const MIN_DICTIONARY_WORDS = 20;
+const EXPECTED_DICTIONARY_HIT_RATE = 0.15;
+
+// Vowels make up about 35-45% of the letters of European languages, but far
+// fewer in letters shifted or scrambled by a broken encoding. Text with few
+// dictionary hits (lists, other languages) still passes with vowels in this
+// share; the letter score is 0 at MIN_VOWEL_RATIO and 1 from EXPECTED_VOWEL_RATIO.
+const MIN_VOWEL_RATIO = 0.2;
+const EXPECTED_VOWEL_RATIO = 0.3;
+
+// Text layers scoring below this are treated as garbled
+export const MIN_TEXT_QUALITY_SCORE = 0.5;
+
+// Frequent words of the common Latin-script languages: English, German,
+// French, Spanish, Italian, Portuguese and Dutch. Real text in these
+// languages hits them on every line; shifted or scrambled letters do not.
+const COMMON_WORDS = new Set([
+  // English
+  'the', 'of', 'and', 'to', 'in', 'is', 'for', 'that', 'on', 'with', 'as', 'are', 'be', 'by', 'this',
+  'it', 'or', 'from', 'at', 'an', 'was', 'we', 'which', 'not', 'have', 'has', 'can', 'all', 'will',
+  'their', 'they', 'you', 'your', 'our', 'more', 'these', 'other', 'been', 'were', 'also', 'if', 'its',
+  'than', 'into', 'may', 'each', 'such', 'use', 'used', 'one', 'two', 'new', 'no', 'but', 'he', 'she',
+  'his', 'her', 'there', 'when', 'who', 'what', 'how', 'only', 'any', 'over', 'per', 'page', 'see',
+  // German
+  'der', 'die', 'das', 'und', 'ist', 'den', 'von', 'zu', 'mit', 'für', 'auf', 'des', 'im', 'dem',
+  'nicht', 'ein', 'eine', 'sich', 'auch', 'es', 'werden', 'wird', 'sind', 'bei', 'oder', 'aus', 'nach',
+  // French
+  'le', 'la', 'les', 'de', 'des', 'et', 'du', 'un', 'une', 'est', 'pour', 'que', 'qui', 'dans', 'par',
+  'sur', 'au', 'aux', 'pas', 'ce', 'ou', 'sont', 'avec', 'se', 'il', 'elle',
+  // Spanish, Italian and Portuguese
+  'el', 'los', 'las', 'del', 'en', 'con', 'por', 'para', 'su', 'al', 'lo', 'como', 'más', 'di', 'che',
+  'non', 'della', 'sono', 'da', 'gli', 'nel', 'do', 'em', 'os', 'não', 'uma', 'um', 'dos', 'das', 'na', 'ao',
+  // Dutch
+  'het', 'een', 'van', 'op', 'te', 'dat', 'zijn', 'voor', 'met', 'aan', 'er', 'ook', 'wordt'
+]);
+
+// UTF-8 bytes decoded as Latin-1 or Windows-1252: "Ã©" for "é", "â€™" for "’"
+const MOJIBAKE_REGEX = /[ÃÂâ][\u0080-¿€™œ]/gu;
+// Whitespace is removed before counting, so every control character is unreadable
+const BAD_GLYPH_REGEX = /[\uFFFD\p{Co}\p{Cn}\p{Cs}\p{Cc}]/gu;
+const SYMBOL_REGEX = /\p{S}/gu;
+const WORD_REGEX = /\p{L}{2,}/gu;
+const LATIN_WORD_REGEX = /^\p{Script=Latin}+$/u;
+const VOWEL_REGEX = /[aeiouy]/g;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Scores the text layer of a page from its glyph distribution (unreadable
+ * glyphs and symbols) and, for Latin-script text, its dictionary hit rate
+ * and share of vowels
+ * @param {string} text - Text of the page
+ * @returns {Object|null} `{ score, garbled, reasons, badGlyphRatio,
+ *   symbolRatio, dictionaryHitRate, vowelRatio }`, with the score from 0 (garbled) to 1
+ *   and `reasons` naming the checks that lowered it; null when the page has too
+ *   little text to judge
+ */
+export function scoreTextQuality(text) {
+  const characters = (text || '').replace(/\s+/g, '');
+  if (characters.length < MIN_SCORED_CHARACTERS) return null;
+
+  const countMatches = (regex) => (characters.match(regex) || []).length;
+  const badGlyphRatio = (countMatches(BAD_GLYPH_REGEX) + countMatches(MOJIBAKE_REGEX)) / characters.length;
+  const symbolRatio = countMatches(SYMBOL_REGEX) / characters.length;
+
+  const latinWords = ((text || '').toLowerCase().match(WORD_REGEX) || []).filter(word => LATIN_WORD_REGEX.test(word));
+  const isJudged = latinWords.length >= MIN_DICTIONARY_WORDS;
+  const dictionaryHitRate = isJudged
+    ? latinWords.filter(word => COMMON_WORDS.has(word)).length / latinWords.length
+    : null;
+  // Accents are stripped so "é" and "ö" count as vowels
+  const letters = latinWords.join('').normalize('NFD').replace(/\p{M}/gu, '');
+  const vowelRatio = isJudged ? (letters.match(VOWEL_REGEX) || []).length / letters.length : null;
+
+  const glyphScore = 1 - Math.min(1, badGlyphRatio / MAX_BAD_GLYPH_RATIO);
+  const symbolScore = 1 - Math.min(1, Math.max(0, symbolRatio - EXPECTED_SYMBOL_RATIO) / (MAX_SYMBOL_RATIO - EXPECTED_SYMBOL_RATIO));
+  const dictionaryScore = isJudged ? Math.min(1, dictionaryHitRate / EXPECTED_DICTIONARY_HIT_RATE) : 1;
+  const letterScore = isJudged
+    ? Math.min(1, Math.max(0, vowelRatio - MIN_VOWEL_RATIO) / (EXPECTED_VOWEL_RATIO - MIN_VOWEL_RATIO))
+    : 1;
+  // Words are judged readable when either check passes
+  const wordScore = Math.max(dictionaryScore, letterScore);
+  const score = glyphScore * symbolScore * wordScore;
+
+  const reasons = [
+    glyphScore < 1 && 'unreadable_glyphs',
+    symbolScore < 1 && 'unusual_symbols',
+    wordScore < 1 && 'low_dictionary_hit_rate',
+    wordScore < 1 && 'unusual_letter_distribution'
+  ].filter(Boolean);
+
+  return {
+    score: round(score),
+    garbled: score < MIN_TEXT_QUALITY_SCORE,
+    reasons,
+    badGlyphRatio: round(badGlyphRatio),
+    symbolRatio: round(symbolRatio),
+    dictionaryHitRate: dictionaryHitRate === null ? null : round(dictionaryHitRate),
+    vowelRatio: vowelRatio === null ? null : round(vowelRatio)
+  };
+}
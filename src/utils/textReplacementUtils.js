@@ -2,25 +2,46 @@
  * Utilities for replacing placeholders with batch analysis results
  */
 
+import { getImageFileName } from './imageUtils';
+
 // Helper function to escape special regex characters
 const escapeRegExp = (string) => {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+// localStorage key of the format settings edited in Results. Bumped whenever
+// the marker shape or default spacing changes so previously-saved user
+// preferences are silently replaced by the new defaults instead of rendering
+// stale formatting forever.
+export const FORMAT_SETTINGS_STORAGE_KEY = 'textFormatSettings_v7';
+
 // Default replacement format settings
 //
 // Markers are emitted as XML-style tags with self-documenting attribute names
 // so the resulting text is unambiguous for downstream LLM consumers and
 // trivial to parse. Each block is a matching
 // `<tag page_number="N">` … `</tag>` pair where N is the 1-based page number.
+// `{pageLabel}` is the printed page label of PDFs (e.g. "iv", "A-3"), and the
+// page number for documents without labels.
 const DEFAULT_CONFIG = {
   // Content types with markers
   contentTypes: {
     // Wraps the entire page (text + image blocks).
     pageHeading: {
-      prefix: '<page page_number="{pageNumber}">',
+      prefix: '<page page_number="{pageNumber}" page_label="{pageLabel}">',
       suffix: '</page>'
     },
+    // The document outline (PDF bookmarks), before the first page.
+    tableOfContents: {
+      prefix: '<table_of_contents>',
+      suffix: '</table_of_contents>'
+    },
+    // Running headers and footers of a PDF, once before the pages, when they
+    // are kept as metadata instead of repeating on every page.
+    runningText: {
+      prefix: '<running_text>',
+      suffix: '</running_text>'
+    },
     // Full-page rasterized scan analyzed by the vision model.
     pageScan: {
       prefix: '<page_scan page_number="{pageNumber}">',
@@ -35,6 +56,39 @@ const DEFAULT_CONFIG = {
     text: {
       prefix: '<text page_number="{pageNumber}">',
       suffix: '</text>'
+    },
+    // A table rebuilt from the text layer. `format` is 'markdown' or 'html';
+    // HTML output is the table's rows, so it nests inside the default tags.
+    table: {
+      prefix: '<table page_number="{pageNumber}">',
+      suffix: '</table>',
+      format: 'markdown'
+    },
+    // Speaker notes of a slide (PPTX), after the slide content.
+    speakerNotes: {
+      prefix: '<speaker_notes page_number="{pageNumber}">',
+      suffix: '</speaker_notes>'
+    },
+    // Headers (From, To, Date, Subject, ...) of an email message, before its body.
+    emailHeaders: {
+      prefix: '<email_headers page_number="{pageNumber}">',
+      suffix: '</email_headers>'
+    },
+    // The form fields of a PDF page with their values, after the page content.
+    formFields: {
+      prefix: '<form_fields page_number="{pageNumber}">',
+      suffix: '</form_fields>'
+    },
+    // A comment, highlight or other annotation of a PDF page, after the page content.
+    annotation: {
+      prefix: '<annotation page_number="{pageNumber}">',
+      suffix: '</annotation>'
+    },
+    // Wraps the pages of an email attachment inside the message's page.
+    // {pageNumber} is the message's page.
+    attachment: {
+      prefix: '<attachment page_number="{pageNumber}" file_name="{fileName}">',
+      suffix: '</attachment>'
     }
   },
   
@@ -47,6 +101,142 @@ const DEFAULT_CONFIG = {
   }
 };
 
+/**
+ * Merges a custom configuration over the defaults, one content type at a
+ * time so partial overrides (e.g. only an image prefix) keep the rest.
+ * @param {Object} customConfig - Custom configuration
+ * @returns {Object} Complete configuration
+ */
+const mergeConfig = (customConfig = {}) => {
+  const contentTypes = {};
+  Object.keys(DEFAULT_CONFIG.contentTypes).forEach(type => {
+    contentTypes[type] = {
+      ...DEFAULT_CONFIG.contentTypes[type],
+      ...(customConfig.contentTypes?.[type] || {})
+    };
+  });
+
+  return {
+    contentTypes,
+    spacing: { ...DEFAULT_CONFIG.spacing, ...(customConfig.spacing || {}) }
+  };
+};
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Fills the `{pageNumber}`, `{pageLabel}` and `{fileName}` variables of a
+ * marker template. Labels and file names are HTML-escaped since the default
+ * markers use them as attribute values.
+ * @param {string} marker - Marker template
+ * @param {Object} values - `{ pageNumber, pageLabel, fileName }`
+ * @returns {string} Marker text
+ */
+const fillMarker = (marker, { pageNumber, pageLabel, fileName = '' }) => {
+  const values = {
+    pageNumber,
+    pageLabel: escapeHtml(String(pageLabel || pageNumber)),
+    fileName: escapeHtml(fileName)
+  };
+  return marker.replace(/\{(pageNumber|pageLabel|fileName)\}/g, (_, key) => values[key]);
+};
+
+/**
+ * Renders table rows as a Markdown pipe table. The first row is the header.
+ * @param {Array<Array<string>>} rows - Table rows of cell strings
+ * @returns {string} Markdown table
+ */
+export function renderMarkdownTable(rows) {
+  if (!rows?.length) return '';
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const formatRow = (row) => {
+    const cells = Array.from({ length: columnCount }, (_, i) =>
+      (row[i] || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ')
+    );
+    return `| ${cells.join(' | ')} |`;
+  };
+  const separator = `| ${Array.from({ length: columnCount }, () => '---').join(' | ')} |`;
+  return [formatRow(rows[0]), separator, ...rows.slice(1).map(formatRow)].join('\n');
+}
+
+/**
+ * Renders table rows as HTML `<thead>`/`<tbody>` sections (without the
+ * enclosing `<table>` element, which comes from the content type markers).
+ * The first row is the header.
+ * @param {Array<Array<string>>} rows - Table rows of cell strings
+ * @returns {string} HTML table body
+ */
+export function renderHtmlTable(rows) {
+  if (!rows?.length) return '';
+  const formatRow = (row, cellTag) =>
+    `<tr>${row.map(cell => `<${cellTag}>${escapeHtml(cell || '')}</${cellTag}>`).join('')}</tr>`;
+  return [
+    `<thead>${formatRow(rows[0], 'th')}</thead>`,
+    `<tbody>`,
+    ...rows.slice(1).map(row => formatRow(row, 'td')),
+    `</tbody>`
+  ].join('\n');
+}
+
+// Display names of the annotation types read by processPdfDocument
+const ANNOTATION_LABELS = {
+  comment: 'Comment',
+  freeText: 'Free text',
+  highlight: 'Highlight',
+  underline: 'Underline',
+  strikeOut: 'Strikeout',
+  squiggly: 'Squiggly underline'
+};
+
+/**
+ * Renders a PDF annotation as `Name: value` lines: its type, author, date,
+ * the text it marks up and its comment
+ * @param {Object} annotation - Annotation from a page's `annotations`
+ * @returns {string} Annotation text
+ */
+export function renderAnnotationText(annotation) {
+  return [
+    `Type: ${ANNOTATION_LABELS[annotation.type] || annotation.type}`,
+    annotation.author && `Author: ${annotation.author}`,
+    annotation.date && `Date: ${annotation.date}`,
+    annotation.highlightedText && `Highlighted text: ${annotation.highlightedText}`,
+    annotation.contents && `${annotation.type === 'freeText' ? 'Text' : 'Comment'}: ${annotation.contents}`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Turns PDF form fields into `[key, value]` pairs, named by their label
+ * (tooltip or XFA caption) or field name. Checkboxes show `[x]` or `[ ]`.
+ * @param {Array} fields - Fields from a page's `formFields`
+ * @returns {Array<Array<string>>} Key/value pairs
+ */
+const getFormFieldEntries = (fields) => {
+  return fields.map(field => {
+    let value = field.value ?? '';
+    if (field.type === 'checkbox') {
+      value = field.checked ? '[x]' : '[ ]';
+    } else if (Array.isArray(value)) {
+      value = value.join(', ');
+    }
+    return [field.label || field.name, String(value).replace(/\s*\n\s*/g, ' ')];
+  });
+};
+
+/**
+ * Renders PDF form fields as `Field: value` lines
+ * @param {Array} fields - Fields from a page's `formFields`
+ * @returns {string} Form fields text
+ */
+export function renderFormFieldsText(fields) {
+  return getFormFieldEntries(fields).map(([key, value]) => `${key}: ${value}`.trimEnd()).join('\n');
+}
+
 /**
  * Creates line breaks based on spacing value
  * @param {number} count - Number of line breaks to create
@@ -73,31 +263,7 @@ export function createTextReplacement(pdfData, batchResults, customConfig = {})
   }
 
   // Deep merge default config with custom config
-  const config = {
-    contentTypes: {
-      pageHeading: { ...DEFAULT_CONFIG.contentTypes.pageHeading },
-      pageScan: { ...DEFAULT_CONFIG.contentTypes.pageScan },
-      image: { ...DEFAULT_CONFIG.contentTypes.image },
-      text: { ...DEFAULT_CONFIG.contentTypes.text }
-    },
-    spacing: { ...DEFAULT_CONFIG.spacing }
-  };
-
-  if (customConfig.contentTypes) {
-    if (customConfig.contentTypes.pageScan) {
-      Object.assign(config.contentTypes.pageScan, customConfig.contentTypes.pageScan);
-    }
-    if (customConfig.contentTypes.image) {
-      Object.assign(config.contentTypes.image, customConfig.contentTypes.image);
-    }
-    if (customConfig.contentTypes.text) {
-      Object.assign(config.contentTypes.text, customConfig.contentTypes.text);
-    }
-  }
-  
-  if (customConfig.spacing) {
-    Object.assign(config.spacing, customConfig.spacing);
-  }
+  const config = mergeConfig(customConfig);
 
   // Create a map of image IDs to their analysis results for quick lookup
   const analysisMap = new Map();
@@ -109,236 +275,214 @@ export function createTextReplacement(pdfData, batchResults, customConfig = {})
   console.log(`Text replacement: Processing ${pdfData.pages.length} pages with ${batchResults.length} analysis results`);
   console.log(`Analysis IDs: ${batchResults.map(r => r.imageId).join(', ')}`);
 
+  const markerToContentSpacing = createSpacing(config.spacing.markerToContent);
+
+  // Wraps a block's text in the configured markers for its content type
+  const renderBlock = (block, page) => {
+    const format = config.contentTypes[block.type];
+    const prefix = fillMarker(format.prefix, page);
+    const suffix = fillMarker(format.suffix, page);
+    return `${prefix}${markerToContentSpacing}${block.text}${markerToContentSpacing}${suffix}`;
+  };
+
   // Process each page to apply replacements
   const replacedPages = pdfData.pages.map(page => {
-    // Start with the original content
-    let content = page.content.formattedText;
+    const content = page.content.formattedText || '';
     
     // Get the image references for this page
     const imageRefs = page.imageReferences || [];
     
     console.log(`Page ${page.pageNumber}: Found ${imageRefs.length} image references`);
     
-    // Track page content types for proper spacing
-    const contentBlocks = [];
-    let hasPageScan = false;
-    
-    // First pass: Process all image references and create content blocks
-    imageRefs.forEach(ref => {
-      console.log(`Processing image ref: id=${ref.id}, isFullPage=${ref.isFullPage}, placeholder=${ref.placeholder}`);
-      
+    // Turns an image reference into a content block, or null when there is
+    // nothing usable to show for it (missing, refused or failed analysis)
+    const createImageBlock = (ref) => {
       const analysis = analysisMap.get(ref.id);
       
       if (!analysis) {
         console.warn(`No analysis found for image ${ref.id}`);
-        return;
+        return null;
       }
       
-      // Only process if we have a placeholder and analysis exists
-      if (ref.placeholder && analysis) {
-        // Skip completely if the analysis was refused or failed
-        if (analysis.refusalDetected || !analysis.success || !analysis.text) {
-          console.warn(`Skipping replacement for ${ref.id}: refusal=${analysis.refusalDetected}, success=${analysis.success}, hasText=${!!analysis.text}`);
-          // Remove the placeholder entirely
-          content = content.replace(ref.placeholder, '');
-          return;
-        }
-        
-        // Format the replacement based on image type
-        const format = ref.isFullPage ? config.contentTypes.pageScan : config.contentTypes.image;
-        
-        // Track if this page has a full-page scan
-        if (ref.isFullPage) {
-          hasPageScan = true;
-        }
-        
-        // Replace {pageNumber} in prefix and suffix to include proper page number
-        const pageNumberRegex = /\{pageNumber\}/g;
-        const prefix = format.prefix.replace(pageNumberRegex, page.pageNumber);
-        const suffix = format.suffix.replace(pageNumberRegex, page.pageNumber);
-        
-        // Create properly spaced content with markers
-        const markerToContentSpacing = createSpacing(config.spacing.markerToContent);
-        
-        // The formatted replacement includes spacing between marker and content
-        const formattedText = `${prefix}${markerToContentSpacing}${analysis.text}${markerToContentSpacing}${suffix}`;
-        
-        // Store this as a content block for later arrangement
-        contentBlocks.push({
-          type: ref.isFullPage ? 'pageScan' : 'image',
-          text: formattedText,
-          placeholder: ref.placeholder
-        });
+      if (analysis.refusalDetected || !analysis.success || !analysis.text) {
+        console.warn(`Skipping replacement for ${ref.id}: refusal=${analysis.refusalDetected}, success=${analysis.success}, hasText=${!!analysis.text}`);
+        return null;
       }
+      
+      return {
+        type: ref.isFullPage ? 'pageScan' : 'image',
+        imageId: ref.id,
+        text: analysis.text
+      };
+    };
+    
+    // Tables are rendered from their rows in the configured format
+    const createTableBlock = (table) => {
+      if (!table.rows?.length) return null;
+      
+      return {
+        type: 'table',
+        tableId: table.id,
+        rows: table.rows,
+        text: config.contentTypes.table.format === 'html'
+          ? renderHtmlTable(table.rows)
+          : renderMarkdownTable(table.rows)
+      };
+    };
+    
+    // Split the page text on its placeholders so every image and table
+    // block lands exactly where its placeholder sits, with the text before
+    // and after it becoming separate text blocks.
+    const refsByPlaceholder = new Map();
+    imageRefs.forEach(ref => {
+      if (ref.placeholder) refsByPlaceholder.set(ref.placeholder, ref);
+    });
+    (page.tables || []).forEach(table => {
+      refsByPlaceholder.set(table.placeholder, { ...table, isTable: true });
     });
     
-    // Second pass: Check if there's any actual text content to mark
-    const rawText = page.content.rawText?.trim() || '';
+    const blocks = [];
+    const placedRefs = new Set();
     
-    if (rawText.length > 0) {
-      // Process the content to find text that's not part of image/scan placeholders
-      let textOnlyContent = content;
-      
-      // Check if the content already contains text content markers for this page
-      const textPrefix = config.contentTypes.text.prefix.replace(/\{pageNumber\}/g, page.pageNumber);
-      const textSuffix = config.contentTypes.text.suffix.replace(/\{pageNumber\}/g, page.pageNumber);
-      const hasTextMarkers = content.includes(textPrefix) || content.includes(textSuffix);
+    if (refsByPlaceholder.size > 0) {
+      const placeholderRegex = new RegExp(
+        `(${[...refsByPlaceholder.keys()].map(escapeRegExp).join('|')})`,
+        'g'
+      );
       
-      // Only proceed if there are no text markers already
-      if (!hasTextMarkers) {
-        // Remove all placeholder patterns
-        imageRefs.forEach(ref => {
-          if (ref.placeholder) {
-            // Use a global regex to ensure all instances are replaced
-            const placeholderRegex = new RegExp(escapeRegExp(ref.placeholder), 'g');
-            textOnlyContent = textOnlyContent.replace(placeholderRegex, '');
-          }
-        });
+      content.split(placeholderRegex).forEach(segment => {
+        const ref = refsByPlaceholder.get(segment);
         
-        // If there's any text content left after removing placeholders, add it as a content block
-        textOnlyContent = textOnlyContent.trim();
-        if (textOnlyContent.length > 0) {
-          const markerToContentSpacing = createSpacing(config.spacing.markerToContent);
-          
-          // Get text format with page number
-          const textFormat = {
-            prefix: textPrefix,
-            suffix: textSuffix
-          };
+        if (ref) {
+          // Only the first occurrence of a placeholder gets the description
+          if (placedRefs.has(ref.id)) return;
+          placedRefs.add(ref.id);
           
-          const formattedText = `${textFormat.prefix}${markerToContentSpacing}${textOnlyContent}${markerToContentSpacing}${textFormat.suffix}`;
-          
-          contentBlocks.push({
-            type: 'text',
-            text: formattedText,
-            placeholder: null // No placeholder for general text content
-          });
+          const refBlock = ref.isTable ? createTableBlock(ref) : createImageBlock(ref);
+          if (refBlock) blocks.push(refBlock);
+          return;
+        }
+        
+        const text = segment.trim();
+        if (text.length > 0) {
+          blocks.push({ type: 'text', text });
         }
-      }
-    } else if (content.trim().length === 0 && imageRefs.length === 0) {
-      // Handle case of empty page - mark it with text content tags anyway
-      const markerToContentSpacing = createSpacing(config.spacing.markerToContent);
-      
-      // Get text format with page number
-      const textFormat = {
-        prefix: config.contentTypes.text.prefix.replace(/\{pageNumber\}/g, page.pageNumber),
-        suffix: config.contentTypes.text.suffix.replace(/\{pageNumber\}/g, page.pageNumber)
-      };
-      
-      // Even for empty pages, provide clear text markers
-      const formattedText = `${textFormat.prefix}${markerToContentSpacing}[Empty page]${markerToContentSpacing}${textFormat.suffix}`;
-      
-      contentBlocks.push({
-        type: 'text',
-        text: formattedText,
-        placeholder: null
       });
+    } else if (content.trim().length > 0) {
+      blocks.push({ type: 'text', text: content.trim() });
     }
     
-    // Third pass: Replace content with properly arranged blocks
-    if (contentBlocks.length > 0) {
-      // Clear original content first if we're rebuilding it entirely
-      if (hasPageScan) {
-        // If there's a page scan, we'll start fresh
-        content = '';
-      } else {
-        // For non-page-scan pages, we need to check if it's text-only content
-        const hasImageBlocks = contentBlocks.some(block => block.type === 'image' && block.placeholder);
-        const hasTextBlock = contentBlocks.some(block => block.type === 'text' && !block.placeholder);
-        
-        // If there are only text blocks (no image blocks with placeholders), clear content
-        if (!hasImageBlocks && hasTextBlock) {
-          // This is a text-only page, so we should start fresh
-          content = '';
-          
-          // Add the text content block directly
-          const textBlock = contentBlocks.find(block => block.type === 'text');
-          if (textBlock) {
-            content = textBlock.text;
-          }
-        } else {
-          // For pages with image placeholders, replace them first
-          contentBlocks.forEach(block => {
-            if (block.placeholder) {
-              content = content.replace(block.placeholder, block.text);
-            }
-          });
-          
-          // Then add text content (which doesn't have a placeholder) at the end if it exists
-          const textBlock = contentBlocks.find(block => block.type === 'text' && !block.placeholder);
-          if (textBlock) {
-            content = content.trim() + (content.length > 0 ? createSpacing(config.spacing.betweenContentSections) : '') + textBlock.text;
-          }
-        }
-      }
-      
-      // For page scan pages, we need to build content from scratch with proper spacing
-      if (hasPageScan && content === '') {
-        // Start with page scan
-        const pageScanBlock = contentBlocks.find(block => block.type === 'pageScan');
-        if (pageScanBlock) {
-          content += pageScanBlock.text;
-        }
-        
-        // Add image blocks with spacing between content sections
-        const imageBlocks = contentBlocks.filter(block => block.type === 'image');
-        if (imageBlocks.length > 0 && pageScanBlock) {
-          content += createSpacing(config.spacing.betweenContentSections);
-        }
-        
-        imageBlocks.forEach((block, index) => {
-          content += block.text;
-          if (index < imageBlocks.length - 1) {
-            content += createSpacing(config.spacing.betweenContentSections);
-          }
-        });
-        
-        // Add text block at the end if it exists
-        const textBlock = contentBlocks.find(block => block.type === 'text');
-        if (textBlock && (pageScanBlock || imageBlocks.length > 0)) {
-          content += createSpacing(config.spacing.betweenContentSections);
-          content += textBlock.text;
-        } else if (textBlock) {
-          content += textBlock.text;
-        }
-      }
-    } else {
-      // If no content blocks were created, create a default text block
-      const markerToContentSpacing = createSpacing(config.spacing.markerToContent);
+    // Images whose placeholder never made it into the text flow still get
+    // their description: page scans first, embedded images last.
+    imageRefs.forEach(ref => {
+      if (placedRefs.has(ref.id)) return;
+      placedRefs.add(ref.id);
       
-      // Get text format with page number
-      const textFormat = {
-        prefix: config.contentTypes.text.prefix.replace(/\{pageNumber\}/g, page.pageNumber),
-        suffix: config.contentTypes.text.suffix.replace(/\{pageNumber\}/g, page.pageNumber)
-      };
+      const imageBlock = createImageBlock(ref);
+      if (!imageBlock) return;
       
-      // Default text for empty page
-      let textContent = '[Empty page]';
-      if (rawText) {
-        textContent = rawText;
-      } else if (content.trim()) {
-        textContent = content.trim();
+      if (imageBlock.type === 'pageScan') {
+        blocks.unshift(imageBlock);
+      } else {
+        blocks.push(imageBlock);
       }
+    });
+    
+    // Tables whose placeholder was lost go after the page text
+    (page.tables || []).forEach(table => {
+      if (placedRefs.has(table.id)) return;
+      placedRefs.add(table.id);
       
-      content = `${textFormat.prefix}${markerToContentSpacing}${textContent}${markerToContentSpacing}${textFormat.suffix}`;
+      const tableBlock = createTableBlock(table);
+      if (tableBlock) blocks.push(tableBlock);
+    });
+    
+    // Filled-in form fields follow the page content as one key/value block
+    if (page.formFields?.length) {
+      blocks.push({ type: 'formFields', fields: page.formFields, text: renderFormFieldsText(page.formFields) });
+    }
+    
+    // Comments and highlights follow the page content, top to bottom
+    (page.annotations || []).forEach(annotation => {
+      blocks.push({ type: 'annotation', annotation, text: renderAnnotationText(annotation) });
+    });
+    
+    // Speaker notes close the slide they belong to
+    if (page.speakerNotes?.trim()) {
+      blocks.push({ type: 'speakerNotes', text: page.speakerNotes.trim() });
+    }
+    
+    // Email headers open the message they belong to
+    if (page.emailHeaders?.length) {
+      blocks.unshift({
+        type: 'emailHeaders',
+        headers: page.emailHeaders,
+        text: page.emailHeaders.map(header => `${header.name}: ${header.value}`).join('\n')
+      });
+    }
+    
+    // Even for empty pages, provide clear text markers
+    if (blocks.length === 0) {
+      blocks.push({ type: 'text', text: '[Empty page]' });
     }
     
     // Return the page with replaced content
     return {
       pageNumber: page.pageNumber,
-      content: content
+      pageLabel: page.pageLabel || String(page.pageNumber),
+      content: blocks
+        .map(block => renderBlock(block, page))
+        .join(createSpacing(config.spacing.betweenContentSections)),
+      blocks,
+      ...(page.attachment && { attachment: page.attachment })
     };
   });
   
   return {
     success: true,
     totalPages: replacedPages.length,
-    pages: replacedPages
+    pages: replacedPages,
+    outline: pdfData.metadata?.outline || [],
+    runningText: pdfData.metadata?.runningText || null
   };
 }
 
 /**
- * Generates a text representation of the replaced content
+ * Renders the document outline as the table of contents of the text and
+ * Markdown output: an indented list of titles with their page labels
+ * @param {Object} replacementResult - Result from createTextReplacement
+ * @returns {string} One `- title (page label)` line per outline entry, or an
+ *   empty string when the document has no outline
+ */
+const renderTableOfContents = (replacementResult) => {
+  const labels = new Map(replacementResult.pages.map(page => [page.pageNumber, page.pageLabel]));
+  const renderEntries = (entries, depth) => entries.flatMap(entry => {
+    const pageLabel = entry.pageNumber ? labels.get(entry.pageNumber) || entry.pageNumber : null;
+    return [
+      `${'  '.repeat(depth)}- ${entry.title}${pageLabel ? ` (page ${pageLabel})` : ''}`,
+      ...renderEntries(entry.items || [], depth + 1)
+    ];
+  });
+  return renderEntries(replacementResult.outline || [], 0).join('\n');
+};
+
+/**
+ * Renders the running headers and footers kept as metadata, one
+ * `Header: ...` / `Footer: ...` line each
+ * @param {Object|null} runningText - `{ headers, footers }` from the PDF metadata
+ * @param {Function} formatLabel - Formats the `Header` / `Footer` label
+ * @returns {Array<string>} One line per header or footer
+ */
+const renderRunningTextLines = (runningText, formatLabel = (label) => `${label}:`) => [
+  ...(runningText?.headers || []).map(header => `${formatLabel('Header')} ${header}`),
+  ...(runningText?.footers || []).map(footer => `${formatLabel('Footer')} ${footer}`)
+];
+
+/**
+ * Generates a text representation of the replaced content. Pages of email
+ * attachments are nested in their message's page, inside attachment markers,
+ * and a document outline is rendered as a table of contents before the pages,
+ * after the running headers and footers when they are kept as metadata.
  * @param {Object} replacementResult - Result from createTextReplacement
  * @param {Object} customConfig - Optional custom configuration for formatting
  * @returns {string} Formatted text with replacements
@@ -349,65 +493,190 @@ export function generateFormattedText(replacementResult, customConfig = {}) {
   }
   
   // Deep merge default config with custom config
-  const config = {
-    contentTypes: {
-      pageHeading: { ...DEFAULT_CONFIG.contentTypes.pageHeading },
-      pageScan: { ...DEFAULT_CONFIG.contentTypes.pageScan },
-      image: { ...DEFAULT_CONFIG.contentTypes.image },
-      text: { ...DEFAULT_CONFIG.contentTypes.text }
-    },
-    spacing: { ...DEFAULT_CONFIG.spacing }
+  const config = mergeConfig(customConfig);
+  const markerToContentSpacing = createSpacing(config.spacing.markerToContent);
+  
+  // Wraps content in a prefix/suffix pair; empty markers leave it unwrapped
+  const wrap = (prefix, suffix, content) => {
+    if (!prefix || prefix.trim() === '') return content;
+    return `${prefix}${markerToContentSpacing}${content}${markerToContentSpacing}${suffix}`;
   };
-
-  if (customConfig.contentTypes) {
-    if (customConfig.contentTypes.pageHeading) {
-      Object.assign(config.contentTypes.pageHeading, customConfig.contentTypes.pageHeading);
-    }
-    if (customConfig.contentTypes.pageScan) {
-      Object.assign(config.contentTypes.pageScan, customConfig.contentTypes.pageScan);
+  
+  // Attachment pages (email attachments) are rendered inside the page of the
+  // message they belong to, grouped per attachment
+  const pageNumbers = new Set(replacementResult.pages.map(page => page.pageNumber));
+  const attachmentsByParent = new Map();
+  const topLevelPages = [];
+  replacementResult.pages.forEach(page => {
+    const parentPageNumber = page.attachment?.parentPageNumber;
+    if (!parentPageNumber || !pageNumbers.has(parentPageNumber)) {
+      topLevelPages.push(page);
+      return;
     }
-    if (customConfig.contentTypes.image) {
-      Object.assign(config.contentTypes.image, customConfig.contentTypes.image);
+    if (!attachmentsByParent.has(parentPageNumber)) {
+      attachmentsByParent.set(parentPageNumber, new Map());
     }
-    if (customConfig.contentTypes.text) {
-      Object.assign(config.contentTypes.text, customConfig.contentTypes.text);
+    const attachments = attachmentsByParent.get(parentPageNumber);
+    if (!attachments.has(page.attachment.index)) {
+      attachments.set(page.attachment.index, { fileName: page.attachment.fileName, pages: [] });
     }
+    attachments.get(page.attachment.index).pages.push(page);
+  });
+
+  const renderPage = (page) => {
+    // The page body is the rendered content blocks, followed by its attachments
+    let pageContent = page.content;
+    (attachmentsByParent.get(page.pageNumber) || new Map()).forEach(attachment => {
+      const values = { ...page, fileName: attachment.fileName || '' };
+      const attachmentContent = attachment.pages
+        .map(renderPage)
+        .join(createSpacing(config.spacing.betweenPages));
+      pageContent += createSpacing(config.spacing.betweenContentSections) + wrap(
+        fillMarker(config.contentTypes.attachment.prefix, values),
+        fillMarker(config.contentTypes.attachment.suffix, values),
+        attachmentContent
+      );
+    });
+    
+    // Per-page wrapping markers (e.g. `<page page_number="2">` … `</page>`).
+    return wrap(
+      fillMarker(config.contentTypes.pageHeading.prefix, page),
+      fillMarker(config.contentTypes.pageHeading.suffix, page),
+      pageContent
+    );
+  };
+  
+  // The outline opens the document as its table of contents
+  const sections = topLevelPages.map(renderPage);
+  const tableOfContents = renderTableOfContents(replacementResult);
+  if (tableOfContents) {
+    sections.unshift(wrap(
+      config.contentTypes.tableOfContents.prefix,
+      config.contentTypes.tableOfContents.suffix,
+      tableOfContents
+    ));
   }
+  const runningTextLines = renderRunningTextLines(replacementResult.runningText);
+  if (runningTextLines.length > 0) {
+    sections.unshift(wrap(
+      config.contentTypes.runningText.prefix,
+      config.contentTypes.runningText.suffix,
+      runningTextLines.join('\n')
+    ));
+  }
+  
+  // Spacing between pages (none after the last page)
+  return sections.join(createSpacing(config.spacing.betweenPages));
+}
+
+/**
+ * Shifts Markdown headings down so they nest under the document and page
+ * headings of the Markdown export (capped at H6)
+ * @param {string} text - Markdown text
+ * @param {number} offset - Number of levels to add
+ * @returns {string} Text with demoted headings
+ */
+const demoteHeadings = (text, offset) => {
+  return text.replace(/^(#{1,6})(\s)/gm, (_, hashes, space) =>
+    '#'.repeat(Math.min(6, hashes.length + offset)) + space
+  );
+};
+
+/**
+ * Renders an analysis as a Markdown note (GitHub-style admonition) that
+ * names the image file it describes
+ * @param {string} label - Kind of image ("Image", "Figure" or "Page scan")
+ * @param {string} fileName - Image file name
+ * @param {string} text - Analysis text
+ * @returns {string} Blockquoted note
+ */
+const renderMarkdownNote = (label, fileName, text) => {
+  const body = text.split('\n').map(line => (line.trim() ? `> ${line}` : '>')).join('\n');
+  return `> [!NOTE]\n> **${label}** \`${fileName}\`\n>\n${body}`;
+};
+
+/**
+ * Renders a PDF annotation as a Markdown quote: the type, author and date,
+ * the marked-up text in quotes, then the comment
+ * @param {Object} annotation - Annotation from a page's `annotations`
+ * @returns {string} Blockquoted annotation
+ */
+const renderMarkdownAnnotation = (annotation) => {
+  const byline = [annotation.author && `by ${annotation.author}`, annotation.date].filter(Boolean).join(', ');
+  const lines = [`**${ANNOTATION_LABELS[annotation.type] || annotation.type}**${byline ? ` ${byline}` : ''}`];
+  if (annotation.highlightedText) lines.push('', `“${annotation.highlightedText}”`);
+  if (annotation.contents) lines.push('', ...annotation.contents.split('\n'));
+  return lines.map(line => (line ? `> ${line}` : '>')).join('\n');
+};
 
-  if (customConfig.spacing) {
-    Object.assign(config.spacing, customConfig.spacing);
+/**
+ * Generates a Markdown document from the replaced content: one section per
+ * page, document headings and tables kept as Markdown, image and page scan
+ * analyses as notes that reference the image file, speaker notes and PDF
+ * annotations as quotes, and form fields as a Field/Value table. Running
+ * headers and footers kept as metadata come first, as bold `Header:` lines.
+ * Attachment pages keep their own section, labelled with the message's page.
+ * @param {Object} replacementResult - Result from createTextReplacement
+ * @param {Object} options - Rendering options
+ * @param {string} [options.title] - Document title (H1)
+ * @param {Array} [options.images] - Extracted images (`pdfResult.images`), used for file names
+ * @returns {string} Markdown document
+ */
+export function generateMarkdown(replacementResult, options = {}) {
+  if (!replacementResult?.success || !replacementResult.pages?.length) {
+    return 'No content available';
   }
 
-  return replacementResult.pages.map((page, index, pages) => {
-    const pageNumberRegex = /\{pageNumber\}/g;
+  const { title = 'Document', images = [] } = options;
+  const imagesById = new Map(images.map(image => [image.id, image]));
+  const fileNameFor = (imageId) => getImageFileName(imagesById.get(imageId) || { id: imageId });
 
-    // Per-page wrapping markers (e.g. `<page page_number="2">` … `</page>`).
-    const headingPrefix = config.contentTypes.pageHeading.prefix.replace(pageNumberRegex, page.pageNumber);
-    const headingSuffix = config.contentTypes.pageHeading.suffix.replace(pageNumberRegex, page.pageNumber);
+  const sections = replacementResult.pages.map(page => {
+    const blocks = (page.blocks || []).map(block => {
+      switch (block.type) {
+        case 'pageScan':
+          return renderMarkdownNote('Page scan', fileNameFor(block.imageId), block.text);
+        case 'image': {
+          // Vector figures are page regions rendered as images
+          const label = imagesById.get(block.imageId)?.type === 'vector_figure' ? 'Figure' : 'Image';
+          return renderMarkdownNote(label, fileNameFor(block.imageId), block.text);
+        }
+        case 'table':
+          return renderMarkdownTable(block.rows);
+        case 'speakerNotes':
+          return `> **Speaker notes**\n>\n${block.text.split('\n').map(line => `> ${line}`).join('\n')}`;
+        case 'emailHeaders':
+          return block.headers.map(header => `**${header.name}:** ${header.value}`).join('  \n');
+        case 'annotation':
+          return renderMarkdownAnnotation(block.annotation);
+        case 'formFields':
+          return renderMarkdownTable([['Field', 'Value'], ...getFormFieldEntries(block.fields)]);
+        default:
+          // Page text headings nest under the page section (H2)
+          return demoteHeadings(block.text, 2);
+      }
+    });
 
-    // The page body is just the rendered content blocks.
-    const pageContent = page.content;
-    
-    // Final result with proper wrapping of the entire page
-    let result = '';
-    
-    // Only wrap with page markers if we have valid markers
-    if (headingPrefix && headingPrefix.trim() !== '') {
-      // Add marker-to-content spacing
-      const markerToContentSpacing = createSpacing(config.spacing.markerToContent);
-      
-      // Wrap everything with page markers
-      result = `${headingPrefix}${markerToContentSpacing}${pageContent}${markerToContentSpacing}${headingSuffix}`;
-    } else {
-      // No page markers, just use the content directly
-      result = pageContent;
-    }
-    
-    // Add spacing between pages (except for the last page)
-    if (index < pages.length - 1) {
-      result += createSpacing(config.spacing.betweenPages);
-    }
-    
-    return result;
-  }).join('');
-} 
\ No newline at end of file
+    // Printed page labels (e.g. "iv") are shown next to the page number
+    const pageName = page.pageLabel && page.pageLabel !== String(page.pageNumber)
+      ? `Page ${page.pageNumber} (${page.pageLabel})`
+      : `Page ${page.pageNumber}`;
+    const heading = page.attachment
+      ? `## ${pageName} (attachment \`${page.attachment.fileName}\` of page ${page.attachment.parentPageNumber})`
+      : `## ${pageName}`;
+    return [heading, ...blocks].join('\n\n');
+  });
+
+  // The outline becomes a contents section before the pages
+  const tableOfContents = renderTableOfContents(replacementResult);
+  if (tableOfContents) {
+    sections.unshift(`## Contents\n\n${tableOfContents}`);
+  }
+  // Running headers and footers kept as metadata open the document
+  const runningTextLines = renderRunningTextLines(replacementResult.runningText, (label) => `**${label}:**`);
+  if (runningTextLines.length > 0) {
+    sections.unshift(runningTextLines.join('  \n'));
+  }
+
+  return `# ${title}\n\n${sections.join('\n\n')}\n`;
+}
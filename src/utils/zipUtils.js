@@ -0,0 +1,171 @@
+import { unzipSync } from 'fflate';
+
+/**
+ * Helpers for ZIP-based document packages (DOCX and the other Office Open
+ * XML formats): reading entries, parsing XML parts and resolving the
+ * relationships between them.
+ */
+
+const MIME_TYPES_BY_EXTENSION = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  jpe: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  emf: 'image/emf',
+  wmf: 'image/wmf'
+};
+
+/**
+ * Unzips a package into a map of entry paths to their bytes
+ * @param {Uint8Array|ArrayBuffer} data - ZIP file contents
+ * @returns {Map<string, Uint8Array>} Entries keyed by path (no leading slash)
+ */
+export function readZip(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const files = unzipSync(bytes);
+  return new Map(Object.entries(files).filter(([path]) => !path.endsWith('/')));
+}
+
+/**
+ * Decodes a package entry as UTF-8 text
+ * @param {Map<string, Uint8Array>} entries - Entries from readZip
+ * @param {string} path - Entry path
+ * @returns {string|null} Text, or null when the entry doesn't exist
+ */
+export function readZipText(entries, path) {
+  const bytes = entries.get(path);
+  return bytes ? new TextDecoder('utf-8').decode(bytes) : null;
+}
+
+/**
+ * Parses an XML document, throwing on malformed input
+ * @param {string} text - XML text
+ * @returns {Document} Parsed document
+ */
+export function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const error = doc.getElementsByTagName('parsererror')[0];
+  if (error) {
+    throw new Error(`Invalid XML: ${error.textContent.trim().split('\n')[0]}`);
+  }
+  return doc;
+}
+
+/**
+ * Reads and parses an XML entry of a package
+ * @param {Map<string, Uint8Array>} entries - Entries from readZip
+ * @param {string} path - Entry path
+ * @returns {Document|null} Parsed document, or null when the entry doesn't exist
+ */
+export function readZipXml(entries, path) {
+  const text = readZipText(entries, path);
+  return text === null ? null : parseXml(text);
+}
+
+/**
+ * Child elements of a node with the given local name (namespace prefixes ignored)
+ * @param {Node} node - Parent node
+ * @param {string} localName - Element local name, or `*` for all
+ * @returns {Array<Element>} Matching child elements
+ */
+export function childElements(node, localName = '*') {
+  if (!node) return [];
+  return Array.from(node.childNodes).filter(child =>
+    child.nodeType === 1 && (localName === '*' || child.localName === localName)
+  );
+}
+
+/**
+ * First child element of a node with the given local name
+ * @param {Node} node - Parent node
+ * @param {string} localName - Element local name
+ * @returns {Element|null} Matching element
+ */
+export function firstChildElement(node, localName) {
+  return childElements(node, localName)[0] || null;
+}
+
+/**
+ * Descendant elements of a node with the given local name
+ * @param {Node} node - Root node
+ * @param {string} localName - Element local name
+ * @returns {Array<Element>} Matching elements in document order
+ */
+export function descendantElements(node, localName) {
+  if (!node) return [];
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Attribute value by local name (namespace prefixes ignored)
+ * @param {Element} element - Element
+ * @param {string} localName - Attribute local name
+ * @returns {string|null} Attribute value
+ */
+export function getAttribute(element, localName) {
+  if (!element?.attributes) return null;
+  for (const attribute of Array.from(element.attributes)) {
+    if (attribute.localName === localName) return attribute.value;
+  }
+  return null;
+}
+
+/**
+ * Resolves a relationship target against the part that references it
+ * @param {string} partPath - Path of the referencing part (e.g. `word/document.xml`)
+ * @param {string} target - Target as written in the relationship
+ * @returns {string} Normalized package path
+ */
+export function resolveZipPath(partPath, target) {
+  const segments = target.startsWith('/')
+    ? []
+    : partPath.split('/').slice(0, -1);
+  for (const segment of target.replace(/^\//, '').split('/')) {
+    if (segment === '..') segments.pop();
+    else if (segment && segment !== '.') segments.push(segment);
+  }
+  return segments.map(segment => decodeURIComponent(segment)).join('/');
+}
+
+/**
+ * Reads the relationships of a package part (`_rels/<part>.rels`)
+ * @param {Map<string, Uint8Array>} entries - Entries from readZip
+ * @param {string} partPath - Path of the part
+ * @returns {Map<string, Object>} Relationships by ID: `{ type, target, external }`,
+ *   with internal targets resolved to package paths
+ */
+export function readRelationships(entries, partPath) {
+  const directory = partPath.split('/').slice(0, -1).join('/');
+  const fileName = partPath.split('/').pop();
+  const relsPath = `${directory ? `${directory}/` : ''}_rels/${fileName}.rels`;
+  const doc = readZipXml(entries, relsPath);
+  const relationships = new Map();
+  if (!doc) return relationships;
+
+  for (const rel of descendantElements(doc, 'Relationship')) {
+    const external = rel.getAttribute('TargetMode') === 'External';
+    const target = rel.getAttribute('Target') || '';
+    relationships.set(rel.getAttribute('Id'), {
+      type: (rel.getAttribute('Type') || '').split('/').pop(),
+      target: external ? target : resolveZipPath(partPath, target),
+      external
+    });
+  }
+  return relationships;
+}
+
+/**
+ * MIME type for a package entry, from its file extension
+ * @param {string} path - Entry path
+ * @returns {string} MIME type (application/octet-stream when unknown)
+ */
+export function getMimeTypeFromPath(path) {
+  const extension = path.split('.').pop().toLowerCase();
+  return MIME_TYPES_BY_EXTENSION[extension] || 'application/octet-stream';
+}
@@ -1,6 +1,6 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
-import { cpSync, existsSync, mkdirSync } from 'node:fs';
+import { cpSync, existsSync, mkdirSync, readdirSync } from 'node:fs';
 import { dirname, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { createRequire } from 'node:module';
@@ -44,9 +44,46 @@ function copyPdfJsAssets() {
   };
 }
 
+/**
+ * Copy the Tesseract OCR engine into `public/tesseract/` so page scans can be
+ * OCRed offline (see src/utils/ocrUtils.js): the tesseract.js web worker, the
+ * LSTM-only WASM cores (the worker picks the SIMD variant the browser
+ * supports) and the gzipped English traineddata.
+ */
+function copyTesseractAssets() {
+  const tesseractRoot = dirname(require.resolve('tesseract.js/package.json'));
+  // tesseract.js-core is resolved from tesseract.js so the core always
+  // matches the worker, even when npm does not hoist it
+  const requireFromTesseract = createRequire(resolve(tesseractRoot, 'package.json'));
+  const coreRoot = dirname(requireFromTesseract.resolve('tesseract.js-core/package.json'));
+  // The integer LSTM model is the one tesseract.js itself uses for LSTM-only
+  // recognition: smaller than the default model, at about the same accuracy
+  const langSrc = resolve(dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+
+  const copyInto = (targetRoot) => {
+    const dest = resolve(targetRoot, 'tesseract');
+    mkdirSync(resolve(dest, 'core'), { recursive: true });
+    mkdirSync(resolve(dest, 'lang'), { recursive: true });
+
+    cpSync(resolve(tesseractRoot, 'dist', 'worker.min.js'), resolve(dest, 'worker.min.js'));
+    readdirSync(coreRoot)
+      .filter((file) => file.endsWith('-lstm.wasm.js'))
+      .forEach((file) => cpSync(resolve(coreRoot, file), resolve(dest, 'core', file)));
+    cpSync(resolve(langSrc, 'eng.traineddata.gz'), resolve(dest, 'lang', 'eng.traineddata.gz'));
+  };
+
+  return {
+    name: 'copy-tesseract-assets',
+    apply: () => true,
+    buildStart() {
+      copyInto(resolve(__dirname, 'public'));
+    },
+  };
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), copyPdfJsAssets()],
+  plugins: [react(), copyPdfJsAssets(), copyTesseractAssets()],
   build: {
     target: 'es2022',
     // Vite's default minifier is esbuild, which already strips whitespace,
@@ -58,6 +95,12 @@ export default defineConfig({
     // Use `true` to expose maps in the browser, or `false` to skip them.
     sourcemap: 'hidden',
   },
+  worker: {
+    // The PDF extraction worker (src/utils/extractionWorker.js) is a module
+    // worker, and PDF.js loads parts of itself with dynamic imports, which
+    // the default 'iife' worker format cannot code-split.
+    format: 'es',
+  },
   optimizeDeps: {
     // pdfjs-dist ships a worker entry that Vite must not pre-bundle.
     exclude: ['pdfjs-dist/build/pdf.worker.min.mjs'],